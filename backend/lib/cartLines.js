@@ -0,0 +1,83 @@
+// backend/lib/cartLines.js
+// ─────────────────────────────────────────────────────────────
+// Cart line identity
+// Two cart lines may become one line (quantities added) only when
+// they print exactly the same thing: the same variant and the same
+// configuration fingerprint. The fingerprint covers every print
+// location's visible layers — design file (or, for text, its
+// settings, since each add renders a new PNG) and placement — plus
+// the decoration method and backside option.
+//
+// Lines are combined only when the cart is written to — add to cart
+// (routes/products.js) and the anonymous → user cart merge
+// (routes/cart.js); reading the cart never changes it, and an edited
+// design keeps its own line. Team roster lines (lib/roster.js) list
+// their own players and are never merged.
+// ─────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+const { printedSides } = require('./pricing');
+const { sideLayers, resolvePrintArea } = require('./printAreas');
+
+// Text layer fields that aren't part of how the text looks
+const TEXT_NON_STYLE_FIELDS = ['kind', 'design_url', 'design_preview_url', 'placement', 'locked', 'hidden'];
+
+// JSON with object keys sorted, so equal configs hash equally
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function layerIdentity(layer) {
+  if (layer.kind !== 'text') {
+    return { kind: 'image', design_url: layer.design_url, placement: layer.placement };
+  }
+  const text = { ...layer.text };
+  TEXT_NON_STYLE_FIELDS.forEach((field) => { delete text[field]; });
+  return { kind: 'text', text, placement: layer.placement };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Fingerprint of a cart line's config (hex string), or null for
+// lines that must never be merged (team rosters)
+// ─────────────────────────────────────────────────────────────
+function configFingerprint(config) {
+  if (config?.roster) return null;
+  const identity = {
+    decoration: config?.decoration || 'dtg',
+    backside: config?.backside || 'blank',
+    sides: Object.fromEntries(printedSides(config)
+      .map((side) => [side, sideLayers(config[side]).map(layerIdentity)])
+      .filter(([, layers]) => layers.length > 0)),
+  };
+  return crypto.createHash('sha256').update(canonicalJson(identity)).digest('hex').slice(0, 32);
+}
+
+// Key two lines share exactly when they can be merged, else null
+function mergeKey(variantId, config) {
+  const fingerprint = configFingerprint(config);
+  return fingerprint ? `${variantId}:${fingerprint}` : null;
+}
+
+// A cart line's config with each printed side stamped with the
+// product's print area (print_area), so later edits to the area
+// don't move the line
+function stampPrintAreas(config, areas) {
+  const lineConfig = { ...config };
+  printedSides(config).forEach((side) => {
+    lineConfig[side] = { ...config[side], print_area: resolvePrintArea(null, side, areas) };
+  });
+  return lineConfig;
+}
+
+module.exports = {
+  configFingerprint,
+  mergeKey,
+  stampPrintAreas,
+};
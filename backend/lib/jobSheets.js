@@ -0,0 +1,442 @@
+// backend/lib/jobSheets.js
+// ─────────────────────────────────────────────────────────────
+// Production job sheets (PDF)
+// One sheet per order for the print floor: every line's garment,
+// color, size, quantity and decoration method, plus a mockup per
+// print location with the design and any text composited at their
+// saved placements and the print size/position in inches (see
+// lib/printAreas.js). Team roster lines (lib/roster.js) list every
+// player's name and number to print on the back.
+//
+// writeJobSheets() streams a single PDF for one or many orders;
+// each order starts on a new page.
+// ─────────────────────────────────────────────────────────────
+
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { createClient } = require('@supabase/supabase-js');
+const { printedSides } = require('./pricing');
+const { LOCATION_LABELS, fetchPrintAreas, resolvePrintArea, sideLayers, placementInches } = require('./printAreas');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DECORATION_LABELS = {
+  dtg:        'DTG print',
+  embroidery: 'Embroidery',
+  screen:     'Screen print',
+};
+
+// Longest edge of images embedded in the PDF (a 150pt mockup box
+// prints at ~2.1 in, so this is plenty)
+const EMBED_MAX_PX = 800;
+
+// Letter, in points
+const PAGE = { width: 612, height: 792, margin: 40 };
+const MOCKUP_BOX = 150;
+const MOCKUP_GAP = 41;
+// Print locations side by side per row (three boxes fill the page width)
+const MOCKUPS_PER_ROW = 3;
+const MOCKUP_ROW = MOCKUP_BOX + 70; // box + specs underneath (grows with long specs)
+const SPECS_FONT_SIZE = 8.5;
+// Roster tables run in columns of Name / No. pairs
+const ROSTER_COLUMNS = 3;
+const ROSTER_ROW = 13;
+
+// ─────────────────────────────────────────────────────────────
+// Image loading — everything is normalised to PNG for PDFKit
+// (designs may be SVG/WebP, mockups WebP/GIF). Failures return
+// null; the sheet says the image is missing instead of failing.
+// ─────────────────────────────────────────────────────────────
+async function toEmbeddable(buffer) {
+  const { data, info } = await sharp(buffer, { density: 150 })
+    .rotate()
+    .resize({ width: EMBED_MAX_PX, height: EMBED_MAX_PX, fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+async function loadRemoteImage(url, cache) {
+  if (!url) return null;
+  if (!cache.has(url)) {
+    cache.set(url, (async () => {
+      try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return await toEmbeddable(Buffer.from(await res.arrayBuffer()));
+      } catch (err) {
+        console.error('[jobSheets] Could not load mockup:', url, err.message);
+        return null;
+      }
+    })());
+  }
+  return cache.get(url);
+}
+
+async function loadDesignImage(storagePath, cache) {
+  if (!storagePath) return null;
+  if (!cache.has(storagePath)) {
+    cache.set(storagePath, (async () => {
+      try {
+        const { data, error } = await supabaseAdmin.storage.from('designs').download(storagePath);
+        if (error) throw error;
+        return await toEmbeddable(Buffer.from(await data.arrayBuffer()));
+      } catch (err) {
+        console.error('[jobSheets] Could not load design:', storagePath, err.message);
+        return null;
+      }
+    })());
+  }
+  return cache.get(storagePath);
+}
+
+// Mockup photo for a product/color/angle, falling back to any color
+async function findMockupUrl(productId, colorName, angle) {
+  const { data: exact } = await supabaseAdmin
+    .from('product_images')
+    .select('url')
+    .eq('product_id', productId)
+    .eq('angle', angle)
+    .eq('color_name', colorName)
+    .limit(1);
+  if (exact?.[0]?.url) return exact[0].url;
+
+  const { data: fallback } = await supabaseAdmin
+    .from('product_images')
+    .select('url')
+    .eq('product_id', productId)
+    .eq('angle', angle)
+    .limit(1);
+  return fallback?.[0]?.url || null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Everything one order's sheet needs, images included
+// ─────────────────────────────────────────────────────────────
+async function loadOrderSheet(orderId, cache) {
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select('id, created_at, status, shipping_name, shipping_city, shipping_state, shipping_country, shipping_method_name')
+    .eq('id', orderId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!order) return null;
+
+  const { data: items, error: itemsErr } = await supabaseAdmin
+    .from('order_items')
+    .select('id, quantity, config, product_variants(size, color_name, product_id, products(name))')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+  if (itemsErr) throw itemsErr;
+
+  const lines = await Promise.all((items || []).map(async (item) => {
+    const variant = item.product_variants;
+    const colorName = item.config?.color || variant?.color_name || null;
+    const productAreas = await fetchPrintAreas(variant?.product_id);
+
+    const sides = await Promise.all(printedSides(item.config).map(async (side) => {
+      const sideConfig = item.config[side];
+      const mockupUrl = variant?.product_id
+        ? (await findMockupUrl(variant.product_id, colorName, side))
+          || (side !== 'front' ? await findMockupUrl(variant.product_id, colorName, 'front') : null)
+        : null;
+      const [mockup, layers] = await Promise.all([
+        loadRemoteImage(mockupUrl, cache),
+        Promise.all(sideLayers(sideConfig).map(async layer => ({
+          kind: layer.kind,
+          placement: layer.placement,
+          text: layer.text || null,
+          fileName: layer.design_url.split('/').pop().replace(/^\d+_/, ''),
+          design: await loadDesignImage(layer.design_url, cache),
+        }))),
+      ]);
+      return {
+        side,
+        area: resolvePrintArea(sideConfig, side, productAreas),
+        mockup,
+        layers,
+      };
+    }));
+
+    return {
+      id: item.id,
+      productName: variant?.products?.name || 'Custom T-Shirt',
+      colorName,
+      size: item.config?.size || variant?.size || null,
+      quantity: item.quantity,
+      decoration: item.config?.decoration || null,
+      backside: item.config?.backside || null,
+      sides,
+      roster: item.config?.roster?.entries || null,
+    };
+  }));
+
+  return { order, lines };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Drawing
+// ─────────────────────────────────────────────────────────────
+function drawOrderHeader(doc, { order, lines }) {
+  const orderRef = order.id.slice(0, 8).toUpperCase();
+  const units = lines.reduce((sum, l) => sum + l.quantity, 0);
+  const left = PAGE.margin;
+  const width = PAGE.width - PAGE.margin * 2;
+
+  doc.rect(left, PAGE.margin, width, 56).fill('#4f46e5');
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(20)
+    .text(`JOB SHEET  #${orderRef}`, left + 16, PAGE.margin + 12);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Ordered ${new Date(order.created_at).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}`,
+      left + 16, PAGE.margin + 36);
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(order.status.replace(/_/g, ' ').toUpperCase(), left, PAGE.margin + 14, { width: width - 16, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`${lines.length} line${lines.length === 1 ? '' : 's'} · ${units} unit${units === 1 ? '' : 's'}`,
+      left, PAGE.margin + 36, { width: width - 16, align: 'right' });
+
+  const shipTo = [order.shipping_name, [order.shipping_city, order.shipping_state, order.shipping_country].filter(Boolean).join(', ')]
+    .filter(Boolean).join(' — ');
+  doc.fillColor('#475569').fontSize(9)
+    .text(`Ship to: ${shipTo || '—'}${order.shipping_method_name ? `   ·   ${order.shipping_method_name}` : ''}`,
+      left, PAGE.margin + 66);
+
+  return PAGE.margin + 86;
+}
+
+function drawComposite(doc, x, y, { area, mockup, layers }) {
+  const size = MOCKUP_BOX;
+  doc.save();
+  doc.rect(x, y, size, size).fillAndStroke('#f1f5f9', '#e2e8f0');
+  doc.rect(x, y, size, size).clip();
+
+  if (mockup) {
+    doc.image(mockup.data, x, y, { fit: [size, size], align: 'center', valign: 'center' });
+  }
+
+  // Print area outline
+  doc.rect(
+    x + (area.xPct - area.wPct / 2) * size,
+    y + (area.yPct - area.hPct / 2) * size,
+    area.wPct * size,
+    area.hPct * size
+  ).dash(3, { space: 3 }).lineWidth(0.5).stroke('#94a3b8').undash();
+
+  layers.forEach(({ design, placement }) => {
+    if (!design) return;
+    const w = placement.wPct * size;
+    const h = w * (design.height / design.width);
+    doc.save();
+    doc.translate(x + placement.x * size, y + placement.y * size)
+      .rotate(placement.rotation || 0)
+      .scale(placement.flipped ? -1 : 1, 1);
+    doc.image(design.data, -w / 2, -h / 2, { width: w, height: h });
+    doc.restore();
+  });
+  doc.restore();
+
+  const designMissing = layers.length === 0 || layers.some(l => !l.design);
+  if (!mockup || designMissing) {
+    doc.fillColor('#dc2626').font('Helvetica').fontSize(8)
+      .text(designMissing ? 'Design file missing' : 'Mockup missing', x + 6, y + size - 14);
+  }
+}
+
+// What the text says and how it's styled, for typesetting checks
+function textSpec(text) {
+  const style = [
+    text.font,
+    text.color,
+    text.outlineWidth > 0 ? `outline ${text.outlineColor}` : null,
+    text.arc ? `arc ${text.arc > 0 ? '+' : ''}${text.arc}` : null,
+  ].filter(Boolean).join(', ');
+  return `"${String(text.content).replace(/\n/g, ' / ')}" — ${style}`;
+}
+
+function layerSpecs(label, layer, area) {
+  const { kind, placement, design, fileName, text } = layer;
+  if (kind === 'text') label = `${label} text`;
+  if (!design) {
+    return [`${label}`, kind === 'text' ? textSpec(text) : `File: ${fileName}`];
+  }
+
+  const inches = placementInches(area, placement, design.width / design.height);
+  const horizontal = inches.offsetXIn === 0
+    ? 'centred'
+    : `${Math.abs(inches.offsetXIn).toFixed(2)} in ${inches.offsetXIn > 0 ? 'right' : 'left'} of centre`;
+  const extras = [
+    inches.rotation ? `rotated ${Math.round(inches.rotation)}°` : null,
+    inches.flipped ? 'mirrored' : null,
+  ].filter(Boolean).join(', ');
+
+  return [
+    `${label}: ${inches.widthIn.toFixed(2)} × ${inches.heightIn.toFixed(2)} in`,
+    `${horizontal}; top ${inches.fromTopIn.toFixed(2)} in below print area top`,
+    extras ? extras.charAt(0).toUpperCase() + extras.slice(1) : null,
+    kind === 'text' ? textSpec(text) : `File: ${fileName}`,
+  ].filter(Boolean);
+}
+
+function sideSpecs({ side, area, layers }) {
+  const label = LOCATION_LABELS[side] || side;
+  if (layers.length === 0) return [label, 'No file'];
+  return layers.flatMap(layer => layerSpecs(label, layer, area));
+}
+
+const SPECS_OPTS = { width: MOCKUP_BOX + MOCKUP_GAP - 6 };
+
+function specsHeight(doc, sideData) {
+  doc.font('Helvetica').fontSize(SPECS_FONT_SIZE);
+  return sideSpecs(sideData).reduce((sum, text) => sum + doc.heightOfString(text, SPECS_OPTS), 0);
+}
+
+// Height of each row of mockups, specs included
+function rowHeights(doc, line) {
+  const heights = [];
+  line.sides.forEach((sideData, i) => {
+    const row = Math.floor(i / MOCKUPS_PER_ROW);
+    const needed = MOCKUP_BOX + 20 + specsHeight(doc, sideData);
+    heights[row] = Math.max(heights[row] || MOCKUP_ROW, needed);
+  });
+  return heights;
+}
+
+function rosterHeight(roster) {
+  if (!roster) return 0;
+  return 18 + Math.ceil(roster.length / ROSTER_COLUMNS) * ROSTER_ROW + 10;
+}
+
+function lineHeight(doc, line) {
+  const rows = rowHeights(doc, line);
+  return (rows.length > 0 ? 58 + rows.reduce((sum, h) => sum + h, 0) : 76) + rosterHeight(line.roster);
+}
+
+// Players of a roster line, numbered down each column
+function drawRoster(doc, y, roster) {
+  const left = PAGE.margin;
+  const colWidth = (PAGE.width - PAGE.margin * 2) / ROSTER_COLUMNS;
+  const perColumn = Math.ceil(roster.length / ROSTER_COLUMNS);
+
+  doc.fillColor('#0f172a').font('Helvetica-Bold').fontSize(9)
+    .text(`Roster — name & number on the back (${roster.length})`, left, y);
+  roster.forEach((entry, i) => {
+    const x = left + Math.floor(i / perColumn) * colWidth;
+    const rowY = y + 18 + (i % perColumn) * ROSTER_ROW;
+    doc.fillColor('#94a3b8').font('Helvetica').fontSize(SPECS_FONT_SIZE).text(`${i + 1}.`, x, rowY, { width: 18 });
+    doc.fillColor('#334155').font('Helvetica-Bold')
+      .text(entry.number || '—', x + 20, rowY, { width: 24 });
+    doc.font('Helvetica')
+      .text(entry.name || '—', x + 46, rowY, { width: colWidth - 52, lineBreak: false, ellipsis: true });
+  });
+}
+
+function drawLine(doc, y, line, index) {
+  const left = PAGE.margin;
+  const width = PAGE.width - PAGE.margin * 2;
+
+  doc.fillColor('#0f172a').font('Helvetica-Bold').fontSize(12)
+    .text(`${index + 1}. ${line.productName}`, left, y, { width: width - 150 });
+
+  // Sign-off boxes for the floor
+  ['Printed', 'QC', 'Packed'].forEach((label, i) => {
+    const bx = left + width - 150 + i * 50;
+    doc.rect(bx, y, 9, 9).lineWidth(0.75).stroke('#64748b');
+    doc.fillColor('#64748b').font('Helvetica').fontSize(8).text(label, bx + 12, y + 1);
+  });
+
+  const specs = [
+    `Color: ${line.colorName || '—'}`,
+    `Size: ${line.size || '—'}`,
+    `Qty: ${line.quantity}`,
+    `Method: ${DECORATION_LABELS[line.decoration] || line.decoration || '—'}`,
+  ].join('     ');
+  doc.fillColor('#334155').font('Helvetica').fontSize(10).text(specs, left, y + 20);
+  if (line.backside && line.backside !== 'blank') {
+    doc.fillColor('#64748b').fontSize(9).text(`Back option: ${line.backside}`, left, y + 34);
+  }
+
+  if (line.sides.length === 0) {
+    doc.fillColor('#94a3b8').fontSize(9).text('Blank — nothing to print on this line', left, y + 48);
+    if (line.roster) drawRoster(doc, y + 66, line.roster);
+    return;
+  }
+
+  const rows = rowHeights(doc, line);
+  line.sides.forEach((sideData, i) => {
+    const row = Math.floor(i / MOCKUPS_PER_ROW);
+    const x = left + (i % MOCKUPS_PER_ROW) * (MOCKUP_BOX + MOCKUP_GAP);
+    const boxY = y + 50 + rows.slice(0, row).reduce((sum, h) => sum + h, 0);
+    drawComposite(doc, x, boxY, sideData);
+    doc.fillColor('#334155').font('Helvetica').fontSize(SPECS_FONT_SIZE);
+    // Long specs wrap, so each starts below the last
+    let textY = boxY + MOCKUP_BOX + 6;
+    sideSpecs(sideData).forEach((text) => {
+      doc.text(text, x, textY, SPECS_OPTS);
+      textY += doc.heightOfString(text, SPECS_OPTS);
+    });
+  });
+  if (line.roster) drawRoster(doc, y + 50 + rows.reduce((sum, h) => sum + h, 0), line.roster);
+}
+
+function drawOrderSheet(doc, sheet) {
+  let y = drawOrderHeader(doc, sheet);
+
+  if (sheet.lines.length === 0) {
+    doc.fillColor('#94a3b8').font('Helvetica').fontSize(10).text('This order has no items.', PAGE.margin, y);
+    return;
+  }
+
+  sheet.lines.forEach((line, i) => {
+    const needed = lineHeight(doc, line);
+    if (y + needed > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      const orderRef = sheet.order.id.slice(0, 8).toUpperCase();
+      doc.fillColor('#64748b').font('Helvetica').fontSize(9)
+        .text(`Job sheet #${orderRef} (continued)`, PAGE.margin, PAGE.margin);
+      y = PAGE.margin + 20;
+    }
+    drawLine(doc, y, line, i);
+    y += needed;
+    doc.moveTo(PAGE.margin, y - 10).lineTo(PAGE.width - PAGE.margin, y - 10).lineWidth(0.5).stroke('#e2e8f0');
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Stream job sheets for orderIds (in that order) into `stream`.
+// Orders are loaded one at a time so a large batch doesn't hold
+// every image in memory. Resolves with the number of sheets written.
+// ─────────────────────────────────────────────────────────────
+async function writeJobSheets(orderIds, stream) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE.margin, autoFirstPage: false });
+  doc.pipe(stream);
+
+  const cache = new Map();
+  let written = 0;
+  try {
+    for (const orderId of orderIds) {
+      const sheet = await loadOrderSheet(orderId, cache);
+      if (!sheet) continue;
+      doc.addPage();
+      drawOrderSheet(doc, sheet);
+      written += 1;
+      // Mockups repeat across orders; designs rarely do
+      for (const key of cache.keys()) {
+        if (!/^https?:/.test(key)) cache.delete(key);
+      }
+    }
+    if (written === 0) {
+      doc.addPage();
+      doc.fillColor('#94a3b8').font('Helvetica').fontSize(12).text('No orders to print.', PAGE.margin, PAGE.margin);
+    }
+  } finally {
+    doc.end();
+  }
+  return written;
+}
+
+module.exports = {
+  writeJobSheets,
+};
@@ -0,0 +1,135 @@
+// backend/lib/orderStatus.js
+// ─────────────────────────────────────────────────────────────
+// Order status state machine
+// Every status change — admin, Stripe webhook, checkout, refunds,
+// shipments — goes through transitionOrderStatus(), which rejects
+// moves not listed in ORDER_TRANSITIONS and appends a row to
+// order_status_history (see
+// supabase/migrations/20240307_order_status_history.sql).
+//
+// The usual path is pending → paid → fulfilled → shipped; refunds
+// and disputes branch off any paid status. refunded and cancelled
+// are final.
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// status → statuses it may move to
+const ORDER_TRANSITIONS = {
+  pending:            ['paid', 'payment_failed', 'cancelled'],
+  payment_failed:     ['pending', 'paid', 'cancelled'],
+  paid:               ['fulfilled', 'shipped', 'cancelled', 'partially_refunded', 'refunded', 'disputed'],
+  fulfilled:          ['shipped', 'partially_refunded', 'refunded', 'disputed'],
+  shipped:            ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['fulfilled', 'shipped', 'refunded', 'disputed'],
+  disputed:           ['paid', 'fulfilled', 'shipped', 'partially_refunded', 'refunded'],
+  refunded:           [],
+  cancelled:          [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses an admin can pick by hand; the rest follow from payments,
+// refunds and shipments
+const MANUAL_STATUSES = ['paid', 'fulfilled', 'shipped', 'cancelled'];
+
+// Who changed the status (order_status_history.actor)
+const ACTORS = ['admin', 'customer', 'stripe', 'system'];
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function canTransition(from, to) {
+  return from === to || (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// Statuses an admin may move an order in `status` to
+function manualTransitions(status) {
+  return (ORDER_TRANSITIONS[status] || []).filter((s) => MANUAL_STATUSES.includes(s));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Append to an order's status history. Non-fatal — the status
+// itself has already been written.
+// ─────────────────────────────────────────────────────────────
+async function recordStatusHistory(orderId, fromStatus, toStatus, { actor = 'system', note } = {}) {
+  const { error } = await supabaseAdmin
+    .from('order_status_history')
+    .insert({
+      order_id: orderId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor,
+      note: note || null,
+    });
+  if (error) console.error('[orderStatus] Failed to record status history:', error.message);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Move an order to `toStatus`.
+// order: the order id, or an object with { id, status } already read
+// options: { actor, note?, fields? } — fields are written in the same
+//          update (e.g. refunded_cents)
+// Returns the updated order. Moving to the current status only writes
+// `fields` and records no history.
+// Throws an error with .statusCode 409 for a move that isn't allowed,
+// or when the order's status changed in the meantime.
+// ─────────────────────────────────────────────────────────────
+async function transitionOrderStatus(order, toStatus, { actor = 'system', note, fields = {} } = {}) {
+  if (!ORDER_STATUSES.includes(toStatus)) throw httpError(400, `Unknown status "${toStatus}"`);
+  if (!ACTORS.includes(actor)) throw new Error(`Unknown status actor "${actor}"`);
+
+  let current = typeof order === 'object' ? order : null;
+  if (!current?.status) {
+    const { data, error } = await supabaseAdmin
+      .from('orders')
+      .select('id, status')
+      .eq('id', current?.id || order)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw httpError(404, 'Order not found');
+    current = data;
+  }
+
+  const fromStatus = current.status;
+  if (!canTransition(fromStatus, toStatus)) {
+    const err = httpError(409, `Cannot change order status from "${fromStatus}" to "${toStatus}"`);
+    err.code = 'illegal_transition';
+    throw err;
+  }
+
+  // Matching on the status we read keeps two concurrent changes from
+  // both applying
+  const { data: updated, error: updateErr } = await supabaseAdmin
+    .from('orders')
+    .update({ ...fields, status: toStatus, updated_at: new Date().toISOString() })
+    .eq('id', current.id)
+    .eq('status', fromStatus)
+    .select()
+    .maybeSingle();
+  if (updateErr) throw updateErr;
+  if (!updated) throw httpError(409, 'Order status changed in the meantime — reload and try again');
+
+  if (fromStatus !== toStatus) {
+    await recordStatusHistory(current.id, fromStatus, toStatus, { actor, note });
+  }
+  return updated;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  MANUAL_STATUSES,
+  canTransition,
+  manualTransitions,
+  recordStatusHistory,
+  transitionOrderStatus,
+};
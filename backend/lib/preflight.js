@@ -0,0 +1,149 @@
+// backend/lib/preflight.js
+// ─────────────────────────────────────────────────────────────
+// Artwork preflight
+// Inspects an uploaded design before it goes on a garment and
+// returns warnings the PDP shows next to the design picker. Nothing
+// here blocks an order — only a file that can't be read at all is
+// rejected (preflightDesign throws with .statusCode 400).
+//
+// Each warning is { code, severity: 'warning' | 'info', message,
+// params } — code/params let the frontend translate it, message is
+// the English text for everything else.
+//
+// Effective DPI uses the print sizes in lib/printAreas.js; the PDP
+// repeats the same sum live while the design is resized. SVGs are
+// sanitized (lib/svgSanitizer.js) before they get here.
+// ─────────────────────────────────────────────────────────────
+
+const sharp = require('sharp');
+const { DEFAULT_PRINT_AREAS, placementInches } = require('./printAreas');
+
+// Below MIN_DPI prints visibly soft; GOOD_DPI is what production
+// renders at (lib/printFiles.js)
+const MIN_DPI = 150;
+const GOOD_DPI = 300;
+
+// Raster art with a longest edge under this is too small for
+// anything but a pocket-sized print
+const MIN_EDGE_PX = 600;
+
+function warning(code, severity, message, params = {}) {
+  return { code, severity, message, params };
+}
+
+function svgWarnings(buffer) {
+  const text = buffer.toString('utf8');
+  const warnings = [];
+
+  if (/<image[\s>]/i.test(text)) {
+    warnings.push(warning(
+      'svg_embedded_raster', 'info',
+      'This SVG contains embedded images; they may print less sharply than the vector parts'
+    ));
+  }
+  return warnings;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Effective DPI of raster art at a placement (null for vectors)
+// ─────────────────────────────────────────────────────────────
+function effectiveDpi(report, area, placement) {
+  if (report.isVector || !placement) return null;
+  const { widthIn } = placementInches(area, placement, report.widthPx / report.heightPx);
+  return widthIn > 0 ? Math.round(report.widthPx / widthIn) : null;
+}
+
+function dpiWarning(dpi) {
+  if (dpi == null || dpi >= MIN_DPI) return null;
+  return warning(
+    'low_dpi', 'warning',
+    `This image will print at ${dpi} DPI and may look blurry — ${GOOD_DPI} DPI is ideal`,
+    { dpi, ideal: GOOD_DPI }
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// Inspect a design file.
+// options: { area?, placement? } — where it's going, for the DPI check
+//          (area from lib/printAreas.js, default front)
+//          { sanitized? } — what svgSanitizer removed, to tell the customer
+// Returns: { format, widthPx, heightPx, isVector, hasAlpha,
+//            colorSpace, dpi, warnings }
+// ─────────────────────────────────────────────────────────────
+async function preflightDesign(buffer, { area = DEFAULT_PRINT_AREAS.front, placement, sanitized = [] } = {}) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    const readErr = new Error('This file could not be read as an image');
+    readErr.statusCode = 400;
+    throw readErr;
+  }
+
+  const isVector = meta.format === 'svg';
+  const report = {
+    format: meta.format,
+    widthPx: meta.width,
+    heightPx: meta.height,
+    isVector,
+    hasAlpha: Boolean(meta.hasAlpha),
+    colorSpace: meta.space || null,
+    dpi: null,
+    warnings: [],
+  };
+  const { warnings } = report;
+
+  if (isVector) {
+    if (sanitized.length > 0) {
+      warnings.push(warning(
+        'svg_sanitized', 'info',
+        `Removed from this SVG for safe printing: ${sanitized.join(', ')}`,
+        { removed: sanitized.join(', ') }
+      ));
+    }
+    warnings.push(...svgWarnings(buffer));
+  } else {
+    if (Math.max(meta.width, meta.height) < MIN_EDGE_PX) {
+      warnings.push(warning(
+        'small_image', 'warning',
+        `This image is only ${meta.width} × ${meta.height} px; it can only print small without looking blurry`,
+        { width: meta.width, height: meta.height }
+      ));
+    }
+
+    // An alpha channel that is opaque everywhere is no better than none
+    let transparent = report.hasAlpha;
+    if (transparent) {
+      const { channels } = await sharp(buffer).stats();
+      transparent = channels[channels.length - 1].min < 255;
+    }
+    if (!transparent) {
+      warnings.push(warning(
+        'no_transparency', 'info',
+        'This image has no transparent background, so its background will print as a solid block'
+      ));
+    }
+
+    if (meta.space === 'cmyk') {
+      warnings.push(warning(
+        'cmyk', 'warning',
+        'This image is CMYK; colors are converted to RGB for printing and may shift slightly'
+      ));
+    } else if (meta.space === 'b-w' || meta.channels <= 2) {
+      warnings.push(warning('grayscale', 'info', 'This image is grayscale and will print without color'));
+    }
+
+    report.dpi = effectiveDpi(report, area, placement);
+    const dpiWarn = dpiWarning(report.dpi);
+    if (dpiWarn) warnings.push(dpiWarn);
+  }
+
+  return report;
+}
+
+module.exports = {
+  MIN_DPI,
+  GOOD_DPI,
+  effectiveDpi,
+  preflightDesign,
+};
@@ -0,0 +1,283 @@
+// backend/lib/pricing.js
+// ─────────────────────────────────────────────────────────────
+// Shared pricing
+// Single source of truth for unit prices. Used by the PDP price
+// quote, GET /api/cart enrichment and checkout subtotals so the
+// customer never sees one price and gets charged another.
+//
+// Quantity tiers (price_tiers table):
+//   - variant-specific tiers win over product-wide tiers
+//   - the tier is picked from the total quantity of the *product*
+//     across the cart, so a team order mixing sizes and colors
+//     still reaches the bulk break
+//   - below the lowest tier the variant's price_cents applies
+//
+// Decoration surcharges (pricing_surcharges table, defaults below):
+//   - embroidery   per unit, per decorated side
+//   - screen_setup flat per line, per printed side (one screen each);
+//                  the per-size lines of one design added together
+//                  (config.group, POST /cart/items/bulk) share their
+//                  screens, so only the first pays setup
+//   - extra_side   per unit, for every printed front/back after the first
+//   - sleeve_print, neck_label, pocket_print
+//                  per unit, for each of the smaller print locations
+//                  (lib/printAreas.js) in place of extra_side
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+const { PRINT_LOCATIONS } = require('./printAreas');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Used when the pricing_surcharges table is missing or has no row for a code
+const DEFAULT_SURCHARGES = {
+  embroidery:   400,  // $4.00 per unit per side
+  screen_setup: 2500, // $25.00 per side per line
+  extra_side:   300,  // $3.00 per unit per additional side
+  sleeve_print: 250,  // $2.50 per unit per sleeve
+  neck_label:   150,  // $1.50 per unit
+  pocket_print: 200,  // $2.00 per unit
+};
+
+// Plain-text labels for emails / server-rendered documents
+const SURCHARGE_LABELS = {
+  embroidery:   'Embroidery',
+  screen_setup: 'Screen setup',
+  extra_side:   'Second print side',
+  sleeve_print: 'Sleeve print',
+  neck_label:   'Neck label print',
+  pocket_print: 'Pocket print',
+};
+
+// Main print sides; the other locations each have their own surcharge
+const MAIN_SIDES = ['front', 'back'];
+const LOCATION_SURCHARGES = {
+  left_sleeve:  'sleeve_print',
+  right_sleeve: 'sleeve_print',
+  neck_label:   'neck_label',
+  left_chest:   'pocket_print',
+};
+
+// Print locations of a cart config that carry a design
+function printedSides(config) {
+  return PRINT_LOCATIONS.filter((side) => Boolean(config?.[side]));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Load surcharge amounts, falling back to DEFAULT_SURCHARGES
+// Returns: { [code]: amount_cents }
+// ─────────────────────────────────────────────────────────────
+async function fetchSurcharges() {
+  const { data, error } = await supabaseAdmin
+    .from('pricing_surcharges')
+    .select('code, amount_cents');
+
+  if (error) return { ...DEFAULT_SURCHARGES };
+
+  const rates = { ...DEFAULT_SURCHARGES };
+  (data || []).forEach((row) => { rates[row.code] = row.amount_cents; });
+  return rates;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Surcharges for one line given its config and quantity.
+// chargeSetup false skips screen_setup (already paid by another
+// line of the same group).
+// Returns: [{ code, perUnitCents, flatCents, amountCents }]
+// ─────────────────────────────────────────────────────────────
+function computeSurcharges(config, quantity, rates, chargeSetup = true) {
+  const sides = printedSides(config);
+  const surcharges = [];
+
+  const add = (code, perUnitCents, flatCents) => {
+    if (!perUnitCents && !flatCents) return;
+    surcharges.push({ code, perUnitCents, flatCents, amountCents: perUnitCents * quantity + flatCents });
+  };
+
+  if (config?.decoration === 'embroidery') {
+    add('embroidery', rates.embroidery * sides.length, 0);
+  }
+  if (config?.decoration === 'screen' && chargeSetup) {
+    add('screen_setup', 0, rates.screen_setup * sides.length);
+  }
+  const mainSides = sides.filter((side) => MAIN_SIDES.includes(side));
+  if (mainSides.length > 1) {
+    add('extra_side', rates.extra_side * (mainSides.length - 1), 0);
+  }
+  // One entry per code, in the order the codes are first used
+  const locationCounts = {};
+  sides.forEach((side) => {
+    const code = LOCATION_SURCHARGES[side];
+    if (code) locationCounts[code] = (locationCounts[code] || 0) + 1;
+  });
+  Object.entries(locationCounts).forEach(([code, count]) => {
+    add(code, rates[code] * count, 0);
+  });
+  return surcharges;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Fetch all tiers for the given products, grouped by product_id
+// and sorted by min_qty ascending.
+// Returns {} if the price_tiers table doesn't exist yet.
+// ─────────────────────────────────────────────────────────────
+async function fetchPriceTiers(productIds) {
+  const ids = [...new Set(productIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabaseAdmin
+    .from('price_tiers')
+    .select('id, product_id, variant_id, min_qty, price_cents')
+    .in('product_id', ids)
+    .order('min_qty', { ascending: true });
+
+  if (error) {
+    // Migration not run yet — fall back to flat variant prices
+    console.error('[pricing] Could not load price tiers:', error.message);
+    return {};
+  }
+
+  const byProduct = {};
+  (data || []).forEach((t) => {
+    (byProduct[t.product_id] = byProduct[t.product_id] || []).push(t);
+  });
+  return byProduct;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Tiers that apply to one variant: its own if it has any,
+// otherwise the product-wide ones.
+// ─────────────────────────────────────────────────────────────
+function tiersForVariant(variant, productTiers = []) {
+  const own = productTiers.filter((t) => t.variant_id === variant.id);
+  if (own.length > 0) return own;
+  return productTiers.filter((t) => !t.variant_id);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Unit price for a variant at a given quantity.
+// Returns: { unitPriceCents, tier }  (tier is null below the first break)
+// ─────────────────────────────────────────────────────────────
+function resolveUnitPrice(variant, tiers, quantity) {
+  let tier = null;
+  for (const t of tiers) {
+    if (quantity >= t.min_qty) tier = t;
+  }
+  return {
+    unitPriceCents: tier ? tier.price_cents : variant.price_cents,
+    tier,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Price a list of line items (cart_items rows or equivalent).
+// items: [{ variant_id, quantity, config? }]
+// Returns: { lines, subtotalCents }
+//   lines[i] lines up with items[i]:
+//   { variantId, productId, quantity,
+//     basePriceCents,    flat variant price
+//     garmentUnitCents,  tiered garment price
+//     tierMinQty,        break that applied (null = none)
+//     surcharges,        [{ code, perUnitCents, flatCents, amountCents }]
+//     unitPriceCents,    garment + per-unit surcharges
+//     setupCents,        one-time fees for the line
+//     lineTotalCents }   unitPriceCents × quantity + setupCents
+// Items whose variant no longer exists are priced at 0.
+// ─────────────────────────────────────────────────────────────
+async function priceItems(items) {
+  const variantIds = [...new Set(items.map((i) => i.variant_id))];
+  if (variantIds.length === 0) return { lines: [], subtotalCents: 0 };
+
+  const { data: variants } = await supabaseAdmin
+    .from('product_variants')
+    .select('id, product_id, price_cents')
+    .in('id', variantIds);
+
+  const variantMap = {};
+  (variants || []).forEach((v) => { variantMap[v.id] = v; });
+
+  const [tiersByProduct, rates] = await Promise.all([
+    fetchPriceTiers((variants || []).map((v) => v.product_id)),
+    fetchSurcharges(),
+  ]);
+
+  // Total quantity per product drives tier selection
+  const productQty = {};
+  items.forEach((item) => {
+    const v = variantMap[item.variant_id];
+    if (v) productQty[v.product_id] = (productQty[v.product_id] || 0) + item.quantity;
+  });
+
+  // Groups whose screen setup an earlier line already carries
+  const setupGroups = new Set();
+
+  const lines = items.map((item) => {
+    const v = variantMap[item.variant_id];
+    if (!v) {
+      return {
+        variantId: item.variant_id,
+        productId: null,
+        quantity: item.quantity,
+        basePriceCents: 0,
+        garmentUnitCents: 0,
+        tierMinQty: null,
+        surcharges: [],
+        unitPriceCents: 0,
+        setupCents: 0,
+        lineTotalCents: 0,
+      };
+    }
+    const tiers = tiersForVariant(v, tiersByProduct[v.product_id]);
+    const { unitPriceCents: garmentUnitCents, tier } = resolveUnitPrice(v, tiers, productQty[v.product_id]);
+    const { group } = item.config || {};
+    const surcharges = computeSurcharges(item.config, item.quantity, rates, !group || !setupGroups.has(group));
+    if (group) setupGroups.add(group);
+    const unitPriceCents = garmentUnitCents + surcharges.reduce((sum, s) => sum + s.perUnitCents, 0);
+    const setupCents = surcharges.reduce((sum, s) => sum + s.flatCents, 0);
+    return {
+      variantId: v.id,
+      productId: v.product_id,
+      quantity: item.quantity,
+      basePriceCents: v.price_cents,
+      garmentUnitCents,
+      tierMinQty: tier ? tier.min_qty : null,
+      surcharges,
+      unitPriceCents,
+      setupCents,
+      lineTotalCents: unitPriceCents * item.quantity + setupCents,
+    };
+  });
+
+  const subtotalCents = lines.reduce((sum, l) => sum + l.lineTotalCents, 0);
+  return { lines, subtotalCents };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Client/order-facing breakdown for a priced line (drops the ids)
+// ─────────────────────────────────────────────────────────────
+function toBreakdown(line) {
+  return {
+    basePriceCents: line.basePriceCents,
+    garmentUnitCents: line.garmentUnitCents,
+    tierMinQty: line.tierMinQty,
+    surcharges: line.surcharges,
+    unitPriceCents: line.unitPriceCents,
+    setupCents: line.setupCents,
+    lineTotalCents: line.lineTotalCents,
+  };
+}
+
+module.exports = {
+  SURCHARGE_LABELS,
+  printedSides,
+  fetchSurcharges,
+  computeSurcharges,
+  fetchPriceTiers,
+  tiersForVariant,
+  resolveUnitPrice,
+  priceItems,
+  toBreakdown,
+};
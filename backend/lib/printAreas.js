@@ -0,0 +1,177 @@
+// backend/lib/printAreas.js
+// ─────────────────────────────────────────────────────────────
+// Print locations, print areas and physical print sizes
+// A print location is somewhere a design can go: front, back, either
+// sleeve, the inside neck label or the left-chest pocket. Cart lines
+// keep one entry per printed location (config[location]), and each
+// location's mockup is the product image with that angle.
+//
+// A saved placement ({ x, y, wPct, rotation, flipped }) is in
+// fractions of the square mockup frame, the same frame the PDP
+// designer and the admin previews draw in. A print area is the
+// rectangle on that frame the design may go in, plus how big it is
+// on the garment:
+//   { xPct, yPct, wPct, hPct, widthIn, heightIn }
+// widthIn sets the scale for turning a placement into inches.
+//
+// Areas are stored per product and angle (print_areas, see
+// supabase/migrations/20240311_print_areas.sql) and drawn in the
+// admin product form; products without one fall back to
+// DEFAULT_PRINT_AREAS, mirrored in
+// frontend/src/components/DesignPreview.jsx. Cart lines keep the
+// area they were designed against (config[side].print_area), so
+// redrawing an area doesn't move orders already placed.
+//
+// The physical area is widthIn × heightIn at the outline's scale,
+// anchored at its top edge and horizontal centre; the print file
+// (lib/printFiles.js) covers exactly that.
+//
+// A location holds a stack of layers, bottom to top
+// (config[location].layers): uploaded images and text, which the PDP
+// renders to a PNG of its own on add to cart. Lines saved before
+// layers have a single design_url / placement, plus optional text
+// (config[location].text); sideLayers() reads either.
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Print locations, in display order; each is also the
+// product_images.angle of its mockup
+const PRINT_LOCATIONS = ['front', 'back', 'left_sleeve', 'right_sleeve', 'neck_label', 'left_chest'];
+
+// Plain-text labels for server-rendered documents
+const LOCATION_LABELS = {
+  front:        'Front',
+  back:         'Back',
+  left_sleeve:  'Left sleeve',
+  right_sleeve: 'Right sleeve',
+  neck_label:   'Neck label',
+  left_chest:   'Left chest pocket',
+};
+
+const DEFAULT_PRINT_AREAS = {
+  front: { xPct: 0.5, yPct: 0.38, wPct: 0.44, hPct: 0.44, widthIn: 12, heightIn: 16 },
+  back:  { xPct: 0.5, yPct: 0.38, wPct: 0.44, hPct: 0.44, widthIn: 12, heightIn: 16 },
+  left_sleeve:  { xPct: 0.5, yPct: 0.35, wPct: 0.2, hPct: 0.2, widthIn: 4, heightIn: 4 },
+  right_sleeve: { xPct: 0.5, yPct: 0.35, wPct: 0.2, hPct: 0.2, widthIn: 4, heightIn: 4 },
+  neck_label:   { xPct: 0.5, yPct: 0.2, wPct: 0.14, hPct: 0.1, widthIn: 3, heightIn: 2 },
+  left_chest:   { xPct: 0.62, yPct: 0.32, wPct: 0.14, hPct: 0.14, widthIn: 4, heightIn: 4 },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// print_areas row → area
+function toPrintArea(row) {
+  return {
+    xPct: Number(row.x_pct),
+    yPct: Number(row.y_pct),
+    wPct: Number(row.w_pct),
+    hPct: Number(row.h_pct),
+    widthIn: Number(row.width_in),
+    heightIn: Number(row.height_in),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Print areas for a product, defaults filled in.
+// Returns: { [angle]: area }
+// ─────────────────────────────────────────────────────────────
+async function fetchPrintAreas(productId) {
+  const areas = { ...DEFAULT_PRINT_AREAS };
+  if (!productId) return areas;
+
+  const { data, error } = await supabaseAdmin
+    .from('print_areas')
+    .select('angle, x_pct, y_pct, w_pct, h_pct, width_in, height_in')
+    .eq('product_id', productId);
+  if (error) {
+    // Table may not exist yet — defaults still work
+    console.error('[printAreas] Failed to load print areas:', error.message);
+    return areas;
+  }
+  (data || []).forEach((row) => { areas[row.angle] = toPrintArea(row); });
+  return areas;
+}
+
+// ─────────────────────────────────────────────────────────────
+// The area a side of a cart/order line was designed against.
+// areas: from fetchPrintAreas(), for lines saved before areas were
+//        stored on them
+// ─────────────────────────────────────────────────────────────
+function resolvePrintArea(sideConfig, side, areas = DEFAULT_PRINT_AREAS) {
+  return sideConfig?.print_area || areas[side] || DEFAULT_PRINT_AREAS[side] || DEFAULT_PRINT_AREAS.front;
+}
+
+// ─────────────────────────────────────────────────────────────
+// What is printed on one side, bottom to top. Hidden layers are
+// left out.
+// Returns: [{ kind: 'image' | 'text', design_url, proof_url, placement, text? }]
+//   proof_url  PNG proof of an SVG upload (images only), else null
+//   text       the text layer's settings (content, font, color, …)
+//              for kind 'text'
+// ─────────────────────────────────────────────────────────────
+function sideLayers(sideConfig) {
+  if (Array.isArray(sideConfig?.layers)) {
+    return sideConfig.layers
+      .filter(layer => !layer.hidden && layer.design_url && layer.placement)
+      .map(layer => (layer.kind === 'text'
+        ? { kind: 'text', design_url: layer.design_url, proof_url: null, placement: layer.placement, text: layer }
+        : { kind: 'image', design_url: layer.design_url, proof_url: layer.proof_url || null, placement: layer.placement }));
+  }
+
+  const layers = [];
+  if (sideConfig?.design_url && sideConfig.placement) {
+    layers.push({
+      kind: 'image',
+      design_url: sideConfig.design_url,
+      proof_url: sideConfig.proof_url || null,
+      placement: sideConfig.placement,
+    });
+  }
+  const text = sideConfig?.text;
+  if (text?.design_url && text.placement) {
+    layers.push({ kind: 'text', design_url: text.design_url, proof_url: null, placement: text.placement, text });
+  }
+  return layers;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Physical size and position of a placed design.
+// aspectRatio: design width / height
+// Returns: { widthIn, heightIn, offsetXIn, fromTopIn, rotation, flipped }
+//   offsetXIn  centre of the design right (+) / left (−) of the
+//              centre of the print area
+//   fromTopIn  top edge of the design below the top of the print area
+// ─────────────────────────────────────────────────────────────
+function placementInches(area, placement, aspectRatio = 1) {
+  const inchesPerUnit = area.widthIn / area.wPct;
+
+  const w = placement.wPct;
+  const h = w / (aspectRatio || 1);
+  const areaTop = area.yPct - area.hPct / 2;
+
+  return {
+    widthIn: round2(w * inchesPerUnit),
+    heightIn: round2(h * inchesPerUnit),
+    offsetXIn: round2((placement.x - area.xPct) * inchesPerUnit),
+    fromTopIn: round2((placement.y - h / 2 - areaTop) * inchesPerUnit),
+    rotation: placement.rotation || 0,
+    flipped: Boolean(placement.flipped),
+  };
+}
+
+module.exports = {
+  PRINT_LOCATIONS,
+  LOCATION_LABELS,
+  DEFAULT_PRINT_AREAS,
+  toPrintArea,
+  fetchPrintAreas,
+  resolvePrintArea,
+  sideLayers,
+  placementInches,
+};
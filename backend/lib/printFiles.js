@@ -0,0 +1,195 @@
+// backend/lib/printFiles.js
+// ─────────────────────────────────────────────────────────────
+// Print-ready artwork
+// Renders each printed side of an order line as a transparent PNG
+// covering the whole print area at PRINT_DPI (a 12 × 16 in area is
+// 3600 × 4800 px), with the design and any text scaled, rotated and
+// mirrored as the customer placed them. Files go to the private "print-files"
+// bucket and are recorded on order_items.print_files (see
+// supabase/migrations/20240308_print_files.sql).
+//
+// Placement → pixels uses the same frame as lib/printAreas.js, with
+// the print area the line was designed against.
+// ─────────────────────────────────────────────────────────────
+
+const sharp = require('sharp');
+const { createClient } = require('@supabase/supabase-js');
+const { printedSides } = require('./pricing');
+const { fetchPrintAreas, resolvePrintArea, sideLayers } = require('./printAreas');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PRINT_DPI = 300;
+const BUCKET = 'print-files';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// One layer scaled and placed on a canvasW × canvasH print file.
+// Returns a sharp composite entry, or null when it's entirely outside.
+async function placeLayer(design, placement, area, canvasW, canvasH) {
+  const pxPerUnit = canvasW / area.wPct;
+
+  const meta = await sharp(design).metadata();
+  const targetW = Math.max(Math.round(placement.wPct * pxPerUnit), 1);
+  const targetH = Math.max(Math.round(targetW * (meta.height / meta.width)), 1);
+
+  // Vector art is rasterised straight at print size rather than
+  // scaled up from its default 72 DPI
+  const density = meta.format === 'svg'
+    ? Math.min(Math.max((72 * targetW) / meta.width, 1), 2400)
+    : undefined;
+
+  let art = sharp(design, density ? { density } : {})
+    .rotate()
+    .ensureAlpha()
+    .resize(targetW, targetH, { fit: 'fill' });
+  if (placement.flipped) art = art.flop();
+  // Rotating grows the canvas around the same centre
+  const { data: artBuf, info: artInfo } = await sharp(await art.png().toBuffer())
+    .rotate(placement.rotation || 0, { background: TRANSPARENT })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  // Design centre in print-file pixels
+  const areaLeft = area.xPct - area.wPct / 2;
+  const areaTop = area.yPct - area.hPct / 2;
+  const left = Math.round((placement.x - areaLeft) * pxPerUnit - artInfo.width / 2);
+  const top = Math.round((placement.y - areaTop) * pxPerUnit - artInfo.height / 2);
+
+  // Crop whatever hangs outside the print area
+  const x0 = Math.max(left, 0);
+  const y0 = Math.max(top, 0);
+  const x1 = Math.min(left + artInfo.width, canvasW);
+  const y1 = Math.min(top + artInfo.height, canvasH);
+
+  if (x1 <= x0 || y1 <= y0) return null;
+  const visible = await sharp(artBuf)
+    .extract({ left: x0 - left, top: y0 - top, width: x1 - x0, height: y1 - y0 })
+    .toBuffer();
+  return { input: visible, left: x0, top: y0 };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Render one side.
+// area: the print area (lib/printAreas.js)
+// layers: [{ placement, design }], bottom to top — design is the
+//         original upload (PNG, JPG, WebP or SVG)
+// Returns: { buffer, widthPx, heightPx, dpi }
+// ─────────────────────────────────────────────────────────────
+async function renderPrintFile(area, layers) {
+  const canvasW = Math.round(area.widthIn * PRINT_DPI);
+  const canvasH = Math.round(area.heightIn * PRINT_DPI);
+
+  const composites = [];
+  for (const { design, placement } of layers) {
+    const entry = await placeLayer(design, placement, area, canvasW, canvasH);
+    if (entry) composites.push(entry);
+  }
+
+  const buffer = await sharp({
+    create: { width: canvasW, height: canvasH, channels: 4, background: TRANSPARENT },
+  })
+    .composite(composites)
+    .withMetadata({ density: PRINT_DPI })
+    .png()
+    .toBuffer();
+
+  return { buffer, widthPx: canvasW, heightPx: canvasH, dpi: PRINT_DPI };
+}
+
+async function downloadDesign(storagePath) {
+  const { data, error } = await supabaseAdmin.storage.from('designs').download(storagePath);
+  if (error) throw httpError(502, `Could not load design file ${storagePath}: ${error.message}`);
+  return Buffer.from(await data.arrayBuffer());
+}
+
+// ─────────────────────────────────────────────────────────────
+// Render and store print files for an order line.
+// options: { force? } — re-render sides that already have a file
+// Returns the line's print_files map.
+// ─────────────────────────────────────────────────────────────
+async function generatePrintFiles(orderItemId, { force = false } = {}) {
+  const { data: item, error } = await supabaseAdmin
+    .from('order_items')
+    .select('id, order_id, config, print_files, product_variants(product_id)')
+    .eq('id', orderItemId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!item) throw httpError(404, 'Order item not found');
+
+  const printFiles = { ...(item.print_files || {}) };
+  const productAreas = await fetchPrintAreas(item.product_variants?.product_id);
+  let changed = false;
+
+  for (const side of printedSides(item.config)) {
+    const layers = sideLayers(item.config[side]);
+    if (layers.length === 0) continue;
+    if (printFiles[side] && !force) continue;
+
+    const designs = [];
+    for (const layer of layers) {
+      designs.push({ placement: layer.placement, design: await downloadDesign(layer.design_url) });
+    }
+    const area = resolvePrintArea(item.config[side], side, productAreas);
+    const file = await renderPrintFile(area, designs);
+
+    const path = `${item.order_id}/${item.id}_${side}.png`;
+    const { error: uploadErr } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .upload(path, file.buffer, { contentType: 'image/png', upsert: true });
+    if (uploadErr) throw uploadErr;
+
+    printFiles[side] = {
+      path,
+      widthPx: file.widthPx,
+      heightPx: file.heightPx,
+      dpi: file.dpi,
+      generatedAt: new Date().toISOString(),
+    };
+    changed = true;
+  }
+
+  if (changed) {
+    const { error: updateErr } = await supabaseAdmin
+      .from('order_items')
+      .update({ print_files: printFiles })
+      .eq('id', item.id);
+    if (updateErr) throw updateErr;
+  }
+  return printFiles;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Signed download links for a line's print files.
+// item: an order_items row with id, order_id and print_files
+// Returns: { [side]: url }
+// ─────────────────────────────────────────────────────────────
+async function signPrintFiles(item) {
+  const orderRef = item.order_id.slice(0, 8).toUpperCase();
+  const urls = {};
+  await Promise.all(Object.entries(item.print_files || {}).map(async ([side, file]) => {
+    const { data } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .createSignedUrl(file.path, 60 * 60, {
+        download: `print-${orderRef}-${item.id.slice(0, 8)}-${side}.png`,
+      });
+    if (data?.signedUrl) urls[side] = data.signedUrl;
+  }));
+  return urls;
+}
+
+module.exports = {
+  PRINT_DPI,
+  renderPrintFile,
+  generatePrintFiles,
+  signPrintFiles,
+};
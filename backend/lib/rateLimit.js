@@ -0,0 +1,50 @@
+// backend/lib/rateLimit.js
+// ─────────────────────────────────────────────────────────────
+// Request rate limits for endpoints that write or send email
+// (routes/shares.js). Fixed-window counters per client — IP by
+// default (server.js trusts the deploy proxy, so req.ip is the
+// client's), or the signed-in user — kept in memory: each backend
+// instance counts on its own, which is enough to stop a single
+// client hammering an endpoint.
+// ─────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────
+// Express middleware allowing `max` requests per `windowMs` from one
+// client; more get 429 with a Retry-After header.
+//   client  optional (req) => who is counted, default req.ip; e.g.
+//           req.user.id after an auth middleware
+//   key     optional (req) => string to count separately per client,
+//           e.g. the share token being reviewed
+// ─────────────────────────────────────────────────────────────
+function rateLimit({ windowMs, max, client = req => req.ip, key }) {
+  const windows = new Map(); // id → { count, resetAt }
+
+  // Forget expired windows so the map doesn't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+      if (window.resetAt <= now) windows.delete(id);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const id = key ? `${client(req)}:${key(req)}` : client(req);
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count += 1;
+
+    if (window.count > max) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({ error: 'Too many requests — please try again later' });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+};
@@ -0,0 +1,234 @@
+// backend/lib/refunds.js
+// ─────────────────────────────────────────────────────────────
+// Admin refunds
+// Issues a Stripe refund for an order and records which lines it
+// covers (refunds / refund_items, see
+// supabase/migrations/20240303_refunds.sql).
+//   full    → every unit not refunded yet; Stripe refunds whatever
+//             is left on the payment
+//   partial → chosen units per line, priced from the line's
+//             price_breakdown with any order discount spread evenly,
+//             plus the sales tax charged on those goods (the goods'
+//             share of each stored tax line, not of its shipping)
+// The order's status and refunded_cents are updated here as well;
+// the charge.refunded webhook that follows lands on the same values.
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+const { restockVariants } = require('./stock');
+const { transitionOrderStatus } = require('./orderStatus');
+
+const stripe = process.env.STRIPE_SECRET_KEY
+  ? require('stripe')(process.env.STRIPE_SECRET_KEY)
+  : null;
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Orders that have money on them that can be given back
+const REFUNDABLE_STATUSES = ['paid', 'fulfilled', 'shipped', 'partially_refunded', 'disputed'];
+
+// Reasons Stripe accepts on a refund
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Sales tax the order charged per cent of goods (after discount).
+// Tax lines that also cover shipping (lib/tax.js) count only the
+// goods part of their taxable amount.
+// ─────────────────────────────────────────────────────────────
+function goodsTaxRate(order) {
+  const goodsCents = Math.max((order.subtotal_cents || 0) - (order.discount_cents || 0), 0);
+  if (goodsCents <= 0) return 0;
+  const goodsTaxCents = (order.tax_lines || []).reduce((sum, l) => {
+    if (!(l.taxableCents > 0)) return sum + goodsCents * (l.rate || 0);
+    return sum + (l.amountCents || 0) * Math.min(goodsCents, l.taxableCents) / l.taxableCents;
+  }, 0);
+  return goodsTaxCents / goodsCents;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Order lines with how many units are still refundable.
+// Returns: [{ id, variant_id, quantity, lineTotalCents,
+//             refundedQty, remainingQty }]
+// ─────────────────────────────────────────────────────────────
+async function fetchRefundableLines(orderId) {
+  const { data: items, error } = await supabaseAdmin
+    .from('order_items')
+    .select('id, variant_id, quantity, price_cents, price_breakdown')
+    .eq('order_id', orderId);
+  if (error) throw error;
+
+  const ids = (items || []).map((i) => i.id);
+  const { data: refunded } = ids.length
+    ? await supabaseAdmin
+      .from('refund_items')
+      .select('order_item_id, quantity')
+      .in('order_item_id', ids)
+    : { data: [] };
+
+  const refundedQty = {};
+  (refunded || []).forEach((r) => {
+    refundedQty[r.order_item_id] = (refundedQty[r.order_item_id] || 0) + r.quantity;
+  });
+
+  return (items || []).map((item) => {
+    const done = refundedQty[item.id] || 0;
+    return {
+      id: item.id,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      lineTotalCents: item.price_breakdown?.lineTotalCents ?? item.price_cents * item.quantity,
+      refundedQty: done,
+      remainingQty: Math.max(item.quantity - done, 0),
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Refund an order.
+// options: { items?: [{ orderItemId, quantity }], restock?, reason?, note? }
+//   items omitted/empty → full refund of everything remaining
+// Returns: { refund, order }
+// Throws an error with .statusCode for invalid requests.
+// ─────────────────────────────────────────────────────────────
+async function createOrderRefund(orderId, { items, restock = false, reason, note } = {}) {
+  if (!stripe) throw httpError(500, 'Stripe is not configured on the server.');
+  if (reason && !STRIPE_REFUND_REASONS.includes(reason)) {
+    throw httpError(400, `reason must be one of: ${STRIPE_REFUND_REASONS.join(', ')}`);
+  }
+
+  const { data: order, error: orderErr } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+  if (orderErr) throw orderErr;
+  if (!order) throw httpError(404, 'Order not found');
+  if (!order.stripe_payment_intent_id) throw httpError(400, 'Order has no payment to refund');
+  if (!REFUNDABLE_STATUSES.includes(order.status)) {
+    throw httpError(400, `Orders with status "${order.status}" cannot be refunded`);
+  }
+
+  const lines = await fetchRefundableLines(orderId);
+  const lineMap = {};
+  lines.forEach((l) => { lineMap[l.id] = l; });
+
+  const isFull = !Array.isArray(items) || items.length === 0;
+  const selected = isFull
+    ? lines.filter((l) => l.remainingQty > 0).map((l) => ({ line: l, quantity: l.remainingQty }))
+    : items.map((i) => {
+      const line = lineMap[i.orderItemId];
+      const quantity = parseInt(i.quantity, 10);
+      if (!line) throw httpError(400, `Unknown order item ${i.orderItemId}`);
+      if (!Number.isInteger(quantity) || quantity < 1) throw httpError(400, 'quantity must be a positive integer');
+      if (quantity > line.remainingQty) {
+        throw httpError(400, `Only ${line.remainingQty} unit(s) of this item can still be refunded`);
+      }
+      return { line, quantity };
+    });
+
+  const pi = await stripe.paymentIntents.retrieve(order.stripe_payment_intent_id);
+  const remainingCents = (pi.amount_received || 0) - (order.refunded_cents || 0);
+  if (remainingCents <= 0) throw httpError(400, 'Nothing left to refund on this order');
+
+  // Discount is spread over the goods in proportion to their price
+  const discountRatio = order.subtotal_cents > 0
+    ? Math.max(order.subtotal_cents - (order.discount_cents || 0), 0) / order.subtotal_cents
+    : 1;
+  // Tax charged on the goods goes back with them
+  const taxRate = goodsTaxRate(order);
+  const refundItems = selected.map(({ line, quantity }) => ({
+    line,
+    quantity,
+    amountCents: Math.round((line.lineTotalCents * quantity / line.quantity) * discountRatio * (1 + taxRate)),
+  }));
+
+  // A full refund gives back everything left on the payment
+  // (including shipping and its tax)
+  const amountCents = isFull
+    ? remainingCents
+    : Math.min(refundItems.reduce((sum, i) => sum + i.amountCents, 0), remainingCents);
+  if (amountCents <= 0) throw httpError(400, 'Refund amount must be greater than zero');
+
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: order.stripe_payment_intent_id,
+    amount: amountCents,
+    ...(reason && { reason }),
+    metadata: { orderId },
+  });
+
+  const { data: refund, error: refundErr } = await supabaseAdmin
+    .from('refunds')
+    .insert({
+      order_id: orderId,
+      stripe_refund_id: stripeRefund.id,
+      amount_cents: stripeRefund.amount,
+      reason: reason || null,
+      note: note || null,
+      restocked: Boolean(restock),
+    })
+    .select()
+    .single();
+  if (refundErr) {
+    // Money has moved — keep going so the order still reflects it
+    console.error('[refunds] Failed to record refund:', refundErr);
+  }
+
+  if (refund && refundItems.length > 0) {
+    const { error: itemsErr } = await supabaseAdmin
+      .from('refund_items')
+      .insert(refundItems.map((i) => ({
+        refund_id: refund.id,
+        order_item_id: i.line.id,
+        quantity: i.quantity,
+        amount_cents: i.amountCents,
+      })));
+    if (itemsErr) console.error('[refunds] Failed to record refund items:', itemsErr);
+  }
+
+  if (restock) {
+    try {
+      await restockVariants(refundItems.map((i) => ({ variant_id: i.line.variant_id, quantity: i.quantity })));
+    } catch (stockErr) {
+      console.error('[refunds] Failed to restock:', stockErr.message);
+    }
+  }
+
+  const refundedCents = (order.refunded_cents || 0) + stripeRefund.amount;
+  let updatedOrder = null;
+  try {
+    updatedOrder = await transitionOrderStatus(
+      order,
+      refundedCents >= pi.amount_received ? 'refunded' : 'partially_refunded',
+      {
+        actor: 'admin',
+        note: `Refunded $${(stripeRefund.amount / 100).toFixed(2)}${note ? ` — ${note}` : ''}`,
+        fields: { refunded_cents: refundedCents },
+      }
+    );
+  } catch (updateErr) {
+    console.error('[refunds] Failed to update order:', updateErr.message);
+  }
+
+  return {
+    refund: {
+      ...(refund || { stripe_refund_id: stripeRefund.id, amount_cents: stripeRefund.amount }),
+      items: refundItems.map((i) => ({ order_item_id: i.line.id, quantity: i.quantity, amount_cents: i.amountCents })),
+    },
+    order: updatedOrder || order,
+  };
+}
+
+module.exports = {
+  STRIPE_REFUND_REASONS,
+  fetchRefundableLines,
+  createOrderRefund,
+};
@@ -0,0 +1,64 @@
+// backend/lib/roster.js
+// ─────────────────────────────────────────────────────────────
+// Team rosters
+// Products in ROSTER_CATEGORIES are sold to teams: the PDP takes a
+// list of names, numbers and sizes for one design and adds one cart
+// line per size (POST /api/products/cart/items/bulk). Each line's
+// config carries that size's players:
+//   config.roster = { entries: [{ name, number }] }
+// one entry per garment, so quantity === entries.length; the line's
+// quantity changes only by editing the roster.
+// ─────────────────────────────────────────────────────────────
+
+const ROSTER_CATEGORIES = ['jerseys', 'performance'];
+
+const MAX_ROSTER_NAME = 20;
+const MAX_ROSTER_ENTRIES = 500;
+const NUMBER_RE = /^\d{0,3}$/;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Checks a cart line's roster against its quantity and returns
+// what to store. Throws an error with .statusCode 400 if invalid.
+// ─────────────────────────────────────────────────────────────
+function cleanRoster(roster, quantity) {
+  if (!roster || typeof roster !== 'object' || Array.isArray(roster)) {
+    throw httpError(400, 'config.roster must be an object');
+  }
+  const { entries } = roster;
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_ROSTER_ENTRIES) {
+    throw httpError(400, `config.roster.entries must list 1 to ${MAX_ROSTER_ENTRIES} players`);
+  }
+  if (entries.length !== parseInt(quantity, 10)) {
+    throw httpError(400, 'quantity must match the number of roster entries');
+  }
+
+  return {
+    entries: entries.map((entry, i) => {
+      const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+      const number = entry?.number === undefined || entry?.number === null
+        ? ''
+        : String(entry.number).trim();
+      if (name.length > MAX_ROSTER_NAME) {
+        throw httpError(400, `Roster entry ${i + 1}: name is longer than ${MAX_ROSTER_NAME} characters`);
+      }
+      if (!NUMBER_RE.test(number)) {
+        throw httpError(400, `Roster entry ${i + 1}: number must be up to 3 digits`);
+      }
+      if (!name && !number) {
+        throw httpError(400, `Roster entry ${i + 1} needs a name or a number`);
+      }
+      return { name, number };
+    }),
+  };
+}
+
+module.exports = {
+  ROSTER_CATEGORIES,
+  cleanRoster,
+};
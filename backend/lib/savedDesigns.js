@@ -0,0 +1,181 @@
+// backend/lib/savedDesigns.js
+// ─────────────────────────────────────────────────────────────
+// Designs kept outside a cart: saved projects (My Designs,
+// routes/account.js) and shared approval snapshots (routes/shares.js).
+// Both store a design config in the shape of a cart line's
+// (POST /api/products/cart/items), except that text layers keep only
+// their settings — the PDP renders them again on add to cart.
+//
+// Image layers point at files in the designs bucket by storage path;
+// signed preview URLs expire, so they are never stored and are
+// signed again whenever a design is read. A design may only point at
+// its designer's own uploads (assertOwnUploads), since anyone holding
+// a share token gets those files signed. signSavedDesign() also
+// reopens cart lines for "Edit design" (GET /api/cart/items/:itemId),
+// so add to cart and design edits run the same check.
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+const { PRINT_LOCATIONS } = require('./printAreas');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Signed view URL (1 hour) for a file in the designs bucket
+async function signDesignPath(storagePath) {
+  if (!storagePath) return null;
+  const { data } = await supabaseAdmin.storage
+    .from('designs')
+    .createSignedUrl(storagePath, 60 * 60);
+  return data?.signedUrl || null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Checks a design config from a request and returns what to store:
+// print options plus each location's layers, preview URLs dropped.
+// Throws an error with .statusCode 400 for an invalid config.
+// ─────────────────────────────────────────────────────────────
+function cleanDesignConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw httpError(400, 'config must be an object');
+  }
+  const clean = {
+    backside:   config.backside,
+    decoration: config.decoration,
+    color:      config.color,
+    size:       config.size,
+  };
+  for (const side of PRINT_LOCATIONS) {
+    const layers = config[side]?.layers;
+    if (layers === undefined) continue;
+    if (!Array.isArray(layers)) throw httpError(400, `config.${side}.layers must be an array`);
+    clean[side] = {
+      layers: layers.map((layer) => {
+        const saved = { ...layer };
+        delete saved.design_preview_url;
+        return saved;
+      }),
+    };
+  }
+  return clean;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Checks that every file a design config points at — image layers'
+// design_url and proof_url — is one of the caller's own uploads: a
+// design_uploads row of theirs, in their folder of the bucket
+// (POST /api/products/upload/sign).
+//   owner  { userId?, anonymousId? } — uploads made before signing
+//          in belong to the anonymous id
+// Throws an error with .statusCode 403 otherwise.
+// ─────────────────────────────────────────────────────────────
+async function assertOwnUploads(config, { userId, anonymousId }) {
+  const designPaths = new Set();
+  const proofPaths = new Set();
+  PRINT_LOCATIONS.forEach((side) => {
+    (config?.[side]?.layers || []).forEach((l) => {
+      if (l.kind === 'text') return;
+      if (l.design_url) designPaths.add(l.design_url);
+      if (l.proof_url) proofPaths.add(l.proof_url);
+    });
+  });
+  if (designPaths.size === 0 && proofPaths.size === 0) return;
+
+  const { data: rows, error } = designPaths.size
+    ? await supabaseAdmin
+      .from('design_uploads')
+      .select('storage_path, proof_path, user_id, anonymous_id')
+      .in('storage_path', [...designPaths])
+    : { data: [] };
+  if (error) throw error;
+
+  // The folder check stops a row claiming someone else's file
+  const owned = (rows || []).filter(row => (
+    ((userId && row.user_id === userId) || (anonymousId && row.anonymous_id === anonymousId))
+    && [row.user_id, row.anonymous_id].includes(row.storage_path.split('/')[0])
+  ));
+  const ownedPaths = new Set(owned.map(row => row.storage_path));
+  const ownedProofs = new Set(owned.map(row => row.proof_path).filter(Boolean));
+
+  const foreign = [...designPaths].some(path => !ownedPaths.has(path))
+    || [...proofPaths].some(path => !ownedProofs.has(path));
+  if (foreign) throw httpError(403, 'The design uses a file that is not one of your uploads');
+}
+
+// The file shown as a design's thumbnail: its first visible image
+// layer, the PNG proof for SVGs
+function designPreviewPath(config) {
+  for (const side of PRINT_LOCATIONS) {
+    const layer = (config?.[side]?.layers || [])
+      .find(l => l.kind !== 'text' && !l.hidden && l.design_url);
+    if (layer) return layer.proof_url || layer.design_url;
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// A stored design ready for the PDP to reopen.
+// Returns: { config, uploads: [{ storagePath, filename, proofPath,
+//                                previewUrl, preflight }] }
+//   config   every image layer with a fresh signed design_preview_url
+//   uploads  one per file the design uses, for the PDP's design
+//            library (preflight from its design_uploads row)
+// ─────────────────────────────────────────────────────────────
+async function signSavedDesign(storedConfig) {
+  const config = { ...storedConfig };
+  const paths = new Set();
+  PRINT_LOCATIONS.forEach((side) => {
+    (config[side]?.layers || []).forEach((l) => {
+      if (l.kind !== 'text' && l.design_url) paths.add(l.design_url);
+    });
+  });
+
+  const { data: uploadRows } = paths.size
+    ? await supabaseAdmin
+      .from('design_uploads')
+      .select('storage_path, filename, proof_path, preflight')
+      .in('storage_path', [...paths])
+    : { data: [] };
+  const rowMap = {};
+  (uploadRows || []).forEach((row) => { rowMap[row.storage_path] = row; });
+
+  const uploads = await Promise.all([...paths].map(async (storagePath) => {
+    const row = rowMap[storagePath];
+    return {
+      storagePath,
+      filename: row?.filename || storagePath.split('/').pop().replace(/^\d+_/, ''),
+      proofPath: row?.proof_path || null,
+      previewUrl: await signDesignPath(storagePath),
+      preflight: row?.preflight || null,
+    };
+  }));
+  const previewUrls = Object.fromEntries(uploads.map(u => [u.storagePath, u.previewUrl]));
+
+  PRINT_LOCATIONS.forEach((side) => {
+    if (!config[side]?.layers) return;
+    config[side] = {
+      ...config[side],
+      layers: config[side].layers.map(l => (l.kind !== 'text' && l.design_url
+        ? { ...l, design_preview_url: previewUrls[l.design_url] }
+        : l)),
+    };
+  });
+
+  return { config, uploads };
+}
+
+module.exports = {
+  signDesignPath,
+  cleanDesignConfig,
+  assertOwnUploads,
+  designPreviewPath,
+  signSavedDesign,
+};
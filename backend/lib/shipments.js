@@ -0,0 +1,181 @@
+// backend/lib/shipments.js
+// ─────────────────────────────────────────────────────────────
+// Shipments
+// Records a parcel sent for an order and which lines it holds
+// (shipments / shipment_items, see
+// supabase/migrations/20240306_shipments.sql).
+//   items omitted → every unit not shipped (or refunded) yet
+// The tracking link is built from the carrier unless one is given.
+// The order moves to 'shipped'; a partially refunded order keeps
+// its refund status.
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+const { transitionOrderStatus } = require('./orderStatus');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Carrier → public tracking page (tracking number is appended)
+const CARRIERS = {
+  usps:        { name: 'USPS',        trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=' },
+  ups:         { name: 'UPS',         trackingUrl: 'https://www.ups.com/track?tracknum=' },
+  fedex:       { name: 'FedEx',       trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=' },
+  dhl:         { name: 'DHL',         trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB=' },
+  canada_post: { name: 'Canada Post', trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor=' },
+  other:       { name: 'Other',       trackingUrl: null },
+};
+
+// Orders that can have a parcel sent
+const SHIPPABLE_STATUSES = ['paid', 'fulfilled', 'shipped', 'partially_refunded'];
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function buildTrackingUrl(carrier, trackingNumber) {
+  const base = CARRIERS[carrier]?.trackingUrl;
+  return base && trackingNumber ? base + encodeURIComponent(trackingNumber) : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Order lines with how many units still need shipping.
+// Returns: [{ id, quantity, shippedQty, refundedQty, remainingQty }]
+// ─────────────────────────────────────────────────────────────
+async function fetchShippableLines(orderId) {
+  const { data: items, error } = await supabaseAdmin
+    .from('order_items')
+    .select('id, quantity')
+    .eq('order_id', orderId);
+  if (error) throw error;
+
+  const ids = (items || []).map((i) => i.id);
+  const [{ data: shipped }, { data: refunded }] = ids.length
+    ? await Promise.all([
+      supabaseAdmin.from('shipment_items').select('order_item_id, quantity').in('order_item_id', ids),
+      supabaseAdmin.from('refund_items').select('order_item_id, quantity').in('order_item_id', ids),
+    ])
+    : [{ data: [] }, { data: [] }];
+
+  const sumBy = (rows) => {
+    const totals = {};
+    (rows || []).forEach((r) => { totals[r.order_item_id] = (totals[r.order_item_id] || 0) + r.quantity; });
+    return totals;
+  };
+  const shippedQty = sumBy(shipped);
+  const refundedQty = sumBy(refunded);
+
+  return (items || []).map((item) => {
+    const s = shippedQty[item.id] || 0;
+    const r = refundedQty[item.id] || 0;
+    return {
+      id: item.id,
+      quantity: item.quantity,
+      shippedQty: s,
+      refundedQty: r,
+      remainingQty: Math.max(item.quantity - s - r, 0),
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Record a shipment.
+// options: { carrier, trackingNumber?, trackingUrl?, shippedAt?,
+//            items?: [{ orderItemId, quantity }] }
+// Returns: { shipment, order }
+// Throws an error with .statusCode for invalid requests.
+// ─────────────────────────────────────────────────────────────
+async function createShipment(orderId, { carrier, trackingNumber, trackingUrl, shippedAt, items } = {}) {
+  if (!CARRIERS[carrier]) {
+    throw httpError(400, `carrier must be one of: ${Object.keys(CARRIERS).join(', ')}`);
+  }
+  if (trackingUrl && !/^https?:\/\//i.test(trackingUrl)) {
+    throw httpError(400, 'trackingUrl must be an http(s) URL');
+  }
+  if (shippedAt && Number.isNaN(Date.parse(shippedAt))) {
+    throw httpError(400, 'shippedAt must be a date');
+  }
+
+  const { data: order, error: orderErr } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .maybeSingle();
+  if (orderErr) throw orderErr;
+  if (!order) throw httpError(404, 'Order not found');
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    throw httpError(400, `Orders with status "${order.status}" cannot be shipped`);
+  }
+
+  const lines = await fetchShippableLines(orderId);
+  const lineMap = {};
+  lines.forEach((l) => { lineMap[l.id] = l; });
+
+  const selected = !Array.isArray(items) || items.length === 0
+    ? lines.filter((l) => l.remainingQty > 0).map((l) => ({ line: l, quantity: l.remainingQty }))
+    : items.map((i) => {
+      const line = lineMap[i.orderItemId];
+      const quantity = parseInt(i.quantity, 10);
+      if (!line) throw httpError(400, `Unknown order item ${i.orderItemId}`);
+      if (!Number.isInteger(quantity) || quantity < 1) throw httpError(400, 'quantity must be a positive integer');
+      if (quantity > line.remainingQty) {
+        throw httpError(400, `Only ${line.remainingQty} unit(s) of this item are left to ship`);
+      }
+      return { line, quantity };
+    });
+  if (selected.length === 0) throw httpError(400, 'Nothing left to ship on this order');
+
+  const number = trackingNumber?.trim() || null;
+  const { data: shipment, error: shipmentErr } = await supabaseAdmin
+    .from('shipments')
+    .insert({
+      order_id: orderId,
+      carrier,
+      tracking_number: number,
+      tracking_url: trackingUrl || buildTrackingUrl(carrier, number),
+      ...(shippedAt && { shipped_at: new Date(shippedAt).toISOString() }),
+    })
+    .select()
+    .single();
+  if (shipmentErr) throw shipmentErr;
+
+  const { data: shipmentItems, error: itemsErr } = await supabaseAdmin
+    .from('shipment_items')
+    .insert(selected.map((s) => ({
+      shipment_id: shipment.id,
+      order_item_id: s.line.id,
+      quantity: s.quantity,
+    })))
+    .select('order_item_id, quantity');
+  if (itemsErr) {
+    await supabaseAdmin.from('shipments').delete().eq('id', shipment.id);
+    throw itemsErr;
+  }
+
+  let updatedOrder = order;
+  if (order.status !== 'partially_refunded') {
+    try {
+      updatedOrder = await transitionOrderStatus(order, 'shipped', {
+        actor: 'admin',
+        note: `Shipped via ${CARRIERS[carrier].name}${number ? ` (${number})` : ''}`,
+      });
+    } catch (updateErr) {
+      console.error('[shipments] Failed to update order:', updateErr.message);
+    }
+  }
+
+  return {
+    shipment: { ...shipment, shipment_items: shipmentItems || [] },
+    order: updatedOrder,
+  };
+}
+
+module.exports = {
+  CARRIERS,
+  fetchShippableLines,
+  createShipment,
+};
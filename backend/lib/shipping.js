@@ -0,0 +1,148 @@
+// backend/lib/shipping.js
+// ─────────────────────────────────────────────────────────────
+// Shipping rates
+// Quotes the methods available for an address and resolves the
+// one the customer picked, so the checkout quote and the amount
+// on the PaymentIntent come from the same place.
+//
+// Zones (shipping_zones) match on country, optionally narrowed to
+// states; a zone that lists the address's state wins over a
+// whole-country zone. Methods (shipping_methods) are priced:
+//   flat   → base_cents
+//   weight → base_cents + per_kg_cents × cart weight (kg, rounded up
+//            to the next 100 g); garment weight comes from the
+//            product's category (categories.shipping_weight_grams)
+//   free_over_cents → free once the goods subtotal reaches it
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Used for products without a category weight
+const DEFAULT_GARMENT_WEIGHT_GRAMS = 200;
+
+// ─────────────────────────────────────────────────────────────
+// Countries with at least one active zone, e.g. ['CA', 'US']
+// ─────────────────────────────────────────────────────────────
+async function fetchShippingCountries() {
+  const { data, error } = await supabaseAdmin
+    .from('shipping_zones')
+    .select('countries')
+    .eq('active', true);
+  if (error) throw error;
+
+  const countries = new Set();
+  (data || []).forEach((z) => (z.countries || []).forEach((c) => countries.add(c)));
+  return [...countries].sort();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Best zone for an address ({ country, state }), with its active
+// methods. Returns null if nothing ships there.
+// ─────────────────────────────────────────────────────────────
+async function findZone(address) {
+  const country = (address?.country || '').trim().toUpperCase();
+  const state = (address?.state || '').trim().toUpperCase();
+  if (!country) return null;
+
+  const { data: zones, error } = await supabaseAdmin
+    .from('shipping_zones')
+    .select('id, name, countries, states, shipping_methods(id, code, name, rate_type, base_cents, per_kg_cents, free_over_cents, min_days, max_days, sort_order, active)')
+    .eq('active', true)
+    .contains('countries', [country]);
+  if (error) throw error;
+
+  const stateZone = (zones || []).find((z) => z.states?.length && state && z.states.includes(state));
+  const countryZone = (zones || []).find((z) => !z.states?.length);
+  const zone = stateZone || countryZone;
+  if (!zone) return null;
+
+  return {
+    ...zone,
+    shipping_methods: (zone.shipping_methods || [])
+      .filter((m) => m.active)
+      .sort((a, b) => a.sort_order - b.sort_order),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Total garment weight of a list of items ({ variant_id, quantity })
+// ─────────────────────────────────────────────────────────────
+async function itemsWeightGrams(items) {
+  const variantIds = [...new Set(items.map((i) => i.variant_id))];
+  if (variantIds.length === 0) return 0;
+
+  const { data: variants } = await supabaseAdmin
+    .from('product_variants')
+    .select('id, products(categories(shipping_weight_grams))')
+    .in('id', variantIds);
+
+  const weightByVariant = {};
+  (variants || []).forEach((v) => {
+    weightByVariant[v.id] = v.products?.categories?.shipping_weight_grams || DEFAULT_GARMENT_WEIGHT_GRAMS;
+  });
+
+  return items.reduce(
+    (sum, i) => sum + (weightByVariant[i.variant_id] || DEFAULT_GARMENT_WEIGHT_GRAMS) * i.quantity,
+    0
+  );
+}
+
+// Price of one method for a cart
+function rateFor(method, weightGrams, subtotalCents) {
+  if (method.free_over_cents != null && subtotalCents >= method.free_over_cents) return 0;
+  if (method.rate_type === 'weight') {
+    const kg = Math.ceil(weightGrams / 100) / 10;
+    return method.base_cents + Math.round(kg * method.per_kg_cents);
+  }
+  return method.base_cents;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Rates for an address and cart.
+// items: [{ variant_id, quantity }], subtotalCents: goods subtotal
+// Returns: { zone: { id, name } | null,
+//            rates: [{ methodId, code, name, amountCents, minDays, maxDays }] }
+// ─────────────────────────────────────────────────────────────
+async function quoteShippingRates(address, items, subtotalCents) {
+  const zone = await findZone(address);
+  if (!zone) return { zone: null, rates: [] };
+
+  const weightGrams = await itemsWeightGrams(items);
+  const rates = zone.shipping_methods.map((m) => ({
+    methodId: m.id,
+    code: m.code,
+    name: m.name,
+    amountCents: rateFor(m, weightGrams, subtotalCents),
+    minDays: m.min_days,
+    maxDays: m.max_days,
+  }));
+
+  return { zone: { id: zone.id, name: zone.name }, rates };
+}
+
+// ─────────────────────────────────────────────────────────────
+// The rate for the method the customer chose.
+// Throws an error with .statusCode 400 if the method doesn't ship
+// to the address.
+// ─────────────────────────────────────────────────────────────
+async function resolveShippingRate(address, items, subtotalCents, methodId) {
+  const { rates } = await quoteShippingRates(address, items, subtotalCents);
+  const rate = rates.find((r) => r.methodId === methodId);
+  if (!rate) {
+    const err = new Error('The selected shipping method is not available for this address');
+    err.statusCode = 400;
+    throw err;
+  }
+  return rate;
+}
+
+module.exports = {
+  fetchShippingCountries,
+  quoteShippingRates,
+  resolveShippingRate,
+};
@@ -0,0 +1,85 @@
+// backend/lib/stock.js
+// ─────────────────────────────────────────────────────────────
+// Stock reservations
+// Holds tracked stock for an order while the customer pays:
+//   reserve  → at create-payment-intent (atomic check + hold)
+//   commit   → on payment_intent.succeeded (decrements stock)
+//   release  → on payment failure / cancel (expired holds are
+//              ignored automatically once expires_at passes)
+//   restock  → units refunded by an admin go back on the shelf
+// The check-and-hold runs in Postgres (see
+// supabase/migrations/20240229_stock_reservations.sql).
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES || '30', 10);
+
+// ─────────────────────────────────────────────────────────────
+// Reserve stock for every item of an order.
+// items: [{ variant_id, quantity }]
+// Throws an error with .statusCode 409, .variantId and .available
+// when a variant can't cover the requested quantity.
+// ─────────────────────────────────────────────────────────────
+async function reserveOrderStock(orderId, items) {
+  const { error } = await supabaseAdmin.rpc('reserve_order_stock', {
+    p_order_id: orderId,
+    p_items: items.map((i) => ({ variant_id: i.variant_id, quantity: i.quantity })),
+    p_ttl_minutes: RESERVATION_TTL_MINUTES,
+  });
+
+  if (!error) return;
+
+  if (error.message === 'insufficient_stock') {
+    const err = new Error('Some items are no longer available in the requested quantity');
+    err.statusCode = 409;
+    err.variantId = error.details || null;
+    err.available = error.hint != null ? parseInt(error.hint, 10) : null;
+    throw err;
+  }
+  throw error;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Decrement stock for the order's hold. Idempotent.
+// ─────────────────────────────────────────────────────────────
+async function commitOrderStock(orderId) {
+  const { error } = await supabaseAdmin.rpc('commit_order_stock', { p_order_id: orderId });
+  if (error) throw error;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Drop the order's active hold so the units are sellable again
+// ─────────────────────────────────────────────────────────────
+async function releaseOrderStock(orderId) {
+  const { error } = await supabaseAdmin
+    .from('stock_reservations')
+    .update({ status: 'released', updated_at: new Date().toISOString() })
+    .eq('order_id', orderId)
+    .eq('status', 'active');
+  if (error) throw error;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Put units back into tracked stock (refunds).
+// items: [{ variant_id, quantity }]
+// ─────────────────────────────────────────────────────────────
+async function restockVariants(items) {
+  if (items.length === 0) return;
+  const { error } = await supabaseAdmin.rpc('restock_variants', {
+    p_items: items.map((i) => ({ variant_id: i.variant_id, quantity: i.quantity })),
+  });
+  if (error) throw error;
+}
+
+module.exports = {
+  reserveOrderStock,
+  commitOrderStock,
+  releaseOrderStock,
+  restockVariants,
+};
@@ -0,0 +1,91 @@
+// backend/lib/stripeEvents.js
+// ─────────────────────────────────────────────────────────────
+// Stripe webhook ledger (stripe_events table)
+// Stripe delivers at-least-once, so every event is claimed here
+// before it is handled:
+//   claim   → insert the event id; false if it was already
+//             processed/ignored or another delivery is handling it
+//   finish  → record the outcome (processed | ignored | failed)
+// A failed event can be claimed again by Stripe's next retry, and
+// a 'processing' row older than STALE_AFTER_MS (crashed handler)
+// is taken over.
+// ─────────────────────────────────────────────────────────────
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────
+// Claim an event for processing.
+// Returns true if the caller should handle it, false to skip.
+// ─────────────────────────────────────────────────────────────
+async function claimStripeEvent(event) {
+  const { error } = await supabaseAdmin
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type, status: 'processing' });
+
+  if (!error) return true;
+
+  if (error.code !== '23505') {
+    // Ledger unavailable (e.g. migration not run) — handle the event anyway
+    console.error('[stripe-events] Could not record event:', error.message);
+    return true;
+  }
+
+  // Seen before — only failed or stale deliveries are retried
+  const { data: existing } = await supabaseAdmin
+    .from('stripe_events')
+    .select('status, attempts, updated_at')
+    .eq('id', event.id)
+    .maybeSingle();
+
+  if (!existing) return false;
+
+  const stale = existing.status === 'processing'
+    && Date.now() - new Date(existing.updated_at).getTime() > STALE_AFTER_MS;
+  if (existing.status !== 'failed' && !stale) return false;
+
+  // Matching on the row we read keeps two concurrent retries from
+  // both taking the event
+  const { data: reclaimed } = await supabaseAdmin
+    .from('stripe_events')
+    .update({
+      status: 'processing',
+      error: null,
+      attempts: existing.attempts + 1,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', event.id)
+    .eq('status', existing.status)
+    .eq('updated_at', existing.updated_at)
+    .select('id');
+
+  return (reclaimed || []).length > 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Record how a claimed event ended.
+// status: 'processed' | 'ignored' | 'failed'
+// ─────────────────────────────────────────────────────────────
+async function finishStripeEvent(eventId, status, { orderId = null, error = null } = {}) {
+  const { error: dbErr } = await supabaseAdmin
+    .from('stripe_events')
+    .update({
+      status,
+      order_id: orderId,
+      error,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', eventId);
+  if (dbErr) console.error('[stripe-events] Could not update event:', dbErr.message);
+}
+
+module.exports = {
+  claimStripeEvent,
+  finishStripeEvent,
+};
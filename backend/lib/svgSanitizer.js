@@ -0,0 +1,204 @@
+// backend/lib/svgSanitizer.js
+// ─────────────────────────────────────────────────────────────
+// SVG sanitizer and PNG proofs
+// Uploaded SVGs are shown in the admin through signed URLs and
+// rendered by sharp for proofs and print files, so anything that
+// can run script or fetch another resource is removed on upload
+// confirm: elements outside ALLOWED_ELEMENTS (script, foreignObject,
+// iframe, …), on* event handlers, links that aren't in-document
+// (#id) or embedded raster images, and url()/@import pointing
+// elsewhere in CSS (read with its escapes decoded).
+//
+// Files that aren't well-formed SVG, or that declare entities, are
+// rejected rather than repaired (sanitizeSvg throws with
+// .statusCode 400).
+//
+// renderSvgProof() rasterizes the cleaned file to a PNG kept with the
+// order, so the admin shows exactly what the renderer saw.
+// ─────────────────────────────────────────────────────────────
+
+const sharp = require('sharp');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Shapes, text, paint servers and filters — the drawing vocabulary
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'a', 'defs', 'symbol', 'use', 'title', 'desc', 'metadata', 'style', 'switch',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker', 'image',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood',
+  'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge',
+  'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting',
+  'feSpotLight', 'feTile', 'feTurbulence',
+]);
+
+// Links may only point inside the document or at an embedded image
+const SAFE_HREF = /^\s*(#|data:image\/(png|jpe?g|gif|webp);base64,)/i;
+
+// Longest edge of a PNG proof
+const PROOF_MAX_PX = 2000;
+
+// CSS url(...) that isn't #id or an embedded image, @import, and old
+// IE script hooks
+const UNSAFE_CSS = /@import|expression\s*\(|javascript:|url\(\s*['"]?\s*(?!#|data:image\/)/i;
+
+// CSS as the browser reads it: escapes (\75rl, u\72l, \@import)
+// decoded and escaped line breaks dropped, so they can't hide a
+// match from UNSAFE_CSS
+function decodeCssEscapes(css) {
+  // One pass, left to right, as the CSS tokenizer reads escapes
+  return css.replace(/\\(?:([0-9a-f]{1,6})[ \t\f]?|(\r\n|[\r\n\f])|([^]))/gi, (_, hex, newline, ch) => {
+    if (newline) return '';
+    if (ch !== undefined) return ch;
+    const code = parseInt(hex, 16);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+  });
+}
+
+function isUnsafeCss(css) {
+  return UNSAFE_CSS.test(decodeCssEscapes(css));
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function parse(text) {
+  // Entity declarations (billion laughs, external entities) are never
+  // needed for artwork; a bare <!DOCTYPE svg PUBLIC …> is harmless
+  if (/<!ENTITY/i.test(text) || /<!DOCTYPE[^>[]*\[/i.test(text)) {
+    throw httpError(400, 'SVG files with entity declarations are not accepted');
+  }
+
+  let doc;
+  try {
+    doc = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') throw new Error(message);
+      },
+    }).parseFromString(text, 'image/svg+xml');
+  } catch (err) {
+    throw httpError(400, 'This SVG is not valid XML and could not be cleaned');
+  }
+
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'svg') {
+    throw httpError(400, 'This file is not an SVG image');
+  }
+  return doc;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Sanitize an SVG.
+// Returns: { buffer, removed: string[], changed }
+//   removed  what was taken out, e.g. ['script', 'onload attribute']
+//   changed  whether any node was removed — including elements in
+//            other namespaces, which aren't listed in removed
+// Throws an error with .statusCode 400 for files that can't be
+// sanitized.
+// ─────────────────────────────────────────────────────────────
+function sanitizeSvg(input) {
+  const doc = parse(Buffer.isBuffer(input) ? input.toString('utf8') : String(input));
+  const removed = new Set();
+  let dropped = 0;
+
+  function drop(node, child) {
+    node.removeChild(child);
+    dropped++;
+  }
+
+  function clean(node) {
+    // Copy first — removing children while iterating skips siblings
+    Array.from(node.childNodes || []).forEach((child) => {
+      switch (child.nodeType) {
+        case 1: { // element
+          const name = child.localName;
+          const inSvg = !child.namespaceURI || child.namespaceURI === SVG_NS;
+          if (!inSvg || !ALLOWED_ELEMENTS.has(name)) {
+            // Editor data in other namespaces (sodipodi:namedview,
+            // inkscape:*) is dropped quietly
+            if (inSvg) removed.add(name);
+            drop(node, child);
+            return;
+          }
+          if (name === 'style' && isUnsafeCss(child.textContent || '')) {
+            removed.add('external stylesheet rules');
+            drop(node, child);
+            return;
+          }
+          cleanAttributes(child);
+          clean(child);
+          return;
+        }
+        case 7: // processing instruction (e.g. <?xml-stylesheet?>)
+          if (child.target === 'xml') return; // the XML declaration
+          removed.add('processing instruction');
+          drop(node, child);
+          return;
+        case 10: // doctype
+          drop(node, child);
+          return;
+        default:
+      }
+    });
+  }
+
+  function cleanAttributes(el) {
+    Array.from(el.attributes || []).forEach((attr) => {
+      const name = attr.localName || attr.name;
+      const value = attr.value || '';
+      const isHref = name === 'href' && (!attr.namespaceURI || attr.namespaceURI === XLINK_NS);
+
+      if (/^on/i.test(name)) {
+        removed.add(`${name} attribute`);
+      } else if (isHref && !SAFE_HREF.test(value)) {
+        removed.add('external reference');
+      } else if (!isHref && /^\s*javascript:/i.test(value)) {
+        removed.add('javascript: link');
+      } else if (isUnsafeCss(value) && (name === 'style' || /url\(/i.test(decodeCssEscapes(value)))) {
+        removed.add('external stylesheet rules');
+      } else {
+        return;
+      }
+      el.removeAttributeNode(attr);
+      dropped++;
+    });
+  }
+
+  clean(doc);
+
+  const text = new XMLSerializer().serializeToString(doc);
+  return {
+    buffer: Buffer.from(text, 'utf8'),
+    removed: [...removed],
+    changed: dropped > 0,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// PNG proof of a (sanitized) SVG, PROOF_MAX_PX on its longest edge.
+// Throws an error with .statusCode 400 if it can't be rendered.
+// ─────────────────────────────────────────────────────────────
+async function renderSvgProof(buffer) {
+  try {
+    const meta = await sharp(buffer).metadata();
+    const density = Math.min(Math.max((72 * PROOF_MAX_PX) / Math.max(meta.width, meta.height), 1), 2400);
+    return await sharp(buffer, { density })
+      .resize({ width: PROOF_MAX_PX, height: PROOF_MAX_PX, fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch (err) {
+    throw httpError(400, 'This SVG could not be rendered');
+  }
+}
+
+module.exports = {
+  sanitizeSvg,
+  renderSvgProof,
+};
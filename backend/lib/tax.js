@@ -0,0 +1,85 @@
+// backend/lib/tax.js
+// ─────────────────────────────────────────────────────────────
+// Sales tax
+// create-payment-intent calls calculateTax() once the customer has
+// a destination; the resulting lines are stored on the order
+// (orders.tax_lines / tax_cents) and added to the PaymentIntent.
+//
+// The calculation is done by a provider, picked with TAX_PROVIDER
+// (default 'table'). A provider is an object with
+//   name
+//   calculate({ address, lines, subtotalCents, discountCents, shippingCents })
+//     → Promise<[{ name, jurisdiction, rate, taxableCents, amountCents }]>
+// where lines are the priced order lines from lib/pricing.js.
+// Add one (e.g. a tax API) with registerTaxProvider().
+// ─────────────────────────────────────────────────────────────
+
+const { TAX_RATES } = require('./taxRates');
+
+// ─────────────────────────────────────────────────────────────
+// 'table' provider — local rates from lib/taxRates.js.
+// Goods are taxed after the promo discount; shipping only where
+// the rate says so.
+// ─────────────────────────────────────────────────────────────
+const tableProvider = {
+  name: 'table',
+  async calculate({ address, subtotalCents, discountCents, shippingCents }) {
+    const country = (address?.country || '').trim().toUpperCase();
+    const state = (address?.state || '').trim().toUpperCase();
+    const countryRates = TAX_RATES[country];
+    if (!countryRates) return [];
+
+    const rates = countryRates[state] || countryRates['*'] || [];
+    const goodsCents = Math.max(subtotalCents - discountCents, 0);
+
+    return rates.map((r) => {
+      const taxableCents = goodsCents + (r.shipping ? shippingCents : 0);
+      return {
+        name: r.name,
+        jurisdiction: countryRates[state] ? `${country}-${state}` : country,
+        rate: r.rate,
+        taxableCents,
+        amountCents: Math.round(taxableCents * r.rate),
+      };
+    });
+  },
+};
+
+const providers = { table: tableProvider };
+
+function registerTaxProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+function activeProvider() {
+  const name = process.env.TAX_PROVIDER || 'table';
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown TAX_PROVIDER "${name}"`);
+  return provider;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Tax for an order.
+// input: { address: { country, state, ... }, lines, subtotalCents,
+//          discountCents, shippingCents }
+// Returns: { taxCents, taxLines: [{ name, jurisdiction, rate,
+//            taxableCents, amountCents }] }
+// Lines with no tax are dropped.
+// ─────────────────────────────────────────────────────────────
+async function calculateTax(input) {
+  const lines = await activeProvider().calculate({
+    discountCents: 0,
+    shippingCents: 0,
+    ...input,
+  });
+  const taxLines = (lines || []).filter((l) => l.amountCents > 0);
+  return {
+    taxCents: taxLines.reduce((sum, l) => sum + l.amountCents, 0),
+    taxLines,
+  };
+}
+
+module.exports = {
+  calculateTax,
+  registerTaxProvider,
+};
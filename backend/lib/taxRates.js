@@ -0,0 +1,93 @@
+// backend/lib/taxRates.js
+// ─────────────────────────────────────────────────────────────
+// Local sales tax table used by the 'table' tax provider
+// (see lib/tax.js).
+//
+// TAX_RATES[country][state] → tax lines charged on an order shipped
+// there; '*' applies to every state of a country without its own
+// entry. A destination that isn't listed is charged no tax.
+//   name     shown to the customer, on the order and in emails
+//   rate     fraction of the taxable amount (0.0725 = 7.25%)
+//   shipping true if the shipping charge is taxed as well
+//
+// US entries are statewide base rates only — no local/county rates
+// and no clothing exemptions. Use a different TAX_PROVIDER when
+// those matter.
+// ─────────────────────────────────────────────────────────────
+
+const TAX_RATES = {
+  US: {
+    AL: [{ name: 'Alabama sales tax', rate: 0.04 }],
+    AR: [{ name: 'Arkansas sales tax', rate: 0.065, shipping: true }],
+    AZ: [{ name: 'Arizona transaction privilege tax', rate: 0.056 }],
+    CA: [{ name: 'California sales tax', rate: 0.0725 }],
+    CO: [{ name: 'Colorado sales tax', rate: 0.029, shipping: true }],
+    CT: [{ name: 'Connecticut sales tax', rate: 0.0635, shipping: true }],
+    DC: [{ name: 'DC sales tax', rate: 0.06 }],
+    FL: [{ name: 'Florida sales tax', rate: 0.06 }],
+    GA: [{ name: 'Georgia sales tax', rate: 0.04, shipping: true }],
+    HI: [{ name: 'Hawaii general excise tax', rate: 0.04, shipping: true }],
+    IA: [{ name: 'Iowa sales tax', rate: 0.06 }],
+    ID: [{ name: 'Idaho sales tax', rate: 0.06 }],
+    IL: [{ name: 'Illinois sales tax', rate: 0.0625 }],
+    IN: [{ name: 'Indiana sales tax', rate: 0.07, shipping: true }],
+    KS: [{ name: 'Kansas sales tax', rate: 0.065, shipping: true }],
+    KY: [{ name: 'Kentucky sales tax', rate: 0.06, shipping: true }],
+    LA: [{ name: 'Louisiana sales tax', rate: 0.0445 }],
+    MA: [{ name: 'Massachusetts sales tax', rate: 0.0625 }],
+    MD: [{ name: 'Maryland sales tax', rate: 0.06 }],
+    ME: [{ name: 'Maine sales tax', rate: 0.055 }],
+    MI: [{ name: 'Michigan sales tax', rate: 0.06, shipping: true }],
+    MN: [{ name: 'Minnesota sales tax', rate: 0.06875, shipping: true }],
+    MO: [{ name: 'Missouri sales tax', rate: 0.04225 }],
+    MS: [{ name: 'Mississippi sales tax', rate: 0.07, shipping: true }],
+    NC: [{ name: 'North Carolina sales tax', rate: 0.0475, shipping: true }],
+    ND: [{ name: 'North Dakota sales tax', rate: 0.05, shipping: true }],
+    NE: [{ name: 'Nebraska sales tax', rate: 0.055, shipping: true }],
+    NJ: [{ name: 'New Jersey sales tax', rate: 0.06625, shipping: true }],
+    NM: [{ name: 'New Mexico gross receipts tax', rate: 0.04875, shipping: true }],
+    NV: [{ name: 'Nevada sales tax', rate: 0.0685 }],
+    NY: [{ name: 'New York sales tax', rate: 0.04, shipping: true }],
+    OH: [{ name: 'Ohio sales tax', rate: 0.0575, shipping: true }],
+    OK: [{ name: 'Oklahoma sales tax', rate: 0.045 }],
+    PA: [{ name: 'Pennsylvania sales tax', rate: 0.06, shipping: true }],
+    RI: [{ name: 'Rhode Island sales tax', rate: 0.07, shipping: true }],
+    SC: [{ name: 'South Carolina sales tax', rate: 0.06, shipping: true }],
+    SD: [{ name: 'South Dakota sales tax', rate: 0.042, shipping: true }],
+    TN: [{ name: 'Tennessee sales tax', rate: 0.07, shipping: true }],
+    TX: [{ name: 'Texas sales tax', rate: 0.0625, shipping: true }],
+    UT: [{ name: 'Utah sales tax', rate: 0.0485 }],
+    VA: [{ name: 'Virginia sales tax', rate: 0.053 }],
+    VT: [{ name: 'Vermont sales tax', rate: 0.06, shipping: true }],
+    WA: [{ name: 'Washington sales tax', rate: 0.065, shipping: true }],
+    WI: [{ name: 'Wisconsin sales tax', rate: 0.05, shipping: true }],
+    WV: [{ name: 'West Virginia sales tax', rate: 0.06, shipping: true }],
+    WY: [{ name: 'Wyoming sales tax', rate: 0.04, shipping: true }],
+  },
+  CA: {
+    '*': [{ name: 'GST', rate: 0.05, shipping: true }],
+    BC: [
+      { name: 'GST', rate: 0.05, shipping: true },
+      { name: 'PST', rate: 0.07, shipping: true },
+    ],
+    MB: [
+      { name: 'GST', rate: 0.05, shipping: true },
+      { name: 'RST', rate: 0.07, shipping: true },
+    ],
+    NB: [{ name: 'HST', rate: 0.15, shipping: true }],
+    NL: [{ name: 'HST', rate: 0.15, shipping: true }],
+    NS: [{ name: 'HST', rate: 0.15, shipping: true }],
+    ON: [{ name: 'HST', rate: 0.13, shipping: true }],
+    PE: [{ name: 'HST', rate: 0.15, shipping: true }],
+    QC: [
+      { name: 'GST', rate: 0.05, shipping: true },
+      { name: 'QST', rate: 0.09975, shipping: true },
+    ],
+    SK: [
+      { name: 'GST', rate: 0.05, shipping: true },
+      { name: 'PST', rate: 0.06, shipping: true },
+    ],
+  },
+};
+
+module.exports = { TAX_RATES };
@@ -6,6 +6,7 @@
 
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { signDesignPath, cleanDesignConfig, assertOwnUploads, designPreviewPath, signSavedDesign } = require('../lib/savedDesigns');
 const router = express.Router();
 
 const supabaseAdmin = createClient(
@@ -97,14 +98,14 @@ router.patch('/profile', async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────
 // GET /api/account/orders
-// Returns the authenticated user's orders with items enriched.
+// Returns the authenticated user's orders with items and shipments enriched.
 // ─────────────────────────────────────────────────────────────
 router.get('/orders', async (req, res) => {
   try {
     // Fetch orders for this user
     const { data: orders, error: ordersErr } = await supabaseAdmin
       .from('orders')
-      .select('id, created_at, status, subtotal_cents, shipping_name, shipping_email, stripe_payment_intent_id')
+      .select('id, created_at, status, subtotal_cents, shipping_cents, total_cents, shipping_name, shipping_email, stripe_payment_intent_id')
       .eq('user_id', req.user.id)
       .order('created_at', { ascending: false });
 
@@ -122,7 +123,7 @@ router.get('/orders', async (req, res) => {
       orders.map(async (order) => {
         const { data: items } = await supabaseAdmin
           .from('order_items')
-          .select('id, quantity, price_cents, config, variant_id')
+          .select('id, quantity, price_cents, price_breakdown, config, variant_id')
           .eq('order_id', order.id);
 
         const enrichedItems = await Promise.all(
@@ -147,7 +148,14 @@ router.get('/orders', async (req, res) => {
           })
         );
 
-        return { ...order, items: enrichedItems };
+        // Parcels sent so far, with tracking
+        const { data: shipments } = await supabaseAdmin
+          .from('shipments')
+          .select('id, carrier, tracking_number, tracking_url, shipped_at')
+          .eq('order_id', order.id)
+          .order('shipped_at', { ascending: true });
+
+        return { ...order, items: enrichedItems, shipments: shipments || [] };
       })
     );
 
@@ -273,4 +281,254 @@ router.delete('/wishlist/:productId', async (req, res) => {
   }
 });
 
+// ── Saved designs ─────────────────────────────────────────────
+// Uploads are the customer's own design_uploads rows (text renders
+// left out); projects are design_projects rows, reopened on the PDP
+// with ?project=<id>. See supabase/migrations/20240313_design_projects.sql.
+const MAX_SAVED_UPLOADS = 60;
+const MAX_PROJECT_NAME = 80;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Checks a project body and returns the columns to write. The
+// config may only use the customer's own uploads, including ones
+// made before signing in (body.anonymousId).
+// Throws an error with .statusCode 400 for an invalid body, 403 for
+// someone else's files.
+async function projectFields(body, user, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) throw httpError(400, 'name is required');
+    fields.name = name.slice(0, MAX_PROJECT_NAME);
+  }
+
+  if (body.config !== undefined || !partial) {
+    fields.config = cleanDesignConfig(body.config);
+    await assertOwnUploads(fields.config, { userId: user.id, anonymousId: body.anonymousId });
+    fields.color_name = fields.config.color || null;
+  }
+
+  return fields;
+}
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/account/designs
+// Returns: { uploads: [{ id, filename, storagePath, proofPath, previewUrl,
+//                        viewUrl, preflight, createdAt }],
+//            projects: [{ id, name, productId, productName, productSlug,
+//                         colorName, previewUrl, updatedAt }] }
+//   previewUrl  signed URL of the uploaded file, as returned by
+//               POST /api/products/upload/confirm
+//   viewUrl     for thumbnails — the PNG proof of an SVG upload
+// Newest first; the latest MAX_SAVED_UPLOADS uploads.
+// ─────────────────────────────────────────────────────────────
+router.get('/designs', async (req, res) => {
+  try {
+    const [uploadsResult, projectsResult] = await Promise.all([
+      supabaseAdmin
+        .from('design_uploads')
+        .select('id, filename, storage_path, proof_path, preflight, created_at')
+        .eq('user_id', req.user.id)
+        .eq('source', 'upload')
+        .order('created_at', { ascending: false })
+        .limit(MAX_SAVED_UPLOADS),
+      supabaseAdmin
+        .from('design_projects')
+        .select('id, name, product_id, color_name, config, updated_at')
+        .eq('user_id', req.user.id)
+        .order('updated_at', { ascending: false }),
+    ]);
+
+    const error = uploadsResult.error || projectsResult.error;
+    if (error) {
+      console.error('[GET /api/account/designs]', error);
+      return res.status(500).json({ error: 'Could not fetch designs' });
+    }
+
+    const projectRows = projectsResult.data || [];
+    const productIds = [...new Set(projectRows.map(p => p.product_id))];
+    const { data: products } = productIds.length
+      ? await supabaseAdmin.from('products').select('id, name, slug').in('id', productIds)
+      : { data: [] };
+    const productMap = {};
+    (products || []).forEach((p) => { productMap[p.id] = p; });
+
+    const [uploads, projects] = await Promise.all([
+      Promise.all((uploadsResult.data || []).map(async (row) => {
+        const [previewUrl, proofUrl] = await Promise.all([
+          signDesignPath(row.storage_path),
+          signDesignPath(row.proof_path),
+        ]);
+        return {
+          id: row.id,
+          filename: row.filename,
+          storagePath: row.storage_path,
+          proofPath: row.proof_path || null,
+          previewUrl,
+          viewUrl: proofUrl || previewUrl,
+          preflight: row.preflight || null,
+          createdAt: row.created_at,
+        };
+      })),
+      Promise.all(projectRows.map(async (row) => ({
+        id: row.id,
+        name: row.name,
+        productId: row.product_id,
+        productName: productMap[row.product_id]?.name || null,
+        productSlug: productMap[row.product_id]?.slug || null,
+        colorName: row.color_name,
+        previewUrl: await signDesignPath(designPreviewPath(row.config)),
+        updatedAt: row.updated_at,
+      }))),
+    ]);
+
+    return res.json({ uploads, projects });
+  } catch (err) {
+    console.error('[GET /api/account/designs]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/account/designs/projects
+// Body: { name, productId, config, anonymousId? }
+//   config as on a cart line; text layers need only their settings
+//   (lib/savedDesigns.js)
+//   anonymousId  owner of uploads made before signing in
+// Returns: { id, name, updatedAt }
+// ─────────────────────────────────────────────────────────────
+router.post('/designs/projects', async (req, res) => {
+  const { productId } = req.body;
+  if (!productId) return res.status(400).json({ error: 'productId is required' });
+
+  try {
+    const fields = await projectFields(req.body, req.user);
+
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id')
+      .eq('id', productId)
+      .maybeSingle();
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    const { data, error } = await supabaseAdmin
+      .from('design_projects')
+      .insert({ ...fields, user_id: req.user.id, product_id: productId })
+      .select('id, name, updated_at')
+      .single();
+
+    if (error) {
+      console.error('[POST /api/account/designs/projects]', error);
+      return res.status(500).json({ error: 'Could not save design' });
+    }
+    return res.status(201).json({ id: data.id, name: data.name, updatedAt: data.updated_at });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[POST /api/account/designs/projects]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/account/designs/projects/:id
+// Returns: { id, name, productId, productSlug, colorName, config, uploads }
+//   config / uploads  see lib/savedDesigns.js signSavedDesign()
+// ─────────────────────────────────────────────────────────────
+router.get('/designs/projects/:id', async (req, res) => {
+  try {
+    const { data: project, error } = await supabaseAdmin
+      .from('design_projects')
+      .select('id, name, product_id, color_name, config')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[GET /api/account/designs/projects/:id]', error);
+      return res.status(500).json({ error: 'Could not fetch design' });
+    }
+    if (!project) return res.status(404).json({ error: 'Design not found' });
+
+    const [{ data: product }, { config, uploads }] = await Promise.all([
+      supabaseAdmin.from('products').select('slug').eq('id', project.product_id).maybeSingle(),
+      signSavedDesign(project.config),
+    ]);
+
+    return res.json({
+      id: project.id,
+      name: project.name,
+      productId: project.product_id,
+      productSlug: product?.slug || null,
+      colorName: project.color_name,
+      config,
+      uploads,
+    });
+  } catch (err) {
+    console.error('[GET /api/account/designs/projects/:id]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// PUT /api/account/designs/projects/:id
+// Body: { name?, config?, anonymousId? }
+// Returns: { id, name, updatedAt }
+// ─────────────────────────────────────────────────────────────
+router.put('/designs/projects/:id', async (req, res) => {
+  try {
+    const fields = await projectFields(req.body, req.user, { partial: true });
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No valid fields provided' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('design_projects')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id, name, updated_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('[PUT /api/account/designs/projects/:id]', error);
+      return res.status(500).json({ error: 'Could not save design' });
+    }
+    if (!data) return res.status(404).json({ error: 'Design not found' });
+    return res.json({ id: data.id, name: data.name, updatedAt: data.updated_at });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[PUT /api/account/designs/projects/:id]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// DELETE /api/account/designs/projects/:id
+// Deletes the project only; its uploaded files stay in My Designs.
+// ─────────────────────────────────────────────────────────────
+router.delete('/designs/projects/:id', async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('design_projects')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('[DELETE /api/account/designs/projects/:id]', error);
+      return res.status(500).json({ error: 'Could not delete design' });
+    }
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/account/designs/projects/:id]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -6,7 +6,15 @@
 // ─────────────────────────────────────────────────────────────
 
 const express = require('express');
+const nodemailer = require('nodemailer');
 const { createClient } = require('@supabase/supabase-js');
+const { createOrderRefund } = require('../lib/refunds');
+const { CARRIERS, createShipment } = require('../lib/shipments');
+const { MANUAL_STATUSES, manualTransitions, transitionOrderStatus } = require('../lib/orderStatus');
+const { writeJobSheets } = require('../lib/jobSheets');
+const { generatePrintFiles, signPrintFiles } = require('../lib/printFiles');
+const { printedSides } = require('../lib/pricing');
+const { PRINT_LOCATIONS, fetchPrintAreas, sideLayers } = require('../lib/printAreas');
 const router = express.Router();
 
 const supabaseAdmin = createClient(
@@ -14,6 +22,13 @@ const supabaseAdmin = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587'),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+});
+
 // ── Auth middleware ───────────────────────────────────────────
 function requireAdmin(req, res, next) {
   const token = (req.headers.authorization || '').replace('Bearer ', '');
@@ -73,7 +88,7 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
       // Last 6 orders for recent-orders panel
       supabaseAdmin
         .from('orders')
-        .select('id, created_at, status, subtotal_cents, shipping_name, shipping_email')
+        .select('id, created_at, status, subtotal_cents, total_cents, shipping_name, shipping_email')
         .order('created_at', { ascending: false })
         .limit(6),
     ]);
@@ -153,7 +168,7 @@ router.get('/orders', requireAdmin, async (req, res) => {
     // Build query for paginated orders
     let query = supabaseAdmin
       .from('orders')
-      .select('id, created_at, status, subtotal_cents, shipping_name, shipping_email, stripe_payment_intent_id', { count: 'exact' })
+      .select('id, created_at, status, subtotal_cents, total_cents, shipping_name, shipping_email, stripe_payment_intent_id', { count: 'exact' })
       .order('created_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1);
 
@@ -177,18 +192,19 @@ router.get('/orders', requireAdmin, async (req, res) => {
       })
     );
 
-    // Compute stats from ALL orders (not just this page)
+    // Compute stats from ALL orders (not just this page). Revenue is
+    // what customers paid (shipping and tax included) less refunds.
     const { data: allOrders } = await supabaseAdmin
       .from('orders')
-      .select('status, subtotal_cents');
+      .select('status, total_cents, refunded_cents');
 
     const stats = {
       total: allOrders?.length || 0,
       paid: allOrders?.filter((o) => o.status === 'paid').length || 0,
       fulfilled: allOrders?.filter((o) => o.status === 'fulfilled').length || 0,
       revenue_cents: allOrders
-        ?.filter((o) => ['paid', 'fulfilled'].includes(o.status))
-        .reduce((sum, o) => sum + (o.subtotal_cents || 0), 0) || 0,
+        ?.filter((o) => ['paid', 'fulfilled', 'shipped', 'partially_refunded'].includes(o.status))
+        .reduce((sum, o) => sum + (o.total_cents || 0) - (o.refunded_cents || 0), 0) || 0,
     };
 
     return res.json({ stats, orders: ordersWithCounts, total: count || 0 });
@@ -201,6 +217,13 @@ router.get('/orders', requireAdmin, async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // GET /api/admin/orders/:id
 // Fully enriched single order
+// Returns: { order, items, events, refunds, shipments, history,
+//            allowedStatuses }
+// items[].designs: [{ side, mockupUrl, layers }]
+//   one per printed location (lib/printAreas.js PRINT_LOCATIONS)
+//   layers: [{ kind, downloadUrl, viewUrl, placement, text }] — the
+//   uploaded design and any text, bottom to top (sideLayers())
+// allowedStatuses: what PATCH /status accepts from the current status
 // ─────────────────────────────────────────────────────────────
 router.get('/orders/:id', requireAdmin, async (req, res) => {
   const { id } = req.params;
@@ -261,24 +284,24 @@ router.get('/orders/:id', requireAdmin, async (req, res) => {
           thumbnailUrl = fallback?.[0]?.url || null;
         }
 
-        // Fetch back mockup for the same color
-        let backThumbnailUrl = null;
-        const { data: backImages } = await supabaseAdmin
-          .from('product_images')
-          .select('url')
-          .eq('product_id', variant.product_id)
-          .eq('angle', 'back')
-          .eq('color_name', colorName)
-          .limit(1);
-        backThumbnailUrl = backImages?.[0]?.url || null;
-        if (!backThumbnailUrl) {
-          const { data: backFallback } = await supabaseAdmin
+        // Mockup for another print location in the same color
+        async function locationMockupUrl(angle) {
+          if (angle === 'front') return thumbnailUrl;
+          const { data: locImages } = await supabaseAdmin
+            .from('product_images')
+            .select('url')
+            .eq('product_id', variant.product_id)
+            .eq('angle', angle)
+            .eq('color_name', colorName)
+            .limit(1);
+          if (locImages?.[0]?.url) return locImages[0].url;
+          const { data: locFallback } = await supabaseAdmin
             .from('product_images')
             .select('url')
             .eq('product_id', variant.product_id)
-            .eq('angle', 'back')
+            .eq('angle', angle)
             .limit(1);
-          backThumbnailUrl = backFallback?.[0]?.url || thumbnailUrl;
+          return locFallback?.[0]?.url || thumbnailUrl;
         }
 
         // Signed download URLs (Content-Disposition: attachment)
@@ -291,7 +314,8 @@ router.get('/orders/:id', requireAdmin, async (req, res) => {
           return data?.signedUrl || null;
         }
 
-        // Signed view URLs (inline display for <img> in admin)
+        // Signed view URLs (inline display for <img> in admin) — the PNG
+        // proof for SVG uploads
         async function signDesignViewUrl(storagePath) {
           if (!storagePath) return null;
           const { data } = await supabaseAdmin.storage
@@ -300,21 +324,68 @@ router.get('/orders/:id', requireAdmin, async (req, res) => {
           return data?.signedUrl || null;
         }
 
-        const frontDesignSignedUrl = await signDesignUrl(item.config?.front?.design_url);
-        const backDesignSignedUrl  = await signDesignUrl(item.config?.back?.design_url);
-        const frontDesignViewUrl   = await signDesignViewUrl(item.config?.front?.design_url);
-        const backDesignViewUrl    = await signDesignViewUrl(item.config?.back?.design_url);
+        // One entry per printed location, in PRINT_LOCATIONS order
+        const designs = await Promise.all(printedSides(item.config).map(async (side) => {
+          const [mockupUrl, layers] = await Promise.all([
+            locationMockupUrl(side),
+            Promise.all(sideLayers(item.config[side]).map(async (layer) => {
+              const [downloadUrl, viewUrl] = await Promise.all([
+                signDesignUrl(layer.design_url),
+                signDesignViewUrl(layer.proof_url || layer.design_url),
+              ]);
+              return { kind: layer.kind, downloadUrl, viewUrl, placement: layer.placement, text: layer.text || null };
+            })),
+          ]);
+          return { side, mockupUrl, layers };
+        }));
+        const printFileUrls = await signPrintFiles(item);
 
         return {
           ...item, variant, product: product || null,
-          thumbnailUrl, backThumbnailUrl,
-          frontDesignSignedUrl, backDesignSignedUrl,
-          frontDesignViewUrl, backDesignViewUrl,
+          thumbnailUrl,
+          designs,
+          printFileUrls,
         };
       })
     );
 
-    return res.json({ order, items });
+    // 4. Payment history written by the Stripe webhook (table may not exist yet)
+    const { data: events } = await supabaseAdmin
+      .from('order_events')
+      .select('id, type, summary, data, created_at')
+      .eq('order_id', id)
+      .order('created_at', { ascending: true });
+
+    // 5. Refunds issued from the admin, with the lines they cover
+    const { data: refunds } = await supabaseAdmin
+      .from('refunds')
+      .select('id, amount_cents, reason, note, restocked, created_at, refund_items(order_item_id, quantity, amount_cents)')
+      .eq('order_id', id)
+      .order('created_at', { ascending: true });
+
+    // 6. Shipments, with the lines in each parcel
+    const { data: shipments } = await supabaseAdmin
+      .from('shipments')
+      .select('id, carrier, tracking_number, tracking_url, shipped_at, created_at, shipment_items(order_item_id, quantity)')
+      .eq('order_id', id)
+      .order('shipped_at', { ascending: true });
+
+    // 7. Status changes, oldest first
+    const { data: history } = await supabaseAdmin
+      .from('order_status_history')
+      .select('id, from_status, to_status, actor, note, created_at')
+      .eq('order_id', id)
+      .order('created_at', { ascending: true });
+
+    return res.json({
+      order,
+      items,
+      events: events || [],
+      refunds: refunds || [],
+      shipments: shipments || [],
+      history: history || [],
+      allowedStatuses: manualTransitions(order.status),
+    });
   } catch (err) {
     console.error('[admin/orders/:id]', err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -323,32 +394,27 @@ router.get('/orders/:id', requireAdmin, async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────
 // PATCH /api/admin/orders/:id/status
-// Body: { status }
+// Body: { status, note? }
+// Returns: { success, order, allowedStatuses }
+// Only moves allowed by lib/orderStatus.js; 409 otherwise.
 // ─────────────────────────────────────────────────────────────
 router.patch('/orders/:id/status', requireAdmin, async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, note } = req.body;
 
-  const VALID_STATUSES = ['pending', 'paid', 'fulfilled', 'cancelled'];
-  if (!status || !VALID_STATUSES.includes(status)) {
-    return res.status(400).json({ error: `status must be one of: ${VALID_STATUSES.join(', ')}` });
+  if (!status || !MANUAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${MANUAL_STATUSES.join(', ')}` });
   }
 
   try {
-    const { data, error } = await supabaseAdmin
-      .from('orders')
-      .update({ status, updated_at: new Date().toISOString() })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('[admin/orders/:id/status]', error);
-      return res.status(500).json({ error: 'Could not update status' });
-    }
+    const order = await transitionOrderStatus(id, status, {
+      actor: 'admin',
+      note: typeof note === 'string' ? note.trim().slice(0, 500) : null,
+    });
 
-    return res.json({ success: true, order: data });
+    return res.json({ success: true, order, allowedStatuses: manualTransitions(order.status) });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('[admin/orders/:id/status]', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -370,6 +436,314 @@ router.delete('/orders/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Helper: tell the customer about a refund (no-op without SMTP)
+// ─────────────────────────────────────────────────────────────
+async function sendRefundEmail(order, refund) {
+  if (!order.shipping_email || !process.env.SMTP_HOST || !process.env.SMTP_USER) return;
+
+  const storeName = process.env.STORE_NAME || 'PrintShop';
+  const orderRef = order.id.slice(0, 8).toUpperCase();
+  const amount = `$${(refund.amount_cents / 100).toFixed(2)}`;
+  const full = order.status === 'refunded';
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || `"${storeName}" <${process.env.SMTP_USER}>`,
+    to: order.shipping_email,
+    subject: `Refund issued — ${storeName} #${orderRef}`,
+    text: `We've refunded ${amount} for order #${orderRef}${full ? '' : ' (partial refund)'}.\n\nIt can take 5–10 business days to appear on your statement.`,
+    html: `
+      <div style="font-family:sans-serif;max-width:560px;margin:0 auto;color:#1e293b">
+        <div style="background:#4f46e5;padding:32px;text-align:center;border-radius:8px 8px 0 0">
+          <h1 style="color:#fff;margin:0;font-size:22px">${storeName}</h1>
+        </div>
+        <div style="padding:32px;background:#fff;border:1px solid #e2e8f0;border-top:none;border-radius:0 0 8px 8px">
+          <h2 style="margin:0 0 8px;font-size:20px">${full ? 'Your order has been refunded' : 'Part of your order has been refunded'}</h2>
+          <p style="color:#64748b;margin:0 0 24px">Hi ${order.shipping_name?.split(' ')[0] || 'there'}, we've issued a refund for order <strong>#${orderRef}</strong>.</p>
+
+          <div style="background:#f8fafc;border-radius:6px;padding:16px;margin-bottom:24px">
+            <p style="margin:0;font-size:13px;color:#94a3b8;text-transform:uppercase;letter-spacing:.05em">Refund amount</p>
+            <p style="margin:4px 0 0;font-size:20px;font-weight:700;color:#4f46e5">${amount}</p>
+          </div>
+
+          <p style="margin:0;font-size:14px;color:#475569">
+            The money goes back to your original payment method and can take 5–10 business days to appear on your statement.
+          </p>
+
+          <p style="margin-top:28px;font-size:13px;color:#94a3b8;text-align:center">
+            Questions? Reply to this email or visit your <a href="${process.env.FRONTEND_URL}/account" style="color:#4f46e5">account page</a>.
+          </p>
+        </div>
+      </div>
+    `,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/admin/orders/:id/refunds
+// Body: { items?: [{ orderItemId, quantity }], restock?, reason?, note? }
+//   items omitted → full refund of everything not yet refunded
+//   reason: duplicate | fraudulent | requested_by_customer
+// Returns: { refund, order }
+// ─────────────────────────────────────────────────────────────
+router.post('/orders/:id/refunds', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { items, restock, reason, note } = req.body;
+
+  if (items != null && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'items must be an array' });
+  }
+
+  try {
+    const result = await createOrderRefund(id, { items, restock: Boolean(restock), reason, note });
+
+    try {
+      await sendRefundEmail(result.order, result.refund);
+    } catch (mailErr) {
+      console.error('[admin/orders/:id/refunds] Failed to send refund email:', mailErr.message);
+    }
+
+    return res.status(201).json(result);
+  } catch (err) {
+    // Stripe errors carry their own statusCode — don't pass a Stripe 401 on
+    // as ours (the admin UI treats 401 as "log out")
+    if (err.type && err.type.startsWith('Stripe')) {
+      return res.status(502).json({ error: err.message });
+    }
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[admin/orders/:id/refunds]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// Helper: send the customer the tracking link (no-op without SMTP)
+// ─────────────────────────────────────────────────────────────
+async function sendShipmentEmail(order, shipment) {
+  if (!order.shipping_email || !process.env.SMTP_HOST || !process.env.SMTP_USER) return;
+
+  const storeName = process.env.STORE_NAME || 'PrintShop';
+  const orderRef = order.id.slice(0, 8).toUpperCase();
+  const carrierName = CARRIERS[shipment.carrier]?.name || shipment.carrier;
+
+  const itemIds = (shipment.shipment_items || []).map((i) => i.order_item_id);
+  const { data: items } = itemIds.length
+    ? await supabaseAdmin
+      .from('order_items')
+      .select('id, product_variants(size, color_name, products(name))')
+      .in('id', itemIds)
+    : { data: [] };
+  const itemMap = {};
+  (items || []).forEach((i) => { itemMap[i.id] = i; });
+
+  const itemRows = (shipment.shipment_items || []).map((si) => {
+    const variant = itemMap[si.order_item_id]?.product_variants;
+    const name = variant?.products?.name || 'Custom T-Shirt';
+    return `
+          <tr>
+            <td style="padding:8px 0;border-bottom:1px solid #f1f5f9;color:#1e293b">
+              ${name}${variant?.size ? ` — ${variant.size}` : ''}${variant?.color_name ? ` / ${variant.color_name}` : ''}
+            </td>
+            <td style="padding:8px 0;border-bottom:1px solid #f1f5f9;color:#64748b;text-align:right">×${si.quantity}</td>
+          </tr>`;
+  }).join('');
+
+  const trackingText = shipment.tracking_number
+    ? `${carrierName} ${shipment.tracking_number}${shipment.tracking_url ? `\n${shipment.tracking_url}` : ''}`
+    : carrierName;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || `"${storeName}" <${process.env.SMTP_USER}>`,
+    to: order.shipping_email,
+    subject: `Your order has shipped — ${storeName} #${orderRef}`,
+    text: `Good news — order #${orderRef} is on its way.\n\nTracking: ${trackingText}`,
+    html: `
+      <div style="font-family:sans-serif;max-width:560px;margin:0 auto;color:#1e293b">
+        <div style="background:#4f46e5;padding:32px;text-align:center;border-radius:8px 8px 0 0">
+          <h1 style="color:#fff;margin:0;font-size:22px">${storeName}</h1>
+        </div>
+        <div style="padding:32px;background:#fff;border:1px solid #e2e8f0;border-top:none;border-radius:0 0 8px 8px">
+          <h2 style="margin:0 0 8px;font-size:20px">Your order is on its way!</h2>
+          <p style="color:#64748b;margin:0 0 24px">Hi ${order.shipping_name?.split(' ')[0] || 'there'}, we've shipped items from order <strong>#${orderRef}</strong>.</p>
+
+          <div style="background:#f8fafc;border-radius:6px;padding:16px;margin-bottom:24px">
+            <p style="margin:0;font-size:13px;color:#94a3b8;text-transform:uppercase;letter-spacing:.05em">${carrierName} tracking number</p>
+            <p style="margin:4px 0 0;font-size:18px;font-weight:700;letter-spacing:.05em;color:#4f46e5">${shipment.tracking_number || '—'}</p>
+          </div>
+
+          ${shipment.tracking_url ? `
+          <p style="text-align:center;margin:0 0 24px">
+            <a href="${shipment.tracking_url}" style="display:inline-block;background:#4f46e5;color:#fff;text-decoration:none;font-weight:600;padding:12px 28px;border-radius:6px">Track your package</a>
+          </p>` : ''}
+
+          <table style="width:100%;border-collapse:collapse">
+            <tbody>${itemRows}</tbody>
+          </table>
+
+          <p style="margin-top:28px;font-size:13px;color:#94a3b8;text-align:center">
+            Questions? Reply to this email or visit your <a href="${process.env.FRONTEND_URL}/account" style="color:#4f46e5">account page</a>.
+          </p>
+        </div>
+      </div>
+    `,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/admin/orders/:id/shipments
+// Body: { carrier, trackingNumber?, trackingUrl?, shippedAt?,
+//         items?: [{ orderItemId, quantity }] }
+//   items omitted → every unit not yet shipped
+//   carrier: usps | ups | fedex | dhl | canada_post | other
+// Returns: { shipment, order }
+// Marks the order shipped and emails the customer the tracking link.
+// ─────────────────────────────────────────────────────────────
+router.post('/orders/:id/shipments', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { carrier, trackingNumber, trackingUrl, shippedAt, items } = req.body;
+
+  if (items != null && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'items must be an array' });
+  }
+
+  try {
+    const result = await createShipment(id, { carrier, trackingNumber, trackingUrl, shippedAt, items });
+
+    try {
+      await sendShipmentEmail(result.order, result.shipment);
+    } catch (mailErr) {
+      console.error('[admin/orders/:id/shipments] Failed to send shipment email:', mailErr.message);
+    }
+
+    return res.status(201).json(result);
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[admin/orders/:id/shipments]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/admin/orders/:id/job-sheet
+// Returns: application/pdf — production job sheet for one order
+// ─────────────────────────────────────────────────────────────
+router.get('/orders/:id/job-sheet', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="job-sheet-${id.slice(0, 8).toUpperCase()}.pdf"`);
+    await writeJobSheets([id], res);
+  } catch (err) {
+    console.error('[admin/orders/:id/job-sheet]', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/admin/orders/:id/print-files
+// Body: { force? } — re-render lines that already have files
+// Returns: { items: [{ id, printFiles, printFileUrls }] }
+// Renders print-ready PNGs (lib/printFiles.js) for every printed
+// side of every line.
+// ─────────────────────────────────────────────────────────────
+router.post('/orders/:id/print-files', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const force = req.body?.force === true;
+
+  try {
+    const { data: items, error } = await supabaseAdmin
+      .from('order_items')
+      .select('id')
+      .eq('order_id', id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    if (!items || items.length === 0) return res.status(404).json({ error: 'Order not found or has no items' });
+
+    // One at a time — each render holds a full-size canvas in memory
+    const results = [];
+    for (const { id: itemId } of items) {
+      const printFiles = await generatePrintFiles(itemId, { force });
+      const printFileUrls = await signPrintFiles({ id: itemId, order_id: id, print_files: printFiles });
+      results.push({ id: itemId, printFiles, printFileUrls });
+    }
+
+    return res.json({ items: results });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[admin/orders/:id/print-files]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/admin/job-sheets?status=paid
+// Returns: application/pdf — one job sheet per order with that status
+// (default paid, oldest first, at most 100)
+// ─────────────────────────────────────────────────────────────
+router.get('/job-sheets', requireAdmin, async (req, res) => {
+  const status = req.query.status || 'paid';
+
+  try {
+    const { data: orders, error } = await supabaseAdmin
+      .from('orders')
+      .select('id')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(100);
+    if (error) throw error;
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="job-sheets-${status}-${stamp}.pdf"`);
+    await writeJobSheets((orders || []).map((o) => o.id), res);
+  } catch (err) {
+    console.error('[admin/job-sheets]', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/admin/webhook-events
+// Query: status?, type?, page?, limit?
+// Returns: { events, total }
+// Stripe webhook ledger (stripe_events), newest first
+// ─────────────────────────────────────────────────────────────
+router.get('/webhook-events', requireAdmin, async (req, res) => {
+  const { status, type, page = 1, limit = 50 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  try {
+    let query = supabaseAdmin
+      .from('stripe_events')
+      .select('id, type, status, error, order_id, attempts, received_at, updated_at', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data: events, error, count } = await query;
+
+    if (error) {
+      console.error('[admin/webhook-events]', error);
+      return res.status(500).json({ error: 'Could not fetch webhook events' });
+    }
+
+    return res.json({ events: events || [], total: count || 0 });
+  } catch (err) {
+    console.error('[admin/webhook-events]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ═════════════════════════════════════════════════════════════
 // PRODUCT MANAGEMENT
 // ═════════════════════════════════════════════════════════════
@@ -556,12 +930,20 @@ router.get('/products/:id', requireAdmin, async (req, res) => {
 
     if (pErr || !product) return res.status(404).json({ error: 'Product not found' });
 
-    const [{ data: variants }, { data: images }] = await Promise.all([
+    const [{ data: variants }, { data: images }, { data: priceTiers }, printAreas] = await Promise.all([
       supabaseAdmin.from('product_variants').select('*').eq('product_id', id).order('color_name').order('size'),
       supabaseAdmin.from('product_images').select('*').eq('product_id', id).order('sort_order'),
+      supabaseAdmin.from('price_tiers').select('id, variant_id, min_qty, price_cents').eq('product_id', id).order('min_qty'),
+      fetchPrintAreas(id),
     ]);
 
-    return res.json({ product, variants: variants || [], images: images || [] });
+    return res.json({
+      product,
+      variants: variants || [],
+      images: images || [],
+      priceTiers: priceTiers || [],
+      printAreas,
+    });
   } catch (err) {
     console.error('[admin/products/:id GET]', err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -686,6 +1068,121 @@ router.delete('/products/:id/variants/:variantId', requireAdmin, async (req, res
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// PUT /api/admin/products/:id/price-tiers
+// Body: { tiers: [{ variant_id?, min_qty, price_cents }] }
+// Replaces every tier for the product in one transaction
+// (replace_price_tiers, supabase/migrations/20240316_replace_price_tiers.sql).
+// variant_id null = product-wide; otherwise a variant of this product.
+// Returns: { priceTiers }
+// ─────────────────────────────────────────────────────────────
+router.put('/products/:id/price-tiers', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { tiers } = req.body;
+
+  if (!Array.isArray(tiers)) {
+    return res.status(400).json({ error: 'tiers must be an array' });
+  }
+
+  const rows = [];
+  const seen = new Set();
+  for (const t of tiers) {
+    const minQty = parseInt(t.min_qty, 10);
+    const priceCents = parseInt(t.price_cents, 10);
+    if (isNaN(minQty) || minQty < 1) {
+      return res.status(400).json({ error: 'min_qty must be a positive integer' });
+    }
+    if (isNaN(priceCents) || priceCents < 0) {
+      return res.status(400).json({ error: 'price_cents must be a non-negative integer' });
+    }
+    const key = `${t.variant_id || ''}|${minQty}`;
+    if (seen.has(key)) {
+      return res.status(400).json({ error: `Duplicate tier for quantity ${minQty}` });
+    }
+    seen.add(key);
+    rows.push({ product_id: id, variant_id: t.variant_id || null, min_qty: minQty, price_cents: priceCents });
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin.rpc('replace_price_tiers', {
+      p_product_id: id,
+      p_tiers: rows,
+    });
+
+    if (error?.message === 'variant_not_in_product') {
+      return res.status(400).json({ error: 'Tiers can only target variants of this product' });
+    }
+    if (error) {
+      console.error('[price-tiers PUT]', error);
+      return res.status(500).json({ error: `Could not save price tiers: ${error.message}` });
+    }
+    const priceTiers = (data || [])
+      .map(({ id: tierId, variant_id, min_qty, price_cents }) => ({ id: tierId, variant_id, min_qty, price_cents }))
+      .sort((a, b) => a.min_qty - b.min_qty);
+    return res.json({ priceTiers });
+  } catch (err) {
+    console.error('[price-tiers PUT]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// PUT /api/admin/products/:id/print-areas
+// Body: { printAreas: { [angle]: { xPct, yPct, wPct, hPct, widthIn, heightIn } } }
+// Replaces every print area for the product in one transaction
+// (replace_print_areas, supabase/migrations/20240317_replace_print_areas.sql);
+// angles left out go back to the defaults in lib/printAreas.js. Each
+// rectangle must lie wholly inside the mockup frame.
+// Returns: { printAreas } (defaults filled in)
+// ─────────────────────────────────────────────────────────────
+router.put('/products/:id/print-areas', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { printAreas } = req.body;
+
+  if (!printAreas || typeof printAreas !== 'object' || Array.isArray(printAreas)) {
+    return res.status(400).json({ error: 'printAreas must be an object keyed by angle' });
+  }
+
+  const rows = [];
+  for (const [angle, area] of Object.entries(printAreas)) {
+    if (!PRINT_LOCATIONS.includes(angle)) {
+      return res.status(400).json({ error: `Unknown print area angle: ${angle}` });
+    }
+    const [xPct, yPct, wPct, hPct, widthIn, heightIn] = ['xPct', 'yPct', 'wPct', 'hPct', 'widthIn', 'heightIn']
+      .map((key) => Number(area?.[key]));
+    // Centre ± half the size on each axis; the admin form rounds to
+    // 3 decimals, which can nudge an edge just past the frame
+    const inside = (centre, size) => size > 0 && centre - size / 2 >= -1e-3 && centre + size / 2 <= 1 + 1e-3;
+    if (!inside(xPct, wPct) || !inside(yPct, hPct)) {
+      return res.status(400).json({ error: `The ${angle} print area must lie inside the mockup` });
+    }
+    if (!(widthIn > 0) || !(heightIn > 0)) {
+      return res.status(400).json({ error: `The ${angle} print size must be greater than zero` });
+    }
+    rows.push({
+      angle,
+      x_pct: xPct,
+      y_pct: yPct,
+      w_pct: wPct,
+      h_pct: hPct,
+      width_in: widthIn,
+      height_in: heightIn,
+    });
+  }
+
+  try {
+    const { error } = await supabaseAdmin.rpc('replace_print_areas', { p_product_id: id, p_rows: rows });
+    if (error) {
+      console.error('[print-areas PUT]', error);
+      return res.status(500).json({ error: `Could not save print areas: ${error.message}` });
+    }
+    return res.json({ printAreas: await fetchPrintAreas(id) });
+  } catch (err) {
+    console.error('[print-areas PUT]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /api/admin/products/:id/images
 // Body: { url, color_name?, angle, sort_order? }
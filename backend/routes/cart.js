@@ -6,6 +6,10 @@
 
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { priceItems, toBreakdown } = require('../lib/pricing');
+const { configFingerprint, mergeKey, stampPrintAreas } = require('../lib/cartLines');
+const { fetchPrintAreas } = require('../lib/printAreas');
+const { assertOwnUploads, signSavedDesign } = require('../lib/savedDesigns');
 const router = express.Router();
 
 const supabaseAdmin = createClient(
@@ -13,9 +17,44 @@ const supabaseAdmin = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// ─────────────────────────────────────────────────────────────
+// Helper: a line of the caller's cart, or null. Carts are found by
+// anonymous id (a signed-in customer's cart keeps it after
+// POST /merge), so a line id alone reaches nobody else's cart.
+// ─────────────────────────────────────────────────────────────
+async function findOwnItem(itemId, anonymousId, columns) {
+  if (!anonymousId) return null;
+  const { data: carts, error: cartErr } = await supabaseAdmin
+    .from('carts')
+    .select('id')
+    .eq('anonymous_id', anonymousId);
+  if (cartErr) throw cartErr;
+  if (!carts?.length) return null;
+
+  const { data: item, error } = await supabaseAdmin
+    .from('cart_items')
+    .select(columns)
+    .eq('id', itemId)
+    .in('cart_id', carts.map(c => c.id))
+    .maybeSingle();
+  if (error) throw error;
+  return item;
+}
+
+// Signed-in customer from an optional Bearer token, else null
+async function optionalUser(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return null;
+  const { data: { user } } = await supabaseAdmin.auth.getUser(authHeader.slice(7));
+  return user || null;
+}
+
 // ─────────────────────────────────────────────────────────────
 // GET /api/cart?anonymousId=xxx
 // Returns cart with enriched items (variant + product + thumbnail)
+// plus server-computed pricing (tiers + surcharges applied):
+//   items[i].pricing = { basePriceCents, garmentUnitCents, tierMinQty, surcharges,
+//                        unitPriceCents, setupCents, lineTotalCents }
 // ─────────────────────────────────────────────────────────────
 router.get('/', async (req, res) => {
   const { anonymousId } = req.query;
@@ -49,9 +88,14 @@ router.get('/', async (req, res) => {
       return res.json({ cartId: cart.id, items: [] });
     }
 
-    // 3. Enrich each item with variant + product + thumbnail
+    // 3. Price the whole cart at once (tiers depend on per-product totals)
+    const { lines, subtotalCents } = await priceItems(cartItems);
+
+    // 4. Enrich each item with variant + product + thumbnail
     const enriched = await Promise.all(
-      cartItems.map(async (item) => {
+      cartItems.map(async (item, idx) => {
+        const pricing = toBreakdown(lines[idx]);
+
         // Fetch variant
         const { data: variant } = await supabaseAdmin
           .from('product_variants')
@@ -60,7 +104,7 @@ router.get('/', async (req, res) => {
           .single();
 
         if (!variant) {
-          return { ...item, variant: null, product: null, thumbnailUrl: null };
+          return { ...item, variant: null, product: null, thumbnailUrl: null, pricing };
         }
 
         // Fetch product
@@ -99,58 +143,193 @@ router.get('/', async (req, res) => {
           variant,
           product: product || null,
           thumbnailUrl,
+          pricing,
         };
       })
     );
 
-    return res.json({ cartId: cart.id, items: enriched });
+    return res.json({ cartId: cart.id, items: enriched, subtotalCents });
   } catch (err) {
     console.error('[GET /api/cart]', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// GET /api/cart/items/:itemId?anonymousId=xxx
+// One line of the caller's cart for the PDP to reopen in the
+// designer ("Edit design"); 404 for lines of other carts
+// Returns: { id, quantity, variantId, productId, productSlug, config, uploads }
+//   config / uploads  see lib/savedDesigns.js signSavedDesign()
+// ─────────────────────────────────────────────────────────────
+router.get('/items/:itemId', async (req, res) => {
+  try {
+    const item = await findOwnItem(
+      req.params.itemId,
+      req.query.anonymousId,
+      'id, quantity, config, variant_id, product_variants(product_id, products(slug))',
+    );
+    if (!item) return res.status(404).json({ error: 'Cart item not found' });
+
+    const { config, uploads } = await signSavedDesign(item.config || {});
+    return res.json({
+      id: item.id,
+      quantity: item.quantity,
+      variantId: item.variant_id,
+      productId: item.product_variants?.product_id || null,
+      productSlug: item.product_variants?.products?.slug || null,
+      config,
+      uploads,
+    });
+  } catch (err) {
+    console.error('[GET /api/cart/items/:itemId]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// PUT /api/cart/items/:itemId
+// Body: { anonymousId, variantId, quantity?, config }
+//   Authorization: Bearer <token> optional — lets the design use the
+//   signed-in customer's uploads from other devices
+// Replaces a line of the caller's cart (404 for other carts) after
+// "Edit design" on the PDP, in place. variantId must be a variant of
+// the same product (color / size may change); config as for
+// POST /api/products/cart/items, using the customer's own uploads
+// (lib/savedDesigns.js assertOwnUploads). A roster
+// line keeps its players and quantity. The line stays in its group
+// (shared screen setup, lib/pricing.js) only if it still prints the
+// same thing.
+// Returns: { item }
+// ─────────────────────────────────────────────────────────────
+router.put('/items/:itemId', async (req, res) => {
+  const { itemId } = req.params;
+  const { anonymousId, variantId, config } = req.body;
+
+  if (!variantId) return res.status(400).json({ error: 'variantId is required' });
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return res.status(400).json({ error: 'config must be an object' });
+  }
+
+  try {
+    const item = await findOwnItem(itemId, anonymousId, 'id, cart_id, quantity, config, product_variants(product_id)');
+    if (!item) return res.status(404).json({ error: 'Cart item not found' });
+
+    const user = await optionalUser(req);
+    await assertOwnUploads(config, { userId: user?.id, anonymousId });
+
+    const { data: variant } = await supabaseAdmin
+      .from('product_variants')
+      .select('id, stock, product_id')
+      .eq('id', variantId)
+      .maybeSingle();
+    if (!variant || variant.product_id !== item.product_variants?.product_id) {
+      return res.status(400).json({ error: 'variantId must be a variant of the same product' });
+    }
+
+    const roster = item.config?.roster;
+    const quantity = roster ? item.quantity : parseInt(req.body.quantity ?? item.quantity, 10);
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({ error: 'quantity must be ≥ 1' });
+    }
+
+    if (variant.stock !== null) {
+      // Other lines of the variant already hold some of its stock
+      const { data: otherItems } = await supabaseAdmin
+        .from('cart_items')
+        .select('quantity')
+        .eq('cart_id', item.cart_id)
+        .eq('variant_id', variant.id)
+        .neq('id', item.id);
+      const available = variant.stock - (otherItems || []).reduce((s, i) => s + i.quantity, 0);
+      if (quantity > available) {
+        return res.status(409).json({
+          error: available > 0 ? `Only ${available} left in stock` : 'This item is out of stock',
+        });
+      }
+    }
+
+    const lineConfig = stampPrintAreas(config, await fetchPrintAreas(variant.product_id));
+    delete lineConfig.group;
+    delete lineConfig.roster;
+    if (roster) lineConfig.roster = roster;
+    if (item.config?.group && configFingerprint(lineConfig) === configFingerprint(item.config)) {
+      lineConfig.group = item.config.group;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('cart_items')
+      .update({ variant_id: variant.id, quantity, config: lineConfig })
+      .eq('id', item.id)
+      .eq('cart_id', item.cart_id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[PUT /api/cart/items]', error);
+      return res.status(500).json({ error: 'Could not update item' });
+    }
+
+    return res.json({ item: data });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[PUT /api/cart/items]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // PATCH /api/cart/items/:itemId
-// Body: { quantity }
+// Body: { anonymousId, quantity }
+// Changes a line of the caller's cart (404 for other carts). Other
+// lines of the same variant count against its stock. Roster lines
+// (lib/roster.js) keep one garment per player, so their quantity
+// can't be changed here.
 // ─────────────────────────────────────────────────────────────
 router.patch('/items/:itemId', async (req, res) => {
   const { itemId } = req.params;
-  const { quantity } = req.body;
+  const { anonymousId, quantity } = req.body;
 
   if (!quantity || quantity < 1) {
     return res.status(400).json({ error: 'quantity must be ≥ 1' });
   }
 
   try {
-    // Stock check: get the cart item's variant_id, then check stock
-    const { data: cartItem } = await supabaseAdmin
-      .from('cart_items')
-      .select('variant_id')
-      .eq('id', itemId)
-      .single();
+    const cartItem = await findOwnItem(itemId, anonymousId, 'id, cart_id, variant_id, config');
+    if (!cartItem) return res.status(404).json({ error: 'Cart item not found' });
 
-    if (cartItem) {
-      const { data: variant } = await supabaseAdmin
-        .from('product_variants')
-        .select('stock')
-        .eq('id', cartItem.variant_id)
-        .single();
+    if (cartItem.config?.roster) {
+      return res.status(400).json({ error: 'A team roster line has one item per player; its quantity can\'t be changed' });
+    }
 
-      if (variant && variant.stock !== null) {
-        if (variant.stock === 0) {
-          return res.status(409).json({ error: 'This item is out of stock' });
-        }
-        if (parseInt(quantity, 10) > variant.stock) {
-          return res.status(409).json({ error: `Only ${variant.stock} available` });
-        }
+    // Stock check: what the variant's other lines in this cart leave
+    const { data: variant } = await supabaseAdmin
+      .from('product_variants')
+      .select('stock')
+      .eq('id', cartItem.variant_id)
+      .single();
+
+    if (variant && variant.stock !== null) {
+      const { data: otherItems } = await supabaseAdmin
+        .from('cart_items')
+        .select('quantity')
+        .eq('cart_id', cartItem.cart_id)
+        .eq('variant_id', cartItem.variant_id)
+        .neq('id', cartItem.id);
+      const available = variant.stock - (otherItems || []).reduce((s, i) => s + i.quantity, 0);
+      if (available <= 0) {
+        return res.status(409).json({ error: 'This item is out of stock' });
+      }
+      if (parseInt(quantity, 10) > available) {
+        return res.status(409).json({ error: `Only ${available} available` });
       }
     }
 
     const { data, error } = await supabaseAdmin
       .from('cart_items')
       .update({ quantity })
-      .eq('id', itemId)
+      .eq('id', cartItem.id)
+      .eq('cart_id', cartItem.cart_id)
       .select()
       .single();
 
@@ -167,16 +346,21 @@ router.patch('/items/:itemId', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────────────────────
-// DELETE /api/cart/items/:itemId
+// DELETE /api/cart/items/:itemId?anonymousId=xxx
+// Removes a line of the caller's cart (404 for other carts)
 // ─────────────────────────────────────────────────────────────
 router.delete('/items/:itemId', async (req, res) => {
   const { itemId } = req.params;
 
   try {
+    const cartItem = await findOwnItem(itemId, req.query.anonymousId, 'id, cart_id');
+    if (!cartItem) return res.status(404).json({ error: 'Cart item not found' });
+
     const { error } = await supabaseAdmin
       .from('cart_items')
       .delete()
-      .eq('id', itemId);
+      .eq('id', cartItem.id)
+      .eq('cart_id', cartItem.cart_id);
 
     if (error) {
       console.error('[DELETE /api/cart/items]', error);
@@ -193,7 +377,9 @@ router.delete('/items/:itemId', async (req, res) => {
 // ─────────────────────────────────────────────────────────────
 // POST /api/cart/merge
 // Body: { anonymousId, accessToken }
-// Merges an anonymous cart into the authenticated user's cart.
+// Merges an anonymous cart into the authenticated user's cart. An
+// anonymous line adds to a user line only when both print the same
+// thing (same variant and configuration, lib/cartLines.js).
 // ─────────────────────────────────────────────────────────────
 router.post('/merge', async (req, res) => {
   const { anonymousId, accessToken } = req.body;
@@ -271,27 +457,33 @@ router.post('/merge', async (req, res) => {
 
       const userItemMap = {};
       (userItems || []).forEach((item) => {
-        userItemMap[item.variant_id] = item;
+        const key = mergeKey(item.variant_id, item.config);
+        if (key && !userItemMap[key]) userItemMap[key] = item;
       });
 
       for (const anonItem of anonItems) {
-        const existing = userItemMap[anonItem.variant_id];
+        const key = mergeKey(anonItem.variant_id, anonItem.config);
+        const existing = key && userItemMap[key];
         if (existing) {
           // Merge quantities
+          existing.quantity += anonItem.quantity;
           await supabaseAdmin
             .from('cart_items')
-            .update({ quantity: existing.quantity + anonItem.quantity })
+            .update({ quantity: existing.quantity })
             .eq('id', existing.id);
         } else {
           // Insert into user cart
-          await supabaseAdmin
+          const { data: inserted } = await supabaseAdmin
             .from('cart_items')
             .insert({
               cart_id: userCart.id,
               variant_id: anonItem.variant_id,
               quantity: anonItem.quantity,
               config: anonItem.config,
-            });
+            })
+            .select()
+            .single();
+          if (key && inserted) userItemMap[key] = inserted;
         }
       }
 
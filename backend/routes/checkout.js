@@ -8,6 +8,12 @@
 const express = require('express');
 const nodemailer = require('nodemailer');
 const { createClient } = require('@supabase/supabase-js');
+const { priceItems, toBreakdown, SURCHARGE_LABELS } = require('../lib/pricing');
+const { reserveOrderStock, commitOrderStock, releaseOrderStock } = require('../lib/stock');
+const { claimStripeEvent, finishStripeEvent } = require('../lib/stripeEvents');
+const { fetchShippingCountries, quoteShippingRates, resolveShippingRate } = require('../lib/shipping');
+const { calculateTax } = require('../lib/tax');
+const { canTransition, recordStatusHistory, transitionOrderStatus } = require('../lib/orderStatus');
 const router = express.Router();
 
 if (!process.env.STRIPE_SECRET_KEY) {
@@ -94,13 +100,86 @@ router.post('/validate-promo', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Helper: 409 response for a failed stock reservation
+// ─────────────────────────────────────────────────────────────
+function sendStockConflict(res, err) {
+  return res.status(409).json({
+    error: err.message,
+    code: 'insufficient_stock',
+    variantId: err.variantId,
+    available: err.available,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/checkout/shipping-countries
+// Returns: { countries }  (ISO codes with at least one shipping zone)
+// ─────────────────────────────────────────────────────────────
+router.get('/shipping-countries', async (req, res) => {
+  try {
+    const countries = await fetchShippingCountries();
+    return res.json({ countries });
+  } catch (err) {
+    console.error('[checkout/shipping-countries]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/checkout/shipping-rates
+// Body: { anonymousId, address: { country, state, postal_code } }
+// Returns: { zone, rates: [{ methodId, code, name, amountCents, minDays, maxDays }] }
+// rates is empty when nothing ships to the address.
+// ─────────────────────────────────────────────────────────────
+router.post('/shipping-rates', async (req, res) => {
+  const { anonymousId, address } = req.body;
+
+  if (!anonymousId) return res.status(400).json({ error: 'anonymousId is required' });
+  if (!address?.country) return res.status(400).json({ error: 'address.country is required' });
+
+  try {
+    const { data: cart } = await supabaseAdmin
+      .from('carts')
+      .select('id')
+      .eq('anonymous_id', anonymousId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!cart) return res.status(404).json({ error: 'Cart not found' });
+
+    const { data: cartItems } = await supabaseAdmin
+      .from('cart_items')
+      .select('quantity, config, variant_id')
+      .eq('cart_id', cart.id);
+
+    if (!cartItems || cartItems.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const { subtotalCents } = await priceItems(cartItems);
+    const quote = await quoteShippingRates(address, cartItems, subtotalCents);
+    return res.json(quote);
+  } catch (err) {
+    console.error('[checkout/shipping-rates]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /api/checkout/create-payment-intent
-// Body: { anonymousId, shipping?, promoCode? }
-// Returns: { clientSecret, totalCents, subtotalCents, discountCents, cartId }
+// Body: { anonymousId, shipping?, promoCode?, shippingMethodId? }
+// Returns: { clientSecret, totalCents, subtotalCents, discountCents,
+//            shippingCents, shippingMethodId, taxCents, taxLines, cartId }
+// A full shipping address (shipping.line1) requires a shippingMethodId
+// from /shipping-rates; its rate is added to the PaymentIntent amount.
+// Sales tax (lib/tax.js) is added once shipping has a country + state.
+// Reserves tracked stock for the order; 409 { error, code: 'insufficient_stock',
+// variantId, available } if any item can no longer be covered.
 // ─────────────────────────────────────────────────────────────
 router.post('/create-payment-intent', async (req, res) => {
-  const { anonymousId, shipping, promoCode } = req.body;
+  const { anonymousId, shipping, promoCode, shippingMethodId } = req.body;
 
   if (!anonymousId) {
     return res.status(400).json({ error: 'anonymousId is required' });
@@ -143,27 +222,14 @@ router.post('/create-payment-intent', async (req, res) => {
       return res.status(400).json({ error: 'Cart is empty' });
     }
 
-    // 3. Fetch variant prices
-    const variantIds = [...new Set(cartItems.map((i) => i.variant_id))];
-    const { data: variants } = await supabaseAdmin
-      .from('product_variants')
-      .select('id, price_cents')
-      .in('id', variantIds);
-
-    const priceMap = {};
-    (variants || []).forEach((v) => { priceMap[v.id] = v.price_cents; });
-
-    // 4. Calculate subtotal
-    const subtotalCents = cartItems.reduce(
-      (sum, item) => sum + (priceMap[item.variant_id] || 0) * item.quantity,
-      0
-    );
+    // 3. Price items server-side (quantity tiers + decoration surcharges)
+    const { lines: pricedLines, subtotalCents } = await priceItems(cartItems);
 
     if (subtotalCents < 50) {
       return res.status(400).json({ error: 'Order total is below the minimum ($0.50)' });
     }
 
-    // 4b. Apply promo code if provided
+    // 4. Apply promo code if provided
     let discountCents = 0;
     let appliedPromoCode = null;
     if (promoCode) {
@@ -175,32 +241,90 @@ router.post('/create-payment-intent', async (req, res) => {
         return res.status(err.statusCode || 400).json({ error: err.message });
       }
     }
-    const finalAmountCents = subtotalCents - discountCents;
 
-    // 5. Check for an existing pending order/PaymentIntent for this cart
+    // 5. Shipping for the chosen method (none until the customer has an address)
+    if (shipping?.line1 && !shippingMethodId) {
+      return res.status(400).json({ error: 'Please choose a shipping method' });
+    }
+    let shippingRate = null;
+    if (shippingMethodId) {
+      try {
+        shippingRate = await resolveShippingRate(shipping, cartItems, subtotalCents, shippingMethodId);
+      } catch (err) {
+        if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+        throw err;
+      }
+    }
+    const shippingCents = shippingRate ? shippingRate.amountCents : 0;
+
+    // 6. Sales tax for the destination
+    const { taxCents, taxLines } = shipping?.country && shipping?.state
+      ? await calculateTax({
+        address: shipping,
+        lines: pricedLines,
+        subtotalCents,
+        discountCents,
+        shippingCents,
+      })
+      : { taxCents: 0, taxLines: [] };
+
+    const finalAmountCents = subtotalCents - discountCents + shippingCents + taxCents;
+
+    // Written on the order alongside the address
+    const chargeColumns = {
+      shipping_method_id: shippingRate ? shippingRate.methodId : null,
+      shipping_method_name: shippingRate ? shippingRate.name : null,
+      shipping_cents: shippingCents,
+      tax_lines: taxLines,
+      tax_cents: taxCents,
+      total_cents: finalAmountCents,
+    };
+
+    // 7. Check for an existing unpaid order/PaymentIntent for this cart
+    //    (a payment_failed order is retried on the same PaymentIntent)
     const { data: existingOrder } = await supabaseAdmin
       .from('orders')
-      .select('id, stripe_payment_intent_id')
+      .select('id, status, stripe_payment_intent_id')
       .eq('cart_id', cart.id)
-      .eq('status', 'pending')
+      .in('status', ['pending', 'payment_failed'])
       .maybeSingle();
 
+    const buildOrderItems = (orderId) => cartItems.map((item, idx) => ({
+      order_id: orderId,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      price_cents: pricedLines[idx].unitPriceCents,
+      price_breakdown: toBreakdown(pricedLines[idx]),
+      config: item.config || {},
+    }));
+
     let paymentIntent;
 
     if (existingOrder?.stripe_payment_intent_id) {
+      // Re-hold stock for the current cart before touching the PaymentIntent
+      try {
+        await reserveOrderStock(existingOrder.id, cartItems);
+      } catch (err) {
+        if (err.statusCode === 409) return sendStockConflict(res, err);
+        throw err;
+      }
+
       // Reuse + sync amount in case cart or promo changed
       paymentIntent = await stripe.paymentIntents.update(
         existingOrder.stripe_payment_intent_id,
         { amount: finalAmountCents }
       );
 
-      // Update order with latest shipping + promo info
+      // Update order with latest shipping + promo info (a payment_failed
+      // order goes back to pending for the retry).
       // Only write promo columns if a code was actually applied (avoids errors
       // when the DB migration hasn't been run yet).
-      await supabaseAdmin
-        .from('orders')
-        .update({
+      await transitionOrderStatus(existingOrder, 'pending', {
+        actor: 'customer',
+        note: 'Payment retried',
+        fields: {
           subtotal_cents: subtotalCents,
+          ...chargeColumns,
           ...(appliedPromoCode != null && { discount_cents: discountCents, promo_code: appliedPromoCode }),
           ...(shipping && {
             shipping_name: shipping.name || null,
@@ -212,9 +336,13 @@ router.post('/create-payment-intent', async (req, res) => {
             shipping_postal_code: shipping.postal_code || null,
             shipping_country: shipping.country || 'US',
           }),
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', existingOrder.id);
+        },
+      });
+
+      // Keep order items in sync with the cart the hold was built from
+      await supabaseAdmin.from('order_items').delete().eq('order_id', existingOrder.id);
+      const { error: oiErr } = await supabaseAdmin.from('order_items').insert(buildOrderItems(existingOrder.id));
+      if (oiErr) console.error('[checkout] Failed to refresh order items:', oiErr);
     } else {
       // Create new PaymentIntent
       paymentIntent = await stripe.paymentIntents.create({
@@ -236,6 +364,7 @@ router.post('/create-payment-intent', async (req, res) => {
           user_id: userId,
           status: 'pending',
           subtotal_cents: subtotalCents,
+          ...chargeColumns,
           ...(appliedPromoCode != null && { discount_cents: discountCents, promo_code: appliedPromoCode }),
           stripe_payment_intent_id: paymentIntent.id,
           shipping_name: shipping?.name || null,
@@ -254,16 +383,23 @@ router.post('/create-payment-intent', async (req, res) => {
         console.error('[checkout] Failed to create order record:', orderErr);
         // Non-fatal — still return clientSecret
       } else if (newOrder) {
+        await recordStatusHistory(newOrder.id, null, 'pending', { actor: 'customer', note: 'Checkout started' });
+
         // Insert order items
-        const orderItems = cartItems.map((item) => ({
-          order_id: newOrder.id,
-          variant_id: item.variant_id,
-          quantity: item.quantity,
-          price_cents: priceMap[item.variant_id] || 0,
-          config: item.config || {},
-        }));
-        const { error: oiErr } = await supabaseAdmin.from('order_items').insert(orderItems);
+        const { error: oiErr } = await supabaseAdmin.from('order_items').insert(buildOrderItems(newOrder.id));
         if (oiErr) console.error('[checkout] Failed to insert order items:', oiErr);
+
+        // Hold stock; if it's gone, undo the order + PaymentIntent
+        try {
+          await reserveOrderStock(newOrder.id, cartItems);
+        } catch (err) {
+          if (err.statusCode !== 409) throw err;
+          await supabaseAdmin.from('orders').delete().eq('id', newOrder.id);
+          await stripe.paymentIntents.cancel(paymentIntent.id).catch((cancelErr) => {
+            console.error('[checkout] Failed to cancel PaymentIntent:', cancelErr.message);
+          });
+          return sendStockConflict(res, err);
+        }
       }
     }
 
@@ -272,6 +408,10 @@ router.post('/create-payment-intent', async (req, res) => {
       totalCents: finalAmountCents,
       subtotalCents,
       discountCents,
+      shippingCents,
+      shippingMethodId: shippingRate ? shippingRate.methodId : null,
+      taxCents,
+      taxLines,
       cartId: cart.id,
     });
   } catch (err) {
@@ -280,9 +420,329 @@ router.post('/create-payment-intent', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Webhook helpers
+// ─────────────────────────────────────────────────────────────
+async function findOrderByPaymentIntent(paymentIntentId, columns = 'id, status') {
+  if (!paymentIntentId) return null;
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select(columns)
+    .eq('stripe_payment_intent_id', paymentIntentId)
+    .maybeSingle();
+  if (error) throw error;
+  return order || null;
+}
+
+// Append to the order's payment history (order_events).
+// Non-fatal — the status change matters more than the log line.
+async function recordOrderEvent(orderId, event, summary, data = {}) {
+  const { error } = await supabaseAdmin
+    .from('order_events')
+    .insert({
+      order_id: orderId,
+      type: event.type,
+      stripe_event_id: event.id,
+      summary,
+      data,
+    });
+  if (error) console.error('[webhook] Failed to record order event:', error.message);
+}
+
+// Move the order to `status` if the state machine allows it from where
+// it is now; otherwise only `fields` are written. A webhook reports
+// something that already happened at Stripe, so an out-of-order event
+// is logged rather than failed (and retried forever).
+async function setOrderStatus(order, status, { fields = {}, note } = {}) {
+  if (canTransition(order.status, status)) {
+    await transitionOrderStatus(order, status, { actor: 'stripe', note, fields });
+    return;
+  }
+  console.warn(`[webhook] Order ${order.id} is ${order.status}; not moving it to ${status}`);
+  if (Object.keys(fields).length === 0) return;
+  const { error } = await supabaseAdmin
+    .from('orders')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', order.id);
+  if (error) throw error;
+}
+
+const formatCents = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// ─────────────────────────────────────────────────────────────
+// payment_intent.succeeded → paid
+// Commits the stock hold, counts the promo use and sends the
+// confirmation email.
+// ─────────────────────────────────────────────────────────────
+async function handlePaymentSucceeded(event) {
+  const pi = event.data.object;
+
+  // 1. Mark order as paid
+  const order = await findOrderByPaymentIntent(
+    pi.id,
+    'id, status, shipping_name, shipping_email, shipping_line1, shipping_line2, shipping_city, shipping_state, shipping_postal_code, shipping_country, subtotal_cents, shipping_cents, shipping_method_name, tax_lines'
+  );
+  if (!order) return null;
+
+  if (!canTransition(order.status, 'paid')) {
+    // Already further along (e.g. shipped) or cancelled — don't wind it back
+    console.warn(`[webhook] Order ${order.id} is ${order.status}; ignoring payment success for PI: ${pi.id}`);
+    return order.id;
+  }
+  await transitionOrderStatus(order, 'paid', {
+    actor: 'stripe',
+    note: `Payment of ${formatCents(pi.amount)} succeeded`,
+  });
+
+  console.log(`[webhook] Order paid for PI: ${pi.id}`);
+
+  // Turn the stock hold into a real decrement
+  try {
+    await commitOrderStock(order.id);
+  } catch (stockErr) {
+    console.error('[webhook] Failed to commit stock:', stockErr.message);
+  }
+
+  await recordOrderEvent(order.id, event, `Payment of ${formatCents(pi.amount)} succeeded`, {
+    amountCents: pi.amount,
+  });
+
+  // Increment promo code uses_count if one was applied (requires migration)
+  // Look up the promo_code on the order separately to avoid SELECT errors
+  // when the column may not exist yet.
+  try {
+    const { data: orderPromo } = await supabaseAdmin
+      .from('orders')
+      .select('promo_code')
+      .eq('id', order.id)
+      .maybeSingle();
+    if (orderPromo?.promo_code) {
+      const { data: promo } = await supabaseAdmin
+        .from('promo_codes')
+        .select('id, uses_count')
+        .ilike('code', orderPromo.promo_code)
+        .maybeSingle();
+      if (promo) {
+        await supabaseAdmin
+          .from('promo_codes')
+          .update({ uses_count: promo.uses_count + 1 })
+          .eq('id', promo.id);
+      }
+    }
+  } catch (promoErr) {
+    // Non-fatal — promo columns may not exist yet (migration pending)
+  }
+
+  // 2. Send confirmation email if we have an email address and SMTP is configured
+  if (order?.shipping_email && process.env.SMTP_HOST && process.env.SMTP_USER) {
+    try {
+      // Fetch order items with product names
+      const { data: items } = await supabaseAdmin
+        .from('order_items')
+        .select('quantity, price_cents, price_breakdown, config, product_variants(size, color_name, products(name))')
+        .eq('order_id', order.id);
+
+      const storeName = process.env.STORE_NAME || 'PrintShop';
+      const orderRef = order.id.slice(0, 8).toUpperCase();
+      // pi.amount is the actual amount charged by Stripe (already includes any discount)
+      const totalFormatted = `$${(pi.amount / 100).toFixed(2)}`;
+      const shippingFormatted = order.shipping_cents > 0 ? `$${(order.shipping_cents / 100).toFixed(2)}` : 'Free';
+      const taxRows = (order.tax_lines || []).map((l) => `
+                <p style="margin:0 0 6px;font-size:14px;color:#64748b">${l.name} (${+(l.rate * 100).toFixed(3)}%): $${(l.amountCents / 100).toFixed(2)}</p>`).join('');
+
+      const itemRows = (items || []).map((item) => {
+        const name = item.product_variants?.products?.name || 'Custom T-Shirt';
+        const size = item.product_variants?.size || '';
+        const color = item.product_variants?.color_name || '';
+        const lineCents = item.price_breakdown?.lineTotalCents ?? item.price_cents * item.quantity;
+        const lineTotal = `$${(lineCents / 100).toFixed(2)}`;
+        const extras = (item.price_breakdown?.surcharges || []).map((s) => {
+          const label = SURCHARGE_LABELS[s.code] || s.code;
+          return s.perUnitCents
+            ? `${label} +$${(s.perUnitCents / 100).toFixed(2)}/ea`
+            : `${label} $${(s.flatCents / 100).toFixed(2)}`;
+        }).join(' · ');
+        return `
+          <tr>
+            <td style="padding:10px 0;border-bottom:1px solid #f1f5f9;color:#1e293b">
+              ${name}${size ? ` — ${size}` : ''}${color ? ` / ${color}` : ''}
+              ${extras ? `<br><span style="font-size:12px;color:#94a3b8">${extras}</span>` : ''}
+            </td>
+            <td style="padding:10px 0;border-bottom:1px solid #f1f5f9;color:#64748b;text-align:center">×${item.quantity}</td>
+            <td style="padding:10px 0;border-bottom:1px solid #f1f5f9;color:#1e293b;text-align:right">${lineTotal}</td>
+          </tr>`;
+      }).join('');
+
+      const shippingLines = [
+        order.shipping_name,
+        order.shipping_line1,
+        order.shipping_line2,
+        [order.shipping_city, order.shipping_state, order.shipping_postal_code].filter(Boolean).join(', '),
+        order.shipping_country,
+      ].filter(Boolean).join('<br>');
+
+      await transporter.sendMail({
+        from: process.env.SMTP_FROM || `"${storeName}" <${process.env.SMTP_USER}>`,
+        to: order.shipping_email,
+        subject: `Order confirmed — ${storeName} #${orderRef}`,
+        text: `Thanks for your order!\n\nOrder #${orderRef}\nTotal: ${totalFormatted}\n\nWe'll send you a shipping update when your order is on its way.`,
+        html: `
+          <div style="font-family:sans-serif;max-width:560px;margin:0 auto;color:#1e293b">
+            <div style="background:#4f46e5;padding:32px;text-align:center;border-radius:8px 8px 0 0">
+              <h1 style="color:#fff;margin:0;font-size:22px">${storeName}</h1>
+            </div>
+            <div style="padding:32px;background:#fff;border:1px solid #e2e8f0;border-top:none;border-radius:0 0 8px 8px">
+              <h2 style="margin:0 0 8px;font-size:20px">Order confirmed!</h2>
+              <p style="color:#64748b;margin:0 0 24px">Thanks, ${order.shipping_name?.split(' ')[0] || 'there'}. We've received your order and will start printing right away.</p>
+
+              <div style="background:#f8fafc;border-radius:6px;padding:16px;margin-bottom:24px">
+                <p style="margin:0;font-size:13px;color:#94a3b8;text-transform:uppercase;letter-spacing:.05em">Order reference</p>
+                <p style="margin:4px 0 0;font-size:20px;font-weight:700;letter-spacing:.1em;color:#4f46e5">#${orderRef}</p>
+              </div>
+
+              <table style="width:100%;border-collapse:collapse;margin-bottom:16px">
+                <thead>
+                  <tr>
+                    <th style="text-align:left;font-size:12px;color:#94a3b8;font-weight:600;padding-bottom:8px;text-transform:uppercase">Item</th>
+                    <th style="text-align:center;font-size:12px;color:#94a3b8;font-weight:600;padding-bottom:8px;text-transform:uppercase">Qty</th>
+                    <th style="text-align:right;font-size:12px;color:#94a3b8;font-weight:600;padding-bottom:8px;text-transform:uppercase">Price</th>
+                  </tr>
+                </thead>
+                <tbody>${itemRows}</tbody>
+              </table>
+
+              <div style="text-align:right;padding-top:12px;border-top:2px solid #e2e8f0">
+                <p style="margin:0 0 6px;font-size:14px;color:#64748b">Shipping${order.shipping_method_name ? ` (${order.shipping_method_name})` : ''}: ${shippingFormatted}</p>${taxRows}
+                <span style="font-size:15px;font-weight:700">Total: ${totalFormatted}</span>
+              </div>
+
+              <div style="margin-top:28px;padding-top:20px;border-top:1px solid #f1f5f9">
+                <p style="font-size:13px;color:#94a3b8;margin:0 0 6px;text-transform:uppercase;letter-spacing:.05em">Shipping to</p>
+                <p style="margin:0;line-height:1.6;color:#475569;font-size:14px">${shippingLines}</p>
+              </div>
+
+              <div style="margin-top:28px;background:#f0fdf4;border-radius:6px;padding:16px">
+                <p style="margin:0;font-size:14px;color:#166534">
+                  Printed &amp; shipped within <strong>48 hours</strong>. You'll receive a tracking number by email once dispatched.
+                </p>
+              </div>
+
+              <p style="margin-top:28px;font-size:13px;color:#94a3b8;text-align:center">
+                Questions? Reply to this email or visit your <a href="${process.env.FRONTEND_URL}/account" style="color:#4f46e5">account page</a>.
+              </p>
+            </div>
+          </div>
+        `,
+      });
+      console.log(`[webhook] Confirmation email sent to ${order.shipping_email}`);
+    } catch (mailErr) {
+      console.error('[webhook] Failed to send confirmation email:', mailErr.message);
+    }
+  }
+  return order.id;
+}
+
+// ─────────────────────────────────────────────────────────────
+// payment_intent.payment_failed → payment_failed
+// payment_intent.canceled       → cancelled
+// Either way the stock hold is released; create-payment-intent
+// re-reserves if the customer retries.
+// ─────────────────────────────────────────────────────────────
+async function handlePaymentIntentClosed(event) {
+  const pi = event.data.object;
+  const order = await findOrderByPaymentIntent(pi.id);
+  if (!order) return null;
+
+  await releaseOrderStock(order.id);
+
+  // The state machine keeps a late event from undoing a successful payment
+  if (event.type === 'payment_intent.payment_failed') {
+    const reason = pi.last_payment_error?.message || 'Payment failed';
+    await setOrderStatus(order, 'payment_failed', { note: reason });
+    await recordOrderEvent(order.id, event, reason, {
+      code: pi.last_payment_error?.code || null,
+      declineCode: pi.last_payment_error?.decline_code || null,
+    });
+  } else {
+    await setOrderStatus(order, 'cancelled', { note: 'Payment canceled' });
+    await recordOrderEvent(order.id, event, 'Payment canceled', {
+      reason: pi.cancellation_reason || null,
+    });
+  }
+  console.log(`[webhook] ${event.type} for PI: ${pi.id} (stock released)`);
+  return order.id;
+}
+
+// ─────────────────────────────────────────────────────────────
+// charge.refunded → refunded | partially_refunded
+// amount_refunded is cumulative, so replays are harmless.
+// ─────────────────────────────────────────────────────────────
+async function handleChargeRefunded(event) {
+  const charge = event.data.object;
+  const order = await findOrderByPaymentIntent(charge.payment_intent);
+  if (!order) return null;
+
+  const fullyRefunded = charge.amount_refunded >= charge.amount;
+  const summary = `${fullyRefunded ? 'Refunded' : 'Partially refunded'} ${formatCents(charge.amount_refunded)} of ${formatCents(charge.amount)}`;
+  await setOrderStatus(order, fullyRefunded ? 'refunded' : 'partially_refunded', {
+    fields: { refunded_cents: charge.amount_refunded },
+    note: summary,
+  });
+  await recordOrderEvent(
+    order.id,
+    event,
+    summary,
+    { chargeId: charge.id, amountRefundedCents: charge.amount_refunded, amountCents: charge.amount }
+  );
+  console.log(`[webhook] Charge refunded for PI: ${charge.payment_intent}`);
+  return order.id;
+}
+
+// ─────────────────────────────────────────────────────────────
+// charge.dispute.created → disputed
+// ─────────────────────────────────────────────────────────────
+async function handleDisputeCreated(event) {
+  const dispute = event.data.object;
+  let paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId && dispute.charge) {
+    const charge = await stripe.charges.retrieve(dispute.charge);
+    paymentIntentId = charge.payment_intent;
+  }
+  const order = await findOrderByPaymentIntent(paymentIntentId);
+  if (!order) return null;
+
+  const summary = `Dispute opened: ${dispute.reason || 'unknown reason'} (${formatCents(dispute.amount)})`;
+  await setOrderStatus(order, 'disputed', { note: summary });
+  await recordOrderEvent(
+    order.id,
+    event,
+    summary,
+    { disputeId: dispute.id, reason: dispute.reason, amountCents: dispute.amount, dueBy: dispute.evidence_details?.due_by || null }
+  );
+  console.log(`[webhook] Dispute created for PI: ${paymentIntentId}`);
+  return order.id;
+}
+
+// Handlers return the id of the order they touched (null → ignored)
+const WEBHOOK_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentClosed,
+  'payment_intent.canceled': handlePaymentIntentClosed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+};
+
 // ─────────────────────────────────────────────────────────────
 // Webhook handler (called from server.js with raw body)
-// Handles: payment_intent.succeeded
+// Handles: payment_intent.succeeded       → paid, stock committed
+//          payment_intent.payment_failed  → payment_failed, stock released
+//          payment_intent.canceled        → cancelled, stock released
+//          charge.refunded                → refunded / partially_refunded
+//          charge.dispute.created         → disputed
+// Every handled event is added to the order's history (order_events).
+// Deliveries are de-duplicated by event id through the stripe_events
+// ledger; a handler error is recorded there and answered with 500 so
+// Stripe retries it.
 // ─────────────────────────────────────────────────────────────
 async function handleWebhook(req, res) {
   const sig = req.headers['stripe-signature'];
@@ -301,146 +761,27 @@ async function handleWebhook(req, res) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === 'payment_intent.succeeded') {
-    const pi = event.data.object;
-    try {
-      // 1. Mark order as paid
-      const { data: order, error } = await supabaseAdmin
-        .from('orders')
-        .update({ status: 'paid', updated_at: new Date().toISOString() })
-        .eq('stripe_payment_intent_id', pi.id)
-        .select('id, shipping_name, shipping_email, shipping_line1, shipping_line2, shipping_city, shipping_state, shipping_postal_code, shipping_country, subtotal_cents')
-        .single();
-
-      if (error) {
-        console.error('[webhook] Failed to update order status:', error);
-      } else {
-        console.log(`[webhook] Order paid for PI: ${pi.id}`);
+  // Stripe retries deliveries — each event id is handled once
+  const claimed = await claimStripeEvent(event);
+  if (!claimed) {
+    console.log(`[webhook] Skipping duplicate ${event.type} (${event.id})`);
+    return res.json({ received: true, duplicate: true });
+  }
 
-        // Increment promo code uses_count if one was applied (requires migration)
-        // Look up the promo_code on the order separately to avoid SELECT errors
-        // when the column may not exist yet.
-        try {
-          const { data: orderPromo } = await supabaseAdmin
-            .from('orders')
-            .select('promo_code')
-            .eq('id', order.id)
-            .maybeSingle();
-          if (orderPromo?.promo_code) {
-            const { data: promo } = await supabaseAdmin
-              .from('promo_codes')
-              .select('id, uses_count')
-              .ilike('code', orderPromo.promo_code)
-              .maybeSingle();
-            if (promo) {
-              await supabaseAdmin
-                .from('promo_codes')
-                .update({ uses_count: promo.uses_count + 1 })
-                .eq('id', promo.id);
-            }
-          }
-        } catch (promoErr) {
-          // Non-fatal — promo columns may not exist yet (migration pending)
-        }
+  const handler = WEBHOOK_HANDLERS[event.type];
+  if (!handler) {
+    await finishStripeEvent(event.id, 'ignored');
+    return res.json({ received: true });
+  }
 
-        // 2. Send confirmation email if we have an email address and SMTP is configured
-        if (order?.shipping_email && process.env.SMTP_HOST && process.env.SMTP_USER) {
-          try {
-            // Fetch order items with product names
-            const { data: items } = await supabaseAdmin
-              .from('order_items')
-              .select('quantity, price_cents, config, product_variants(size, color, products(name))')
-              .eq('order_id', order.id);
-
-            const storeName = process.env.STORE_NAME || 'PrintShop';
-            const orderRef = order.id.slice(0, 8).toUpperCase();
-            // pi.amount is the actual amount charged by Stripe (already includes any discount)
-            const totalFormatted = `$${(pi.amount / 100).toFixed(2)}`;
-
-            const itemRows = (items || []).map((item) => {
-              const name = item.product_variants?.products?.name || 'Custom T-Shirt';
-              const size = item.product_variants?.size || '';
-              const color = item.product_variants?.color || '';
-              const lineTotal = `$${((item.price_cents * item.quantity) / 100).toFixed(2)}`;
-              return `
-                <tr>
-                  <td style="padding:10px 0;border-bottom:1px solid #f1f5f9;color:#1e293b">
-                    ${name}${size ? ` — ${size}` : ''}${color ? ` / ${color}` : ''}
-                  </td>
-                  <td style="padding:10px 0;border-bottom:1px solid #f1f5f9;color:#64748b;text-align:center">×${item.quantity}</td>
-                  <td style="padding:10px 0;border-bottom:1px solid #f1f5f9;color:#1e293b;text-align:right">${lineTotal}</td>
-                </tr>`;
-            }).join('');
-
-            const shippingLines = [
-              order.shipping_name,
-              order.shipping_line1,
-              order.shipping_line2,
-              [order.shipping_city, order.shipping_state, order.shipping_postal_code].filter(Boolean).join(', '),
-              order.shipping_country,
-            ].filter(Boolean).join('<br>');
-
-            await transporter.sendMail({
-              from: process.env.SMTP_FROM || `"${storeName}" <${process.env.SMTP_USER}>`,
-              to: order.shipping_email,
-              subject: `Order confirmed — ${storeName} #${orderRef}`,
-              text: `Thanks for your order!\n\nOrder #${orderRef}\nTotal: ${totalFormatted}\n\nWe'll send you a shipping update when your order is on its way.`,
-              html: `
-                <div style="font-family:sans-serif;max-width:560px;margin:0 auto;color:#1e293b">
-                  <div style="background:#4f46e5;padding:32px;text-align:center;border-radius:8px 8px 0 0">
-                    <h1 style="color:#fff;margin:0;font-size:22px">${storeName}</h1>
-                  </div>
-                  <div style="padding:32px;background:#fff;border:1px solid #e2e8f0;border-top:none;border-radius:0 0 8px 8px">
-                    <h2 style="margin:0 0 8px;font-size:20px">Order confirmed!</h2>
-                    <p style="color:#64748b;margin:0 0 24px">Thanks, ${order.shipping_name?.split(' ')[0] || 'there'}. We've received your order and will start printing right away.</p>
-
-                    <div style="background:#f8fafc;border-radius:6px;padding:16px;margin-bottom:24px">
-                      <p style="margin:0;font-size:13px;color:#94a3b8;text-transform:uppercase;letter-spacing:.05em">Order reference</p>
-                      <p style="margin:4px 0 0;font-size:20px;font-weight:700;letter-spacing:.1em;color:#4f46e5">#${orderRef}</p>
-                    </div>
-
-                    <table style="width:100%;border-collapse:collapse;margin-bottom:16px">
-                      <thead>
-                        <tr>
-                          <th style="text-align:left;font-size:12px;color:#94a3b8;font-weight:600;padding-bottom:8px;text-transform:uppercase">Item</th>
-                          <th style="text-align:center;font-size:12px;color:#94a3b8;font-weight:600;padding-bottom:8px;text-transform:uppercase">Qty</th>
-                          <th style="text-align:right;font-size:12px;color:#94a3b8;font-weight:600;padding-bottom:8px;text-transform:uppercase">Price</th>
-                        </tr>
-                      </thead>
-                      <tbody>${itemRows}</tbody>
-                    </table>
-
-                    <div style="text-align:right;padding-top:12px;border-top:2px solid #e2e8f0">
-                      <span style="font-size:15px;font-weight:700">Total: ${totalFormatted}</span>
-                    </div>
-
-                    <div style="margin-top:28px;padding-top:20px;border-top:1px solid #f1f5f9">
-                      <p style="font-size:13px;color:#94a3b8;margin:0 0 6px;text-transform:uppercase;letter-spacing:.05em">Shipping to</p>
-                      <p style="margin:0;line-height:1.6;color:#475569;font-size:14px">${shippingLines}</p>
-                    </div>
-
-                    <div style="margin-top:28px;background:#f0fdf4;border-radius:6px;padding:16px">
-                      <p style="margin:0;font-size:14px;color:#166534">
-                        Printed &amp; shipped within <strong>48 hours</strong>. You'll receive a tracking number by email once dispatched.
-                      </p>
-                    </div>
-
-                    <p style="margin-top:28px;font-size:13px;color:#94a3b8;text-align:center">
-                      Questions? Reply to this email or visit your <a href="${process.env.FRONTEND_URL}/account" style="color:#4f46e5">account page</a>.
-                    </p>
-                  </div>
-                </div>
-              `,
-            });
-            console.log(`[webhook] Confirmation email sent to ${order.shipping_email}`);
-          } catch (mailErr) {
-            console.error('[webhook] Failed to send confirmation email:', mailErr.message);
-          }
-        }
-      }
-    } catch (err) {
-      console.error('[webhook] Unexpected error:', err);
-    }
+  try {
+    const orderId = await handler(event);
+    await finishStripeEvent(event.id, orderId ? 'processed' : 'ignored', { orderId });
+  } catch (err) {
+    console.error(`[webhook] Failed to handle ${event.type}:`, err);
+    await finishStripeEvent(event.id, 'failed', { error: err.message });
+    // Non-2xx makes Stripe redeliver; the ledger lets the retry through
+    return res.status(500).json({ error: 'Webhook handler failed' });
   }
 
   return res.json({ received: true });
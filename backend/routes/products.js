@@ -2,13 +2,31 @@
 // ─────────────────────────────────────────────────────────────
 // Product Detail Page – Backend Routes
 // Mounted at: /api/products
-// Env vars: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+// Env vars: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY,
+//           SVG_PROOFS (optional, 'false' skips PNG proofs of SVG uploads)
 // ─────────────────────────────────────────────────────────────
 
+const crypto = require('crypto');
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { fetchPriceTiers, tiersForVariant, priceItems, toBreakdown } = require('../lib/pricing');
+const { preflightDesign } = require('../lib/preflight');
+const { sanitizeSvg, renderSvgProof } = require('../lib/svgSanitizer');
+const { fetchPrintAreas, resolvePrintArea } = require('../lib/printAreas');
+const { ROSTER_CATEGORIES, cleanRoster } = require('../lib/roster');
+const { configFingerprint, mergeKey, stampPrintAreas } = require('../lib/cartLines');
+const { assertOwnUploads } = require('../lib/savedDesigns');
 const router = express.Router();
 
+// Variants per POST /cart/items/bulk (a size mix or roster of one design)
+const MAX_BULK_ITEMS = 20;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
 // Admin client (service role) – NEVER expose to frontend
 const supabaseAdmin = createClient(
   process.env.SUPABASE_URL,
@@ -73,7 +91,9 @@ router.get('/', async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────
 // GET /api/products/:slug
-// Returns product + all variants + all images
+// Returns product + all variants + all images + print areas
+// ({ [angle]: { xPct, yPct, wPct, hPct, widthIn, heightIn } },
+// defaults filled in — see lib/printAreas.js)
 // ─────────────────────────────────────────────────────────────
 router.get('/:slug', async (req, res) => {
   const { slug } = req.params;
@@ -81,7 +101,7 @@ router.get('/:slug', async (req, res) => {
   try {
     const { data: product, error: pErr } = await supabaseAdmin
       .from('products')
-      .select('*')
+      .select('*, categories(slug)')
       .eq('slug', slug)
       .single();
 
@@ -89,7 +109,7 @@ router.get('/:slug', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    const [{ data: variants }, { data: images }] = await Promise.all([
+    const [{ data: variants }, { data: images }, printAreas] = await Promise.all([
       supabaseAdmin
         .from('product_variants')
         .select('*')
@@ -101,9 +121,10 @@ router.get('/:slug', async (req, res) => {
         .select('*')
         .eq('product_id', product.id)
         .order('sort_order'),
+      fetchPrintAreas(product.id),
     ]);
 
-    return res.json({ product, variants: variants || [], images: images || [] });
+    return res.json({ product, variants: variants || [], images: images || [], printAreas });
   } catch (err) {
     console.error('[GET /products/:slug]', err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -162,6 +183,64 @@ router.get('/:slug/related', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// GET /api/products/:slug/pricing?variantId=xxx&quantity=n&decoration=dtg&sides=front,back
+// Server-side price quote for the PDP quantity selector.
+// sides = print locations that carry a design (drives surcharges;
+//         see PRINT_LOCATIONS in lib/printAreas.js)
+// Returns: { variantId, quantity, ...breakdown (see lib/pricing toBreakdown),
+//            tiers: [{ min_qty, price_cents }],
+//            nextTier: { min_qty, price_cents } | null }
+// ─────────────────────────────────────────────────────────────
+router.get('/:slug/pricing', async (req, res) => {
+  const { slug } = req.params;
+  const { variantId, decoration } = req.query;
+  const sides = String(req.query.sides || '').split(',').filter(Boolean);
+  const quantity = Math.max(1, parseInt(req.query.quantity, 10) || 1);
+
+  if (!variantId) {
+    return res.status(400).json({ error: 'variantId is required' });
+  }
+
+  try {
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id')
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    const { data: variant } = await supabaseAdmin
+      .from('product_variants')
+      .select('id, product_id, price_cents')
+      .eq('id', variantId)
+      .eq('product_id', product.id)
+      .maybeSingle();
+
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+
+    const tiersByProduct = await fetchPriceTiers([product.id]);
+    const tiers = tiersForVariant(variant, tiersByProduct[product.id]);
+    // Minimal config: printedSides() only checks that a side is present
+    const config = { decoration: decoration || 'dtg' };
+    sides.forEach((side) => { config[side] = {}; });
+    const { lines: [line] } = await priceItems([{ variant_id: variant.id, quantity, config }]);
+    const next = tiers.find((t) => t.min_qty > quantity) || null;
+
+    return res.json({
+      variantId: variant.id,
+      quantity,
+      ...toBreakdown(line),
+      tiers: tiers.map((t) => ({ min_qty: t.min_qty, price_cents: t.price_cents })),
+      nextTier: next && { min_qty: next.min_qty, price_cents: next.price_cents },
+    });
+  } catch (err) {
+    console.error('[GET /products/:slug/pricing]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // GET /api/products/:slug/reviews
 // Returns all reviews for a product (newest first)
@@ -310,11 +389,20 @@ router.post('/upload/sign', async (req, res) => {
 
 // ─────────────────────────────────────────────────────────────
 // POST /api/products/upload/confirm
-// Body: { storagePath, filename, fileSize, mimeType, userId?, anonymousId? }
-// Verifies file exists in storage and creates audit record
+// Body: { storagePath, filename, fileSize, mimeType, userId?, anonymousId?,
+//         productId?, side?, placement?, source? }
+// Returns: { success, storagePath, previewUrl, uploadId, preflight,
+//            proofPath, proofUrl }
+// Verifies file exists in storage, replaces SVGs with their
+// sanitized copy (and stores a PNG proof next to them unless SVG_PROOFS=false),
+// preflights it (lib/preflight.js — productId/side/placement are
+// where it's going, for the DPI check) and creates audit record.
+// source is 'text' for PNGs rendered from text layers, which are
+// left out of the customer's saved designs; default 'upload'.
+// Files that can't be read or sanitized are deleted and rejected.
 // ─────────────────────────────────────────────────────────────
 router.post('/upload/confirm', async (req, res) => {
-  const { storagePath, filename, fileSize, mimeType, userId, anonymousId } = req.body;
+  const { storagePath, filename, fileSize, mimeType, userId, anonymousId, productId, side, placement, source } = req.body;
 
   if (!storagePath || !filename) {
     return res.status(400).json({ error: 'storagePath and filename are required' });
@@ -335,6 +423,56 @@ router.post('/upload/confirm', async (req, res) => {
       return res.status(400).json({ error: 'File not found in storage' });
     }
 
+    const { data: blob, error: downloadErr } = await supabaseAdmin.storage
+      .from('designs')
+      .download(storagePath);
+    if (downloadErr) throw downloadErr;
+    let buffer = Buffer.from(await blob.arrayBuffer());
+
+    // Anything text/XML is treated as SVG whatever its declared type
+    const isSvg = /^\s*</.test(buffer.subarray(0, 256).toString('utf8').replace(/^\uFEFF/, ''));
+
+    let preflight;
+    let proofPath = null;
+    try {
+      let sanitized = [];
+      if (isSvg) {
+        // Always written back: only the serialized copy is known to
+        // hold nothing the sanitizer didn't see
+        const result = sanitizeSvg(buffer);
+        const { error: replaceErr } = await supabaseAdmin.storage
+          .from('designs')
+          .upload(storagePath, result.buffer, { contentType: 'image/svg+xml', upsert: true });
+        if (replaceErr) throw replaceErr;
+        buffer = result.buffer;
+        sanitized = result.removed;
+      }
+
+      const areas = await fetchPrintAreas(productId);
+      preflight = await preflightDesign(buffer, {
+        area: resolvePrintArea(null, side, areas),
+        placement: placement && typeof placement === 'object' ? placement : undefined,
+        sanitized,
+      });
+
+      if (isSvg && process.env.SVG_PROOFS !== 'false') {
+        const proof = await renderSvgProof(buffer);
+        proofPath = storagePath.replace(/\.svg$/i, '') + '_proof.png';
+        const { error: proofErr } = await supabaseAdmin.storage
+          .from('designs')
+          .upload(proofPath, proof, { contentType: 'image/png', upsert: true });
+        if (proofErr) {
+          // Non-fatal – the admin falls back to the SVG itself
+          console.error('[upload/confirm] Proof upload error:', proofErr);
+          proofPath = null;
+        }
+      }
+    } catch (checkErr) {
+      if (!checkErr.statusCode) throw checkErr;
+      await supabaseAdmin.storage.from('designs').remove([storagePath]);
+      return res.status(checkErr.statusCode).json({ error: checkErr.message });
+    }
+
     // Create audit record in design_uploads
     const { data: uploadRecord, error: dbErr } = await supabaseAdmin
       .from('design_uploads')
@@ -344,7 +482,10 @@ router.post('/upload/confirm', async (req, res) => {
         storage_path: storagePath,
         filename,
         file_size: fileSize || null,
-        mime_type: mimeType || null,
+        mime_type: isSvg ? 'image/svg+xml' : mimeType || null,
+        preflight,
+        proof_path: proofPath,
+        source: source === 'text' ? 'text' : 'upload',
       })
       .select()
       .single();
@@ -358,12 +499,18 @@ router.post('/upload/confirm', async (req, res) => {
     const { data: readUrl } = await supabaseAdmin.storage
       .from('designs')
       .createSignedUrl(storagePath, 3600);
+    const { data: proofUrl } = proofPath
+      ? await supabaseAdmin.storage.from('designs').createSignedUrl(proofPath, 3600)
+      : { data: null };
 
     return res.json({
       success: true,
       storagePath,
       previewUrl: readUrl?.signedUrl || null,
       uploadId: uploadRecord?.id || null,
+      preflight,
+      proofPath,
+      proofUrl: proofUrl?.signedUrl || null,
     });
   } catch (err) {
     console.error('[upload/confirm]', err);
@@ -371,10 +518,84 @@ router.post('/upload/confirm', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// Helper: the customer's latest cart, created if they have none.
+// Without userId or anonymousId an ephemeral anonymous cart is
+// created; its id comes back as newAnonymousId.
+// Returns: { cartId, newAnonymousId }
+// ─────────────────────────────────────────────────────────────
+async function getOrCreateCart(userId, anonymousId) {
+  if (userId) {
+    const { data: existing } = await supabaseAdmin
+      .from('carts')
+      .select('id')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (existing) return { cartId: existing.id, newAnonymousId: null };
+    const { data: newCart } = await supabaseAdmin
+      .from('carts')
+      .insert({ user_id: userId })
+      .select('id')
+      .single();
+    return { cartId: newCart.id, newAnonymousId: null };
+  }
+
+  if (anonymousId) {
+    const { data: existing } = await supabaseAdmin
+      .from('carts')
+      .select('id')
+      .eq('anonymous_id', anonymousId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (existing) return { cartId: existing.id, newAnonymousId: null };
+    const { data: newCart } = await supabaseAdmin
+      .from('carts')
+      .insert({ anonymous_id: anonymousId })
+      .select('id')
+      .single();
+    return { cartId: newCart.id, newAnonymousId: null };
+  }
+
+  // Create ephemeral anonymous cart
+  const { data: newCart } = await supabaseAdmin
+    .from('carts')
+    .insert({ anonymous_id: `anon_${Date.now()}` })
+    .select('id, anonymous_id')
+    .single();
+  return { cartId: newCart.id, newAnonymousId: newCart.anonymous_id };
+}
+
+// Signed-in customer's id from an optional Bearer token, else null
+async function bearerUserId(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return null;
+  const { data: { user } } = await supabaseAdmin.auth.getUser(authHeader.slice(7)).catch(() => ({ data: {} }));
+  return user?.id ?? null;
+}
+
 // ─────────────────────────────────────────────────────────────
 // POST /api/products/cart/items
 // Body: { variantId, quantity, config, userId?, anonymousId? }
-// config shape: { backside, decoration, design_url, color, size }
+//   Authorization: Bearer <token> optional — lets the design use the
+//   signed-in customer's uploads from other devices
+// config shape: { backside, decoration, color, size,
+//                 [location]?: { layers: [{ kind, design_url, placement, ... }] } }
+// location: front, back, left_sleeve, right_sleeve, neck_label or
+// left_chest (lib/printAreas.js). Each printed side is stamped with the product's print area
+// (print_area) so later edits to the area don't move this line.
+// config.roster?: { entries: [{ name, number }] } — team roster players
+// (lib/roster.js); quantity must equal entries.length. Several sizes
+// of one design go through POST /cart/items/bulk instead.
+// A line already in the cart with the same variant and configuration
+// (lib/cartLines.js) gets the quantity added instead of a new line.
+// The design may only use the customer's own uploads
+// (lib/savedDesigns.js assertOwnUploads) — 403 otherwise.
+// Returns: { cartItem, cartId, anonymousId, merged }
 // ─────────────────────────────────────────────────────────────
 router.post('/cart/items', async (req, res) => {
   const { variantId, quantity = 1, config = {}, userId, anonymousId } = req.body;
@@ -384,72 +605,34 @@ router.post('/cart/items', async (req, res) => {
   }
 
   try {
-    // Get or create cart
-    let cartId;
-
-    if (userId) {
-      const { data: existing } = await supabaseAdmin
-        .from('carts')
-        .select('id')
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .maybeSingle();
-
-      if (existing) {
-        cartId = existing.id;
-      } else {
-        const { data: newCart } = await supabaseAdmin
-          .from('carts')
-          .insert({ user_id: userId })
-          .select('id')
-          .single();
-        cartId = newCart.id;
-      }
-    } else if (anonymousId) {
-      const { data: existing } = await supabaseAdmin
-        .from('carts')
-        .select('id')
-        .eq('anonymous_id', anonymousId)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .maybeSingle();
-
-      if (existing) {
-        cartId = existing.id;
-      } else {
-        const { data: newCart } = await supabaseAdmin
-          .from('carts')
-          .insert({ anonymous_id: anonymousId })
-          .select('id')
-          .single();
-        cartId = newCart.id;
-      }
-    } else {
-      // Create ephemeral anonymous cart
-      const { data: newCart } = await supabaseAdmin
-        .from('carts')
-        .insert({ anonymous_id: `anon_${Date.now()}` })
-        .select('id, anonymous_id')
-        .single();
-      cartId = newCart.id;
-      res.locals.newAnonymousId = newCart.anonymous_id;
-    }
+    const { cartId, newAnonymousId } = await getOrCreateCart(userId, anonymousId);
 
     // Stock check: fetch variant stock
     const { data: variant } = await supabaseAdmin
       .from('product_variants')
-      .select('stock')
+      .select('stock, product_id, products(categories(slug))')
       .eq('id', variantId)
       .single();
 
+    const lineConfig = stampPrintAreas(config, await fetchPrintAreas(variant?.product_id));
+    await assertOwnUploads(lineConfig, { userId: await bearerUserId(req), anonymousId });
+    // Only lines added together through /cart/items/bulk share a group
+    delete lineConfig.group;
+    if (config.roster !== undefined) {
+      if (!ROSTER_CATEGORIES.includes(variant?.products?.categories?.slug)) {
+        return res.status(400).json({ error: 'This product does not take team rosters' });
+      }
+      lineConfig.roster = cleanRoster(config.roster, quantity);
+    }
+
+    // Lines of this variant already in the cart
+    const { data: existingItems } = await supabaseAdmin
+      .from('cart_items')
+      .select('id, quantity, config')
+      .eq('cart_id', cartId)
+      .eq('variant_id', variantId);
+
     if (variant && variant.stock !== null) {
-      // Check existing quantity in cart for this variant
-      const { data: existingItems } = await supabaseAdmin
-        .from('cart_items')
-        .select('quantity')
-        .eq('cart_id', cartId)
-        .eq('variant_id', variantId);
       const existingQty = (existingItems || []).reduce((s, i) => s + i.quantity, 0);
       const requested = existingQty + parseInt(quantity, 10);
       if (variant.stock === 0) {
@@ -462,27 +645,167 @@ router.post('/cart/items', async (req, res) => {
       }
     }
 
-    // Insert cart item
-    const { data: cartItem, error: ciErr } = await supabaseAdmin
-      .from('cart_items')
-      .insert({ cart_id: cartId, variant_id: variantId, quantity, config })
-      .select()
-      .single();
+    // Same design on the same variant: add to that line
+    const key = mergeKey(variantId, lineConfig);
+    const match = key && (existingItems || []).find((i) => mergeKey(variantId, i.config) === key);
+
+    const { data: cartItem, error: ciErr } = match
+      ? await supabaseAdmin
+        .from('cart_items')
+        .update({ quantity: match.quantity + parseInt(quantity, 10) })
+        .eq('id', match.id)
+        .select()
+        .single()
+      : await supabaseAdmin
+        .from('cart_items')
+        .insert({ cart_id: cartId, variant_id: variantId, quantity, config: lineConfig })
+        .select()
+        .single();
 
     if (ciErr) {
       console.error('[cart/items] DB error:', ciErr);
       return res.status(500).json({ error: 'Could not add item to cart' });
     }
 
-    return res.status(201).json({
+    return res.status(match ? 200 : 201).json({
       cartItem,
       cartId,
-      anonymousId: res.locals.newAnonymousId || anonymousId || null,
+      anonymousId: newAnonymousId || anonymousId || null,
+      merged: Boolean(match),
     });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('[cart/items]', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// POST /api/products/cart/items/bulk
+// Body: { config, items: [{ variantId, quantity, roster? }], userId?, anonymousId? }
+//   Authorization: Bearer <token> optional, as for POST /cart/items
+//   One design in several sizes (PDP size mix or team roster): config
+//   as for POST /cart/items, shared by every line; each item is one
+//   variant of the product, and its size is taken from the variant.
+//   roster?  { entries: [{ name, number }] } (lib/roster.js)
+// The lines share a config.group, so screen setup is charged once
+// (lib/pricing.js). A size whose identical line is already in the
+// cart (lib/cartLines.js) adds to that line instead; the lines then
+// join the group that design already has on this product, so the
+// merged line isn't charged setup a second time. Stock check,
+// new lines and merges run in one transaction (add_cart_lines,
+// supabase/migrations/20240315_cart_add_lines.sql) — all of them or
+// none.
+// Returns: { cartItems, cartId, anonymousId }
+// 409:     { error, shortages: [{ variantId, size, available }] }
+// ─────────────────────────────────────────────────────────────
+router.post('/cart/items/bulk', async (req, res) => {
+  const { config = {}, items, userId, anonymousId } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BULK_ITEMS) {
+    return res.status(400).json({ error: `items must list 1 to ${MAX_BULK_ITEMS} variants` });
+  }
+  for (const item of items) {
+    if (!item?.variantId) return res.status(400).json({ error: 'Each item needs a variantId' });
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      return res.status(400).json({ error: 'Each item needs a quantity ≥ 1' });
+    }
+  }
+
+  try {
+    const variantIds = [...new Set(items.map((i) => i.variantId))];
+    const { data: variants, error: vErr } = await supabaseAdmin
+      .from('product_variants')
+      .select('id, size, product_id, products(categories(slug))')
+      .in('id', variantIds);
+    if (vErr) throw vErr;
+
+    const variantMap = {};
+    (variants || []).forEach((v) => { variantMap[v.id] = v; });
+    if (variantIds.some((id) => !variantMap[id])) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    const productId = variants[0].product_id;
+    if (variants.some((v) => v.product_id !== productId)) {
+      return res.status(400).json({ error: 'All items must be variants of one product' });
+    }
+
+    // Every line prints this config, so one ownership check covers them
+    const baseConfig = stampPrintAreas(config, await fetchPrintAreas(productId));
+    await assertOwnUploads(baseConfig, { userId: await bearerUserId(req), anonymousId });
+    delete baseConfig.roster;
+    const lines = items.map((item) => {
+      const variant = variantMap[item.variantId];
+      const lineConfig = { ...baseConfig, size: variant.size };
+      if (item.roster !== undefined) {
+        if (!ROSTER_CATEGORIES.includes(variant.products?.categories?.slug)) {
+          throw httpError(400, 'This product does not take team rosters');
+        }
+        lineConfig.roster = cleanRoster(item.roster, item.quantity);
+      }
+      return { variant_id: variant.id, quantity: item.quantity, config: lineConfig };
+    });
+
+    const { cartId, newAnonymousId } = await getOrCreateCart(userId, anonymousId);
+
+    // This product's lines already in the cart: identical ones to add
+    // to, and the group this design was added under before
+    const { data: productVariants, error: pvErr } = await supabaseAdmin
+      .from('product_variants')
+      .select('id')
+      .eq('product_id', productId);
+    if (pvErr) throw pvErr;
+    const { data: existingItems } = await supabaseAdmin
+      .from('cart_items')
+      .select('id, variant_id, config')
+      .eq('cart_id', cartId)
+      .in('variant_id', productVariants.map((v) => v.id));
+    const existingByKey = {};
+    (existingItems || []).forEach((i) => {
+      const key = mergeKey(i.variant_id, i.config);
+      if (key && !existingByKey[key]) existingByKey[key] = i.id;
+    });
+
+    const fingerprint = configFingerprint(baseConfig);
+    const group = (existingItems || [])
+      .find((i) => i.config?.group && configFingerprint({ ...i.config, roster: undefined }) === fingerprint)
+      ?.config.group || crypto.randomUUID();
+    lines.forEach((line) => { line.config.group = group; });
+
+    const { data: cartItems, error: ciErr } = await supabaseAdmin.rpc('add_cart_lines', {
+      p_cart_id: cartId,
+      p_lines: lines.map((line) => ({
+        ...line,
+        merge_into: existingByKey[mergeKey(line.variant_id, line.config)] || null,
+      })),
+    });
+
+    if (ciErr?.message === 'insufficient_stock') {
+      const shortages = JSON.parse(ciErr.details || '[]').map((s) => ({
+        variantId: s.variant_id,
+        size: variantMap[s.variant_id]?.size || null,
+        available: s.available,
+      }));
+      return res.status(409).json({
+        error: `Not enough stock in ${shortages.map((s) => `${s.size} (${s.available} left)`).join(', ')}`,
+        shortages,
+      });
+    }
+    if (ciErr) {
+      console.error('[cart/items/bulk] DB error:', ciErr);
+      return res.status(500).json({ error: 'Could not add items to cart' });
+    }
+
+    return res.status(201).json({
+      cartItems,
+      cartId,
+      anonymousId: newAnonymousId || anonymousId || null,
+    });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[cart/items/bulk]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,312 @@
+// backend/routes/shares.js
+// ─────────────────────────────────────────────────────────────
+// Design approval links (public)
+// Mounted at: /api/shares
+// A share freezes a PDP design so someone else — a coach signing
+// off a team's shirts — can open it by token in read-only preview
+// (/products/<slug>?share=<token>) and approve it or request
+// changes. The designer is emailed the outcome (no-op without SMTP).
+// Only signed-in designers can share, and the email goes to their
+// account address; each share takes one review, so a link can't be
+// used to send mail over and over. Shares are rate limited per
+// designer, reviews per IP and link.
+// See supabase/migrations/20240314_design_shares.sql.
+// ─────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+const express = require('express');
+const nodemailer = require('nodemailer');
+const { createClient } = require('@supabase/supabase-js');
+const { cleanDesignConfig, assertOwnUploads, signSavedDesign } = require('../lib/savedDesigns');
+const { rateLimit } = require('../lib/rateLimit');
+const router = express.Router();
+
+const supabaseAdmin = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587'),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+});
+
+const DECISIONS = ['approved', 'changes_requested'];
+const MAX_NAME = 80;
+const MAX_COMMENT = 2000;
+
+const HOUR = 60 * 60 * 1000;
+const createLimit = rateLimit({ windowMs: HOUR, max: 20, client: req => req.user.id });
+const reviewLimit = rateLimit({ windowMs: HOUR, max: 10, key: req => req.params.token });
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function cleanText(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// ── Auth middleware ───────────────────────────────────────────
+async function requireAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Sign in to share a design' });
+  }
+  const { data: { user }, error } = await supabaseAdmin.auth.getUser(authHeader.slice(7));
+  if (error || !user?.email) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  req.user = user;
+  next();
+}
+
+function shareUrl(slug, token) {
+  return `${process.env.FRONTEND_URL}/products/${slug}?share=${token}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Helper: tell the designer how the review went (no-op without SMTP)
+// ─────────────────────────────────────────────────────────────
+async function sendReviewEmail(share, product) {
+  if (!process.env.SMTP_HOST || !process.env.SMTP_USER) return;
+
+  const storeName = process.env.STORE_NAME || 'PrintShop';
+  const approved = share.status === 'approved';
+  const reviewer = share.reviewer_name || 'Your reviewer';
+  const headline = approved
+    ? `${reviewer} approved your design`
+    : `${reviewer} requested changes to your design`;
+  const viewUrl = shareUrl(product.slug, share.token);
+  // Signed-in designers who shared a saved project go straight back to it
+  const editUrl = share.project_id
+    ? `${process.env.FRONTEND_URL}/products/${product.slug}?project=${share.project_id}`
+    : viewUrl;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM || `"${storeName}" <${process.env.SMTP_USER}>`,
+    to: share.designer_email,
+    subject: `${headline} — ${product.name}`,
+    text: `${headline} (${product.name}).${share.review_comment ? `\n\n"${share.review_comment}"` : ''}\n\nView the design: ${viewUrl}`,
+    html: `
+      <div style="font-family:sans-serif;max-width:560px;margin:0 auto;color:#1e293b">
+        <div style="background:#4f46e5;padding:32px;text-align:center;border-radius:8px 8px 0 0">
+          <h1 style="color:#fff;margin:0;font-size:22px">${storeName}</h1>
+        </div>
+        <div style="padding:32px;background:#fff;border:1px solid #e2e8f0;border-top:none;border-radius:0 0 8px 8px">
+          <h2 style="margin:0 0 8px;font-size:20px">${escapeHtml(headline)}</h2>
+          <p style="color:#64748b;margin:0 0 24px">
+            Hi ${escapeHtml(share.designer_name?.split(' ')[0] || 'there')}, your ${escapeHtml(product.name)} design has been
+            ${approved ? '<strong style="color:#059669">approved</strong>' : '<strong style="color:#d97706">sent back with changes</strong>'}.
+          </p>
+
+          ${share.review_comment ? `
+          <div style="background:#f8fafc;border-radius:6px;padding:16px;margin-bottom:24px">
+            <p style="margin:0;font-size:13px;color:#94a3b8;text-transform:uppercase;letter-spacing:.05em">Comment</p>
+            <p style="margin:4px 0 0;font-size:15px;color:#1e293b;white-space:pre-line">${escapeHtml(share.review_comment)}</p>
+          </div>` : ''}
+
+          <div style="text-align:center;margin:28px 0">
+            <a href="${approved ? viewUrl : editUrl}" style="background:#4f46e5;color:#fff;text-decoration:none;padding:12px 28px;border-radius:6px;font-weight:600;display:inline-block">
+              ${approved ? 'View the design' : 'Open your design'}
+            </a>
+          </div>
+        </div>
+      </div>
+    `,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/shares
+// Authorization: Bearer <token>
+// Body: { productId, config, designerName?, projectId?, anonymousId? }
+//   config       as a saved project's (lib/savedDesigns.js); its
+//                files must be the designer's own uploads
+//   anonymousId  owner of uploads made before signing in
+// Returns: { token, status }
+// The review is emailed to the designer's account address.
+// ─────────────────────────────────────────────────────────────
+router.post('/', requireAuth, createLimit, async (req, res) => {
+  const { productId, config, designerName, projectId, anonymousId } = req.body;
+  const { user } = req;
+
+  if (!productId) return res.status(400).json({ error: 'productId is required' });
+
+  try {
+    const cleanConfig = cleanDesignConfig(config);
+    await assertOwnUploads(cleanConfig, { userId: user.id, anonymousId });
+
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id')
+      .eq('id', productId)
+      .maybeSingle();
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    let ownProjectId = null;
+    if (projectId) {
+      const { data: project } = await supabaseAdmin
+        .from('design_projects')
+        .select('id')
+        .eq('id', projectId)
+        .eq('user_id', user.id)
+        .maybeSingle();
+      ownProjectId = project?.id || null;
+    }
+
+    const { data: share, error } = await supabaseAdmin
+      .from('design_shares')
+      .insert({
+        token: crypto.randomBytes(18).toString('base64url'),
+        user_id: user.id,
+        project_id: ownProjectId,
+        product_id: productId,
+        color_name: cleanConfig.color || null,
+        config: cleanConfig,
+        designer_name: cleanText(designerName, MAX_NAME) || null,
+        designer_email: user.email,
+      })
+      .select('token, status')
+      .single();
+
+    if (error) {
+      console.error('[POST /api/shares]', error);
+      return res.status(500).json({ error: 'Could not create share link' });
+    }
+    return res.status(201).json({ token: share.token, status: share.status });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[POST /api/shares]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/shares/:token
+// Returns: { token, productId, productSlug, productName, colorName,
+//            designerName, status, reviewerName, reviewComment,
+//            reviewedAt, createdAt, config, uploads }
+//   config / uploads  see lib/savedDesigns.js signSavedDesign()
+// The designer's email is never returned.
+// ─────────────────────────────────────────────────────────────
+router.get('/:token', async (req, res) => {
+  try {
+    const { data: share, error } = await supabaseAdmin
+      .from('design_shares')
+      .select('token, product_id, color_name, config, designer_name, status, reviewer_name, review_comment, reviewed_at, created_at')
+      .eq('token', req.params.token)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[GET /api/shares/:token]', error);
+      return res.status(500).json({ error: 'Could not fetch design' });
+    }
+    if (!share) return res.status(404).json({ error: 'Design not found' });
+
+    const [{ data: product }, { config, uploads }] = await Promise.all([
+      supabaseAdmin.from('products').select('slug, name').eq('id', share.product_id).maybeSingle(),
+      signSavedDesign(share.config),
+    ]);
+
+    return res.json({
+      token: share.token,
+      productId: share.product_id,
+      productSlug: product?.slug || null,
+      productName: product?.name || null,
+      colorName: share.color_name,
+      designerName: share.designer_name,
+      status: share.status,
+      reviewerName: share.reviewer_name,
+      reviewComment: share.review_comment,
+      reviewedAt: share.reviewed_at,
+      createdAt: share.created_at,
+      config,
+      uploads,
+    });
+  } catch (err) {
+    console.error('[GET /api/shares/:token]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/shares/:token/review
+// Body: { decision: 'approved' | 'changes_requested', reviewerName, comment? }
+//   comment is required when requesting changes
+// Returns: { status, reviewerName, reviewComment, reviewedAt }
+// Only a pending share can be reviewed (409 once it has been); the
+// designer shares again for another round.
+// ─────────────────────────────────────────────────────────────
+router.post('/:token/review', reviewLimit, async (req, res) => {
+  const { decision } = req.body;
+  const reviewerName = cleanText(req.body.reviewerName, MAX_NAME);
+  const comment = cleanText(req.body.comment, MAX_COMMENT);
+
+  if (!DECISIONS.includes(decision)) {
+    return res.status(400).json({ error: `decision must be one of: ${DECISIONS.join(', ')}` });
+  }
+  if (!reviewerName) return res.status(400).json({ error: 'reviewerName is required' });
+  if (decision === 'changes_requested' && !comment) {
+    return res.status(400).json({ error: 'comment is required to request changes' });
+  }
+
+  try {
+    const { data: share, error } = await supabaseAdmin
+      .from('design_shares')
+      .update({
+        status: decision,
+        reviewer_name: reviewerName,
+        review_comment: comment || null,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('token', req.params.token)
+      .eq('status', 'pending')
+      .select('token, product_id, project_id, designer_name, designer_email, status, reviewer_name, review_comment, reviewed_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('[POST /api/shares/:token/review]', error);
+      return res.status(500).json({ error: 'Could not save review' });
+    }
+    if (!share) {
+      const { data: existing } = await supabaseAdmin
+        .from('design_shares')
+        .select('id')
+        .eq('token', req.params.token)
+        .maybeSingle();
+      return existing
+        ? res.status(409).json({ error: 'This design has already been reviewed' })
+        : res.status(404).json({ error: 'Design not found' });
+    }
+
+    try {
+      const { data: product } = await supabaseAdmin
+        .from('products')
+        .select('slug, name')
+        .eq('id', share.product_id)
+        .single();
+      await sendReviewEmail(share, product);
+    } catch (mailErr) {
+      console.error('[POST /api/shares/:token/review] Failed to send review email:', mailErr.message);
+    }
+
+    return res.json({
+      status: share.status,
+      reviewerName: share.reviewer_name,
+      reviewComment: share.review_comment,
+      reviewedAt: share.reviewed_at,
+    });
+  } catch (err) {
+    console.error('[POST /api/shares/:token/review]', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,11 @@ const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// The deploy sits behind one reverse proxy; trusting its
+// X-Forwarded-For gives req.ip the client's address (rate limits in
+// lib/rateLimit.js). TRUST_PROXY_HOPS=0 when serving directly.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10));
+
 // ── Middleware ────────────────────────────────────────────────
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -28,17 +33,23 @@ const productsRouter = require('./routes/products');
 const cartRouter = require('./routes/cart');
 
 // Products: GET /api/products/:slug
+//           GET /api/products/:slug/pricing?variantId=&quantity=
 // Upload:   POST /api/products/upload/sign
 //           POST /api/products/upload/confirm
 // Cart add: POST /api/products/cart/items
+//           POST /api/products/cart/items/bulk
 app.use('/api/products', productsRouter);
 
 // Cart:     GET    /api/cart?anonymousId=
+//           GET    /api/cart/items/:itemId
+//           PUT    /api/cart/items/:itemId
 //           PATCH  /api/cart/items/:itemId
 //           DELETE /api/cart/items/:itemId
 app.use('/api/cart', cartRouter);
 
-// Checkout: POST /api/checkout/create-payment-intent
+// Checkout: GET  /api/checkout/shipping-countries
+//           POST /api/checkout/shipping-rates
+//           POST /api/checkout/create-payment-intent
 //           POST /api/checkout/webhook (handled above with raw body)
 app.use('/api/checkout', checkoutRouter);
 
@@ -46,15 +57,34 @@ app.use('/api/checkout', checkoutRouter);
 //           GET  /api/admin/orders
 //           GET  /api/admin/orders/:id
 //           PATCH /api/admin/orders/:id/status
+//           POST /api/admin/orders/:id/refunds
+//           POST /api/admin/orders/:id/shipments
+//           GET  /api/admin/orders/:id/job-sheet
+//           POST /api/admin/orders/:id/print-files
+//           GET  /api/admin/job-sheets
+//           GET  /api/admin/webhook-events
+//           PUT  /api/admin/products/:id/price-tiers
+//           PUT  /api/admin/products/:id/print-areas
 const adminRouter = require('./routes/admin');
 app.use('/api/admin', adminRouter);
 
 // Account:  GET  /api/account/profile
 //           PATCH /api/account/profile
 //           GET  /api/account/orders
+//           GET  /api/account/designs
+//           POST /api/account/designs/projects
+//           GET  /api/account/designs/projects/:id
+//           PUT  /api/account/designs/projects/:id
+//           DELETE /api/account/designs/projects/:id
 const accountRouter = require('./routes/account');
 app.use('/api/account', accountRouter);
 
+// Shares:   POST /api/shares
+//           GET  /api/shares/:token
+//           POST /api/shares/:token/review
+const sharesRouter = require('./routes/shares');
+app.use('/api/shares', sharesRouter);
+
 // Categories: GET /api/categories
 //             GET /api/categories/:slug/products
 const categoriesRouter = require('./routes/categories');
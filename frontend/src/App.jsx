@@ -12,6 +12,7 @@ import ProductCatalogPage from './pages/ProductCatalogPage';
 import AdminProductsPage from './pages/AdminProductsPage';
 import AdminProductFormPage from './pages/AdminProductFormPage';
 import AdminCategoriesPage from './pages/AdminCategoriesPage';
+import AdminWebhookEventsPage from './pages/AdminWebhookEventsPage';
 import AdminDashboardPage from './pages/AdminDashboardPage';
 import LoginPage from './pages/LoginPage';
 import AccountPage from './pages/AccountPage';
@@ -80,6 +81,7 @@ export default function App() {
         <Route path="/admin/products/new" element={<AdminProductFormPage />} />
         <Route path="/admin/products/:id" element={<AdminProductFormPage />} />
         <Route path="/admin/categories" element={<AdminCategoriesPage />} />
+        <Route path="/admin/webhooks" element={<AdminWebhookEventsPage />} />
         <Route path="/category/:slug" element={<CategoryPage />} />
         <Route path="/login" element={<LoginPage />} />
         <Route path="/account" element={<AccountPage />} />
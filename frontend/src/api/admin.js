@@ -51,7 +51,7 @@ export async function fetchAdminOrder(id) {
   const res = await fetch(`${API_BASE}/admin/orders/${id}`, {
     headers: authHeaders(),
   });
-  return handleResponse(res); // { order, items }
+  return handleResponse(res); // { order, items, events, refunds }
 }
 
 // ── DELETE /api/admin/orders/:id ─────────────────────────────
@@ -63,13 +63,87 @@ export async function deleteOrder(id) {
 }
 
 // ── PATCH /api/admin/orders/:id/status ───────────────────────
-export async function updateOrderStatus(id, status) {
+// 409 if the order can't move to that status from its current one
+export async function updateOrderStatus(id, status, note) {
   const res = await fetch(`${API_BASE}/admin/orders/${id}/status`, {
     method: 'PATCH',
     headers: authHeaders(),
-    body: JSON.stringify({ status }),
+    body: JSON.stringify({ status, ...(note && { note }) }),
   });
-  return handleResponse(res); // { success, order }
+  return handleResponse(res); // { success, order, allowedStatuses }
+}
+
+// ── POST /api/admin/orders/:id/refunds ───────────────────────
+// body: { items?: [{ orderItemId, quantity }], restock?, reason?, note? }
+export async function createRefund(id, body) {
+  const res = await fetch(`${API_BASE}/admin/orders/${id}/refunds`, {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify(body),
+  });
+  return handleResponse(res); // { refund, order }
+}
+
+// ── POST /api/admin/orders/:id/shipments ─────────────────────
+// body: { carrier, trackingNumber?, trackingUrl?, shippedAt?, items?: [{ orderItemId, quantity }] }
+export async function createShipment(id, body) {
+  const res = await fetch(`${API_BASE}/admin/orders/${id}/shipments`, {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify(body),
+  });
+  return handleResponse(res); // { shipment, order }
+}
+
+// ── POST /api/admin/orders/:id/print-files ───────────────────
+// Renders print-ready PNGs for every line; force re-renders existing ones
+export async function generatePrintFiles(id, force = false) {
+  const res = await fetch(`${API_BASE}/admin/orders/${id}/print-files`, {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify({ force }),
+  });
+  return handleResponse(res); // { items: [{ id, printFiles, printFileUrls }] }
+}
+
+// ── PDF downloads ─────────────────────────────────────────────
+// Fetched with the admin token (a plain link can't send it), then
+// saved through a temporary object URL.
+async function downloadPdf(path, fallbackName) {
+  const res = await fetch(`${API_BASE}${path}`, { headers: authHeaders() });
+  if (!res.ok) return handleResponse(res);
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ── GET /api/admin/orders/:id/job-sheet ──────────────────────
+export function downloadJobSheet(id) {
+  return downloadPdf(`/admin/orders/${id}/job-sheet`, 'job-sheet.pdf');
+}
+
+// ── GET /api/admin/job-sheets ─────────────────────────────────
+export function downloadJobSheets(status = 'paid') {
+  return downloadPdf(`/admin/job-sheets?status=${encodeURIComponent(status)}`, 'job-sheets.pdf');
+}
+
+// ── GET /api/admin/webhook-events ─────────────────────────────
+export async function fetchWebhookEvents({ status, type, page = 1, limit = 50 } = {}) {
+  const params = new URLSearchParams({ page, limit });
+  if (status) params.set('status', status);
+  if (type) params.set('type', type);
+  const res = await fetch(`${API_BASE}/admin/webhook-events?${params}`, {
+    headers: authHeaders(),
+  });
+  return handleResponse(res); // { events, total }
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -137,6 +211,24 @@ export async function deleteVariant(productId, variantId) {
   return handleResponse(res);
 }
 
+// ── PUT /api/admin/products/:id/price-tiers ──────────────────
+// tiers: [{ variant_id (null = all variants), min_qty, price_cents }]
+export async function savePriceTiers(productId, tiers) {
+  const res = await fetch(`${API_BASE}/admin/products/${productId}/price-tiers`, {
+    method: 'PUT', headers: authHeaders(), body: JSON.stringify({ tiers }),
+  });
+  return handleResponse(res); // { priceTiers }
+}
+
+// ── PUT /api/admin/products/:id/print-areas ──────────────────
+// printAreas: { [angle]: { xPct, yPct, wPct, hPct, widthIn, heightIn } }
+export async function savePrintAreas(productId, printAreas) {
+  const res = await fetch(`${API_BASE}/admin/products/${productId}/print-areas`, {
+    method: 'PUT', headers: authHeaders(), body: JSON.stringify({ printAreas }),
+  });
+  return handleResponse(res); // { printAreas }
+}
+
 // ── POST /api/admin/products/:id/images ──────────────────────
 export async function addProductImage(productId, data) {
   const res = await fetch(`${API_BASE}/admin/products/${productId}/images`, {
@@ -16,7 +16,20 @@ export async function fetchProducts() {
 export async function fetchProduct(slug) {
   const res = await fetch(`${API_BASE}/products/${slug}`);
   if (!res.ok) throw new Error(`Product not found: ${slug}`);
-  return res.json(); // { product, variants, images }
+  return res.json(); // { product, variants, images, printAreas: { [angle]: { xPct, yPct, wPct, hPct, widthIn, heightIn } } }
+}
+
+// ── Price quote for a variant at a quantity (tiers + surcharges) ─
+export async function fetchPriceQuote(slug, variantId, quantity, { decoration, sides = [] } = {}) {
+  const params = new URLSearchParams({ variantId, quantity: String(quantity) });
+  if (decoration) params.set('decoration', decoration);
+  if (sides.length) params.set('sides', sides.join(','));
+  const res = await fetch(`${API_BASE}/products/${encodeURIComponent(slug)}/pricing?${params}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not fetch price');
+  }
+  return res.json(); // { unitPriceCents, garmentUnitCents, surcharges, setupCents, lineTotalCents, tiers, nextTier, ... }
 }
 
 // ── Get signed upload URL ────────────────────────────────────
@@ -51,21 +64,24 @@ export async function uploadFileToStorage(signedUrl, file, onProgress) {
 }
 
 // ── Confirm upload + get preview URL ────────────────────────
-export async function confirmUpload({ storagePath, filename, fileSize, mimeType, userId, anonymousId }) {
+// productId / side / placement: where the design is going, for the preflight DPI check
+export async function confirmUpload({ storagePath, filename, fileSize, mimeType, userId, anonymousId, productId, side, placement, source }) {
   const res = await fetch(`${API_BASE}/products/upload/confirm`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ storagePath, filename, fileSize, mimeType, userId, anonymousId }),
+    body: JSON.stringify({ storagePath, filename, fileSize, mimeType, userId, anonymousId, productId, side, placement, source }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
     throw new Error(err.error || 'Could not confirm upload');
   }
-  return res.json(); // { success, storagePath, previewUrl, uploadId }
+  return res.json(); // { success, storagePath, previewUrl, uploadId, preflight: { widthPx, heightPx, isVector, dpi, warnings, ... }, proofPath, proofUrl }
 }
 
 // ── Full upload pipeline ─────────────────────────────────────
-export async function uploadDesign({ file, userId, anonymousId, onProgress }) {
+// source: 'text' for PNGs rendered from text layers (kept out of
+// the customer's saved designs)
+export async function uploadDesign({ file, userId, anonymousId, productId, side, placement, source, onProgress }) {
   // 1. Get signed URL
   const { signedUrl, storagePath } = await getSignedUploadUrl({
     filename: file.name,
@@ -85,23 +101,50 @@ export async function uploadDesign({ file, userId, anonymousId, onProgress }) {
     mimeType: file.type,
     userId,
     anonymousId,
+    productId,
+    side,
+    placement,
+    source,
   });
 
-  return result; // { storagePath, previewUrl }
+  return result; // { storagePath, previewUrl, preflight, proofPath, proofUrl }
 }
 
 // ── Add to cart ──────────────────────────────────────────────
-export async function addToCart({ variantId, quantity = 1, config, userId, anonymousId }) {
+// accessToken is optional: it lets the design use the signed-in
+// customer's uploads from other devices
+export async function addToCart({ variantId, quantity = 1, config, userId, anonymousId }, accessToken) {
   const res = await fetch(`${API_BASE}/products/cart/items`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+    },
     body: JSON.stringify({ variantId, quantity, config, userId, anonymousId }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
     throw new Error(err.error || 'Could not add to cart');
   }
-  return res.json(); // { cartItem, cartId, anonymousId }
+  return res.json(); // { cartItem, cartId, anonymousId, merged }
+}
+
+// ── Add several sizes of one design ──────────────────────────
+// items: [{ variantId, quantity, roster? }] — all added or none
+export async function addToCartBulk({ config, items, userId, anonymousId }, accessToken) {
+  const res = await fetch(`${API_BASE}/products/cart/items/bulk`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+    },
+    body: JSON.stringify({ config, items, userId, anonymousId }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not add to cart');
+  }
+  return res.json(); // { cartItems, cartId, anonymousId }
 }
 
 // ── Fetch cart ───────────────────────────────────────────────
@@ -112,15 +155,15 @@ export async function fetchCart(anonymousId) {
     const err = await res.json().catch(() => ({}));
     throw new Error(err.error || 'Could not fetch cart');
   }
-  return res.json(); // { cartId, items }
+  return res.json(); // { cartId, items: [{ ..., pricing }], subtotalCents }
 }
 
 // ── Update cart item quantity ────────────────────────────────
-export async function updateCartItem(itemId, quantity) {
+export async function updateCartItem(itemId, quantity, anonymousId) {
   const res = await fetch(`${API_BASE}/cart/items/${itemId}`, {
     method: 'PATCH',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ quantity }),
+    body: JSON.stringify({ anonymousId, quantity }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
@@ -129,9 +172,37 @@ export async function updateCartItem(itemId, quantity) {
   return res.json(); // { success, item }
 }
 
-// ── Remove cart item ─────────────────────────────────────────
-export async function removeCartItem(itemId) {
+// ── Edit a cart item's design ────────────────────────────────
+export async function fetchCartItem(itemId, anonymousId) {
+  const res = await fetch(`${API_BASE}/cart/items/${itemId}?anonymousId=${encodeURIComponent(anonymousId)}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not fetch item');
+  }
+  return res.json(); // { id, quantity, variantId, productId, productSlug, config, uploads }
+}
+
+// accessToken is optional: it lets the design use the signed-in
+// customer's uploads from other devices
+export async function updateCartItemDesign(itemId, { anonymousId, variantId, quantity, config }, accessToken) {
   const res = await fetch(`${API_BASE}/cart/items/${itemId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+    },
+    body: JSON.stringify({ anonymousId, variantId, quantity, config }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not update item');
+  }
+  return res.json(); // { item }
+}
+
+// ── Remove cart item ─────────────────────────────────────────
+export async function removeCartItem(itemId, anonymousId) {
+  const res = await fetch(`${API_BASE}/cart/items/${itemId}?anonymousId=${encodeURIComponent(anonymousId)}`, {
     method: 'DELETE',
   });
   if (!res.ok) {
@@ -141,20 +212,44 @@ export async function removeCartItem(itemId) {
   return res.json(); // { success }
 }
 
+// ── Countries we ship to ─────────────────────────────────────
+export async function fetchShippingCountries() {
+  const res = await fetch(`${API_BASE}/checkout/shipping-countries`);
+  if (!res.ok) throw new Error('Could not fetch shipping countries');
+  return res.json(); // { countries: ['CA', 'US'] }
+}
+
+// ── Shipping rates for an address ────────────────────────────
+export async function fetchShippingRates({ anonymousId, address }) {
+  const res = await fetch(`${API_BASE}/checkout/shipping-rates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ anonymousId, address }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not fetch shipping rates');
+  }
+  return res.json(); // { zone, rates: [{ methodId, code, name, amountCents, minDays, maxDays }] }
+}
+
 // ── Create Stripe PaymentIntent ──────────────────────────────
-export async function createPaymentIntent({ anonymousId, shipping, accessToken, promoCode }) {
+export async function createPaymentIntent({ anonymousId, shipping, accessToken, promoCode, shippingMethodId }) {
   const headers = { 'Content-Type': 'application/json' };
   if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
   const res = await fetch(`${API_BASE}/checkout/create-payment-intent`, {
     method: 'POST',
     headers,
-    body: JSON.stringify({ anonymousId, shipping, promoCode }),
+    body: JSON.stringify({ anonymousId, shipping, promoCode, shippingMethodId }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
-    throw new Error(err.error || 'Could not create payment intent');
+    const error = new Error(err.error || 'Could not create payment intent');
+    error.status = res.status; // 409 = stock no longer available
+    error.code = err.code;
+    throw error;
   }
-  return res.json(); // { clientSecret, totalCents, subtotalCents, discountCents, cartId }
+  return res.json(); // { clientSecret, totalCents, subtotalCents, discountCents, shippingCents, shippingMethodId, taxCents, taxLines, cartId }
 }
 
 export async function validatePromoCode(code, subtotalCents) {
@@ -246,3 +341,90 @@ export async function removeFromWishlist(productId, accessToken) {
   }
   return res.json();
 }
+
+// ── Saved designs (My Designs) ───────────────────────────────
+export async function fetchMyDesigns(accessToken) {
+  const res = await fetch(`${API_BASE}/account/designs`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not fetch designs');
+  }
+  return res.json(); // { uploads: [{ id, filename, storagePath, previewUrl, viewUrl, preflight, ... }], projects: [...] }
+}
+
+export async function fetchDesignProject(id, accessToken) {
+  const res = await fetch(`${API_BASE}/account/designs/projects/${id}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not fetch design');
+  }
+  return res.json(); // { id, name, productId, productSlug, colorName, config, uploads }
+}
+
+// Creates a project, or updates it when id is given
+export async function saveDesignProject({ id, name, productId, config, anonymousId }, accessToken) {
+  const res = await fetch(`${API_BASE}/account/designs/projects${id ? `/${id}` : ''}`, {
+    method: id ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify(id ? { name, config, anonymousId } : { name, productId, config, anonymousId }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not save design');
+  }
+  return res.json(); // { id, name, updatedAt }
+}
+
+export async function deleteDesignProject(id, accessToken) {
+  const res = await fetch(`${API_BASE}/account/designs/projects/${id}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not delete design');
+  }
+  return res.json();
+}
+
+// ── Design approval links ────────────────────────────────────
+// Sharing needs a signed-in designer; the review is emailed to their
+// account address
+export async function createDesignShare({ productId, config, designerName, projectId, anonymousId }, accessToken) {
+  const res = await fetch(`${API_BASE}/shares`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+    body: JSON.stringify({ productId, config, designerName, projectId, anonymousId }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not create share link');
+  }
+  return res.json(); // { token, status }
+}
+
+export async function fetchDesignShare(token) {
+  const res = await fetch(`${API_BASE}/shares/${encodeURIComponent(token)}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not fetch design');
+  }
+  return res.json(); // { token, productId, designerName, status, reviewerName, reviewComment, config, uploads, ... }
+}
+
+export async function reviewDesignShare(token, { decision, reviewerName, comment }) {
+  const res = await fetch(`${API_BASE}/shares/${encodeURIComponent(token)}/review`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ decision, reviewerName, comment }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Could not save review');
+  }
+  return res.json(); // { status, reviewerName, reviewComment, reviewedAt }
+}
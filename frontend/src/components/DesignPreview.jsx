@@ -1,37 +1,462 @@
 // src/components/DesignPreview.jsx
 // ─────────────────────────────────────────────────────────────
 // Live product preview backed by real mockup photos.
-// Design overlay is draggable / resizable / rotatable.
+// Each layer (image or text) is draggable / resizable / rotatable;
+// the layer list orders, hides, locks and duplicates them.
 // ─────────────────────────────────────────────────────────────
 
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { TEXT_FONTS, loadTextFonts, makeDefaultTextLayer, paintTextLayer } from '../lib/textLayer';
+import {
+  MAX_LAYERS_PER_SIDE, makeTextLayer, updateLayer, removeLayer, moveLayer, duplicateLayer,
+} from '../lib/designLayers';
+
+// ── Print locations ───────────────────────────────────────────
+// Where a design can go. Each is also the product_images.angle of its
+// mockup, so a product offers a location once it has a photo for it.
+// Mirrored in backend/lib/printAreas.js.
+export const PRINT_LOCATIONS = ['front', 'back', 'left_sleeve', 'right_sleeve', 'neck_label', 'left_chest'];
 
 // ── Print area definitions (as fractions of container size) ──
-// Tune these to match the actual mockup photo framing.
-// xPct / yPct = centre of the area; wPct / hPct = its dimensions.
-export const PRINT_AREAS = {
-  front: { xPct: 0.5, yPct: 0.38, wPct: 0.44, hPct: 0.44 },
-  back:  { xPct: 0.5, yPct: 0.38, wPct: 0.44, hPct: 0.44 },
+// xPct / yPct = centre of the area; wPct / hPct = its dimensions;
+// widthIn / heightIn = its size on the garment.
+// Products carry their own areas per angle (drawn in the admin
+// product form, GET /api/products/:slug → printAreas); these are the
+// fallbacks. Mirrored in backend/lib/printAreas.js.
+export const DEFAULT_PRINT_AREAS = {
+  front: { xPct: 0.5, yPct: 0.38, wPct: 0.44, hPct: 0.44, widthIn: 12, heightIn: 16 },
+  back:  { xPct: 0.5, yPct: 0.38, wPct: 0.44, hPct: 0.44, widthIn: 12, heightIn: 16 },
+  left_sleeve:  { xPct: 0.5, yPct: 0.35, wPct: 0.2, hPct: 0.2, widthIn: 4, heightIn: 4 },
+  right_sleeve: { xPct: 0.5, yPct: 0.35, wPct: 0.2, hPct: 0.2, widthIn: 4, heightIn: 4 },
+  neck_label:   { xPct: 0.5, yPct: 0.2, wPct: 0.14, hPct: 0.1, widthIn: 3, heightIn: 2 },
+  left_chest:   { xPct: 0.62, yPct: 0.32, wPct: 0.14, hPct: 0.14, widthIn: 4, heightIn: 4 },
 };
 
+// Below this a raster design prints visibly soft (backend/lib/preflight.js)
+export const MIN_PRINT_DPI = 150;
+
 const clamp = (v, mn, mx) => Math.max(mn, Math.min(mx, v));
 
+// Text size limits (fraction of the frame width)
+const TEXT_SIZE_MIN = 0.02;
+const TEXT_SIZE_MAX = 0.30;
+
+// Snapping: a dragged layer's centre or edges within SNAP_PX of the
+// print area's centre lines or edges lock onto them (hold Alt to move
+// freely). The rotate handle turns in ROTATION_STEP degree steps.
+const SNAP_PX = 6;
+const ROTATION_STEP = 15;
+
+// Follows a pointer gesture until the button is released
+function trackPointer(onMove, onEnd) {
+  function onUp() {
+    window.removeEventListener('pointermove', onMove);
+    window.removeEventListener('pointerup',   onUp);
+    if (onEnd) onEnd();
+  }
+  window.addEventListener('pointermove', onMove);
+  window.addEventListener('pointerup',   onUp);
+}
+
+// Each gesture is one undo step (src/lib/history.js)
+let gestureCount = 0;
+const nextGestureKey = () => `gesture:${++gestureCount}`;
+
+// History keys for sliders and text fields: one slider drag or one
+// stretch of typing is a step; the session ends on pointer-up or
+// blur (wire `end` to both), so the next edit is a step of its own.
+function useEditSession() {
+  const sessionRef = useRef(nextGestureKey());
+  const key = useCallback(field => `${sessionRef.current}:${field}`, []);
+  const end = useCallback(() => { sessionRef.current = nextGestureKey(); }, []);
+  return { key, end };
+}
+
+// Snaps a box centred at `centre` (half-size `half`) so its start,
+// centre or end lands on the nearest target within `threshold`.
+// Returns: { value, guide } — guide is the target hit, or null
+function snapAxis(centre, half, targets, threshold) {
+  let best = null;
+  for (const offset of [-half, 0, half]) {
+    for (const target of targets) {
+      const d = target - (centre + offset);
+      if (Math.abs(d) <= threshold && (!best || Math.abs(d) < Math.abs(best.d))) best = { d, target };
+    }
+  }
+  return best ? { value: centre + best.d, guide: best.target } : { value: centre, guide: null };
+}
+
+// -180…180
+const normalizeAngle = a => ((((a + 180) % 360) + 360) % 360) - 180;
+
+/** The product's print area for a side, or the default. */
+export function printAreaFor(printAreas, side) {
+  return printAreas?.[side] || DEFAULT_PRINT_AREAS[side] || DEFAULT_PRINT_AREAS.front;
+}
+
 /** Returns a default placement centred on the print area. */
-export function makeDefaultPlacement(side = 'front') {
-  const pa = PRINT_AREAS[side] || PRINT_AREAS.front;
+export function makeDefaultPlacement(side = 'front', printAreas) {
+  const pa = printAreaFor(printAreas, side);
   return { x: pa.xPct, y: pa.yPct, wPct: pa.wPct * 0.70, rotation: 0, flipped: false };
 }
 
+/** DPI a raster design `widthPx` wide prints at with this placement. */
+export function printDpi(pa, placement, widthPx) {
+  const widthIn = (placement.wPct / pa.wPct) * pa.widthIn;
+  return widthIn > 0 ? Math.round(widthPx / widthIn) : null;
+}
+
+// ── Selection handles ─────────────────────────────────────────
+// Outline, rotate knob (top-centre) and corner resize handles drawn
+// inside a selected layer's box.
+function SelectionHandles({ onRotate, onResize }) {
+  return (
+    <>
+      {/* Selection outline */}
+      <div
+        className="absolute inset-0 pointer-events-none rounded-sm"
+        style={{ outline: '2px dashed rgba(99,102,241,0.80)', outlineOffset: 2 }}
+      />
+
+      {/* Rotate handle (top-centre) */}
+      <div
+        onPointerDown={onRotate}
+        title="Drag to rotate"
+        style={{
+          position: 'absolute', top: -28, left: '50%',
+          transform: 'translateX(-50%)',
+          width: 22, height: 22, borderRadius: '50%',
+          background: '#6366f1', border: '2.5px solid white',
+          boxShadow: '0 2px 6px rgba(0,0,0,0.25)',
+          cursor: 'grab', touchAction: 'none', zIndex: 20,
+          display: 'flex', alignItems: 'center', justifyContent: 'center',
+        }}
+      >
+        <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="white" strokeWidth="2.5" strokeLinecap="round">
+          <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0118.8-4.3M22 12.5a10 10 0 01-18.8 4.3"/>
+        </svg>
+      </div>
+
+      {/* Corner resize handles */}
+      {[
+        { top: -6,    left: -6,  cursor: 'nwse-resize' },
+        { top: -6,    right: -6, cursor: 'nesw-resize' },
+        { bottom: -6, left: -6,  cursor: 'nesw-resize' },
+        { bottom: -6, right: -6, cursor: 'nwse-resize' },
+      ].map((pos, i) => (
+        <div
+          key={i}
+          onPointerDown={onResize}
+          title="Drag to resize"
+          style={{
+            position: 'absolute',
+            width: 12, height: 12, borderRadius: 3,
+            background: 'white', border: '2px solid #6366f1',
+            boxShadow: '0 1px 4px rgba(0,0,0,0.20)',
+            cursor: pos.cursor, touchAction: 'none', zIndex: 20,
+            ...pos,
+          }}
+        />
+      ))}
+    </>
+  );
+}
+
+// ── Layer list ────────────────────────────────────────────────
+// Top layer first, like the canvas reads. Each row selects its layer
+// and can move it up/down, hide, lock, duplicate or remove it.
+function LayersPanel({ layers, selectedId, onSelect, onChange, onDuplicate, canDuplicate }) {
+  const { t } = useTranslation();
+  const iconBtn = 'w-6 h-6 flex items-center justify-center rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-200 disabled:opacity-30 disabled:hover:bg-transparent transition-colors';
+
+  return (
+    <div className="bg-slate-50 rounded-xl p-2 border border-slate-100">
+      <p className="px-1 pb-1.5 text-xs font-semibold text-slate-500">{t('product.layers.heading')}</p>
+      <ul className="space-y-1">
+        {[...layers].reverse().map((layer) => {
+          const index = layers.indexOf(layer);
+          const isSelected = layer.id === selectedId;
+          return (
+            <li
+              key={layer.id}
+              onClick={() => onSelect(layer.id)}
+              className={`flex items-center gap-2 px-1.5 py-1 rounded-lg cursor-pointer transition-colors ${
+                isSelected ? 'bg-white shadow-sm ring-1 ring-indigo-200' : 'hover:bg-white/70'
+              } ${layer.hidden ? 'opacity-50' : ''}`}
+            >
+              <span className="w-8 h-8 flex-shrink-0 rounded-md bg-white border border-slate-200 flex items-center justify-center overflow-hidden">
+                {layer.kind === 'image' ? (
+                  <img src={layer.localUrl} alt="" className="w-full h-full object-contain p-0.5" draggable={false} />
+                ) : (
+                  <span className="text-sm font-bold" style={{ fontFamily: `'${layer.font}'`, color: layer.color }}>Aa</span>
+                )}
+              </span>
+              <span className="flex-1 min-w-0 truncate text-xs text-slate-700">
+                {layer.kind === 'image'
+                  ? t('product.layers.image')
+                  : layer.content.split('\n')[0] || t('product.layers.text')}
+              </span>
+              <span className="flex items-center" onClick={e => e.stopPropagation()}>
+                <button
+                  className={iconBtn}
+                  title={t('product.layers.forward')}
+                  disabled={index === layers.length - 1}
+                  onClick={() => onChange(moveLayer(layers, layer.id, 1))}
+                >▲</button>
+                <button
+                  className={iconBtn}
+                  title={t('product.layers.backward')}
+                  disabled={index === 0}
+                  onClick={() => onChange(moveLayer(layers, layer.id, -1))}
+                >▼</button>
+                <button
+                  className={iconBtn}
+                  title={layer.hidden ? t('product.layers.show') : t('product.layers.hide')}
+                  onClick={() => onChange(updateLayer(layers, layer.id, { hidden: !layer.hidden }))}
+                >
+                  <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2} strokeLinecap="round" strokeLinejoin="round">
+                    {layer.hidden ? (
+                      <path d="M3 3l18 18M10.6 10.6a2 2 0 002.8 2.8M9.9 5.1A9.8 9.8 0 0112 5c5 0 9 4.5 10 7a13 13 0 01-3.2 4.3M6.6 6.6C4.3 8 2.8 10.1 2 12c1 2.5 5 7 10 7 1.8 0 3.4-.5 4.8-1.3"/>
+                    ) : (
+                      <>
+                        <path d="M2 12c1-2.5 5-7 10-7s9 4.5 10 7c-1 2.5-5 7-10 7S3 14.5 2 12z"/>
+                        <circle cx="12" cy="12" r="3"/>
+                      </>
+                    )}
+                  </svg>
+                </button>
+                <button
+                  className={`${iconBtn} ${layer.locked ? 'text-indigo-600' : ''}`}
+                  title={layer.locked ? t('product.layers.unlock') : t('product.layers.lock')}
+                  onClick={() => onChange(updateLayer(layers, layer.id, { locked: !layer.locked }))}
+                >
+                  <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" strokeWidth={2} strokeLinecap="round" strokeLinejoin="round">
+                    <rect x="5" y="11" width="14" height="10" rx="2"/>
+                    <path d={layer.locked ? 'M8 11V7a4 4 0 018 0v4' : 'M8 11V7a4 4 0 017.8-1.2'}/>
+                  </svg>
+                </button>
+                <button
+                  className={iconBtn}
+                  title={t('product.layers.duplicate')}
+                  disabled={!canDuplicate}
+                  onClick={() => onDuplicate(layer.id)}
+                >⧉</button>
+                <button
+                  className={`${iconBtn} hover:!text-red-500`}
+                  title={t('product.layers.remove')}
+                  onClick={() => onChange(removeLayer(layers, layer.id))}
+                >✕</button>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// ── Numeric placement ─────────────────────────────────────────
+// A number input that applies its value on Enter or blur, so a value
+// can be typed out without the layer jumping on every keystroke.
+function NumberField({ label, value, onCommit, step = 0.1, min }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    const n = Number(draft);
+    if (draft !== null && draft !== '' && Number.isFinite(n)) onCommit(min != null ? Math.max(n, min) : n);
+    setDraft(null);
+  };
+  return (
+    <label className="flex items-center gap-1.5 flex-1 min-w-0">
+      <span className="text-xs text-slate-500">{label}</span>
+      <input
+        type="number"
+        step={step}
+        value={draft ?? value.toFixed(2)}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={e => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+        className="w-full min-w-0 px-2 py-1 text-xs border border-slate-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+    </label>
+  );
+}
+
+// Position of the layer's centre from the print area's top-left
+// corner and its width (text: font size), in inches on the garment.
+function PlacementInputs({ layer, area, onChange }) {
+  const { t } = useTranslation();
+  const inchesPerUnit = area.widthIn / area.wPct;
+  const left = area.xPct - area.wPct / 2;
+  const top = area.yPct - area.hPct / 2;
+  const { placement: p } = layer;
+  const isText = layer.kind === 'text';
+
+  return (
+    <div className="flex items-center gap-3">
+      <NumberField
+        label="X"
+        value={(p.x - left) * inchesPerUnit}
+        onCommit={v => onChange({ placement: { ...p, x: clamp(left + v / inchesPerUnit, 0, 1) } })}
+      />
+      <NumberField
+        label="Y"
+        value={(p.y - top) * inchesPerUnit}
+        onCommit={v => onChange({ placement: { ...p, y: clamp(top + v / inchesPerUnit, 0, 1) } })}
+      />
+      <NumberField
+        label={isText ? t('product.editor.fontSize') : 'W'}
+        value={(isText ? layer.sizePct : p.wPct) * inchesPerUnit}
+        min={0.1}
+        onCommit={v => onChange(isText
+          ? { sizePct: clamp(v / inchesPerUnit, TEXT_SIZE_MIN, TEXT_SIZE_MAX) }
+          : { placement: { ...p, wPct: clamp(v / inchesPerUnit, 0.05, 0.90) } })}
+      />
+      <span className="text-xs text-slate-400">{t('product.editor.inches')}</span>
+    </div>
+  );
+}
+
+// ── Text settings ─────────────────────────────────────────────
+// Content, font, colours, size, rotation, arc and alignment of a
+// text layer.
+// onChange(patch, historyKey) — one drag or stretch of typing in a
+// field is a single undo step (useEditSession)
+function TextControls({ layer, onChange }) {
+  const { t } = useTranslation();
+  const { key: editKey, end: endEdit } = useEditSession();
+  const update = patch => onChange(patch, editKey(`text:${layer.id}:${Object.keys(patch)[0]}`));
+  const updatePlacement = patch => onChange({ placement: { ...layer.placement, ...patch } }, editKey(`text:${layer.id}:rotation`));
+
+  return (
+    <div className="space-y-2.5 bg-slate-50 rounded-xl p-3 border border-slate-100">
+      <textarea
+        value={layer.content}
+        onChange={e => update({ content: e.target.value })}
+        onBlur={endEdit}
+        rows={2}
+        maxLength={120}
+        placeholder={t('product.text.placeholder')}
+        className="w-full px-3 py-2 text-sm border border-slate-200 rounded-lg bg-white resize-none focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+
+      <div className="flex items-center gap-3">
+        <span className="text-xs text-slate-500 w-12 flex-shrink-0">{t('product.text.font')}</span>
+        <select
+          value={layer.font}
+          onChange={e => update({ font: e.target.value })}
+          className="flex-1 px-2 py-1.5 text-sm border border-slate-200 rounded-lg bg-white"
+          style={{ fontFamily: `'${layer.font}'` }}
+        >
+          {TEXT_FONTS.map(f => (
+            <option key={f.family} value={f.family} style={{ fontFamily: `'${f.family}'` }}>{f.family}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <span className="text-xs text-slate-500 w-12 flex-shrink-0">{t('product.text.color')}</span>
+        <input
+          type="color"
+          value={layer.color}
+          onChange={e => update({ color: e.target.value })}
+          onBlur={endEdit}
+          className="w-8 h-8 rounded border border-slate-200 bg-white cursor-pointer"
+        />
+        <span className="text-xs text-slate-500 ml-auto">{t('product.text.outline')}</span>
+        <input
+          type="color"
+          value={layer.outlineColor}
+          onChange={e => update({ outlineColor: e.target.value })}
+          onBlur={endEdit}
+          className="w-8 h-8 rounded border border-slate-200 bg-white cursor-pointer"
+        />
+        <input
+          type="range" min={0} max={15}
+          value={Math.round(layer.outlineWidth * 100)}
+          onChange={e => update({ outlineWidth: Number(e.target.value) / 100 })}
+          onPointerUp={endEdit}
+          onBlur={endEdit}
+          className="w-20 accent-indigo-600"
+          aria-label={t('product.text.outlineWidth')}
+        />
+      </div>
+
+      <div className="flex items-center gap-3">
+        <span className="text-xs text-slate-500 w-12 flex-shrink-0">{t('product.text.size')}</span>
+        <input
+          type="range" min={TEXT_SIZE_MIN * 100} max={TEXT_SIZE_MAX * 100} step={0.5}
+          value={layer.sizePct * 100}
+          onChange={e => update({ sizePct: Number(e.target.value) / 100 })}
+          onPointerUp={endEdit}
+          onBlur={endEdit}
+          className="flex-1 accent-indigo-600"
+        />
+        <span className="text-xs text-slate-500 w-8 text-right">{Math.round(layer.sizePct * 100)}%</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <span className="text-xs text-slate-500 w-12 flex-shrink-0">{t('product.text.rotate')}</span>
+        <input
+          type="range" min={-180} max={180}
+          value={Math.round(layer.placement.rotation)}
+          onChange={e => updatePlacement({ rotation: Number(e.target.value) })}
+          onPointerUp={endEdit}
+          onBlur={endEdit}
+          className="flex-1 accent-indigo-600"
+        />
+        <span className="text-xs text-slate-500 w-8 text-right">{Math.round(layer.placement.rotation)}°</span>
+      </div>
+      <div className="flex items-center gap-3">
+        <span className="text-xs text-slate-500 w-12 flex-shrink-0">{t('product.text.arc')}</span>
+        <input
+          type="range" min={-100} max={100}
+          value={layer.arc}
+          onChange={e => update({ arc: Number(e.target.value) })}
+          onPointerUp={endEdit}
+          onBlur={endEdit}
+          className="flex-1 accent-indigo-600"
+        />
+        <span className="text-xs text-slate-500 w-8 text-right">{layer.arc}</span>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <span className="text-xs text-slate-500 w-12 flex-shrink-0">{t('product.text.align')}</span>
+        <div className="flex gap-1 p-1 bg-slate-100 rounded-lg">
+          {['left', 'center', 'right'].map(a => (
+            <button
+              key={a}
+              onClick={() => update({ align: a })}
+              className={`px-2.5 py-1 rounded-md text-xs font-semibold transition-all ${
+                layer.align === a ? 'bg-white shadow-sm text-slate-800' : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              {t(`product.text.alignOptions.${a}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ── DesignPreview ─────────────────────────────────────────────
 /**
  * Props:
  *   mockupUrl         – URL of the product photo for current colour + side
- *   side              – 'front' | 'back'
+ *   side              – one of PRINT_LOCATIONS
  *   onSideChange      – (side: string) => void
  *   availableSides    – string[]
- *   localDesignUrl    – blob URL from URL.createObjectURL(file)
- *   placement         – { x, y, wPct, rotation, flipped } | null
- *   onPlacementChange – (placement) => void
+ *   layers            – this side's layers, bottom to top (src/lib/designLayers.js)
+ *   onLayersChange    – (layers, historyKey?) => void; changes with the same
+ *                       key are one undo step (src/lib/history.js)
+ *   selectedLayerId   – id of the layer the controls edit | null
+ *   onSelectLayer     – (id | null) => void
+ *   printAreas        – { [side]: area } for the product (defaults if unset)
+ *   onUndo / onRedo   – step through the history; also bound to
+ *                       Ctrl/⌘+Z, Ctrl/⌘+Shift+Z and Ctrl+Y
+ *   canUndo / canRedo – whether there is a step to go to
+ *   readOnly          – preview only (shared approval links): layers can't
+ *                       be selected, moved or edited
  */
 export default function DesignPreview({
   mockupUrl,
@@ -39,17 +464,24 @@ export default function DesignPreview({
   side,
   onSideChange,
   availableSides = ['front'],
-  localDesignUrl,
-  placement,
-  onPlacementChange,
+  layers = [],
+  onLayersChange,
+  selectedLayerId,
+  onSelectLayer,
   onUploadClick,      // () => void — called when placeholder is tapped (no drag)
+  printAreas,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  readOnly = false,
 }) {
+  const { t } = useTranslation();
   const containerRef = useRef(null);
-  const placementRef = useRef(placement);
-  useEffect(() => { placementRef.current = placement; }, [placement]);
+  const layersRef = useRef(layers);
+  useEffect(() => { layersRef.current = layers; }, [layers]);
 
   const [containerW, setContainerW] = useState(0);
-  const [designAR, setDesignAR]     = useState(1);
   const [loadedUrl, setLoadedUrl]   = useState(null);
   const imgLoaded = loadedUrl === mockupUrl;
 
@@ -63,11 +495,11 @@ export default function DesignPreview({
 
   // Reset logo placement when side changes
   useEffect(() => {
-    const newPa = PRINT_AREAS[side] || PRINT_AREAS.front;
+    const newPa = printAreaFor(printAreas, side);
     const init = { x: newPa.xPct, y: newPa.yPct, wPct: newPa.wPct * 0.55, rotation: 0 };
     logoPlacementRef.current = init;
     setLogoPlacement(init);
-  }, [side]);
+  }, [side, printAreas]);
 
   // Measure container width for % → px conversions
   useEffect(() => {
@@ -77,81 +509,140 @@ export default function DesignPreview({
     return () => ro.disconnect();
   }, []);
 
-  // (loadedUrl tracks which URL has loaded — no separate reset needed)
+  const pa = printAreaFor(printAreas, side);
+  const selectedLayer = layers.find(l => l.id === selectedLayerId) || null;
+  const editable = !readOnly && !!selectedLayer && !selectedLayer.locked && !selectedLayer.hidden;
+
+  // ── Text layers: each painted into its own canvas ────────────
+  const hasText = layers.some(l => l.kind === 'text');
+  const textCanvasRefs = useRef(new Map()); // layer id → canvas
+  const [textBoxes, setTextBoxes] = useState({}); // layer id → { width, height }
+  const [fontsReady, setFontsReady] = useState(false);
+
+  useEffect(() => {
+    if (!hasText) return;
+    let cancelled = false;
+    loadTextFonts().then(() => { if (!cancelled) setFontsReady(true); });
+    return () => { cancelled = true; };
+  }, [hasText]);
 
-  // Measure design aspect ratio once loaded
   useEffect(() => {
-    if (!localDesignUrl) return;
-    const img = new Image();
-    img.onload = () => setDesignAR(img.naturalWidth / img.naturalHeight);
-    img.src = localDesignUrl;
-  }, [localDesignUrl]);
+    if (containerW === 0) return;
+    const boxes = {};
+    layers.forEach((layer) => {
+      const canvas = textCanvasRefs.current.get(layer.id);
+      if (layer.kind !== 'text' || !canvas) return;
+      boxes[layer.id] = paintTextLayer(canvas, layer, containerW, window.devicePixelRatio || 1);
+    });
+    setTextBoxes(boxes);
+  }, [layers, containerW, fontsReady]);
 
-  const pa = PRINT_AREAS[side] || PRINT_AREAS.front;
-  const hasDesign = !!localDesignUrl && !!placement && containerW > 0;
+  // ── Layer updates ────────────────────────────────────────────
+  // The ref is updated eagerly so pointer moves between renders
+  // build on each other
+  const patchLayer = useCallback((id, patch, historyKey) => {
+    const next = updateLayer(layersRef.current, id, patch);
+    layersRef.current = next;
+    onLayersChange(next, historyKey);
+  }, [onLayersChange]);
 
-  const overlayW = hasDesign ? placement.wPct * containerW : 0;
-  const overlayH = overlayW / designAR;
+  const patchPlacement = useCallback((id, patch, historyKey) => {
+    const layer = layersRef.current.find(l => l.id === id);
+    if (layer) patchLayer(id, { placement: { ...layer.placement, ...patch } }, historyKey);
+  }, [patchLayer]);
+  const { key: sliderKey, end: endSlider } = useEditSession();
+
+  // Snapping guides shown while dragging: { x, y } frame fractions | null
+  const [guides, setGuides] = useState(null);
+
+  // ── Keyboard shortcuts ──────────────────────────────────────
+  // Left alone while typing, so fields keep their own undo
+  useEffect(() => {
+    if (!onUndo) return;
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); onUndo(); }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); onRedo(); }
+    }
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onUndo, onRedo]);
+
+  // Layer centre in client pixels
+  const layerCentre = useCallback((id) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const { x, y } = layersRef.current.find(l => l.id === id).placement;
+    return { rect, cx: rect.left + x * rect.width, cy: rect.top + y * rect.height };
+  }, []);
 
   // ── Drag ────────────────────────────────────────────────────
-  const startDrag = useCallback((e) => {
+  const startDrag = useCallback((e, id) => {
     if (e.pointerType === 'mouse' && e.button !== 0) return;
     e.preventDefault(); e.stopPropagation();
+    onSelectLayer(id);
     const rect = containerRef.current.getBoundingClientRect();
     const startX = e.clientX, startY = e.clientY;
-    const { x: px, y: py } = placementRef.current;
-    function onMove(me) {
-      onPlacementChange({
-        ...placementRef.current,
-        x: clamp(px + (me.clientX - startX) / rect.width,  0, 1),
-        y: clamp(py + (me.clientY - startY) / rect.height, 0, 1),
-      });
-    }
-    function onUp() {
-      window.removeEventListener('pointermove', onMove);
-      window.removeEventListener('pointerup',   onUp);
-    }
-    window.addEventListener('pointermove', onMove);
-    window.addEventListener('pointerup',   onUp);
-  }, [onPlacementChange]);
+    const { x: px, y: py, rotation = 0 } = layersRef.current.find(l => l.id === id).placement;
+
+    // Half-size of the layer's rotated bounding box, in frame fractions
+    const { offsetWidth: w, offsetHeight: h } = e.currentTarget;
+    const rad = rotation * (Math.PI / 180);
+    const cos = Math.abs(Math.cos(rad)), sin = Math.abs(Math.sin(rad));
+    const halfX = (w * cos + h * sin) / 2 / rect.width;
+    const halfY = (w * sin + h * cos) / 2 / rect.height;
+    const targetsX = [pa.xPct - pa.wPct / 2, pa.xPct, pa.xPct + pa.wPct / 2];
+    const targetsY = [pa.yPct - pa.hPct / 2, pa.yPct, pa.yPct + pa.hPct / 2];
+
+    const historyKey = nextGestureKey();
+    trackPointer((me) => {
+      let x = clamp(px + (me.clientX - startX) / rect.width,  0, 1);
+      let y = clamp(py + (me.clientY - startY) / rect.height, 0, 1);
+      let snapped = null;
+      if (!me.altKey) {
+        const sx = snapAxis(x, halfX, targetsX, SNAP_PX / rect.width);
+        const sy = snapAxis(y, halfY, targetsY, SNAP_PX / rect.height);
+        x = sx.value; y = sy.value;
+        if (sx.guide !== null || sy.guide !== null) snapped = { x: sx.guide, y: sy.guide };
+      }
+      setGuides(snapped);
+      patchPlacement(id, { x, y }, historyKey);
+    }, () => setGuides(null));
+  }, [onSelectLayer, patchPlacement, pa]);
 
   // ── Resize (distance-from-centre, rotation-agnostic) ────────
-  const startResize = useCallback((e) => {
+  // Images scale their width, text its font size
+  const startResize = useCallback((e, id) => {
     e.preventDefault(); e.stopPropagation();
-    const rect = containerRef.current.getBoundingClientRect();
-    const cx = rect.left + placementRef.current.x * rect.width;
-    const cy = rect.top  + placementRef.current.y * rect.height;
+    const { cx, cy } = layerCentre(id);
     const startDist = Math.hypot(e.clientX - cx, e.clientY - cy) || 1;
-    const startW = placementRef.current.wPct;
-    function onMove(me) {
-      const d = Math.hypot(me.clientX - cx, me.clientY - cy);
-      onPlacementChange({ ...placementRef.current, wPct: clamp(startW * (d / startDist), 0.05, 0.90) });
-    }
-    function onUp() {
-      window.removeEventListener('pointermove', onMove);
-      window.removeEventListener('pointerup',   onUp);
-    }
-    window.addEventListener('pointermove', onMove);
-    window.addEventListener('pointerup',   onUp);
-  }, [onPlacementChange]);
+    const layer = layersRef.current.find(l => l.id === id);
+    const startW = layer.placement.wPct;
+    const startSize = layer.sizePct;
+    const historyKey = nextGestureKey();
+    trackPointer((me) => {
+      const scale = Math.hypot(me.clientX - cx, me.clientY - cy) / startDist;
+      if (layer.kind === 'text') {
+        patchLayer(id, { sizePct: clamp(startSize * scale, TEXT_SIZE_MIN, TEXT_SIZE_MAX) }, historyKey);
+      } else {
+        patchPlacement(id, { wPct: clamp(startW * scale, 0.05, 0.90) }, historyKey);
+      }
+    });
+  }, [layerCentre, patchLayer, patchPlacement]);
 
-  // ── Rotate ──────────────────────────────────────────────────
-  const startRotate = useCallback((e) => {
+  // ── Rotate (ROTATION_STEP steps; Alt for any angle) ─────────
+  const startRotate = useCallback((e, id) => {
     e.preventDefault(); e.stopPropagation();
-    const rect = containerRef.current.getBoundingClientRect();
-    const cx = rect.left + placementRef.current.x * rect.width;
-    const cy = rect.top  + placementRef.current.y * rect.height;
-    function onMove(me) {
-      const angle = Math.atan2(me.clientY - cy, me.clientX - cx) * (180 / Math.PI) + 90;
-      onPlacementChange({ ...placementRef.current, rotation: angle });
-    }
-    function onUp() {
-      window.removeEventListener('pointermove', onMove);
-      window.removeEventListener('pointerup',   onUp);
-    }
-    window.addEventListener('pointermove', onMove);
-    window.addEventListener('pointerup',   onUp);
-  }, [onPlacementChange]);
+    const { cx, cy } = layerCentre(id);
+    const historyKey = nextGestureKey();
+    trackPointer((me) => {
+      let angle = normalizeAngle(Math.atan2(me.clientY - cy, me.clientX - cx) * (180 / Math.PI) + 90);
+      if (!me.altKey) angle = normalizeAngle(Math.round(angle / ROTATION_STEP) * ROTATION_STEP);
+      patchPlacement(id, { rotation: angle }, historyKey);
+    });
+  }, [layerCentre, patchPlacement]);
 
   // ── Logo placeholder drag ────────────────────────────────────
   const startLogoDrag = useCallback((e) => {
@@ -218,40 +709,81 @@ export default function DesignPreview({
     window.addEventListener('pointerup',   onUp);
   }, [updateLogo]);
 
-  // ── Action buttons ───────────────────────────────────────────
+  // ── Layer actions ────────────────────────────────────────────
+  const canAddLayer = layers.length < MAX_LAYERS_PER_SIDE;
+
+  const handleAddText = useCallback(() => {
+    const layer = makeTextLayer(pa, t('product.text.defaultContent'));
+    onLayersChange([...layersRef.current, layer]);
+    onSelectLayer(layer.id);
+  }, [onLayersChange, onSelectLayer, pa, t]);
+
+  const handleDuplicate = useCallback((id) => {
+    const { layers: next, copy } = duplicateLayer(layersRef.current, id);
+    onLayersChange(next);
+    if (copy) onSelectLayer(copy.id);
+  }, [onLayersChange, onSelectLayer]);
+
   const handleCenter = useCallback(() => {
-    const a = PRINT_AREAS[side] || PRINT_AREAS.front;
-    onPlacementChange({ ...placementRef.current, x: a.xPct, y: a.yPct });
-  }, [onPlacementChange, side]);
+    patchPlacement(selectedLayerId, { x: pa.xPct, y: pa.yPct });
+  }, [patchPlacement, selectedLayerId, pa]);
 
   const handleReset = useCallback(() => {
-    onPlacementChange(makeDefaultPlacement(side));
-  }, [onPlacementChange, side]);
+    if (selectedLayer.kind === 'text') {
+      const { sizePct, placement: p } = makeDefaultTextLayer(pa);
+      patchLayer(selectedLayerId, { sizePct, placement: p });
+    } else {
+      patchLayer(selectedLayerId, { placement: makeDefaultPlacement(side, printAreas) });
+    }
+  }, [patchLayer, selectedLayer, selectedLayerId, pa, side, printAreas]);
 
   const handleFlip = useCallback(() => {
-    onPlacementChange({ ...placementRef.current, flipped: !placementRef.current.flipped });
-  }, [onPlacementChange]);
+    patchPlacement(selectedLayerId, { flipped: !selectedLayer.placement.flipped });
+  }, [patchPlacement, selectedLayer, selectedLayerId]);
 
   // ── Render ───────────────────────────────────────────────────
   return (
     <div className="flex flex-col gap-3">
 
-      {/* Side toggle */}
-      {availableSides.length > 1 && (
-        <div className="flex gap-1 p-1 bg-slate-100 rounded-xl self-start">
-          {availableSides.map(s => (
-            <button
-              key={s}
-              onClick={() => onSideChange(s)}
-              className={`px-3 py-1.5 rounded-lg text-xs font-semibold capitalize transition-all ${
-                side === s ? 'bg-white shadow-sm text-slate-800' : 'text-slate-500 hover:text-slate-700'
-              }`}
-            >
-              {s}
-            </button>
-          ))}
-        </div>
-      )}
+      <div className="flex items-start justify-between gap-2">
+        {/* Side toggle */}
+        {availableSides.length > 1 && (
+          <div className="flex flex-wrap gap-1 p-1 bg-slate-100 rounded-xl">
+            {availableSides.map(s => (
+              <button
+                key={s}
+                onClick={() => onSideChange(s)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold capitalize transition-all ${
+                  side === s ? 'bg-white shadow-sm text-slate-800' : 'text-slate-500 hover:text-slate-700'
+                }`}
+              >
+                {t(`product.side.${s}`)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Undo / redo */}
+        {onUndo && (
+          <div className="flex gap-1 p-1 bg-slate-100 rounded-xl ml-auto">
+            {[
+              { label: '↶', title: t('product.editor.undo'), onClick: onUndo, enabled: canUndo },
+              { label: '↷', title: t('product.editor.redo'), onClick: onRedo, enabled: canRedo },
+            ].map(({ label, title, onClick, enabled }) => (
+              <button
+                key={label}
+                onClick={onClick}
+                disabled={!enabled}
+                title={title}
+                aria-label={title}
+                className="w-8 h-7 rounded-lg text-sm font-semibold text-slate-600 hover:bg-white hover:shadow-sm disabled:opacity-30 disabled:hover:bg-transparent disabled:hover:shadow-none transition-all"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
 
       {/* ── Canvas ────────────────────────────────────────────── */}
       <div
@@ -322,7 +854,7 @@ export default function DesignPreview({
         )}
 
         {/* ── Design placeholder – single clean box, draggable/resizable/rotatable ── */}
-        {!hasDesign && containerW > 0 && mockupUrl && logoPlacement && (() => {
+        {!readOnly && layers.length === 0 && containerW > 0 && mockupUrl && logoPlacement && (() => {
           const logoW = logoPlacement.wPct * containerW;
           const logoH = logoW; // square
           const iconSize = Math.max(18, logoW * 0.22);
@@ -431,92 +963,87 @@ export default function DesignPreview({
           );
         })()}
 
-        {/* ── Design overlay ── */}
-        {hasDesign && (
-          <div
-            onPointerDown={startDrag}
-            style={{
-              position: 'absolute',
-              left:     `${placement.x * 100}%`,
-              top:      `${placement.y * 100}%`,
-              width:    overlayW,
-              height:   overlayH,
-              transform: `translate(-50%,-50%) rotate(${placement.rotation}deg) scaleX(${placement.flipped ? -1 : 1})`,
-              cursor: 'grab',
-              touchAction: 'none',
-              zIndex: 10,
-            }}
-          >
-            {/* Design image – printed-on-fabric feel */}
-            <img
-              src={localDesignUrl}
-              alt="your design"
-              className="w-full h-full object-contain"
-              draggable={false}
-              style={{
-                opacity: 0.92,
-                filter:  'drop-shadow(0 1px 4px rgba(0,0,0,0.22))',
-              }}
-            />
-
-            {/* Selection outline */}
-            <div
-              className="absolute inset-0 pointer-events-none rounded-sm"
-              style={{ outline: '2px dashed rgba(99,102,241,0.80)', outlineOffset: 2 }}
-            />
-
-            {/* Rotate handle (top-centre) */}
+        {/* ── Layers, bottom to top ──
+             Locked layers let pointers through to the ones beneath. */}
+        {containerW > 0 && layers.map((layer, i) => {
+          if (layer.hidden) return null;
+          const { placement: p } = layer;
+          const isText = layer.kind === 'text';
+          const box = textBoxes[layer.id];
+          const handlesShown = editable && layer.id === selectedLayerId;
+          return (
             <div
-              onPointerDown={startRotate}
-              title="Drag to rotate"
+              key={layer.id}
+              onPointerDown={readOnly ? undefined : e => startDrag(e, layer.id)}
               style={{
-                position: 'absolute', top: -28, left: '50%',
-                transform: 'translateX(-50%)',
-                width: 22, height: 22, borderRadius: '50%',
-                background: '#6366f1', border: '2.5px solid white',
-                boxShadow: '0 2px 6px rgba(0,0,0,0.25)',
-                cursor: 'grab', touchAction: 'none', zIndex: 20,
-                display: 'flex', alignItems: 'center', justifyContent: 'center',
+                position: 'absolute',
+                left:     `${p.x * 100}%`,
+                top:      `${p.y * 100}%`,
+                width:    isText ? box?.width ?? 0 : p.wPct * containerW,
+                height:   isText ? box?.height ?? 0 : undefined,
+                transform: `translate(-50%,-50%) rotate(${p.rotation}deg) scaleX(${p.flipped ? -1 : 1})`,
+                cursor: 'grab',
+                touchAction: 'none',
+                pointerEvents: readOnly || layer.locked ? 'none' : undefined,
+                zIndex: 10 + i,
               }}
             >
-              <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="white" strokeWidth="2.5" strokeLinecap="round">
-                <path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0118.8-4.3M22 12.5a10 10 0 01-18.8 4.3"/>
-              </svg>
+              {/* Printed-on-fabric feel */}
+              {isText ? (
+                <canvas
+                  ref={(el) => {
+                    if (el) textCanvasRefs.current.set(layer.id, el);
+                    else textCanvasRefs.current.delete(layer.id);
+                  }}
+                  className="block w-full h-full"
+                  style={{ opacity: 0.92, filter: 'drop-shadow(0 1px 4px rgba(0,0,0,0.22))' }}
+                />
+              ) : (
+                <img
+                  src={layer.localUrl}
+                  alt="your design"
+                  className="block w-full"
+                  draggable={false}
+                  style={{
+                    opacity: 0.92,
+                    filter:  'drop-shadow(0 1px 4px rgba(0,0,0,0.22))',
+                  }}
+                />
+              )}
+
+              {handlesShown && (
+                <SelectionHandles
+                  onRotate={e => startRotate(e, layer.id)}
+                  onResize={e => startResize(e, layer.id)}
+                />
+              )}
             </div>
+          );
+        })}
 
-            {/* Corner resize handles */}
-            {[
-              { top: -6,    left: -6,  cursor: 'nwse-resize' },
-              { top: -6,    right: -6, cursor: 'nesw-resize' },
-              { bottom: -6, left: -6,  cursor: 'nesw-resize' },
-              { bottom: -6, right: -6, cursor: 'nwse-resize' },
-            ].map((pos, i) => (
-              <div
-                key={i}
-                onPointerDown={startResize}
-                title="Drag to resize"
-                style={{
-                  position: 'absolute',
-                  width: 12, height: 12, borderRadius: 3,
-                  background: 'white', border: '2px solid #6366f1',
-                  boxShadow: '0 1px 4px rgba(0,0,0,0.20)',
-                  cursor: pos.cursor, touchAction: 'none', zIndex: 20,
-                  ...pos,
-                }}
-              />
-            ))}
-          </div>
+        {/* ── Snapping guides ── */}
+        {guides?.x != null && (
+          <div
+            className="absolute top-0 bottom-0 pointer-events-none"
+            style={{ left: `${guides.x * 100}%`, width: 1, background: '#ec4899', zIndex: 30 }}
+          />
+        )}
+        {guides?.y != null && (
+          <div
+            className="absolute left-0 right-0 pointer-events-none"
+            style={{ top: `${guides.y * 100}%`, height: 1, background: '#ec4899', zIndex: 30 }}
+          />
         )}
       </div>
 
       {/* ── Action bar ──────────────────────────────────────────── */}
-      {hasDesign && (
+      {editable && (
         <div className="flex gap-2">
           {[
             { label: 'Center', onClick: handleCenter },
             { label: 'Reset',  onClick: handleReset  },
-            { label: '↔ Flip', onClick: handleFlip   },
-          ].map(({ label, onClick }) => (
+            selectedLayer.kind === 'image' && { label: '↔ Flip', onClick: handleFlip },
+          ].filter(Boolean).map(({ label, onClick }) => (
             <button
               key={label}
               onClick={onClick}
@@ -528,31 +1055,77 @@ export default function DesignPreview({
         </div>
       )}
 
+      {/* ── Position / size in inches ───────────────────────────── */}
+      {editable && (
+        <PlacementInputs
+          key={selectedLayerId}
+          layer={selectedLayer}
+          area={pa}
+          onChange={patch => patchLayer(selectedLayerId, patch)}
+        />
+      )}
+
       {/* ── Sliders ─────────────────────────────────────────────── */}
-      {hasDesign && (
+      {editable && selectedLayer.kind === 'image' && (
         <div className="space-y-2.5 bg-slate-50 rounded-xl p-3 border border-slate-100">
           <div className="flex items-center gap-3">
             <span className="text-xs text-slate-500 w-12 flex-shrink-0">Scale</span>
             <input
               type="range" min={5} max={90}
-              value={Math.round(placement.wPct * 100)}
-              onChange={e => onPlacementChange({ ...placement, wPct: Number(e.target.value) / 100 })}
+              value={Math.round(selectedLayer.placement.wPct * 100)}
+              onChange={e => patchPlacement(selectedLayerId, { wPct: Number(e.target.value) / 100 }, sliderKey(`slider:${selectedLayerId}:scale`))}
+              onPointerUp={endSlider}
+              onBlur={endSlider}
               className="flex-1 accent-indigo-600"
             />
-            <span className="text-xs text-slate-500 w-8 text-right">{Math.round(placement.wPct * 100)}%</span>
+            <span className="text-xs text-slate-500 w-8 text-right">{Math.round(selectedLayer.placement.wPct * 100)}%</span>
           </div>
           <div className="flex items-center gap-3">
             <span className="text-xs text-slate-500 w-12 flex-shrink-0">Rotate</span>
             <input
               type="range" min={-180} max={180}
-              value={Math.round(placement.rotation)}
-              onChange={e => onPlacementChange({ ...placement, rotation: Number(e.target.value) })}
+              value={Math.round(selectedLayer.placement.rotation)}
+              onChange={e => patchPlacement(selectedLayerId, { rotation: Number(e.target.value) }, sliderKey(`slider:${selectedLayerId}:rotation`))}
+              onPointerUp={endSlider}
+              onBlur={endSlider}
               className="flex-1 accent-indigo-600"
             />
-            <span className="text-xs text-slate-500 w-8 text-right">{Math.round(placement.rotation)}°</span>
+            <span className="text-xs text-slate-500 w-8 text-right">{Math.round(selectedLayer.placement.rotation)}°</span>
           </div>
         </div>
       )}
+
+      {/* ── Text settings ───────────────────────────────────────── */}
+      {editable && selectedLayer.kind === 'text' && (
+        <TextControls layer={selectedLayer} onChange={(patch, historyKey) => patchLayer(selectedLayerId, patch, historyKey)} />
+      )}
+
+      {/* ── Layers ──────────────────────────────────────────────── */}
+      {!readOnly && layers.length > 0 && (
+        <LayersPanel
+          layers={layers}
+          selectedId={selectedLayerId}
+          onSelect={onSelectLayer}
+          onChange={onLayersChange}
+          onDuplicate={handleDuplicate}
+          canDuplicate={canAddLayer}
+        />
+      )}
+
+      {!readOnly && mockupUrl && (
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleAddText}
+            disabled={!canAddLayer}
+            className="px-3 py-1.5 text-xs font-semibold text-indigo-600 bg-indigo-50 hover:bg-indigo-100 disabled:opacity-50 disabled:hover:bg-indigo-50 rounded-lg transition-colors"
+          >
+            {t('product.text.add')}
+          </button>
+          {!canAddLayer && (
+            <span className="text-xs text-slate-400">{t('product.layers.max', { max: MAX_LAYERS_PER_SIDE })}</span>
+          )}
+        </div>
+      )}
     </div>
   );
 }
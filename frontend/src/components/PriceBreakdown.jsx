@@ -0,0 +1,36 @@
+// src/components/PriceBreakdown.jsx
+// ─────────────────────────────────────────────────────────────
+// Itemized line price from the server pricing engine
+// (cart item.pricing, PDP quote, order_items.price_breakdown).
+// Renders nothing when there is nothing beyond the garment price.
+// ─────────────────────────────────────────────────────────────
+
+import { useTranslation } from 'react-i18next';
+
+function formatPrice(cents) {
+  return (cents / 100).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+export default function PriceBreakdown({ pricing, quantity, className = '' }) {
+  const { t } = useTranslation();
+  if (!pricing?.surcharges?.length) return null;
+
+  return (
+    <dl className={`text-xs text-slate-500 space-y-0.5 ${className}`}>
+      <div className="flex justify-between gap-3">
+        <dt>{t('pricing.garment')}</dt>
+        <dd>{formatPrice(pricing.garmentUnitCents)} × {quantity}</dd>
+      </div>
+      {pricing.surcharges.map(s => (
+        <div key={s.code} className="flex justify-between gap-3">
+          <dt>{t(`pricing.surcharges.${s.code}`, s.code)}</dt>
+          <dd>
+            {s.perUnitCents > 0
+              ? `+${formatPrice(s.perUnitCents)} × ${quantity}`
+              : `+${formatPrice(s.flatCents)}`}
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
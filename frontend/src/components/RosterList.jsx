@@ -0,0 +1,39 @@
+// src/components/RosterList.jsx
+// ─────────────────────────────────────────────────────────────
+// Players on a team roster line (config.roster, src/lib/roster.js):
+// a collapsible Name / Number / Size table for the cart, mini cart
+// and admin order. Renders nothing for other lines.
+// ─────────────────────────────────────────────────────────────
+
+import { useTranslation } from 'react-i18next';
+
+export default function RosterList({ roster, size, defaultOpen = false, className = '' }) {
+  const { t } = useTranslation();
+  if (!roster?.entries?.length) return null;
+
+  return (
+    <details open={defaultOpen} className={`group text-xs ${className}`}>
+      <summary className="cursor-pointer select-none font-semibold text-indigo-600 hover:text-indigo-700">
+        {t('roster.summary', { count: roster.entries.length })}
+      </summary>
+      <table className="mt-1.5 w-full max-w-xs">
+        <thead className="text-slate-400">
+          <tr>
+            <th className="py-0.5 pr-3 text-left font-medium">{t('roster.name')}</th>
+            <th className="py-0.5 pr-3 text-left font-medium">{t('roster.number')}</th>
+            {size && <th className="py-0.5 text-left font-medium">{t('roster.size')}</th>}
+          </tr>
+        </thead>
+        <tbody className="text-slate-700">
+          {roster.entries.map((entry, i) => (
+            <tr key={i}>
+              <td className="py-0.5 pr-3">{entry.name || '—'}</td>
+              <td className="py-0.5 pr-3 font-semibold">{entry.number || '—'}</td>
+              {size && <td className="py-0.5">{size}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
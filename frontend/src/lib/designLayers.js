@@ -0,0 +1,102 @@
+// src/lib/designLayers.js
+// Layers on a print location.
+// Each location in the designer holds an array of layers, bottom to
+// top; the last one is drawn over the others.
+//   image  { id, kind: 'image', designId, localUrl, placement, locked, hidden }
+//   text   { id, kind: 'text', content, font, …, placement, locked, hidden }
+//          (text settings as in src/lib/textLayer.js)
+// placement is { x, y, wPct, rotation, flipped } in fractions of the
+// mockup frame; text placements have no wPct until rendered for print.
+//
+// Hidden layers stay in the editor but are not printed or priced;
+// locked ones can't be moved on the canvas.
+//
+// On the cart line a location is config[location] = { layers: [...] }
+// with design_url / design_preview_url added to every layer (see
+// backend/lib/printAreas.js sideLayers()). Saved projects (My Designs)
+// keep the same shape; restoreLayer() turns a saved layer back into
+// an editor one.
+
+import { makeDefaultTextLayer } from './textLayer';
+
+export const MAX_LAYERS_PER_SIDE = 8;
+
+// How far a duplicate is nudged from its original (fraction of frame)
+const DUPLICATE_OFFSET = 0.03;
+
+let lastId = 0;
+function newLayerId() {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+}
+
+export function makeImageLayer(design, placement) {
+  return {
+    id: newLayerId(),
+    kind: 'image',
+    designId: design.id,
+    localUrl: design.localUrl,
+    placement,
+    locked: false,
+    hidden: false,
+  };
+}
+
+export function makeTextLayer(area, content) {
+  return { id: newLayerId(), ...makeDefaultTextLayer(area, content), locked: false, hidden: false };
+}
+
+/**
+ * An editor layer from a saved one. design = the library entry for an
+ * image layer's file; text layers drop what was added for print.
+ */
+export function restoreLayer(saved, design) {
+  const flags = { locked: Boolean(saved.locked), hidden: Boolean(saved.hidden) };
+  if (saved.kind !== 'text') return { ...makeImageLayer(design, saved.placement), ...flags };
+  const text = { ...saved, id: newLayerId(), ...flags };
+  delete text.design_url;
+  delete text.design_preview_url;
+  return text;
+}
+
+/** Whether a layer ends up on the garment. */
+export function isPrintable(layer) {
+  if (layer.hidden) return false;
+  return layer.kind === 'text' ? Boolean(layer.content?.trim()) : Boolean(layer.localUrl);
+}
+
+export function updateLayer(layers, id, patch) {
+  return layers.map(l => (l.id === id ? { ...l, ...patch } : l));
+}
+
+export function removeLayer(layers, id) {
+  return layers.filter(l => l.id !== id);
+}
+
+/** Moves a layer up (+1, towards the front) or down (-1) one step. */
+export function moveLayer(layers, id, delta) {
+  const from = layers.findIndex(l => l.id === id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= layers.length) return layers;
+  const next = [...layers];
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+}
+
+/** Copies a layer just above the original, nudged so both are visible. */
+export function duplicateLayer(layers, id) {
+  const index = layers.findIndex(l => l.id === id);
+  if (index < 0) return { layers, copy: null };
+  const original = layers[index];
+  const copy = {
+    ...original,
+    id: newLayerId(),
+    locked: false,
+    placement: {
+      ...original.placement,
+      x: Math.min(original.placement.x + DUPLICATE_OFFSET, 1),
+      y: Math.min(original.placement.y + DUPLICATE_OFFSET, 1),
+    },
+  };
+  return { layers: [...layers.slice(0, index + 1), copy, ...layers.slice(index + 1)], copy };
+}
@@ -0,0 +1,83 @@
+// src/lib/history.js
+// Undo / redo for editor state.
+// useHistory() works like useState, but every set() is recorded so it
+// can be undone. Changes made in one go — a drag, a slider, typing —
+// pass the same `key` and collapse into a single step; a set() without
+// a key is always its own step. Callers change the key when the
+// gesture ends (pointer-up, blur), and a pause of STEP_IDLE_MS also
+// starts a new step, so later edits to the same field undo apart.
+
+import { useState, useCallback } from 'react';
+
+// Oldest steps are dropped past this
+const MAX_STEPS = 50;
+
+// Edits with the same key this far apart are separate steps
+const STEP_IDLE_MS = 1000;
+
+export function useHistory(initial) {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initial === 'function' ? initial() : initial,
+    future: [],
+    key: null,
+    at: 0,
+  }));
+
+  const set = useCallback((update, key = null) => {
+    const now = Date.now();
+    setHistory((h) => {
+      const present = typeof update === 'function' ? update(h.present) : update;
+      if (present === h.present) return h;
+      const sameStep = key !== null && key === h.key && now - h.at < STEP_IDLE_MS;
+      return {
+        past: sameStep ? h.past : [...h.past, h.present].slice(-MAX_STEPS),
+        present,
+        future: [],
+        key,
+        at: now,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (h.past.length === 0) return h;
+      return {
+        past: h.past.slice(0, -1),
+        present: h.past[h.past.length - 1],
+        future: [h.present, ...h.future],
+        key: null,
+        at: 0,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (h.future.length === 0) return h;
+      return {
+        past: [...h.past, h.present],
+        present: h.future[0],
+        future: h.future.slice(1),
+        key: null,
+        at: 0,
+      };
+    });
+  }, []);
+
+  // Forget every step but the current state
+  const clear = useCallback(() => {
+    setHistory(h => ({ past: [], present: h.present, future: [], key: null, at: 0 }));
+  }, []);
+
+  return {
+    present: history.present,
+    set,
+    undo,
+    redo,
+    clear,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
@@ -0,0 +1,130 @@
+// src/lib/roster.js
+// Team rosters for the PDP: a pasted list or CSV of players, one per
+// line — name, number, size — becomes one cart line per size, each
+// carrying its players (config.roster, see backend/lib/roster.js).
+// Columns follow a header row when there is one (name / number /
+// size, in English or Spanish), else that order. Tabs, commas and
+// semicolons all work as separators, so a spreadsheet paste does too.
+
+// Categories sold to teams (mirrors backend/lib/roster.js)
+export const ROSTER_CATEGORIES = ['jerseys', 'performance'];
+
+export const MAX_ROSTER_NAME = 20;
+export const MAX_ROSTER_ENTRIES = 500;
+
+const HEADERS = {
+  name:   ['name', 'player', 'nombre', 'jugador'],
+  number: ['number', 'no', 'no.', '#', 'num', 'numero', 'número', 'dorsal'],
+  size:   ['size', 'talla', 'tamaño'],
+};
+
+// Spellings customers use for the store's sizes
+const SIZE_ALIASES = {
+  'X-SMALL': 'XS', XSMALL: 'XS', SMALL: 'S', MEDIUM: 'M', LARGE: 'L',
+  'X-LARGE': 'XL', XLARGE: 'XL', XXL: '2XL', XXXL: '3XL', XXXXL: '4XL',
+};
+
+function normalizeSize(value) {
+  const size = value.trim().toUpperCase().replace(/\s+/g, '');
+  return SIZE_ALIASES[size] || size;
+}
+
+// One row's fields; double quotes wrap fields holding the separator
+function splitRow(line, separator) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (ch === separator) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function detectSeparator(lines) {
+  const sample = lines.slice(0, 5).join('\n');
+  if (sample.includes('\t')) return '\t';
+  const count = ch => sample.split(ch).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+// Column index of each field from a header row, or null if the row
+// is a player
+function headerColumns(fields) {
+  const columns = {};
+  fields.forEach((field, i) => {
+    const key = Object.keys(HEADERS).find(k => HEADERS[k].includes(field.toLowerCase()));
+    if (key && columns[key] === undefined) columns[key] = i;
+  });
+  return Object.keys(columns).length >= 2 ? columns : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Parse a roster against the sizes on offer.
+// Returns: { entries: [{ name, number, size }],
+//            errors: [{ line, code, params }] }
+//   code  'name' | 'number' | 'empty' | 'size' | 'tooMany' — an
+//         i18n key under product.roster.errors; line is 1-based
+// Lines with errors are left out of entries.
+// ─────────────────────────────────────────────────────────────
+export function parseRoster(text, sizes) {
+  const lines = text.split(/\r?\n/).map((raw, i) => ({ raw, line: i + 1 })).filter(l => l.raw.trim());
+  const entries = [];
+  const errors = [];
+  if (lines.length === 0) return { entries, errors };
+
+  const separator = detectSeparator(lines.map(l => l.raw));
+  let columns = { name: 0, number: 1, size: 2 };
+  const header = headerColumns(splitRow(lines[0].raw, separator));
+  if (header) {
+    columns = header;
+    lines.shift();
+  }
+
+  for (const { raw, line } of lines) {
+    const fields = splitRow(raw, separator);
+    const field = key => (columns[key] === undefined ? '' : fields[columns[key]] || '');
+    const name = field('name');
+    const number = field('number').replace(/^#/, '');
+    const size = normalizeSize(field('size'));
+
+    if (name.length > MAX_ROSTER_NAME) {
+      errors.push({ line, code: 'name', params: { max: MAX_ROSTER_NAME } });
+    } else if (!/^\d{0,3}$/.test(number)) {
+      errors.push({ line, code: 'number', params: { value: number } });
+    } else if (!name && !number) {
+      errors.push({ line, code: 'empty', params: {} });
+    } else if (!sizes.includes(size)) {
+      errors.push({ line, code: 'size', params: { value: size || '—' } });
+    } else if (entries.length >= MAX_ROSTER_ENTRIES) {
+      errors.push({ line, code: 'tooMany', params: { max: MAX_ROSTER_ENTRIES } });
+    } else {
+      entries.push({ name, number, size });
+    }
+  }
+  return { entries, errors };
+}
+
+// Players grouped by size, in the order sizes are listed
+// Returns: [{ size, entries: [{ name, number }] }]
+export function rosterBySize(entries, sizes) {
+  return sizes
+    .map(size => ({
+      size,
+      entries: entries.filter(e => e.size === size).map(({ name, number }) => ({ name, number })),
+    }))
+    .filter(group => group.entries.length > 0);
+}
@@ -0,0 +1,200 @@
+// src/lib/textLayer.js
+// Text layers for the design editor.
+// A text layer is one entry of a location's layers (src/lib/designLayers.js),
+// stored on the cart line in config[side].layers as:
+//   { kind: 'text', content, font, sizePct, color, outlineColor, outlineWidth,
+//     arc, align, placement: { x, y, wPct, rotation }, locked, hidden,
+//     design_url, design_preview_url }
+//   font          family name from TEXT_FONTS
+//   sizePct       font size as a fraction of the mockup frame width
+//   outlineWidth  outline thickness as a fraction of the font size (0 = none)
+//   arc           -100…100 — positive arches up, negative curves down
+//   align         'left' | 'center' | 'right' (lines of multi-line text)
+//
+// The same drawing code paints each layer's canvas in the live preview
+// (paintTextLayer) and, on add to cart, a transparent PNG per layer at
+// print resolution (renderTextLayerFile) that goes through the normal
+// design upload. Print files, job sheets and the admin stack that PNG
+// with the location's other layers, so they show exactly what the
+// customer saw whatever fonts the server has; design_url /
+// placement.wPct describe the PNG. Saved designs and approval links
+// keep only the settings and render again when added to the cart.
+
+export const TEXT_FONTS = [
+  { family: 'Oswald',           weight: 600, fallback: 'sans-serif' },
+  { family: 'Anton',            weight: 400, fallback: 'sans-serif' },
+  { family: 'Bebas Neue',       weight: 400, fallback: 'sans-serif' },
+  { family: 'Roboto Slab',      weight: 700, fallback: 'serif' },
+  { family: 'Pacifico',         weight: 400, fallback: 'cursive' },
+  { family: 'Permanent Marker', weight: 400, fallback: 'cursive' },
+];
+
+const FONTS_CSS = 'https://fonts.googleapis.com/css2?family=Anton&family=Bebas+Neue&family=Oswald:wght@600'
+  + '&family=Pacifico&family=Permanent+Marker&family=Roboto+Slab:wght@700&display=swap';
+
+// Print files are rendered at 300 DPI (backend/lib/printFiles.js)
+const PRINT_DPI = 300;
+
+const LINE_HEIGHT = 1.2;
+// Glyph extent above / below the baseline, as a fraction of the font
+// size — generous so script fonts aren't clipped
+const ASCENT = 0.95;
+const DESCENT = 0.35;
+
+const clamp = (v, mn, mx) => Math.max(mn, Math.min(mx, v));
+
+function fontFor(family) {
+  return TEXT_FONTS.find(f => f.family === family) || TEXT_FONTS[0];
+}
+
+function fontCss(font, sizePx) {
+  return `${font.weight} ${sizePx}px '${font.family}', ${font.fallback}`;
+}
+
+// ── Font loading ──────────────────────────────────────────────
+// The stylesheet is added the first time text is used; resolves once
+// every font can be drawn (or falls back to system fonts on error).
+let fontsPromise = null;
+export function loadTextFonts() {
+  if (!fontsPromise) {
+    fontsPromise = new Promise((resolve) => {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = FONTS_CSS;
+      link.onload = resolve;
+      link.onerror = resolve;
+      document.head.appendChild(link);
+    })
+      .then(() => Promise.all(TEXT_FONTS.map(f => document.fonts?.load(fontCss(f, 32)))))
+      .catch(() => {});
+  }
+  return fontsPromise;
+}
+
+/** A new text layer centred on the print area. */
+export function makeDefaultTextLayer(area, content = '') {
+  return {
+    content,
+    font: TEXT_FONTS[0].family,
+    sizePct: Math.round(area.wPct * 0.16 * 1000) / 1000,
+    color: '#111827',
+    outlineColor: '#ffffff',
+    outlineWidth: 0,
+    arc: 0,
+    align: 'center',
+    placement: { x: area.xPct, y: area.yPct, rotation: 0 },
+  };
+}
+
+// ── Layout ────────────────────────────────────────────────────
+// Splits the text into pieces (whole lines when straight, single
+// characters along a circle when arched) and measures their bounds.
+// unitPx = pixels per frame width.
+// Returns: { pieces: [{ text, x, y, rot }], sizePx, font, minX, minY, width, height }
+//   x / y = centre of each piece's baseline
+function layoutTextLayer(ctx, layer, unitPx) {
+  const font = fontFor(layer.font);
+  const sizePx = layer.sizePct * unitPx;
+  ctx.font = fontCss(font, sizePx);
+
+  const lines = String(layer.content || '').split('\n');
+  const lineH = sizePx * LINE_HEIGHT;
+  const widths = lines.map(line => ctx.measureText(line).width);
+  const maxW = Math.max(...widths, 1);
+  const bend = clamp(layer.arc || 0, -100, 100) / 100;
+  // The widest line spans up to half a circle at full bend
+  const radius = bend ? maxW / (Math.abs(bend) * Math.PI) : 0;
+
+  const pieces = [];
+  lines.forEach((line, i) => {
+    const w = widths[i];
+    const start = layer.align === 'left' ? -maxW / 2 : layer.align === 'right' ? maxW / 2 - w : -w / 2;
+    if (!bend) {
+      pieces.push({ text: line, x: start + w / 2, y: i * lineH, rot: 0, width: w });
+      return;
+    }
+    // Arches stack inwards, smiles outwards
+    const r = bend > 0 ? Math.max(radius - i * lineH, lineH) : radius + i * lineH;
+    let s = start;
+    for (const ch of line) {
+      const cw = ctx.measureText(ch).width;
+      const phi = (s + cw / 2) / r;
+      pieces.push(bend > 0
+        ? { text: ch, x: r * Math.sin(phi), y: i * lineH + r * (1 - Math.cos(phi)), rot: phi, width: cw }
+        : { text: ch, x: r * Math.sin(phi), y: i * lineH - r * (1 - Math.cos(phi)), rot: -phi, width: cw });
+      s += cw;
+    }
+  });
+
+  // Bounds of every piece's (rotated) box, outline included
+  const pad = (layer.outlineWidth || 0) * sizePx + 2;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  pieces.forEach(({ x, y, rot, width }) => {
+    const cos = Math.cos(rot), sin = Math.sin(rot);
+    [[-width / 2 - pad, -ASCENT * sizePx - pad], [width / 2 + pad, -ASCENT * sizePx - pad],
+      [-width / 2 - pad, DESCENT * sizePx + pad], [width / 2 + pad, DESCENT * sizePx + pad]]
+      .forEach(([dx, dy]) => {
+        const px = x + dx * cos - dy * sin;
+        const py = y + dx * sin + dy * cos;
+        minX = Math.min(minX, px); maxX = Math.max(maxX, px);
+        minY = Math.min(minY, py); maxY = Math.max(maxY, py);
+      });
+  });
+  if (pieces.length === 0) { minX = 0; minY = 0; maxX = 1; maxY = 1; }
+
+  return { pieces, sizePx, font, minX, minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Paints a laid-out layer with its top-left bound at (0, 0)
+function drawTextLayer(ctx, layer, lay) {
+  ctx.font = fontCss(lay.font, lay.sizePx);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.lineJoin = 'round';
+  ctx.fillStyle = layer.color;
+  ctx.strokeStyle = layer.outlineColor;
+  ctx.lineWidth = 2 * (layer.outlineWidth || 0) * lay.sizePx;
+
+  lay.pieces.forEach(({ text, x, y, rot }) => {
+    ctx.save();
+    ctx.translate(x - lay.minX, y - lay.minY);
+    ctx.rotate(rot);
+    // Outline first, fill on top, so the outline only grows outwards
+    if (layer.outlineWidth > 0) ctx.strokeText(text, 0, 0);
+    ctx.fillText(text, 0, 0);
+    ctx.restore();
+  });
+}
+
+/**
+ * Paints the layer into `canvas` at unitPx pixels per frame width, sizing
+ * the canvas to fit. pixelRatio sharpens it on high-DPI screens.
+ * Returns the size in CSS pixels: { width, height }.
+ */
+export function paintTextLayer(canvas, layer, unitPx, pixelRatio = 1) {
+  const ctx = canvas.getContext('2d');
+  const lay = layoutTextLayer(ctx, layer, unitPx * pixelRatio);
+  canvas.width = Math.max(1, Math.ceil(lay.width));
+  canvas.height = Math.max(1, Math.ceil(lay.height));
+  drawTextLayer(ctx, layer, lay);
+  return { width: lay.width / pixelRatio, height: lay.height / pixelRatio };
+}
+
+/**
+ * Renders the layer as a print-resolution PNG for the print area it's on.
+ * Returns: { file, placement } — placement gains wPct (the PNG's width as
+ * a fraction of the frame) so it can be placed like an image design.
+ */
+export async function renderTextLayerFile(layer, area, filename) {
+  await loadTextFonts();
+  const unitPx = (area.widthIn / area.wPct) * PRINT_DPI;
+  const canvas = document.createElement('canvas');
+  const { width } = paintTextLayer(canvas, layer, unitPx);
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Could not render text'))), 'image/png');
+  });
+  return {
+    file: new File([blob], filename, { type: 'image/png' }),
+    placement: { ...layer.placement, wPct: width / unitPx, flipped: false },
+  };
+}
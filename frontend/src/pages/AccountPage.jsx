@@ -5,7 +5,7 @@ import { Helmet } from 'react-helmet-async';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
 import { useWishlist } from '../context/WishlistContext';
-import { fetchWishlist } from '../api/products';
+import { fetchWishlist, fetchMyDesigns, deleteDesignProject } from '../api/products';
 import LanguageSwitcher from '../components/LanguageSwitcher';
 
 const API = import.meta.env.VITE_API_URL || '/api';
@@ -19,21 +19,29 @@ function formatDate(iso) {
 }
 
 const STATUS_STYLES = {
-  pending:    'bg-yellow-50 text-yellow-700 border-yellow-200',
-  paid:       'bg-blue-50 text-blue-700 border-blue-200',
-  processing: 'bg-purple-50 text-purple-700 border-purple-200',
-  fulfilled:  'bg-green-50 text-green-700 border-green-200',
-  shipped:    'bg-green-50 text-green-700 border-green-200',
-  cancelled:  'bg-red-50 text-red-700 border-red-200',
+  pending:            'bg-yellow-50 text-yellow-700 border-yellow-200',
+  paid:               'bg-blue-50 text-blue-700 border-blue-200',
+  processing:         'bg-purple-50 text-purple-700 border-purple-200',
+  fulfilled:          'bg-green-50 text-green-700 border-green-200',
+  shipped:            'bg-green-50 text-green-700 border-green-200',
+  cancelled:          'bg-red-50 text-red-700 border-red-200',
+  payment_failed:     'bg-red-50 text-red-700 border-red-200',
+  partially_refunded: 'bg-orange-50 text-orange-700 border-orange-200',
+  refunded:           'bg-slate-50 text-slate-600 border-slate-200',
+  disputed:           'bg-red-50 text-red-700 border-red-200',
 };
 
 const STATUS_KEY = {
-  pending:    'account.status.pending',
-  paid:       'account.status.paid',
-  processing: 'account.status.processing',
-  fulfilled:  'account.status.fulfilled',
-  shipped:    'account.status.shipped',
-  cancelled:  'account.status.cancelled',
+  pending:            'account.status.pending',
+  paid:               'account.status.paid',
+  processing:         'account.status.processing',
+  fulfilled:          'account.status.fulfilled',
+  shipped:            'account.status.shipped',
+  cancelled:          'account.status.cancelled',
+  payment_failed:     'account.status.payment_failed',
+  partially_refunded: 'account.status.partially_refunded',
+  refunded:           'account.status.refunded',
+  disputed:           'account.status.disputed',
 };
 
 function StatusBadge({ status }) {
@@ -114,7 +122,7 @@ function OrdersTab({ session }) {
             </div>
             <div className="flex items-center gap-4">
               <StatusBadge status={order.status} />
-              <p className="text-sm font-bold text-slate-900">{formatPrice(order.subtotal_cents)}</p>
+              <p className="text-sm font-bold text-slate-900">{formatPrice(order.total_cents ?? order.subtotal_cents)}</p>
               <svg
                 className={`w-4 h-4 text-slate-400 transition-transform ${expanded === order.id ? 'rotate-180' : ''}`}
                 fill="none" stroke="currentColor" viewBox="0 0 24 24"
@@ -134,7 +142,32 @@ function OrdersTab({ session }) {
                       {item.variant?.color_name} · {item.variant?.size} · {t('account.orders.qty', { n: item.quantity })}
                     </p>
                   </div>
-                  <p className="font-semibold text-slate-700">{formatPrice(item.price_cents * item.quantity)}</p>
+                  <p className="font-semibold text-slate-700">{formatPrice(item.price_breakdown?.lineTotalCents ?? item.price_cents * item.quantity)}</p>
+                </div>
+              ))}
+              {(order.shipments || []).map((sh) => (
+                <div key={sh.id} className="flex items-center justify-between gap-4 text-sm pt-2 border-t border-slate-200">
+                  <div>
+                    <p className="font-medium text-slate-800">
+                      {t('account.orders.shipment.shippedVia', {
+                        carrier: t(`account.orders.shipment.carriers.${sh.carrier}`, { defaultValue: sh.carrier }),
+                      })}
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      {formatDate(sh.shipped_at)}
+                      {sh.tracking_number && <> · <span className="font-mono">{sh.tracking_number}</span></>}
+                    </p>
+                  </div>
+                  {sh.tracking_url && (
+                    <a
+                      href={sh.tracking_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-indigo-600 hover:underline text-sm font-medium flex-shrink-0"
+                    >
+                      {t('account.orders.shipment.track')}
+                    </a>
+                  )}
                 </div>
               ))}
             </div>
@@ -326,6 +359,142 @@ function WishlistTab({ session }) {
   );
 }
 
+// ── Designs Tab ────────────────────────────────────────────────
+// Saved projects (reopen on the product page) and every file uploaded
+// while signed in (reusable from the product page's design picker).
+function DesignsTab({ session }) {
+  const { t } = useTranslation();
+  const [designs, setDesigns] = useState(null);
+  const [error, setError] = useState('');
+  const [deletingId, setDeletingId] = useState(null); // id pending confirm
+
+  useEffect(() => {
+    if (!session?.access_token) return;
+    fetchMyDesigns(session.access_token)
+      .then(setDesigns)
+      .catch(() => { setError(t('account.designs.couldNotLoad')); setDesigns({ uploads: [], projects: [] }); });
+  }, [session, t]);
+
+  async function handleDelete(id) {
+    setDeletingId(null);
+    setDesigns(prev => ({ ...prev, projects: prev.projects.filter(p => p.id !== id) }));
+    await deleteDesignProject(id, session.access_token).catch(() => {
+      setError(t('account.designs.couldNotDelete'));
+    });
+  }
+
+  if (!designs) {
+    return (
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 animate-pulse">
+        {[...Array(3)].map((_, i) => (
+          <div key={i} className="rounded-2xl bg-slate-100 aspect-square" />
+        ))}
+      </div>
+    );
+  }
+
+  const { uploads, projects } = designs;
+  if (uploads.length === 0 && projects.length === 0) {
+    return (
+      <div className="text-center py-16 text-slate-400">
+        {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+        <p className="font-medium text-slate-500">{t('account.designs.empty.heading')}</p>
+        <p className="text-sm mt-1">{t('account.designs.empty.body')}</p>
+        <Link to="/products" className="mt-4 inline-block text-indigo-600 hover:underline text-sm font-medium">
+          {t('account.designs.empty.cta')}
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      <section className="space-y-3">
+        <h2 className="text-sm font-semibold text-slate-700">{t('account.designs.projects')}</h2>
+        {projects.length === 0 ? (
+          <p className="text-sm text-slate-400">{t('account.designs.noProjects')}</p>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            {projects.map((project) => (
+              <div key={project.id} className="bg-white rounded-2xl overflow-hidden border border-slate-100 shadow-sm flex flex-col">
+                <div className="aspect-square bg-slate-50 flex items-center justify-center">
+                  {project.previewUrl ? (
+                    <img src={project.previewUrl} alt={project.name} className="w-full h-full object-contain p-4" />
+                  ) : (
+                    <span className="text-3xl font-bold text-slate-300">Aa</span>
+                  )}
+                </div>
+                <div className="p-3 flex-1 space-y-0.5">
+                  <p className="text-sm font-semibold text-slate-800 truncate">{project.name}</p>
+                  <p className="text-xs text-slate-500 truncate">
+                    {[project.productName, project.colorName].filter(Boolean).join(' · ')}
+                  </p>
+                  <p className="text-xs text-slate-400">{t('account.designs.updated', { date: formatDate(project.updatedAt) })}</p>
+                </div>
+                {deletingId === project.id ? (
+                  <div className="px-3 pb-3 flex items-center gap-2">
+                    <span className="text-xs text-slate-500">{t('account.designs.delete.confirm')}</span>
+                    <button
+                      onClick={() => handleDelete(project.id)}
+                      className="px-2.5 py-1 bg-red-600 hover:bg-red-700 text-white text-xs font-semibold rounded-lg transition-colors"
+                    >
+                      {t('account.designs.delete.yes')}
+                    </button>
+                    <button
+                      onClick={() => setDeletingId(null)}
+                      className="px-2.5 py-1 bg-slate-100 hover:bg-slate-200 text-slate-600 text-xs font-semibold rounded-lg transition-colors"
+                    >
+                      {t('account.designs.delete.cancel')}
+                    </button>
+                  </div>
+                ) : (
+                  <div className="px-3 pb-3 flex items-center gap-3 text-sm font-medium">
+                    {project.productSlug && (
+                      <Link to={`/products/${project.productSlug}?project=${project.id}`} className="text-indigo-600 hover:underline">
+                        {t('account.designs.open')}
+                      </Link>
+                    )}
+                    <button onClick={() => setDeletingId(project.id)} className="text-slate-400 hover:text-red-600 transition-colors">
+                      {t('account.designs.delete.button')}
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="space-y-3">
+        <h2 className="text-sm font-semibold text-slate-700">{t('account.designs.uploads')}</h2>
+        {uploads.length === 0 ? (
+          <p className="text-sm text-slate-400">{t('account.designs.noUploads')}</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-3 sm:grid-cols-5 gap-3">
+              {uploads.map((upload) => (
+                <a
+                  key={upload.id}
+                  href={upload.previewUrl || undefined}
+                  target="_blank"
+                  rel="noreferrer"
+                  title={upload.filename}
+                  className="aspect-square rounded-xl border border-slate-100 bg-white overflow-hidden hover:border-indigo-300 transition-colors"
+                >
+                  <img src={upload.viewUrl} alt={upload.filename} className="w-full h-full object-contain p-2" />
+                </a>
+              ))}
+            </div>
+            <p className="text-xs text-slate-400">{t('account.designs.uploadsHint')}</p>
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
 // ── Profile Tab ────────────────────────────────────────────────
 function ProfileTab({ user, session }) {
   const { t } = useTranslation();
@@ -430,6 +599,7 @@ export default function AccountPage() {
 
   const tabs = [
     { id: 'orders', label: t('account.tabs.orders') },
+    { id: 'designs', label: t('account.tabs.designs') },
     { id: 'wishlist', label: t('account.tabs.wishlist') },
     { id: 'address', label: t('account.tabs.address') },
     { id: 'profile', label: t('account.tabs.profile') },
@@ -486,6 +656,7 @@ export default function AccountPage() {
 
         {/* Tab content */}
         {tab === 'orders' && <OrdersTab session={session} />}
+        {tab === 'designs' && <DesignsTab session={session} />}
         {tab === 'wishlist' && <WishlistTab session={session} />}
         {tab === 'address' && <AddressTab session={session} />}
         {tab === 'profile' && <ProfileTab user={user} session={session} />}
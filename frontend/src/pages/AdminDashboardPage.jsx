@@ -31,12 +31,16 @@ function formatShortDate(isoDate) {
 }
 
 const STATUS_COLORS = {
-  pending:    'bg-yellow-50 text-yellow-700 border-yellow-200',
-  paid:       'bg-blue-50 text-blue-700 border-blue-200',
-  processing: 'bg-purple-50 text-purple-700 border-purple-200',
-  fulfilled:  'bg-green-50 text-green-700 border-green-200',
-  shipped:    'bg-green-50 text-green-700 border-green-200',
-  cancelled:  'bg-red-50 text-red-700 border-red-200',
+  pending:            'bg-yellow-50 text-yellow-700 border-yellow-200',
+  paid:               'bg-blue-50 text-blue-700 border-blue-200',
+  processing:         'bg-purple-50 text-purple-700 border-purple-200',
+  fulfilled:          'bg-green-50 text-green-700 border-green-200',
+  shipped:            'bg-green-50 text-green-700 border-green-200',
+  cancelled:          'bg-red-50 text-red-700 border-red-200',
+  payment_failed:     'bg-red-50 text-red-700 border-red-200',
+  partially_refunded: 'bg-orange-50 text-orange-700 border-orange-200',
+  refunded:           'bg-slate-50 text-slate-600 border-slate-200',
+  disputed:           'bg-red-50 text-red-700 border-red-200',
 };
 
 // ── Stat card ──────────────────────────────────────────────────
@@ -331,10 +335,10 @@ export default function AdminDashboardPage() {
                       <p className="text-xs text-slate-400">{formatDate(order.created_at)}</p>
                     </div>
                     <span className={`px-2 py-0.5 rounded-full border text-xs font-semibold capitalize flex-shrink-0 ${STATUS_COLORS[order.status] || 'bg-slate-50 text-slate-600 border-slate-200'}`}>
-                      {order.status}
+                      {order.status.replace(/_/g, ' ')}
                     </span>
                     <p className="text-sm font-bold text-slate-700 flex-shrink-0 w-16 text-right">
-                      {formatPrice(order.subtotal_cents)}
+                      {formatPrice(order.total_cents ?? order.subtotal_cents)}
                     </p>
                   </Link>
                 ))}
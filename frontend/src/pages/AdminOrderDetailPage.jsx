@@ -2,8 +2,13 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate, useParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
-import { fetchAdminOrder, updateOrderStatus, deleteOrder } from '../api/admin';
+import {
+  fetchAdminOrder, updateOrderStatus, deleteOrder, createRefund, createShipment, downloadJobSheet,
+  generatePrintFiles,
+} from '../api/admin';
 import { AdminTopBar } from './AdminProductsPage';
+import PriceBreakdown from '../components/PriceBreakdown';
+import RosterList from '../components/RosterList';
 
 // ── Helpers ───────────────────────────────────────────────────
 function formatPrice(cents) {
@@ -18,24 +23,32 @@ function formatDate(iso) {
 }
 
 const STATUS_STYLES = {
-  pending:   'bg-amber-100 text-amber-700 border-amber-200',
-  paid:      'bg-indigo-100 text-indigo-700 border-indigo-200',
-  fulfilled: 'bg-green-100 text-green-700 border-green-200',
-  cancelled: 'bg-slate-100 text-slate-500 border-slate-200',
+  pending:            'bg-amber-100 text-amber-700 border-amber-200',
+  payment_failed:     'bg-red-100 text-red-700 border-red-200',
+  paid:               'bg-indigo-100 text-indigo-700 border-indigo-200',
+  fulfilled:          'bg-green-100 text-green-700 border-green-200',
+  shipped:            'bg-teal-100 text-teal-700 border-teal-200',
+  cancelled:          'bg-slate-100 text-slate-500 border-slate-200',
+  partially_refunded: 'bg-orange-100 text-orange-700 border-orange-200',
+  refunded:           'bg-slate-100 text-slate-700 border-slate-300',
+  disputed:           'bg-red-100 text-red-700 border-red-200',
 };
 
 function StatusBadge({ status }) {
   return (
     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold border capitalize ${STATUS_STYLES[status] || STATUS_STYLES.pending}`}>
-      {status}
+      {status.replace(/_/g, ' ')}
     </span>
   );
 }
 
 // ── Design placement mini-preview ─────────────────────────────
-// Renders a shirt mockup with the design overlaid at the saved placement.
-function DesignPlacementMini({ mockupUrl, designViewUrl, placement, label, downloadUrl }) {
-  const hasOverlay = designViewUrl && placement;
+// Renders a shirt mockup with the design and any text overlaid at
+// their saved placements.
+function DesignPlacementMini({ mockupUrl, layers, label, printFileUrl }) {
+  const { t } = useTranslation();
+  const shownLayers = layers.filter((l) => l.viewUrl && l.placement);
+  const textLayers = layers.filter((l) => l.kind === 'text').map((l) => l.text);
   return (
     <div className="flex flex-col gap-1">
       {label && <span className="text-xs font-medium text-slate-400 uppercase tracking-wide">{label}</span>}
@@ -43,8 +56,9 @@ function DesignPlacementMini({ mockupUrl, designViewUrl, placement, label, downl
         {mockupUrl && (
           <img src={mockupUrl} alt="" className="absolute inset-0 w-full h-full object-contain" draggable={false} />
         )}
-        {hasOverlay && (
+        {shownLayers.map(({ kind, viewUrl, placement }, i) => (
           <div
+            key={i}
             className="absolute pointer-events-none"
             style={{
               left:      `${placement.x * 100}%`,
@@ -54,20 +68,26 @@ function DesignPlacementMini({ mockupUrl, designViewUrl, placement, label, downl
             }}
           >
             <img
-              src={designViewUrl}
-              alt="design"
+              src={viewUrl}
+              alt={kind}
               className="w-full"
               style={{ opacity: 0.92, filter: 'drop-shadow(0 1px 3px rgba(0,0,0,0.28))' }}
               draggable={false}
             />
           </div>
-        )}
-        {!mockupUrl && !hasOverlay && (
+        ))}
+        {!mockupUrl && shownLayers.length === 0 && (
           <div className="absolute inset-0 flex items-center justify-center text-slate-300 text-xs">—</div>
         )}
       </div>
-      {downloadUrl && (
+      {textLayers.map((text, i) => (
+        <p key={i} className="w-28 text-xs text-slate-500 truncate" title={text.content}>
+          “{text.content}” · {text.font}
+        </p>
+      ))}
+      {layers.filter((l) => l.downloadUrl).map(({ kind, downloadUrl }, i) => (
         <a
+          key={i}
           href={downloadUrl}
           download
           className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-700 font-medium"
@@ -75,7 +95,19 @@ function DesignPlacementMini({ mockupUrl, designViewUrl, placement, label, downl
           <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
           </svg>
-          Download
+          {kind === 'text' ? t('admin.orderDetail.items.downloadText') : 'Download'}
+        </a>
+      ))}
+      {printFileUrl && (
+        <a
+          href={printFileUrl}
+          download
+          className="inline-flex items-center gap-1 text-xs text-emerald-600 hover:text-emerald-700 font-medium"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+          </svg>
+          {t('admin.orderDetail.items.printFile')}
         </a>
       )}
     </div>
@@ -92,6 +124,398 @@ function InfoCard({ title, children }) {
   );
 }
 
+// ── Refunds ───────────────────────────────────────────────────
+// Past refunds plus the form to issue a new one (full, or a number
+// of units per line). Amounts are worked out by the server.
+const REFUNDABLE_STATUSES = ['paid', 'fulfilled', 'shipped', 'partially_refunded', 'disputed'];
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+function RefundPanel({ order, items, refunds, refundedQty, onRefund }) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('full'); // 'full' | 'items'
+  const [quantities, setQuantities] = useState({}); // { [orderItemId]: qty }
+  const [restock, setRestock] = useState(false);
+  const [reason, setReason] = useState('requested_by_customer');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const canRefund = REFUNDABLE_STATUSES.includes(order.status) && Boolean(order.stripe_payment_intent_id);
+  const selectedItems = Object.entries(quantities)
+    .filter(([, qty]) => qty > 0)
+    .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+  if (!canRefund && refunds.length === 0) return null;
+
+  const reset = () => {
+    setOpen(false);
+    setMode('full');
+    setQuantities({});
+    setRestock(false);
+    setNote('');
+    setFormError(null);
+  };
+
+  const handleSubmit = async () => {
+    if (mode === 'items' && selectedItems.length === 0) {
+      setFormError(t('admin.orderDetail.refunds.selectItems'));
+      return;
+    }
+    setSubmitting(true);
+    setFormError(null);
+    try {
+      await onRefund({
+        ...(mode === 'items' && { items: selectedItems }),
+        restock,
+        reason,
+        note: note.trim() || undefined,
+      });
+      reset();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <InfoCard title={t('admin.orderDetail.refunds.heading')}>
+      {refunds.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {refunds.map(r => (
+            <li key={r.id} className="flex items-start justify-between gap-4 text-sm">
+              <div className="min-w-0">
+                <p className="font-semibold text-slate-800">
+                  {formatPrice(r.amount_cents)}
+                  {r.reason && (
+                    <span className="ml-2 text-xs font-normal text-slate-500">
+                      {t(`admin.orderDetail.refunds.reasons.${r.reason}`, { defaultValue: r.reason })}
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {r.refund_items?.length
+                    ? t('admin.orderDetail.refunds.units', { count: r.refund_items.reduce((sum, i) => sum + i.quantity, 0) })
+                    : null}
+                  {r.restocked && ` · ${t('admin.orderDetail.refunds.restocked')}`}
+                </p>
+                {r.note && <p className="text-xs text-slate-400 italic">{r.note}</p>}
+              </div>
+              <span className="text-xs text-slate-400 flex-shrink-0">{formatDate(r.created_at)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canRefund && !open && (
+        <button
+          onClick={() => setOpen(true)}
+          className="px-4 py-1.5 border border-slate-200 hover:bg-slate-50 text-slate-700 text-sm font-semibold rounded-lg transition-colors"
+        >
+          {t('admin.orderDetail.refunds.issue')}
+        </button>
+      )}
+
+      {canRefund && open && (
+        <div className="flex flex-col gap-4 text-sm">
+          <div className="flex gap-4">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="radio" checked={mode === 'full'} onChange={() => setMode('full')} />
+              {t('admin.orderDetail.refunds.full')}
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="radio" checked={mode === 'items'} onChange={() => setMode('items')} />
+              {t('admin.orderDetail.refunds.partial')}
+            </label>
+          </div>
+
+          {mode === 'items' && (
+            <div className="divide-y divide-slate-100 border border-slate-100 rounded-xl">
+              {items.map(item => {
+                const remaining = item.quantity - (refundedQty[item.id] || 0);
+                return (
+                  <div key={item.id} className="flex items-center justify-between gap-4 px-4 py-2">
+                    <div className="min-w-0">
+                      <p className="font-medium text-slate-800 truncate">
+                        {item.product?.name || t('product.customTShirt')}
+                        {item.config?.size && ` — ${item.config.size}`}
+                        {item.config?.color && ` / ${item.config.color}`}
+                      </p>
+                      <p className="text-xs text-slate-400">
+                        {t('admin.orderDetail.refunds.remaining', { count: remaining })}
+                      </p>
+                    </div>
+                    <input
+                      type="number"
+                      min={0}
+                      max={remaining}
+                      disabled={remaining === 0}
+                      value={quantities[item.id] || 0}
+                      onChange={(e) => {
+                        const qty = Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), remaining);
+                        setQuantities(prev => ({ ...prev, [item.id]: qty }));
+                      }}
+                      className="w-20 px-2 py-1 rounded-lg border border-slate-200 text-sm text-right focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:bg-slate-50"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="grid sm:grid-cols-2 gap-3">
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            >
+              {REFUND_REASONS.map(r => (
+                <option key={r} value={r}>{t(`admin.orderDetail.refunds.reasons.${r}`)}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder={t('admin.orderDetail.refunds.notePlaceholder')}
+              className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+          </div>
+
+          <label className="flex items-center gap-2 cursor-pointer text-slate-700">
+            <input type="checkbox" checked={restock} onChange={(e) => setRestock(e.target.checked)} />
+            {t('admin.orderDetail.refunds.restock')}
+          </label>
+
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="px-4 py-1.5 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              {submitting ? t('admin.orderDetail.refunds.submitting') : t('admin.orderDetail.refunds.submit')}
+            </button>
+            <button
+              onClick={reset}
+              disabled={submitting}
+              className="px-4 py-1.5 bg-slate-100 hover:bg-slate-200 text-slate-600 text-sm font-semibold rounded-lg transition-colors"
+            >
+              {t('admin.orderDetail.refunds.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </InfoCard>
+  );
+}
+
+// ── Shipments ─────────────────────────────────────────────────
+// Parcels sent so far plus the form to record a new one. Saving it
+// marks the order shipped and emails the customer the tracking link.
+const SHIPPABLE_STATUSES = ['paid', 'fulfilled', 'shipped', 'partially_refunded'];
+const CARRIERS = ['usps', 'ups', 'fedex', 'dhl', 'canada_post', 'other'];
+
+function ShipmentPanel({ order, items, shipments, remainingToShip, onShip }) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [carrier, setCarrier] = useState('usps');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [trackingUrl, setTrackingUrl] = useState('');
+  const [quantities, setQuantities] = useState({}); // { [orderItemId]: qty }
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const unitsLeft = items.reduce((sum, item) => sum + remainingToShip(item), 0);
+  const canShip = SHIPPABLE_STATUSES.includes(order.status) && unitsLeft > 0;
+
+  if (!canShip && shipments.length === 0) return null;
+
+  const itemLabel = (orderItemId) => {
+    const item = items.find(i => i.id === orderItemId);
+    if (!item) return t('product.customTShirt');
+    return [
+      item.product?.name || t('product.customTShirt'),
+      [item.config?.size, item.config?.color].filter(Boolean).join(' / '),
+    ].filter(Boolean).join(' — ');
+  };
+
+  const startShipment = () => {
+    // Default to everything that hasn't gone out yet
+    const initial = {};
+    items.forEach(item => { initial[item.id] = remainingToShip(item); });
+    setQuantities(initial);
+    setOpen(true);
+  };
+
+  const reset = () => {
+    setOpen(false);
+    setTrackingNumber('');
+    setTrackingUrl('');
+    setQuantities({});
+    setFormError(null);
+  };
+
+  const handleSubmit = async () => {
+    const selectedItems = Object.entries(quantities)
+      .filter(([, qty]) => qty > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+    if (selectedItems.length === 0) {
+      setFormError(t('admin.orderDetail.shipments.selectItems'));
+      return;
+    }
+    if (carrier !== 'other' && !trackingNumber.trim()) {
+      setFormError(t('admin.orderDetail.shipments.trackingRequired'));
+      return;
+    }
+    setSubmitting(true);
+    setFormError(null);
+    try {
+      await onShip({
+        carrier,
+        trackingNumber: trackingNumber.trim() || undefined,
+        trackingUrl: trackingUrl.trim() || undefined,
+        items: selectedItems,
+      });
+      reset();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <InfoCard title={t('admin.orderDetail.shipments.heading')}>
+      {shipments.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {shipments.map(sh => (
+            <li key={sh.id} className="flex items-start justify-between gap-4 text-sm">
+              <div className="min-w-0">
+                <p className="font-semibold text-slate-800">
+                  {t(`admin.orderDetail.shipments.carriers.${sh.carrier}`, { defaultValue: sh.carrier })}
+                  {sh.tracking_number && (
+                    sh.tracking_url ? (
+                      <a
+                        href={sh.tracking_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="ml-2 font-mono text-xs font-normal text-indigo-600 hover:underline"
+                      >
+                        {sh.tracking_number}
+                      </a>
+                    ) : (
+                      <span className="ml-2 font-mono text-xs font-normal text-slate-500">{sh.tracking_number}</span>
+                    )
+                  )}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {(sh.shipment_items || [])
+                    .map(si => `${itemLabel(si.order_item_id)} ×${si.quantity}`)
+                    .join(' · ')}
+                </p>
+              </div>
+              <span className="text-xs text-slate-400 flex-shrink-0">{formatDate(sh.shipped_at)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canShip && !open && (
+        <button
+          onClick={startShipment}
+          className="px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold rounded-lg transition-colors"
+        >
+          {t('admin.orderDetail.shipments.create')}
+        </button>
+      )}
+
+      {canShip && open && (
+        <div className="flex flex-col gap-4 text-sm">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <select
+              value={carrier}
+              onChange={(e) => setCarrier(e.target.value)}
+              className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            >
+              {CARRIERS.map(c => (
+                <option key={c} value={c}>{t(`admin.orderDetail.shipments.carriers.${c}`)}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={trackingNumber}
+              onChange={(e) => setTrackingNumber(e.target.value)}
+              placeholder={t('admin.orderDetail.shipments.trackingNumber')}
+              className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 font-mono focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+          </div>
+          {carrier === 'other' && (
+            <input
+              type="url"
+              value={trackingUrl}
+              onChange={(e) => setTrackingUrl(e.target.value)}
+              placeholder={t('admin.orderDetail.shipments.trackingUrl')}
+              className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+          )}
+
+          <div className="divide-y divide-slate-100 border border-slate-100 rounded-xl">
+            {items.map(item => {
+              const remaining = remainingToShip(item);
+              return (
+                <div key={item.id} className="flex items-center justify-between gap-4 px-4 py-2">
+                  <div className="min-w-0">
+                    <p className="font-medium text-slate-800 truncate">{itemLabel(item.id)}</p>
+                    <p className="text-xs text-slate-400">
+                      {t('admin.orderDetail.shipments.remaining', { count: remaining })}
+                    </p>
+                  </div>
+                  <input
+                    type="number"
+                    min={0}
+                    max={remaining}
+                    disabled={remaining === 0}
+                    value={quantities[item.id] || 0}
+                    onChange={(e) => {
+                      const qty = Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), remaining);
+                      setQuantities(prev => ({ ...prev, [item.id]: qty }));
+                    }}
+                    className="w-20 px-2 py-1 rounded-lg border border-slate-200 text-sm text-right focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:bg-slate-50"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          <p className="text-xs text-slate-500">{t('admin.orderDetail.shipments.emailNote')}</p>
+
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              {submitting ? t('admin.orderDetail.shipments.submitting') : t('admin.orderDetail.shipments.submit')}
+            </button>
+            <button
+              onClick={reset}
+              disabled={submitting}
+              className="px-4 py-1.5 bg-slate-100 hover:bg-slate-200 text-slate-600 text-sm font-semibold rounded-lg transition-colors"
+            >
+              {t('admin.orderDetail.shipments.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </InfoCard>
+  );
+}
+
 // ── Page ──────────────────────────────────────────────────────
 export default function AdminOrderDetailPage() {
   const { t } = useTranslation();
@@ -100,22 +524,38 @@ export default function AdminOrderDetailPage() {
 
   const [order, setOrder] = useState(null);
   const [items, setItems] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [shipments, setShipments] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [allowedStatuses, setAllowedStatuses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedStatus, setSelectedStatus] = useState('');
+  const [statusNote, setStatusNote] = useState('');
   const [updating, setUpdating] = useState(false);
   const [updateSuccess, setUpdateSuccess] = useState(false);
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [printing, setPrinting] = useState(false);
+  const [renderingPrintFiles, setRenderingPrintFiles] = useState(false);
+
+  const applyOrderData = useCallback((data) => {
+    setOrder(data.order);
+    setItems(data.items || []);
+    setEvents(data.events || []);
+    setRefunds(data.refunds || []);
+    setShipments(data.shipments || []);
+    setHistory(data.history || []);
+    setAllowedStatuses(data.allowedStatuses || []);
+    setSelectedStatus(data.order.status);
+  }, []);
 
   const load = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const data = await fetchAdminOrder(id);
-      setOrder(data.order);
-      setItems(data.items || []);
-      setSelectedStatus(data.order.status);
+      applyOrderData(await fetchAdminOrder(id));
     } catch (err) {
       if (err.status === 401) {
         sessionStorage.removeItem('admin_token');
@@ -126,7 +566,7 @@ export default function AdminOrderDetailPage() {
     } finally {
       setLoading(false);
     }
-  }, [id, navigate]);
+  }, [id, navigate, applyOrderData]);
 
   useEffect(() => {
     if (!sessionStorage.getItem('admin_token')) {
@@ -145,9 +585,12 @@ export default function AdminOrderDetailPage() {
     if (!selectedStatus || selectedStatus === order.status) return;
     setUpdating(true);
     setUpdateSuccess(false);
+    setError(null);
     try {
-      const { order: updated } = await updateOrderStatus(id, selectedStatus);
-      setOrder(updated);
+      await updateOrderStatus(id, selectedStatus, statusNote.trim() || undefined);
+      // Reload for the new history entry and next allowed statuses
+      applyOrderData(await fetchAdminOrder(id));
+      setStatusNote('');
       setUpdateSuccess(true);
       setTimeout(() => setUpdateSuccess(false), 2500);
     } catch (err) {
@@ -162,6 +605,75 @@ export default function AdminOrderDetailPage() {
     }
   };
 
+  const handleRefund = async (body) => {
+    try {
+      await createRefund(id, body);
+      // Reload to pick up refund rows, per-line refunded counts and history
+      applyOrderData(await fetchAdminOrder(id));
+    } catch (err) {
+      if (err.status === 401) {
+        sessionStorage.removeItem('admin_token');
+        navigate('/admin', { replace: true });
+      }
+      throw err;
+    }
+  };
+
+  const handleShip = async (body) => {
+    try {
+      await createShipment(id, body);
+      applyOrderData(await fetchAdminOrder(id));
+    } catch (err) {
+      if (err.status === 401) {
+        sessionStorage.removeItem('admin_token');
+        navigate('/admin', { replace: true });
+      }
+      throw err;
+    }
+  };
+
+  // Units refunded / shipped so far per order item
+  const refundedQty = {};
+  refunds.forEach(r => (r.refund_items || []).forEach(ri => {
+    refundedQty[ri.order_item_id] = (refundedQty[ri.order_item_id] || 0) + ri.quantity;
+  }));
+  const shippedQty = {};
+  shipments.forEach(sh => (sh.shipment_items || []).forEach(si => {
+    shippedQty[si.order_item_id] = (shippedQty[si.order_item_id] || 0) + si.quantity;
+  }));
+  const remainingToShip = (item) =>
+    Math.max(item.quantity - (shippedQty[item.id] || 0) - (refundedQty[item.id] || 0), 0);
+
+  const handlePrintFiles = async () => {
+    const force = items.some((item) => Object.keys(item.printFileUrls || {}).length > 0);
+    setRenderingPrintFiles(true);
+    setError(null);
+    try {
+      const data = await generatePrintFiles(id, force);
+      const byId = Object.fromEntries(data.items.map((i) => [i.id, i]));
+      setItems((prev) => prev.map((item) => (byId[item.id]
+        ? { ...item, print_files: byId[item.id].printFiles, printFileUrls: byId[item.id].printFileUrls }
+        : item)));
+    } catch (err) {
+      if (err.status === 401) { sessionStorage.removeItem('admin_token'); navigate('/admin', { replace: true }); }
+      else setError(err.message);
+    } finally {
+      setRenderingPrintFiles(false);
+    }
+  };
+
+  const handleJobSheet = async () => {
+    setPrinting(true);
+    try {
+      await downloadJobSheet(id);
+    } catch (err) {
+      if (err.status === 401) { sessionStorage.removeItem('admin_token'); navigate('/admin', { replace: true }); }
+      else setError(err.message);
+    } finally {
+      setPrinting(false);
+    }
+  };
+
   const handleDelete = async () => {
     setDeleting(true);
     try {
@@ -227,12 +739,21 @@ export default function AdminOrderDetailPage() {
                   </button>
                 </div>
               ) : (
-                <button
-                  onClick={() => setConfirmDelete(true)}
-                  className="px-3 py-1.5 border border-red-200 text-red-500 hover:bg-red-50 hover:border-red-300 text-xs font-semibold rounded-lg transition-colors"
-                >
-                  {t('admin.orderDetail.delete.button')}
-                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={handleJobSheet}
+                    disabled={printing}
+                    className="px-3 py-1.5 border border-slate-200 text-slate-700 hover:bg-slate-50 disabled:opacity-50 text-xs font-semibold rounded-lg transition-colors"
+                  >
+                    {printing ? t('admin.orderDetail.jobSheet.generating') : t('admin.orderDetail.jobSheet.button')}
+                  </button>
+                  <button
+                    onClick={() => setConfirmDelete(true)}
+                    className="px-3 py-1.5 border border-red-200 text-red-500 hover:bg-red-50 hover:border-red-300 text-xs font-semibold rounded-lg transition-colors"
+                  >
+                    {t('admin.orderDetail.delete.button')}
+                  </button>
+                </div>
               )
             )}
           </div>
@@ -250,23 +771,38 @@ export default function AdminOrderDetailPage() {
             {/* Status update */}
             <div className="bg-white rounded-2xl border border-slate-200 p-5 flex flex-wrap items-center gap-3">
               <span className="text-sm font-semibold text-slate-700">{t('admin.orderDetail.updateStatus')}</span>
-              <select
-                value={selectedStatus}
-                onChange={(e) => setSelectedStatus(e.target.value)}
-                className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
-              >
-                <option value="pending">{t('admin.orderDetail.statusOptions.pending')}</option>
-                <option value="paid">{t('admin.orderDetail.statusOptions.paid')}</option>
-                <option value="fulfilled">{t('admin.orderDetail.statusOptions.fulfilled')}</option>
-                <option value="cancelled">{t('admin.orderDetail.statusOptions.cancelled')}</option>
-              </select>
-              <button
-                onClick={handleStatusUpdate}
-                disabled={updating || selectedStatus === order.status}
-                className="px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-200 text-white text-sm font-semibold rounded-lg transition-colors"
-              >
-                {updating ? t('admin.orderDetail.saving') : t('admin.orderDetail.saveStatus')}
-              </button>
+              {allowedStatuses.length === 0 ? (
+                <span className="text-sm text-slate-500">{t('admin.orderDetail.statusFinal')}</span>
+              ) : (
+                <>
+                  <select
+                    value={selectedStatus}
+                    onChange={(e) => setSelectedStatus(e.target.value)}
+                    className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                  >
+                    {[order.status, ...allowedStatuses].map(s => (
+                      <option key={s} value={s}>
+                        {t(`admin.orderDetail.statusOptions.${s}`, { defaultValue: s.replace(/_/g, ' ') })}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={statusNote}
+                    onChange={(e) => setStatusNote(e.target.value)}
+                    placeholder={t('admin.orderDetail.statusNotePlaceholder')}
+                    maxLength={500}
+                    className="flex-1 min-w-[12rem] px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                  />
+                  <button
+                    onClick={handleStatusUpdate}
+                    disabled={updating || selectedStatus === order.status}
+                    className="px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-200 text-white text-sm font-semibold rounded-lg transition-colors"
+                  >
+                    {updating ? t('admin.orderDetail.saving') : t('admin.orderDetail.saveStatus')}
+                  </button>
+                </>
+              )}
               {updateSuccess && (
                 <span className="text-sm text-green-600 font-medium flex items-center gap-1">
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -302,8 +838,29 @@ export default function AdminOrderDetailPage() {
                 <div className="text-sm space-y-3">
                   <div className="flex justify-between">
                     <span className="text-slate-500">{t('admin.orderDetail.cards.amountPaid')}</span>
-                    <span className="font-bold text-slate-900">{formatPrice(order.subtotal_cents)}</span>
+                    <span className="font-bold text-slate-900">{formatPrice(order.total_cents ?? order.subtotal_cents)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-slate-500">
+                      {t('admin.orderDetail.cards.shipping')}
+                      {order.shipping_method_name && ` (${order.shipping_method_name})`}
+                    </span>
+                    <span className="text-slate-800">{formatPrice(order.shipping_cents || 0)}</span>
                   </div>
+                  {(order.tax_lines || []).map((line) => (
+                    <div key={`${line.jurisdiction}-${line.name}`} className="flex justify-between">
+                      <span className="text-slate-500">
+                        {t('admin.orderDetail.cards.taxLine', { name: line.name, rate: +(line.rate * 100).toFixed(3) })}
+                      </span>
+                      <span className="text-slate-800">{formatPrice(line.amountCents)}</span>
+                    </div>
+                  ))}
+                  {order.refunded_cents > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-slate-500">{t('admin.orderDetail.cards.refunded')}</span>
+                      <span className="font-semibold text-orange-600">−{formatPrice(order.refunded_cents)}</span>
+                    </div>
+                  )}
                   {order.stripe_payment_intent_id && (
                     <div className="flex justify-between items-start gap-4">
                       <span className="text-slate-500 flex-shrink-0">{t('admin.orderDetail.cards.stripePI')}</span>
@@ -325,12 +882,91 @@ export default function AdminOrderDetailPage() {
               </InfoCard>
             </div>
 
+            {/* Status timeline */}
+            {history.length > 0 && (
+              <InfoCard title={t('admin.orderDetail.cards.statusHistory')}>
+                <ol className="relative border-l border-slate-200 ml-1.5 space-y-4">
+                  {history.map(h => (
+                    <li key={h.id} className="pl-5 relative">
+                      <span className="absolute -left-[5px] top-1.5 w-2.5 h-2.5 rounded-full bg-indigo-400 ring-4 ring-white" />
+                      <div className="flex items-start justify-between gap-4 text-sm">
+                        <div className="min-w-0">
+                          <p className="flex flex-wrap items-center gap-1.5 text-slate-800">
+                            {h.from_status && (
+                              <>
+                                <StatusBadge status={h.from_status} />
+                                <span className="text-slate-400">→</span>
+                              </>
+                            )}
+                            <StatusBadge status={h.to_status} />
+                          </p>
+                          <p className="text-xs text-slate-500 mt-1">
+                            {t(`admin.orderDetail.actors.${h.actor}`, { defaultValue: h.actor })}
+                            {h.note && ` · ${h.note}`}
+                          </p>
+                        </div>
+                        <span className="text-xs text-slate-400 flex-shrink-0">{formatDate(h.created_at)}</span>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </InfoCard>
+            )}
+
+            {/* Payment history (Stripe webhook events) */}
+            {events.length > 0 && (
+              <InfoCard title={t('admin.orderDetail.cards.paymentHistory')}>
+                <ol className="space-y-3">
+                  {events.map(ev => (
+                    <li key={ev.id} className="flex items-start justify-between gap-4 text-sm">
+                      <div className="min-w-0">
+                        <p className="text-slate-800">
+                          {t(`admin.orderDetail.events.${ev.type}`, { defaultValue: ev.type })}
+                        </p>
+                        {ev.summary && <p className="text-xs text-slate-500">{ev.summary}</p>}
+                      </div>
+                      <span className="text-xs text-slate-400 flex-shrink-0">{formatDate(ev.created_at)}</span>
+                    </li>
+                  ))}
+                </ol>
+              </InfoCard>
+            )}
+
+            <RefundPanel
+              order={order}
+              items={items}
+              refunds={refunds}
+              refundedQty={refundedQty}
+              onRefund={handleRefund}
+            />
+
+            <ShipmentPanel
+              order={order}
+              items={items}
+              shipments={shipments}
+              remainingToShip={remainingToShip}
+              onShip={handleShip}
+            />
+
             {/* Order items table */}
             <div className="bg-white rounded-2xl border border-slate-200 overflow-hidden">
-              <div className="px-6 py-4 border-b border-slate-100">
+              <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
                 <h3 className="text-sm font-bold text-slate-800">
                   {t('admin.orderDetail.items.heading', { count: items.length })}
                 </h3>
+                {items.some((item) => item.designs?.some((d) => d.layers.length > 0)) && (
+                  <button
+                    onClick={handlePrintFiles}
+                    disabled={renderingPrintFiles}
+                    className="px-3 py-1.5 border border-slate-200 text-slate-700 hover:bg-slate-50 disabled:opacity-50 text-xs font-semibold rounded-lg transition-colors"
+                  >
+                    {renderingPrintFiles
+                      ? t('admin.orderDetail.items.printFilesRendering')
+                      : items.some((item) => Object.keys(item.printFileUrls || {}).length > 0)
+                        ? t('admin.orderDetail.items.printFilesRegenerate')
+                        : t('admin.orderDetail.items.printFilesGenerate')}
+                  </button>
+                )}
               </div>
 
               {items.length === 0 ? (
@@ -351,6 +987,7 @@ export default function AdminOrderDetailPage() {
                       const decorLabel = item.config?.decoration
                         ? t(`product.decoration.${item.config.decoration}`, { defaultValue: item.config.decoration })
                         : '—';
+                      const shownDesigns = (item.designs || []).filter((d) => d.layers.some((l) => l.viewUrl));
 
                       return (
                         <tr key={item.id} className="hover:bg-slate-50 transition-colors">
@@ -390,6 +1027,8 @@ export default function AdminOrderDetailPage() {
                                     </span>
                                   )}
                                 </div>
+                                <PriceBreakdown pricing={item.price_breakdown} quantity={item.quantity} className="mt-2 max-w-[14rem]" />
+                                <RosterList roster={item.config?.roster} size={item.config?.size || item.variant?.size} defaultOpen className="mt-2" />
                               </div>
                             </div>
                           </td>
@@ -397,25 +1036,16 @@ export default function AdminOrderDetailPage() {
                           {/* Design placement preview + download */}
                           <td className="px-6 py-4">
                             <div className="flex gap-3 flex-wrap">
-                              {item.frontDesignViewUrl ? (
-                                <DesignPlacementMini
-                                  mockupUrl={item.thumbnailUrl}
-                                  designViewUrl={item.frontDesignViewUrl}
-                                  placement={item.config?.front?.placement}
-                                  label={item.backDesignViewUrl ? t('admin.orderDetail.items.downloadFront') : null}
-                                  downloadUrl={item.frontDesignSignedUrl}
-                                />
-                              ) : null}
-                              {item.backDesignViewUrl ? (
+                              {shownDesigns.map((d) => (
                                 <DesignPlacementMini
-                                  mockupUrl={item.backThumbnailUrl}
-                                  designViewUrl={item.backDesignViewUrl}
-                                  placement={item.config?.back?.placement}
-                                  label={t('admin.orderDetail.items.downloadBack')}
-                                  downloadUrl={item.backDesignSignedUrl}
+                                  key={d.side}
+                                  mockupUrl={d.mockupUrl}
+                                  layers={d.layers}
+                                  label={shownDesigns.length > 1 || d.side !== 'front' ? t(`admin.orderDetail.items.locations.${d.side}`) : null}
+                                  printFileUrl={item.printFileUrls?.[d.side]}
                                 />
-                              ) : null}
-                              {!item.frontDesignViewUrl && !item.backDesignViewUrl && (
+                              ))}
+                              {shownDesigns.length === 0 && (
                                 <span className="text-xs text-slate-400">—</span>
                               )}
                             </div>
@@ -423,12 +1053,17 @@ export default function AdminOrderDetailPage() {
 
                           <td className="px-6 py-4 text-center text-slate-700 font-medium">
                             {item.quantity}
+                            {refundedQty[item.id] > 0 && (
+                              <p className="text-xs font-normal text-orange-600">
+                                {t('admin.orderDetail.refunds.refundedQty', { count: refundedQty[item.id] })}
+                              </p>
+                            )}
                           </td>
                           <td className="px-6 py-4 text-right text-slate-600">
                             {formatPrice(item.price_cents)}
                           </td>
                           <td className="px-6 py-4 text-right font-semibold text-slate-900">
-                            {formatPrice(item.price_cents * item.quantity)}
+                            {formatPrice(item.price_breakdown?.lineTotalCents ?? item.price_cents * item.quantity)}
                           </td>
                         </tr>
                       );
@@ -2,7 +2,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
-import { fetchAdminOrders, deleteOrder } from '../api/admin';
+import { fetchAdminOrders, deleteOrder, downloadJobSheets } from '../api/admin';
 import { AdminTopBar } from './AdminProductsPage';
 
 // ── Helpers ───────────────────────────────────────────────────
@@ -19,16 +19,21 @@ function formatDate(iso) {
 
 // ── Status badge ─────────────────────────────────────────────
 const STATUS_STYLES = {
-  pending:   'bg-amber-100 text-amber-700 border-amber-200',
-  paid:      'bg-indigo-100 text-indigo-700 border-indigo-200',
-  fulfilled: 'bg-green-100 text-green-700 border-green-200',
-  cancelled: 'bg-slate-100 text-slate-500 border-slate-200',
+  pending:            'bg-amber-100 text-amber-700 border-amber-200',
+  payment_failed:     'bg-red-100 text-red-700 border-red-200',
+  paid:               'bg-indigo-100 text-indigo-700 border-indigo-200',
+  fulfilled:          'bg-green-100 text-green-700 border-green-200',
+  shipped:            'bg-teal-100 text-teal-700 border-teal-200',
+  cancelled:          'bg-slate-100 text-slate-500 border-slate-200',
+  partially_refunded: 'bg-orange-100 text-orange-700 border-orange-200',
+  refunded:           'bg-slate-100 text-slate-700 border-slate-300',
+  disputed:           'bg-red-100 text-red-700 border-red-200',
 };
 
 function StatusBadge({ status }) {
   return (
     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold border capitalize ${STATUS_STYLES[status] || STATUS_STYLES.pending}`}>
-      {status}
+      {status.replace(/_/g, ' ')}
     </span>
   );
 }
@@ -56,13 +61,17 @@ export default function AdminOrdersPage() {
   const [error, setError] = useState(null);
   const [deletingId, setDeletingId] = useState(null); // id pending confirm
   const [deleting, setDeleting] = useState(false);
+  const [printing, setPrinting] = useState(false);
 
   const filterTabs = [
     { label: t('admin.orders.filters.all'),       value: '' },
     { label: t('admin.orders.filters.pending'),   value: 'pending' },
     { label: t('admin.orders.filters.paid'),      value: 'paid' },
     { label: t('admin.orders.filters.fulfilled'), value: 'fulfilled' },
+    { label: t('admin.orders.filters.shipped'),   value: 'shipped' },
     { label: t('admin.orders.filters.cancelled'), value: 'cancelled' },
+    { label: t('admin.orders.filters.refunded'),  value: 'refunded' },
+    { label: t('admin.orders.filters.disputed'),  value: 'disputed' },
   ];
 
   const load = useCallback(async () => {
@@ -110,6 +119,19 @@ export default function AdminOrdersPage() {
     }
   };
 
+  const handleJobSheets = async () => {
+    setPrinting(true);
+    setError(null);
+    try {
+      await downloadJobSheets('paid');
+    } catch (err) {
+      if (err.status === 401) { sessionStorage.removeItem('admin_token'); navigate('/admin', { replace: true }); }
+      else setError(err.message);
+    } finally {
+      setPrinting(false);
+    }
+  };
+
   const setFilter = (val) => {
     if (val) setSearchParams({ status: val });
     else setSearchParams({});
@@ -123,9 +145,18 @@ export default function AdminOrdersPage() {
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 py-8 flex flex-col gap-6">
         {/* Page title */}
-        <div>
-          <h1 className="text-2xl font-bold text-slate-900">{t('admin.orders.heading')}</h1>
-          <p className="text-sm text-slate-500 mt-0.5">{t('admin.orders.subtitle')}</p>
+        <div className="flex flex-wrap items-end justify-between gap-3">
+          <div>
+            <h1 className="text-2xl font-bold text-slate-900">{t('admin.orders.heading')}</h1>
+            <p className="text-sm text-slate-500 mt-0.5">{t('admin.orders.subtitle')}</p>
+          </div>
+          <button
+            onClick={handleJobSheets}
+            disabled={printing}
+            className="px-4 py-2 border border-slate-200 bg-white hover:bg-slate-50 disabled:opacity-50 text-slate-700 text-sm font-semibold rounded-xl transition-colors"
+          >
+            {printing ? t('admin.orders.jobSheets.generating') : t('admin.orders.jobSheets.button')}
+          </button>
         </div>
 
         {/* Stats bar */}
@@ -213,7 +244,7 @@ export default function AdminOrdersPage() {
                       {order.item_count}
                     </td>
                     <td className="px-6 py-4 text-right font-semibold text-slate-900">
-                      {formatPrice(order.subtotal_cents)}
+                      {formatPrice(order.total_cents ?? order.subtotal_cents)}
                     </td>
                     <td className="px-6 py-4">
                       <StatusBadge status={order.status} />
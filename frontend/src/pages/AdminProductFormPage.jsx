@@ -1,23 +1,37 @@
 // src/pages/AdminProductFormPage.jsx
 // Used for both /admin/products/new and /admin/products/:id
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { Link, useNavigate, useParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import {
   fetchAdminProduct, createProduct, updateProduct,
-  bulkCreateVariants, deleteVariant, updateVariantStock,
+  bulkCreateVariants, deleteVariant, updateVariantStock, savePriceTiers, savePrintAreas,
   addProductImage, deleteProductImage, signProductImageUpload,
 } from '../api/admin';
 import { fetchCategories } from '../api/products';
 import { AdminTopBar } from './AdminProductsPage';
+import { DEFAULT_PRINT_AREAS, PRINT_LOCATIONS } from '../components/DesignPreview';
 
 const SIZE_OPTIONS = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL'];
-const ANGLE_OPTIONS = ['front', 'back', 'side', 'detail'];
+const ANGLE_OPTIONS = ['front', 'back', 'side', 'left_sleeve', 'right_sleeve', 'neck_label', 'left_chest', 'detail'];
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const round3 = (v) => Math.round(v * 1000) / 1000;
 
 function formatPrice(cents) {
   return (cents / 100).toFixed(2);
 }
 
+// Editable tier row (string inputs) ↔ API tier ({ variant_id, min_qty, price_cents })
+function tierToRow(tier) {
+  return {
+    key: tier.id || `${Date.now()}_${Math.random().toString(36).slice(2)}`,
+    variant_id: tier.variant_id || '',
+    min_qty: String(tier.min_qty ?? ''),
+    price: tier.price_cents != null ? formatPrice(tier.price_cents) : '',
+  };
+}
+
 function slugify(name) {
   return name.toLowerCase().replace(/[^a-z0-9\s-]/g, '').trim().replace(/\s+/g, '-');
 }
@@ -45,6 +59,65 @@ function Field({ label, children }) {
   );
 }
 
+// ── Print area editor ─────────────────────────────────────────
+// Drag on the mockup to draw the area. Positions are fractions of the
+// square frame, the same frame the PDP designer places designs in.
+function PrintAreaEditor({ area, mockupUrl, onChange, noMockupLabel }) {
+  const frameRef = useRef(null);
+
+  const pointAt = (e) => {
+    const r = frameRef.current.getBoundingClientRect();
+    return { x: clamp01((e.clientX - r.left) / r.width), y: clamp01((e.clientY - r.top) / r.height) };
+  };
+
+  const startDraw = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    const start = pointAt(e);
+    function onMove(ev) {
+      const p = pointAt(ev);
+      const w = Math.abs(p.x - start.x);
+      const h = Math.abs(p.y - start.y);
+      if (w < 0.02 || h < 0.02) return; // ignore clicks and tiny drags
+      onChange({
+        xPct: round3((start.x + p.x) / 2),
+        yPct: round3((start.y + p.y) / 2),
+        wPct: round3(w),
+        hPct: round3(h),
+      });
+    }
+    function onUp() {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    }
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  };
+
+  return (
+    <div
+      ref={frameRef}
+      onPointerDown={startDraw}
+      className="relative w-full max-w-sm aspect-square bg-slate-100 rounded-xl border border-slate-200 overflow-hidden cursor-crosshair select-none touch-none"
+    >
+      {mockupUrl ? (
+        <img src={mockupUrl} alt="" draggable={false} className="absolute inset-0 w-full h-full object-contain pointer-events-none" />
+      ) : (
+        <p className="absolute inset-0 flex items-center justify-center text-xs text-slate-400 px-6 text-center">{noMockupLabel}</p>
+      )}
+      <div
+        className="absolute border-2 border-dashed border-indigo-500 bg-indigo-500/10 rounded-sm pointer-events-none"
+        style={{
+          left: `${(area.xPct - area.wPct / 2) * 100}%`,
+          top: `${(area.yPct - area.hPct / 2) * 100}%`,
+          width: `${area.wPct * 100}%`,
+          height: `${area.hPct * 100}%`,
+        }}
+      />
+    </div>
+  );
+}
+
 const inputCls = "px-3.5 py-2.5 rounded-xl border border-slate-200 text-sm text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition";
 
 // ── Page ──────────────────────────────────────────────────────
@@ -76,6 +149,19 @@ export default function AdminProductFormPage() {
   const [generatingVariants, setGeneratingVariants] = useState(false);
   const [variantError, setVariantError] = useState(null);
 
+  // Bulk pricing state
+  const [tierRows, setTierRows] = useState([]);
+  const [savingTiers, setSavingTiers] = useState(false);
+  const [tierError, setTierError] = useState(null);
+  const [tiersSaved, setTiersSaved] = useState(false);
+
+  // Print areas state
+  const [printAreas, setPrintAreas] = useState(DEFAULT_PRINT_AREAS);
+  const [printAreaAngle, setPrintAreaAngle] = useState('front');
+  const [savingAreas, setSavingAreas] = useState(false);
+  const [areaError, setAreaError] = useState(null);
+  const [areasSaved, setAreasSaved] = useState(false);
+
   // Images state
   const [images, setImages] = useState([]);
   const [imageMode, setImageMode] = useState('file'); // 'file' | 'url'
@@ -116,7 +202,7 @@ export default function AdminProductFormPage() {
     if (!sessionStorage.getItem('admin_token')) { navigate('/admin', { replace: true }); return; }
     if (!isNew && id) {
       fetchAdminProduct(id)
-        .then(({ product, variants: v, images: img }) => {
+        .then(({ product, variants: v, images: img, priceTiers, printAreas: areas }) => {
           setName(product.name);
           setSlug(product.slug);
           setDescription(product.description || '');
@@ -124,6 +210,8 @@ export default function AdminProductFormPage() {
           setSavedProduct(product);
           setVariants(v || []);
           setImages(img || []);
+          setTierRows((priceTiers || []).map(tierToRow));
+          setPrintAreas({ ...DEFAULT_PRINT_AREAS, ...areas });
         })
         .catch((err) => { if (!handle401(err)) setSaveError(err.message); });
     }
@@ -224,6 +312,72 @@ export default function AdminProductFormPage() {
     }
   };
 
+  // ── Save bulk pricing tiers ───────────────────────────────
+  const handleSaveTiers = async () => {
+    const tiers = tierRows
+      .filter((r) => r.min_qty !== '' || r.price !== '')
+      .map((r) => ({
+        variant_id: r.variant_id || null,
+        min_qty: parseInt(r.min_qty, 10),
+        price_cents: Math.round(parseFloat(r.price) * 100),
+      }));
+    if (tiers.some((tier) => isNaN(tier.min_qty) || tier.min_qty < 1 || isNaN(tier.price_cents) || tier.price_cents < 0)) {
+      setTierError(t('admin.productForm.tiers.invalid'));
+      return;
+    }
+    setSavingTiers(true);
+    setTierError(null);
+    setTiersSaved(false);
+
+    try {
+      const { priceTiers } = await savePriceTiers(productId, tiers);
+      setTierRows((priceTiers || []).map(tierToRow));
+      setTiersSaved(true);
+      setTimeout(() => setTiersSaved(false), 2500);
+    } catch (err) {
+      if (!handle401(err)) setTierError(err.message);
+    } finally {
+      setSavingTiers(false);
+    }
+  };
+
+  // ── Save print areas ──────────────────────────────────────
+  const updatePrintArea = (angle, patch) => {
+    setPrintAreas((prev) => ({ ...prev, [angle]: { ...prev[angle], ...patch } }));
+  };
+
+  const handleSavePrintAreas = async () => {
+    const areas = Object.fromEntries(PRINT_LOCATIONS.map((angle) => {
+      const a = printAreas[angle];
+      return [angle, { ...a, widthIn: parseFloat(a.widthIn), heightIn: parseFloat(a.heightIn) }];
+    }));
+    if (Object.values(areas).some((a) => !(a.widthIn > 0) || !(a.heightIn > 0))) {
+      setAreaError(t('admin.productForm.printAreas.invalid'));
+      return;
+    }
+    setSavingAreas(true);
+    setAreaError(null);
+    setAreasSaved(false);
+
+    try {
+      const { printAreas: saved } = await savePrintAreas(productId, areas);
+      setPrintAreas({ ...DEFAULT_PRINT_AREAS, ...saved });
+      setAreasSaved(true);
+      setTimeout(() => setAreasSaved(false), 2500);
+    } catch (err) {
+      if (!handle401(err)) setAreaError(err.message);
+    } finally {
+      setSavingAreas(false);
+    }
+  };
+
+  // First mockup for the location being edited (the PDP shows the same angle)
+  const printAreaMockup = images.find((img) => img.angle === printAreaAngle)?.url;
+
+  const updateTierRow = (key, patch) => {
+    setTierRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+  };
+
   // ── Add image ─────────────────────────────────────────────
   const handleAddImage = async () => {
     if (imageMode === 'url' && !newImageUrl.trim()) return;
@@ -571,6 +725,111 @@ export default function AdminProductFormPage() {
           </Section>
         )}
 
+        {/* ── Section 2b: Bulk pricing ── (only once variants exist) */}
+        {productId && variants.length > 0 && (
+          <Section
+            title={t('admin.productForm.sections.bulkPricing')}
+            subtitle={t('admin.productForm.sections.bulkPricingSub')}
+          >
+            {tierRows.length > 0 && (
+              <div className="border border-slate-200 rounded-xl overflow-hidden">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="bg-slate-50 border-b border-slate-200">
+                      <th className="px-4 py-2.5 text-left text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.productForm.tiers.appliesTo')}</th>
+                      <th className="px-4 py-2.5 text-left text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.productForm.tiers.minQty')}</th>
+                      <th className="px-4 py-2.5 text-left text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.productForm.tiers.unitPrice')}</th>
+                      <th className="px-4 py-2.5" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {tierRows.map((r) => (
+                      <tr key={r.key}>
+                        <td className="px-4 py-2.5">
+                          <select
+                            value={r.variant_id}
+                            onChange={(e) => updateTierRow(r.key, { variant_id: e.target.value })}
+                            className="w-full px-2 py-1 text-sm rounded-lg border border-slate-200 text-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-300 focus:border-transparent"
+                          >
+                            <option value="">{t('admin.productForm.tiers.allVariants')}</option>
+                            {variants.map((v) => (
+                              <option key={v.id} value={v.id}>{v.color_name} / {v.size}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-4 py-2.5">
+                          <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={r.min_qty}
+                            onChange={(e) => updateTierRow(r.key, { min_qty: e.target.value })}
+                            placeholder="12"
+                            className="w-24 px-2 py-1 text-sm rounded-lg border border-slate-200 text-slate-700 placeholder-slate-300 focus:outline-none focus:ring-2 focus:ring-indigo-300 focus:border-transparent"
+                          />
+                        </td>
+                        <td className="px-4 py-2.5">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={r.price}
+                            onChange={(e) => updateTierRow(r.key, { price: e.target.value })}
+                            placeholder="9.99"
+                            className="w-24 px-2 py-1 text-sm rounded-lg border border-slate-200 text-slate-700 placeholder-slate-300 focus:outline-none focus:ring-2 focus:ring-indigo-300 focus:border-transparent"
+                          />
+                        </td>
+                        <td className="px-4 py-2.5 text-right">
+                          <button
+                            onClick={() => setTierRows((prev) => prev.filter((x) => x.key !== r.key))}
+                            className="text-slate-300 hover:text-red-500 transition-colors"
+                            title={t('admin.productForm.tiers.remove')}
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {tierError && (
+              <p className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{tierError}</p>
+            )}
+
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => setTierRows((prev) => [...prev, tierToRow({})])}
+                className="px-3.5 py-2.5 bg-slate-100 hover:bg-slate-200 text-slate-700 font-semibold rounded-xl text-sm transition-colors"
+              >
+                {t('admin.productForm.tiers.addTier')}
+              </button>
+              <button
+                type="button"
+                onClick={handleSaveTiers}
+                disabled={savingTiers}
+                className="px-5 py-2.5 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 text-white font-semibold rounded-xl text-sm transition-colors"
+              >
+                {savingTiers ? t('admin.productForm.saving') : t('admin.productForm.tiers.save')}
+              </button>
+              {tiersSaved && (
+                <span className="text-sm text-green-600 font-medium flex items-center gap-1">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                  {t('admin.productForm.saved')}
+                </span>
+              )}
+            </div>
+          </Section>
+        )}
+
         {/* ── Section 3: Images ── (only after product saved) */}
         {productId && (
           <Section
@@ -733,6 +992,95 @@ export default function AdminProductFormPage() {
           </Section>
         )}
 
+        {/* ── Section 4: Print areas ── (only after product saved) */}
+        {productId && (
+          <Section
+            title={t('admin.productForm.sections.printAreas')}
+            subtitle={t('admin.productForm.sections.printAreasSub')}
+          >
+            <div className="flex flex-wrap gap-1 bg-slate-100 rounded-lg p-1 w-fit">
+              {PRINT_LOCATIONS.map((angle) => (
+                <button
+                  key={angle}
+                  type="button"
+                  onClick={() => setPrintAreaAngle(angle)}
+                  className={`px-3.5 py-1.5 rounded-md text-sm font-semibold transition-colors ${
+                    printAreaAngle === angle
+                      ? 'bg-white text-slate-900 shadow-sm'
+                      : 'text-slate-500 hover:text-slate-700'
+                  }`}
+                >
+                  {t(`admin.productForm.printAreas.angles.${angle}`)}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-6 items-start">
+              <PrintAreaEditor
+                area={printAreas[printAreaAngle]}
+                mockupUrl={printAreaMockup}
+                onChange={(patch) => updatePrintArea(printAreaAngle, patch)}
+                noMockupLabel={t('admin.productForm.printAreas.noMockup')}
+              />
+              <div className="flex flex-col gap-4">
+                <p className="text-sm text-slate-500 max-w-xs">{t('admin.productForm.printAreas.drawHint')}</p>
+                <div className="flex gap-3">
+                  <Field label={t('admin.productForm.printAreas.width')}>
+                    <input
+                      type="number"
+                      min="0.5"
+                      step="0.25"
+                      value={printAreas[printAreaAngle].widthIn}
+                      onChange={(e) => updatePrintArea(printAreaAngle, { widthIn: e.target.value })}
+                      className={`${inputCls} w-28`}
+                    />
+                  </Field>
+                  <Field label={t('admin.productForm.printAreas.height')}>
+                    <input
+                      type="number"
+                      min="0.5"
+                      step="0.25"
+                      value={printAreas[printAreaAngle].heightIn}
+                      onChange={(e) => updatePrintArea(printAreaAngle, { heightIn: e.target.value })}
+                      className={`${inputCls} w-28`}
+                    />
+                  </Field>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => updatePrintArea(printAreaAngle, DEFAULT_PRINT_AREAS[printAreaAngle])}
+                  className="px-3.5 py-2.5 bg-slate-100 hover:bg-slate-200 text-slate-700 font-semibold rounded-xl text-sm transition-colors w-fit"
+                >
+                  {t('admin.productForm.printAreas.reset')}
+                </button>
+              </div>
+            </div>
+
+            {areaError && (
+              <p className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{areaError}</p>
+            )}
+
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={handleSavePrintAreas}
+                disabled={savingAreas}
+                className="px-5 py-2.5 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-300 text-white font-semibold rounded-xl text-sm transition-colors"
+              >
+                {savingAreas ? t('admin.productForm.saving') : t('admin.productForm.printAreas.save')}
+              </button>
+              {areasSaved && (
+                <span className="text-sm text-green-600 font-medium flex items-center gap-1">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                  {t('admin.productForm.saved')}
+                </span>
+              )}
+            </div>
+          </Section>
+        )}
+
         {/* Bottom done button */}
         {productId && (
           <div className="flex justify-end">
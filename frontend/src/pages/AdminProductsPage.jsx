@@ -43,6 +43,12 @@ export function AdminTopBar({ onLogout }) {
             >
               {t('admin.topBar.categories')}
             </Link>
+            <Link
+              to="/admin/webhooks"
+              className="px-3 py-1.5 rounded-lg text-sm font-medium text-slate-600 hover:text-slate-900 hover:bg-slate-100 transition-colors"
+            >
+              {t('admin.topBar.webhooks')}
+            </Link>
           </nav>
         </div>
         <div className="flex items-center gap-3">
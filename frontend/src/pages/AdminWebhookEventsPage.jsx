@@ -0,0 +1,204 @@
+// src/pages/AdminWebhookEventsPage.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { fetchWebhookEvents } from '../api/admin';
+import { AdminTopBar } from './AdminProductsPage';
+
+// ── Helpers ───────────────────────────────────────────────────
+function formatDate(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short', day: 'numeric',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+}
+
+// ── Outcome badge ─────────────────────────────────────────────
+const OUTCOME_STYLES = {
+  processing: 'bg-amber-100 text-amber-700 border-amber-200',
+  processed:  'bg-green-100 text-green-700 border-green-200',
+  ignored:    'bg-slate-100 text-slate-500 border-slate-200',
+  failed:     'bg-red-100 text-red-700 border-red-200',
+};
+
+function OutcomeBadge({ status }) {
+  const { t } = useTranslation();
+  return (
+    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-semibold border ${OUTCOME_STYLES[status] || OUTCOME_STYLES.ignored}`}>
+      {t(`admin.webhooks.outcome.${status}`, { defaultValue: status })}
+    </span>
+  );
+}
+
+// ── Page ──────────────────────────────────────────────────────
+export default function AdminWebhookEventsPage() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeStatus = searchParams.get('status') || '';
+
+  const [data, setData] = useState(null); // { events, total }
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const filterTabs = [
+    { label: t('admin.webhooks.filters.all'),       value: '' },
+    { label: t('admin.webhooks.outcome.processed'), value: 'processed' },
+    { label: t('admin.webhooks.outcome.ignored'),   value: 'ignored' },
+    { label: t('admin.webhooks.outcome.failed'),    value: 'failed' },
+  ];
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchWebhookEvents({ status: activeStatus || undefined });
+      setData(result);
+    } catch (err) {
+      if (err.status === 401) {
+        sessionStorage.removeItem('admin_token');
+        navigate('/admin', { replace: true });
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [activeStatus, navigate]);
+
+  useEffect(() => {
+    if (!sessionStorage.getItem('admin_token')) {
+      navigate('/admin', { replace: true });
+      return;
+    }
+    load();
+  }, [load, navigate]);
+
+  const handleLogout = () => {
+    sessionStorage.removeItem('admin_token');
+    navigate('/admin', { replace: true });
+  };
+
+  const setFilter = (val) => {
+    if (val) setSearchParams({ status: val });
+    else setSearchParams({});
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <AdminTopBar onLogout={handleLogout} />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 py-8 flex flex-col gap-6">
+        {/* Page title */}
+        <div className="flex flex-wrap items-end justify-between gap-3">
+          <div>
+            <h1 className="text-2xl font-bold text-slate-900">{t('admin.webhooks.heading')}</h1>
+            <p className="text-sm text-slate-500 mt-0.5">{t('admin.webhooks.subtitle')}</p>
+          </div>
+          <button
+            onClick={load}
+            disabled={loading}
+            className="px-3 py-1.5 border border-slate-200 bg-white hover:bg-slate-50 text-slate-600 text-xs font-semibold rounded-lg transition-colors disabled:opacity-50"
+          >
+            {t('admin.webhooks.refresh')}
+          </button>
+        </div>
+
+        {/* Filter tabs */}
+        <div className="flex gap-1 bg-slate-100 rounded-xl p-1 w-fit">
+          {filterTabs.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setFilter(tab.value)}
+              className={`px-3.5 py-1.5 rounded-lg text-sm font-semibold transition-colors ${
+                activeStatus === tab.value
+                  ? 'bg-white text-slate-900 shadow-sm'
+                  : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Events table */}
+        <div className="bg-white rounded-2xl border border-slate-200 overflow-hidden">
+          {loading ? (
+            <div className="divide-y divide-slate-100">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="flex items-center gap-4 px-6 py-4 animate-pulse">
+                  <div className="h-4 bg-slate-100 rounded w-28" />
+                  <div className="h-4 bg-slate-100 rounded w-48 flex-1" />
+                  <div className="h-6 bg-slate-100 rounded-full w-20" />
+                </div>
+              ))}
+            </div>
+          ) : data?.events?.length === 0 ? (
+            <div className="py-20 text-center text-sm font-medium text-slate-400">
+              {t('admin.webhooks.empty')}
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-100 bg-slate-50 text-left">
+                  <th className="px-6 py-3 text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.webhooks.table.received')}</th>
+                  <th className="px-6 py-3 text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.webhooks.table.type')}</th>
+                  <th className="px-6 py-3 text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.webhooks.table.outcome')}</th>
+                  <th className="px-6 py-3 text-xs font-semibold text-slate-500 uppercase tracking-wide text-center">{t('admin.webhooks.table.attempts')}</th>
+                  <th className="px-6 py-3 text-xs font-semibold text-slate-500 uppercase tracking-wide">{t('admin.webhooks.table.order')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {data.events.map((ev) => (
+                  <tr key={ev.id} className="align-top">
+                    <td className="px-6 py-4 text-slate-500 whitespace-nowrap text-xs">
+                      {formatDate(ev.received_at)}
+                    </td>
+                    <td className="px-6 py-4">
+                      <p className="font-semibold text-slate-800">{ev.type}</p>
+                      <p className="text-xs text-slate-400 font-mono">{ev.id}</p>
+                      {ev.error && (
+                        <p className="mt-1 text-xs text-red-600 break-words">{ev.error}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <OutcomeBadge status={ev.status} />
+                    </td>
+                    <td className="px-6 py-4 text-center text-slate-600 font-medium">
+                      {ev.attempts}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {ev.order_id ? (
+                        <Link
+                          to={`/admin/orders/${ev.order_id}`}
+                          className="text-indigo-600 font-semibold text-xs hover:underline"
+                        >
+                          #{ev.order_id.slice(0, 8).toUpperCase()}
+                        </Link>
+                      ) : (
+                        <span className="text-slate-300">—</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {data && data.total > data?.events?.length && (
+          <p className="text-xs text-center text-slate-400">
+            {t('admin.webhooks.showing', { shown: data.events.length, total: data.total })}
+          </p>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -6,6 +6,8 @@ import { useTranslation } from 'react-i18next';
 import { fetchCart, updateCartItem, removeCartItem } from '../api/products';
 import { useAuth } from '../context/AuthContext';
 import LanguageSwitcher from '../components/LanguageSwitcher';
+import PriceBreakdown from '../components/PriceBreakdown';
+import RosterList from '../components/RosterList';
 
 // ── Guest / Account choice modal ─────────────────────────────
 function CheckoutGatewayModal({ onClose, onGuest, onAccount }) {
@@ -87,6 +89,15 @@ function formatPrice(cents) {
   return (cents / 100).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
 }
 
+// Unit price is computed server-side (tiers + surcharges); fall back to the flat variant price
+function unitPriceOf(item) {
+  return item.pricing?.unitPriceCents ?? item.variant?.price_cents ?? 0;
+}
+
+function lineTotalOf(item) {
+  return unitPriceOf(item) * item.quantity + (item.pricing?.setupCents ?? 0);
+}
+
 const DECORATION_LABELS = {
   dtg: 'DTG Print',
   embroidery: 'Embroidery',
@@ -139,8 +150,9 @@ function ItemCard({ item, onQuantityChange, onRemove }) {
   const [imgError, setImgError] = useState(false);
   const [designImgError, setDesignImgError] = useState(false);
 
-  const price = variant?.price_cents ?? 0;
-  const lineTotal = price * quantity;
+  const price = item.pricing?.garmentUnitCents ?? unitPriceOf(item);
+  const lineTotal = lineTotalOf(item);
+  const basePrice = item.pricing?.basePriceCents ?? price;
   const colorHex = variant?.color_hex || '#e2e8f0';
   const decorationLabel = DECORATION_LABELS[config?.decoration] || config?.decoration || '—';
 
@@ -228,36 +240,63 @@ function ItemCard({ item, onQuantityChange, onRemove }) {
           </div>
         )}
 
+        <RosterList roster={config?.roster} />
+
+        {product && (
+          <Link
+            to={`/products/${product.slug}?cartItem=${item.id}`}
+            className="self-start text-xs font-semibold text-indigo-600 hover:text-indigo-700 hover:underline"
+          >
+            {t('cart.editDesign')}
+          </Link>
+        )}
+
         {/* Quantity + price row */}
         <div className="flex items-center justify-between mt-auto pt-1">
-          {/* Stepper */}
-          <div className="flex items-center gap-1 border border-slate-200 rounded-lg overflow-hidden">
-            <button
-              onClick={() => quantity > 1 && onQuantityChange(item.id, quantity - 1)}
-              disabled={quantity <= 1}
-              className="px-2.5 py-1 text-slate-600 hover:bg-slate-50 disabled:opacity-30 disabled:cursor-not-allowed transition-colors text-sm font-medium"
-            >
-              −
-            </button>
-            <span className="px-3 py-1 text-sm font-semibold text-slate-800 border-x border-slate-200 min-w-[2.5rem] text-center">
-              {quantity}
-            </span>
-            <button
-              onClick={() => onQuantityChange(item.id, quantity + 1)}
-              className="px-2.5 py-1 text-slate-600 hover:bg-slate-50 transition-colors text-sm font-medium"
-            >
-              +
-            </button>
-          </div>
+          {/* Stepper — a roster line's quantity is its players */}
+          {config?.roster ? (
+            <span className="text-sm font-semibold text-slate-600">{t('cart.rosterQty', { count: quantity })}</span>
+          ) : (
+            <div className="flex items-center gap-1 border border-slate-200 rounded-lg overflow-hidden">
+              <button
+                onClick={() => quantity > 1 && onQuantityChange(item.id, quantity - 1)}
+                disabled={quantity <= 1}
+                className="px-2.5 py-1 text-slate-600 hover:bg-slate-50 disabled:opacity-30 disabled:cursor-not-allowed transition-colors text-sm font-medium"
+              >
+                −
+              </button>
+              <span className="px-3 py-1 text-sm font-semibold text-slate-800 border-x border-slate-200 min-w-[2.5rem] text-center">
+                {quantity}
+              </span>
+              <button
+                onClick={() => onQuantityChange(item.id, quantity + 1)}
+                className="px-2.5 py-1 text-slate-600 hover:bg-slate-50 transition-colors text-sm font-medium"
+              >
+                +
+              </button>
+            </div>
+          )}
 
           {/* Price */}
           <div className="text-right">
             <p className="text-sm font-bold text-slate-900">{formatPrice(lineTotal)}</p>
             {quantity > 1 && (
-              <p className="text-xs text-slate-400">{formatPrice(price)} {t('cart.each')}</p>
+              <p className="text-xs text-slate-400">
+                {price < basePrice && (
+                  <span className="line-through mr-1">{formatPrice(basePrice)}</span>
+                )}
+                {formatPrice(price)} {t('cart.each')}
+              </p>
+            )}
+            {item.pricing?.tierMinQty && price < basePrice && (
+              <p className="text-xs font-medium text-emerald-600">
+                {t('cart.bulkPrice', { count: item.pricing.tierMinQty })}
+              </p>
             )}
           </div>
         </div>
+
+        <PriceBreakdown pricing={item.pricing} quantity={quantity} className="pt-2 border-t border-slate-100" />
       </div>
     </div>
   );
@@ -266,7 +305,7 @@ function ItemCard({ item, onQuantityChange, onRemove }) {
 // ── Order Summary ─────────────────────────────────────────────
 function OrderSummary({ items, onCheckout }) {
   const { t } = useTranslation();
-  const subtotal = items.reduce((acc, item) => acc + (item.variant?.price_cents ?? 0) * item.quantity, 0);
+  const subtotal = items.reduce((acc, item) => acc + lineTotalOf(item), 0);
   const itemCount = items.reduce((acc, item) => acc + item.quantity, 0);
 
   return (
@@ -351,7 +390,11 @@ export default function CartPage() {
     const prev = items;
     setItems((cur) => cur.map((it) => it.id === itemId ? { ...it, quantity: newQty } : it));
     try {
-      await updateCartItem(itemId, newQty);
+      await updateCartItem(itemId, newQty, getAnonymousId());
+      // Re-fetch so prices reflect any quantity tier the change crossed
+      fetchCart(getAnonymousId())
+        .then(({ items: fresh }) => { if (fresh) setItems(fresh); })
+        .catch(() => {});
     } catch {
       setItems(prev);
       showToast(t('cart.couldNotUpdate'));
@@ -363,7 +406,7 @@ export default function CartPage() {
     const prev = items;
     setItems((cur) => cur.filter((it) => it.id !== itemId));
     try {
-      await removeCartItem(itemId);
+      await removeCartItem(itemId, getAnonymousId());
     } catch {
       setItems(prev);
       showToast(t('cart.couldNotRemove'));
@@ -1,5 +1,5 @@
 // src/pages/CheckoutPage.jsx
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useTranslation } from 'react-i18next';
@@ -10,9 +10,12 @@ import {
   useElements,
 } from '@stripe/react-stripe-js';
 import { stripePromise } from '../lib/stripe';
-import { fetchCart, createPaymentIntent, validatePromoCode } from '../api/products';
+import {
+  fetchCart, createPaymentIntent, validatePromoCode, fetchShippingCountries, fetchShippingRates,
+} from '../api/products';
 import { useAuth } from '../context/AuthContext';
 import LanguageSwitcher from '../components/LanguageSwitcher';
+import PriceBreakdown from '../components/PriceBreakdown';
 
 const API = import.meta.env.VITE_API_URL || '/api';
 
@@ -27,7 +30,7 @@ function formatPrice(cents) {
 
 // ── Order Summary Sidebar ────────────────────────────────────
 function OrderSummary({
-  items, subtotalCents, discountCents, totalCents,
+  items, subtotalCents, discountCents, shippingCents, shippingSelected, taxLines, totalCents,
   appliedPromo, promoInput, setPromoInput, onApply, onRemove, promoLoading, promoError,
 }) {
   const { t } = useTranslation();
@@ -56,9 +59,10 @@ function OrderSummary({
               <p className="text-xs text-slate-500">
                 {item.config?.color} · {item.config?.size} · {t('checkout.summary.qty')} {item.quantity}
               </p>
+              <PriceBreakdown pricing={item.pricing} quantity={item.quantity} className="mt-1" />
             </div>
             <p className="text-sm font-semibold text-slate-800 flex-shrink-0">
-              {formatPrice((item.variant?.price_cents ?? 0) * item.quantity)}
+              {formatPrice(item.pricing?.lineTotalCents ?? (item.variant?.price_cents ?? 0) * item.quantity)}
             </p>
           </li>
         ))}
@@ -77,8 +81,25 @@ function OrderSummary({
         )}
         <div className="flex justify-between text-slate-600">
           <span>{t('checkout.summary.shipping')}</span>
-          <span className="text-green-600 font-medium">{t('checkout.summary.shippingFree')}</span>
+          {!shippingSelected ? (
+            <span className="text-slate-400">{t('checkout.summary.shippingPending')}</span>
+          ) : shippingCents > 0 ? (
+            <span className="font-semibold text-slate-800">{formatPrice(shippingCents)}</span>
+          ) : (
+            <span className="text-green-600 font-medium">{t('checkout.summary.shippingFree')}</span>
+          )}
         </div>
+        {!shippingSelected ? (
+          <div className="flex justify-between text-slate-600">
+            <span>{t('checkout.summary.tax')}</span>
+            <span className="text-slate-400">{t('checkout.summary.shippingPending')}</span>
+          </div>
+        ) : taxLines.map((line) => (
+          <div key={`${line.jurisdiction}-${line.name}`} className="flex justify-between text-slate-600">
+            <span>{t('checkout.summary.taxLine', { name: line.name, rate: +(line.rate * 100).toFixed(3) })}</span>
+            <span className="font-semibold text-slate-800">{formatPrice(line.amountCents)}</span>
+          </div>
+        ))}
         <div className="flex justify-between font-bold text-slate-900 pt-2 border-t border-slate-200">
           <span>{t('checkout.summary.total')}</span>
           <span>{formatPrice(totalCents)}</span>
@@ -128,8 +149,9 @@ function OrderSummary({
 }
 
 // ── Shipping Form ─────────────────────────────────────────────
-function ShippingForm({ value, onChange }) {
-  const { t } = useTranslation();
+function ShippingForm({ value, onChange, countries }) {
+  const { t, i18n } = useTranslation();
+  const regionNames = new Intl.DisplayNames([i18n.language], { type: 'region' });
 
   const field = (name, labelKey, placeholderKey, props = {}) => (
     <div className="flex flex-col gap-1">
@@ -155,17 +177,89 @@ function ShippingForm({ value, onChange }) {
       </div>
       {field('line1', 'checkout.shipping.address', 'checkout.shipping.addressPlaceholder', { required: true, autoComplete: 'address-line1' })}
       {field('line2', 'checkout.shipping.apartment', 'checkout.shipping.apartmentPlaceholder', { autoComplete: 'address-line2' })}
-      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
         {field('city', 'checkout.shipping.city', 'checkout.shipping.cityPlaceholder', { required: true, autoComplete: 'address-level2' })}
         {field('state', 'checkout.shipping.state', 'checkout.shipping.statePlaceholder', { required: true, autoComplete: 'address-level1' })}
         {field('postal_code', 'checkout.shipping.zip', 'checkout.shipping.zipPlaceholder', { required: true, autoComplete: 'postal-code' })}
+        <div className="flex flex-col gap-1">
+          <label className="text-xs font-semibold text-slate-600 uppercase tracking-wide">{t('checkout.shipping.country')}</label>
+          <select
+            name="country"
+            value={value.country || 'US'}
+            onChange={(e) => onChange({ ...value, country: e.target.value })}
+            autoComplete="country"
+            className="px-3.5 py-2.5 rounded-xl border border-slate-200 text-sm text-slate-800 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:border-transparent transition"
+          >
+            {countries.map((code) => (
+              <option key={code} value={code}>{regionNames.of(code)}</option>
+            ))}
+          </select>
+        </div>
       </div>
     </div>
   );
 }
 
+// ── Shipping method picker ────────────────────────────────────
+// rates: null until the address has a country + state
+function ShippingMethods({ rates, loading, selectedId, onSelect }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="flex flex-col gap-3">
+      <h2 className="font-bold text-slate-900 text-base">{t('checkout.shippingMethod.heading')}</h2>
+      {rates === null ? (
+        <p className="text-sm text-slate-400">{t('checkout.shippingMethod.enterAddress')}</p>
+      ) : loading ? (
+        <p className="text-sm text-slate-400">{t('checkout.shippingMethod.loading')}</p>
+      ) : rates.length === 0 ? (
+        <p className="text-sm text-red-600">{t('checkout.shippingMethod.unavailable')}</p>
+      ) : (
+        <div className="flex flex-col gap-2">
+          {rates.map((rate) => (
+            <label
+              key={rate.methodId}
+              className={`flex items-center justify-between gap-3 px-4 py-3 rounded-xl border cursor-pointer transition-colors ${
+                selectedId === rate.methodId
+                  ? 'border-indigo-400 bg-indigo-50'
+                  : 'border-slate-200 hover:border-slate-300'
+              }`}
+            >
+              <span className="flex items-center gap-3">
+                <input
+                  type="radio"
+                  name="shippingMethod"
+                  checked={selectedId === rate.methodId}
+                  onChange={() => onSelect(rate.methodId)}
+                  className="accent-indigo-600"
+                />
+                <span>
+                  <span className="block text-sm font-semibold text-slate-800">
+                    {t(`checkout.shippingMethod.methods.${rate.code}`, { defaultValue: rate.name })}
+                  </span>
+                  {rate.minDays != null && rate.maxDays != null && (
+                    <span className="block text-xs text-slate-500">
+                      {t('checkout.shippingMethod.eta', { min: rate.minDays, max: rate.maxDays })}
+                    </span>
+                  )}
+                </span>
+              </span>
+              <span className="text-sm font-semibold text-slate-800">
+                {rate.amountCents > 0 ? formatPrice(rate.amountCents) : t('checkout.summary.shippingFree')}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ── Inner Payment Form (must be inside <Elements>) ───────────
-function PaymentForm({ totalCents, shipping, onShippingChange, items, clientSecret, anonymousId, accessToken }) {
+function PaymentForm({
+  totalCents, shipping, onShippingChange, countries, clientSecret,
+  shippingRates, ratesLoading, shippingMethodId, onShippingMethodChange, onBeforeConfirm,
+}) {
   const { t } = useTranslation();
   const stripe = useStripe();
   const elements = useElements();
@@ -186,15 +280,25 @@ function PaymentForm({ totalCents, shipping, onShippingChange, items, clientSecr
         return;
       }
     }
+    if (!shippingMethodId) {
+      setPayError(t('checkout.shippingMethod.required'));
+      return;
+    }
 
     setSubmitting(true);
     setPayError(null);
 
-    // Save shipping address to our DB before confirming payment
+    // Save shipping address to our DB and re-hold stock before confirming payment
+    // (with the promo + shipping method, so the amount stays what was shown)
     try {
-      await createPaymentIntent({ anonymousId, shipping, accessToken });
-    } catch (_) {
-      // non-fatal — proceed anyway
+      await onBeforeConfirm();
+    } catch (err) {
+      if (err.status === 409 || err.status === 400) {
+        setPayError(err.status === 409 ? t('checkout.stockUnavailable') : err.message);
+        setSubmitting(false);
+        return;
+      }
+      // anything else is non-fatal — proceed anyway
     }
 
     const { error, paymentIntent } = await stripe.confirmPayment({
@@ -209,7 +313,7 @@ function PaymentForm({ totalCents, shipping, onShippingChange, items, clientSecr
             city: shipping.city,
             state: shipping.state,
             postal_code: shipping.postal_code,
-            country: 'US',
+            country: shipping.country || 'US',
           },
         },
         receipt_email: shipping.email,
@@ -232,7 +336,15 @@ function PaymentForm({ totalCents, shipping, onShippingChange, items, clientSecr
   return (
     <form onSubmit={handleSubmit} className="flex flex-col gap-6">
       {/* Shipping section */}
-      <ShippingForm value={shipping} onChange={onShippingChange} />
+      <ShippingForm value={shipping} onChange={onShippingChange} countries={countries} />
+
+      {/* Shipping method */}
+      <ShippingMethods
+        rates={shippingRates}
+        loading={ratesLoading}
+        selectedId={shippingMethodId}
+        onSelect={onShippingMethodChange}
+      />
 
       {/* Payment section */}
       <div className="flex flex-col gap-4">
@@ -295,6 +407,8 @@ export default function CheckoutPage() {
   const [clientSecret, setClientSecret] = useState(null);
   const [subtotalCents, setSubtotalCents] = useState(0);
   const [discountCents, setDiscountCents] = useState(0);
+  const [shippingCents, setShippingCents] = useState(0);
+  const [taxLines, setTaxLines] = useState([]);
   const [totalCents, setTotalCents] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -306,9 +420,27 @@ export default function CheckoutPage() {
   const [promoLoading, setPromoLoading] = useState(false);
   const [promoError, setPromoError] = useState(null);
   const [appliedPromo, setAppliedPromo] = useState(null);
+  const [countries, setCountries] = useState(['US']);
+  const [shippingRates, setShippingRates] = useState(null); // null = address incomplete
+  const [ratesLoading, setRatesLoading] = useState(false);
+  const [shippingMethodId, setShippingMethodId] = useState(null);
 
   const anonymousId = getAnonymousId();
 
+  // Every PaymentIntent update carries the applied promo and the chosen
+  // shipping method, so neither silently drops out of the amount
+  function paymentIntentArgs({ promoCode = appliedPromo?.code, methodId = shippingMethodId } = {}) {
+    return {
+      anonymousId,
+      accessToken: session?.access_token,
+      promoCode: promoCode || undefined,
+      ...(methodId && { shipping, shippingMethodId: methodId }),
+    };
+  }
+  // Effects below always use the latest promo/address
+  const paymentIntentArgsRef = useRef(paymentIntentArgs);
+  paymentIntentArgsRef.current = paymentIntentArgs;
+
   // Pre-fill shipping form from user profile
   useEffect(() => {
     if (!session?.access_token) return;
@@ -356,16 +488,72 @@ export default function CheckoutPage() {
       setSubtotalCents(sub || total);
       setTotalCents(total);
     } catch (err) {
-      setError(err.message);
+      setError(err.status === 409 ? t('checkout.stockUnavailable') : err.message);
     } finally {
       setLoading(false);
     }
-  }, [anonymousId, navigate, session]);
+  }, [anonymousId, navigate, session, t]);
 
   useEffect(() => {
     bootstrap();
   }, [bootstrap]);
 
+  // Countries with a shipping zone
+  useEffect(() => {
+    fetchShippingCountries()
+      .then(({ countries: list }) => { if (list?.length) setCountries(list); })
+      .catch(() => {});
+  }, []);
+
+  // Re-quote shipping when the destination changes (debounced)
+  const destinationKey = `${shipping.country || ''}|${(shipping.state || '').trim().toUpperCase()}`;
+  useEffect(() => {
+    if (loading || !anonymousId) return;
+    const [country, state] = destinationKey.split('|');
+    if (!country || !state) {
+      setShippingRates(null);
+      setShippingMethodId(null);
+      return;
+    }
+
+    let cancelled = false;
+    setRatesLoading(true);
+    const timer = setTimeout(() => {
+      fetchShippingRates({ anonymousId, address: { country, state } })
+        .then(({ rates }) => {
+          if (cancelled) return;
+          setShippingRates(rates);
+          // Keep the customer's pick if it's still offered, else the first (standard)
+          setShippingMethodId((prev) => (
+            rates.some((r) => r.methodId === prev) ? prev : (rates[0]?.methodId || null)
+          ));
+        })
+        .catch(() => { if (!cancelled) setShippingRates([]); })
+        .finally(() => { if (!cancelled) setRatesLoading(false); });
+    }, 400);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [destinationKey, anonymousId, loading]);
+
+  // Put the chosen rate on the PaymentIntent
+  const selectedRate = shippingRates?.find((r) => r.methodId === shippingMethodId) || null;
+  const selectedRateKey = selectedRate ? `${selectedRate.methodId}:${selectedRate.amountCents}` : '';
+  useEffect(() => {
+    if (!selectedRateKey) return;
+    let cancelled = false;
+    createPaymentIntent(paymentIntentArgsRef.current())
+      .then(({ totalCents: total, discountCents: dc, shippingCents: sc, taxLines: tl }) => {
+        if (cancelled) return;
+        setShippingCents(sc || 0);
+        setTaxLines(tl || []);
+        setDiscountCents(dc || 0);
+        setTotalCents(total);
+      })
+      .catch(() => {
+        // Re-checked before payment is confirmed
+      });
+    return () => { cancelled = true; };
+  }, [selectedRateKey]);
+
   async function handleApplyPromo() {
     if (!promoInput.trim()) return;
     setPromoLoading(true);
@@ -374,12 +562,11 @@ export default function CheckoutPage() {
       // Validate the code
       const result = await validatePromoCode(promoInput.trim(), subtotalCents);
       // Update the PaymentIntent with the discount applied
-      const { totalCents: newTotal, discountCents: dc } = await createPaymentIntent({
-        anonymousId,
-        promoCode: result.code,
-        accessToken: session?.access_token,
-      });
+      const { totalCents: newTotal, discountCents: dc, taxLines: tl } = await createPaymentIntent(
+        paymentIntentArgs({ promoCode: result.code })
+      );
       setDiscountCents(dc);
+      setTaxLines(tl || []);
       setTotalCents(newTotal);
       setAppliedPromo(result);
     } catch (err) {
@@ -392,11 +579,11 @@ export default function CheckoutPage() {
   async function handleRemovePromo() {
     setPromoLoading(true);
     try {
-      const { totalCents: original } = await createPaymentIntent({
-        anonymousId,
-        accessToken: session?.access_token,
-      });
+      const { totalCents: original, taxLines: tl } = await createPaymentIntent(
+        paymentIntentArgs({ promoCode: null })
+      );
       setDiscountCents(0);
+      setTaxLines(tl || []);
       setTotalCents(original);
       setAppliedPromo(null);
       setPromoInput('');
@@ -404,7 +591,7 @@ export default function CheckoutPage() {
     } catch {
       // silent — the promo state is reset optimistically
       setDiscountCents(0);
-      setTotalCents(subtotalCents);
+      setTotalCents(subtotalCents + (selectedRate ? shippingCents : 0) + taxLines.reduce((sum, l) => sum + l.amountCents, 0));
       setAppliedPromo(null);
       setPromoInput('');
     } finally {
@@ -522,10 +709,13 @@ export default function CheckoutPage() {
                   totalCents={totalCents}
                   shipping={shipping}
                   onShippingChange={setShipping}
-                  items={items}
+                  countries={countries}
                   clientSecret={clientSecret}
-                  anonymousId={anonymousId}
-                  accessToken={session?.access_token}
+                  shippingRates={shippingRates}
+                  ratesLoading={ratesLoading}
+                  shippingMethodId={shippingMethodId}
+                  onShippingMethodChange={setShippingMethodId}
+                  onBeforeConfirm={() => createPaymentIntent(paymentIntentArgs())}
                 />
               </Elements>
             </div>
@@ -536,6 +726,9 @@ export default function CheckoutPage() {
                 items={items}
                 subtotalCents={subtotalCents}
                 discountCents={discountCents}
+                shippingCents={shippingCents}
+                shippingSelected={Boolean(selectedRate)}
+                taxLines={taxLines}
                 totalCents={totalCents}
                 appliedPromo={appliedPromo}
                 promoInput={promoInput}
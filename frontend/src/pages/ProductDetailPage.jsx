@@ -5,11 +5,17 @@
 // ─────────────────────────────────────────────────────────────
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useTranslation } from 'react-i18next';
-import { fetchProduct, fetchRelatedProducts, fetchReviews, submitReview, uploadDesign, addToCart, fetchCart, removeCartItem, updateCartItem } from '../api/products';
-import DesignPreview, { makeDefaultPlacement } from '../components/DesignPreview';
+import { fetchProduct, fetchPriceQuote, fetchRelatedProducts, fetchReviews, submitReview, uploadDesign, addToCart, addToCartBulk, fetchCart, fetchCartItem, updateCartItemDesign, removeCartItem, updateCartItem, fetchMyDesigns, fetchDesignProject, saveDesignProject, createDesignShare, fetchDesignShare, reviewDesignShare } from '../api/products';
+import DesignPreview, { PRINT_LOCATIONS, makeDefaultPlacement, printAreaFor, printDpi, MIN_PRINT_DPI } from '../components/DesignPreview';
+import { renderTextLayerFile } from '../lib/textLayer';
+import { MAX_LAYERS_PER_SIDE, makeImageLayer, restoreLayer, isPrintable } from '../lib/designLayers';
+import { useHistory } from '../lib/history';
+import { ROSTER_CATEGORIES, parseRoster, rosterBySize } from '../lib/roster';
+import PriceBreakdown from '../components/PriceBreakdown';
+import RosterList from '../components/RosterList';
 import { useAuth } from '../context/AuthContext';
 import { useWishlist } from '../context/WishlistContext';
 import LanguageSwitcher from '../components/LanguageSwitcher';
@@ -19,6 +25,14 @@ import LanguageSwitcher from '../components/LanguageSwitcher';
 const SIZE_ORDER = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL', '4XL'];
 const ALLOWED_TYPES = ['image/png', 'image/svg+xml', 'image/jpeg', 'image/jpg'];
 const MAX_DESIGN_MB = 25;
+const MAX_QTY = 999; // cap for variants with unlimited stock
+
+// Unit price + setup fees come from the server (tiers + surcharges); multiplying
+// by the local quantity keeps optimistic qty changes sensible until the cart reloads.
+function lineTotalOf(item) {
+  const unit = item.pricing?.unitPriceCents ?? item.variant?.price_cents ?? 0;
+  return unit * item.quantity + (item.pricing?.setupCents ?? 0);
+}
 
 function sortSizes(sizes) {
   return [...sizes].sort((a, b) => SIZE_ORDER.indexOf(a) - SIZE_ORDER.indexOf(b));
@@ -38,6 +52,25 @@ function getAnonymousId() {
   return id;
 }
 
+// Library entry for a file uploaded before (My Designs or a saved
+// project). Its storage path doubles as the id, so the same file is
+// never in the library twice.
+function savedLibraryEntry(upload) {
+  return {
+    id: upload.storagePath,
+    file: null,
+    name: upload.filename,
+    localUrl: upload.previewUrl,
+    upload: {
+      storagePath: upload.storagePath,
+      previewUrl: upload.previewUrl,
+      proofPath: upload.proofPath || null,
+      preflight: upload.preflight || null,
+    },
+    uploadError: null,
+  };
+}
+
 // ── Star Rating ───────────────────────────────────────────────
 function StarRating({ rating, count }) {
   const { t } = useTranslation();
@@ -61,15 +94,24 @@ function StarRating({ rating, count }) {
 }
 
 // ── Design Picker ─────────────────────────────────────────────
-// Library of up to 4 designs; each side (front/back) picks independently.
+// Library of up to 4 designs; clicking one adds it to the current print
+// location as a new layer.
 const MAX_DESIGNS = 4;
 
-function DesignPicker({ library, side, sideDesigns, onAddFile, onApply, onRemove, triggerRef }) {
+// Signed-in customers can also pick from files they uploaded before
+// (savedUploads, loaded by onShowSaved the first time it's opened).
+function DesignPicker({ library, side, locations, sideDesigns, onAddFile, onApply, onRemove, triggerRef, savedUploads, onShowSaved, onUseSaved }) {
   const { t } = useTranslation();
   const inputRef = useRef(null);
   // Expose a trigger so the parent (or DesignPreview placeholder) can open the picker
   if (triggerRef) triggerRef.current = () => inputRef.current?.click();
   const [error, setError] = useState('');
+  const [showSaved, setShowSaved] = useState(false);
+
+  const toggleSaved = () => {
+    if (!showSaved) onShowSaved();
+    setShowSaved(v => !v);
+  };
 
   const handleChange = (e) => {
     const f = e.target.files[0];
@@ -110,23 +152,25 @@ function DesignPicker({ library, side, sideDesigns, onAddFile, onApply, onRemove
         /* Library thumbnails + add slot */
         <div className="flex flex-wrap gap-2 items-center">
           {library.map((design) => {
-            const isActiveFront = sideDesigns.front?.localDesignUrl === design.localUrl;
-            const isActiveBack  = sideDesigns.back?.localDesignUrl  === design.localUrl;
-            const isActiveSide  = side === 'front' ? isActiveFront : isActiveBack;
+            const usedOn = PRINT_LOCATIONS.filter(s => sideDesigns[s]?.layers.some(l => l.designId === design.id));
+            const isActiveSide = usedOn.includes(side);
             return (
               <div key={design.id} className="relative group">
                 <button
                   onClick={() => onApply(design)}
-                  title={design.file.name}
+                  title={design.name}
                   className={`w-16 h-16 rounded-xl border-2 overflow-hidden bg-slate-50 flex items-center justify-center transition-all ${
                     isActiveSide ? 'border-indigo-500 shadow-md shadow-indigo-100' : 'border-slate-200 hover:border-indigo-300'
                   }`}
                 >
-                  <img src={design.localUrl} alt={design.file.name} className="w-full h-full object-contain p-1" />
+                  <img src={design.localUrl} alt={design.name} className="w-full h-full object-contain p-1" />
                 </button>
                 <div className="absolute -bottom-1 left-0 right-0 flex justify-center gap-0.5">
-                  {isActiveFront && <span className="text-[9px] font-bold bg-indigo-600 text-white px-1 rounded">F</span>}
-                  {isActiveBack  && <span className="text-[9px] font-bold bg-slate-700 text-white px-1 rounded">B</span>}
+                  {usedOn.map(s => (
+                    <span key={s} className={`text-[9px] font-bold text-white px-1 rounded ${s === 'front' ? 'bg-indigo-600' : 'bg-slate-700'}`}>
+                      {t(`product.sideShort.${s}`)}
+                    </span>
+                  ))}
                 </div>
                 <button
                   onClick={() => onRemove(design.id)}
@@ -151,15 +195,45 @@ function DesignPicker({ library, side, sideDesigns, onAddFile, onApply, onRemove
 
       <input ref={inputRef} type="file" className="hidden" accept=".png,.svg,.jpg,.jpeg" onChange={handleChange} />
 
+      {/* Earlier uploads (signed in) */}
+      {onShowSaved && (
+        <div>
+          <button onClick={toggleSaved} className="text-xs font-semibold text-indigo-600 hover:underline">
+            {showSaved ? t('product.savedDesigns.hide') : t('product.savedDesigns.show')}
+          </button>
+          {showSaved && (
+            savedUploads === null ? (
+              <p className="mt-2 text-xs text-slate-400">{t('product.savedDesigns.loading')}</p>
+            ) : savedUploads.length === 0 ? (
+              <p className="mt-2 text-xs text-slate-400">{t('product.savedDesigns.empty')}</p>
+            ) : (
+              <div className="mt-2 flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+                {savedUploads.map(upload => (
+                  <button
+                    key={upload.id}
+                    onClick={() => onUseSaved(upload)}
+                    disabled={library.length >= MAX_DESIGNS && !library.some(d => d.id === upload.storagePath)}
+                    title={upload.filename}
+                    className="w-12 h-12 rounded-lg border border-slate-200 hover:border-indigo-300 overflow-hidden bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                  >
+                    <img src={upload.viewUrl} alt={upload.filename} className="w-full h-full object-contain p-1" />
+                  </button>
+                ))}
+              </div>
+            )
+          )}
+        </div>
+      )}
+
       {/* Per-side status */}
-      <div className="flex gap-2 text-xs">
-        {['front', 'back'].map(s => (
+      <div className="flex flex-wrap gap-2 text-xs">
+        {locations.map(s => (
           <div key={s} className={`flex items-center gap-1 px-2.5 py-1 rounded-lg border ${
             side === s ? 'border-indigo-200 bg-indigo-50 text-indigo-700 font-semibold' : 'border-transparent text-slate-400'
           }`}>
             <span className="capitalize">{t(`product.side.${s}`)}:</span>
-            <span className={sideDesigns[s]?.localDesignUrl ? 'text-emerald-600 font-semibold' : ''}>
-              {sideDesigns[s]?.localDesignUrl ? t('product.side.set') : t('product.side.none')}
+            <span className={sideDesigns[s]?.layers.some(isPrintable) ? 'text-emerald-600 font-semibold' : ''}>
+              {sideDesigns[s]?.layers.some(isPrintable) ? t('product.side.set') : t('product.side.none')}
             </span>
           </div>
         ))}
@@ -170,6 +244,54 @@ function DesignPicker({ library, side, sideDesigns, onAddFile, onApply, onRemove
   );
 }
 
+// ── Artwork preflight ─────────────────────────────────────────
+// Warnings from the upload preflight for the design on this side.
+// DPI is recomputed live as the design is resized.
+function PreflightNotice({ design, area, placement }) {
+  const { t } = useTranslation();
+  if (!design) return null;
+
+  if (design.uploadError) {
+    return <p className="text-xs text-red-500">{t('product.preflight.failed', { error: design.uploadError })}</p>;
+  }
+  if (!design.upload) {
+    return (
+      <p className="flex items-center gap-1.5 text-xs text-slate-400">
+        <span className="w-3 h-3 border-2 border-slate-200 border-t-slate-400 rounded-full animate-spin" />
+        {t('product.preflight.checking')}
+      </p>
+    );
+  }
+
+  const preflight = design.upload.preflight;
+  if (!preflight) return null;
+
+  const dpi = !preflight.isVector && placement ? printDpi(area, placement, preflight.widthPx) : null;
+  const warnings = preflight.warnings.filter(w => w.code !== 'low_dpi');
+  if (dpi != null && dpi < MIN_PRINT_DPI) {
+    warnings.unshift({ code: 'low_dpi', severity: 'warning', params: { dpi, ideal: 300 } });
+  }
+
+  return (
+    <ul className="space-y-1">
+      {preflight.isVector ? (
+        <li className="text-xs text-emerald-600">{t('product.preflight.vector')}</li>
+      ) : dpi != null && dpi >= MIN_PRINT_DPI ? (
+        <li className="text-xs text-emerald-600">{t('product.preflight.quality', { dpi })}</li>
+      ) : null}
+      {warnings.map(w => (
+        <li
+          key={w.code}
+          className={`flex gap-1.5 text-xs ${w.severity === 'warning' ? 'text-amber-700' : 'text-slate-500'}`}
+        >
+          <span aria-hidden>{w.severity === 'warning' ? '⚠' : 'ℹ'}</span>
+          {t(`product.preflight.${w.code}`, { ...w.params, defaultValue: w.message })}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
 // ── Color Swatches ────────────────────────────────────────────
 function ColorSwatches({ colors, selected, onChange, outOfStockColors = [] }) {
   const { t } = useTranslation();
@@ -315,6 +437,173 @@ function SizeSelector({ sizes, selected, onChange, unavailable = [] }) {
   );
 }
 
+// ── Order mode ────────────────────────────────────────────────
+// single: one size × quantity · sizes: a quantity per size ·
+// roster: a team's players (jerseys / performance only)
+function OrderModeToggle({ modes, value, onChange }) {
+  const { t } = useTranslation();
+  return (
+    <div className={`grid gap-1 p-1 rounded-xl bg-slate-100 ${modes.length > 2 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+      {modes.map(mode => (
+        <button
+          key={mode}
+          type="button"
+          onClick={() => onChange(mode)}
+          className={`py-2 rounded-lg text-sm font-semibold transition-colors ${
+            value === mode ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+          }`}
+        >
+          {t(`product.orderMode.${mode}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ── Size mix ──────────────────────────────────────────────────
+// A quantity for each size of the selected color; sizes the color
+// doesn't come in, or that are sold out, can't be filled in
+function SizeMatrix({ sizes, quantities, onChange, variantFor }) {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <span className="text-sm font-semibold text-slate-700">{t('product.sizeMix.heading')}</span>
+      <div className="grid grid-cols-4 gap-2 mt-2.5">
+        {SIZE_ORDER.map(size => {
+          const variant = sizes.includes(size) ? variantFor(size) : null;
+          const soldOut = variant?.stock === 0;
+          const max = variant?.stock ?? MAX_QTY;
+          return (
+            <label
+              key={size}
+              className={`rounded-xl border px-2 py-1.5 text-center ${
+                !variant || soldOut ? 'border-slate-100 bg-slate-50 text-slate-300' : 'border-slate-200 text-slate-600'
+              }`}
+            >
+              <span className={`block text-xs font-semibold ${soldOut ? 'line-through' : ''}`}>{size}</span>
+              <input
+                type="number"
+                min={0}
+                max={max}
+                value={variant && !soldOut ? quantities[size] || '' : ''}
+                placeholder={variant && !soldOut ? '0' : '—'}
+                disabled={!variant || soldOut}
+                onChange={e => {
+                  const n = parseInt(e.target.value, 10);
+                  onChange({ ...quantities, [size]: isNaN(n) ? 0 : Math.min(Math.max(0, n), max) });
+                }}
+                aria-label={t('product.sizeMix.quantityFor', { size })}
+                className="w-full mt-0.5 text-center text-sm font-semibold text-slate-900 bg-transparent focus:outline-none disabled:cursor-not-allowed [appearance:textfield] [&::-webkit-inner-spin-button]:appearance-none [&::-webkit-outer-spin-button]:appearance-none"
+              />
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ── Team roster ───────────────────────────────────────────────
+// Pasted or uploaded (CSV) list of players for one design; the
+// page adds one cart line per size (src/lib/roster.js)
+function RosterEditor({ text, onChange, roster, groups, shortages, colorName }) {
+  const { t } = useTranslation();
+  const fileRef = useRef(null);
+  const [fileError, setFileError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange((await file.text()).replace(/^\uFEFF/, ''));
+      setFileError(null);
+    } catch {
+      setFileError(t('product.roster.fileError'));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <span className="text-sm font-semibold text-slate-700">{t('product.roster.heading')}</span>
+          <p className="text-xs text-slate-400 mt-0.5">{t('product.roster.hint')}</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => fileRef.current?.click()}
+          className="flex-shrink-0 px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-semibold text-slate-600 hover:bg-slate-50 transition-colors"
+        >
+          {t('product.roster.uploadCsv')}
+        </button>
+        <input ref={fileRef} type="file" accept=".csv,.txt,text/csv,text/plain" className="hidden" onChange={handleFile} />
+      </div>
+
+      <textarea
+        value={text}
+        onChange={e => onChange(e.target.value)}
+        rows={6}
+        spellCheck={false}
+        placeholder={t('product.roster.placeholder')}
+        aria-label={t('product.roster.heading')}
+        className="w-full rounded-xl border border-slate-200 px-3 py-2 text-sm font-mono text-slate-800 placeholder:text-slate-300 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      {fileError && <p className="text-xs text-red-600">{fileError}</p>}
+
+      {(roster.errors.length > 0 || shortages.length > 0) && (
+        <ul className="rounded-xl bg-red-50 border border-red-100 px-3 py-2 space-y-0.5 text-xs text-red-700">
+          {roster.errors.map(err => (
+            <li key={err.line}>
+              {t('product.roster.errorLine', { line: err.line })}{' '}
+              {t(`product.roster.errors.${err.code}`, { ...err.params, color: colorName })}
+            </li>
+          ))}
+          {shortages.map(s => (
+            <li key={s.size}>{t('product.roster.errors.stock', { size: s.size, count: s.stock })}</li>
+          ))}
+        </ul>
+      )}
+
+      {roster.entries.length > 0 && (
+        <>
+          <div className="flex flex-wrap gap-1.5">
+            <span className="px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs font-semibold">
+              {t('product.roster.players', { count: roster.entries.length })}
+            </span>
+            {groups.map(g => (
+              <span key={g.size} className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 text-xs font-medium">
+                {g.size} × {g.entries.length}
+              </span>
+            ))}
+          </div>
+          <div className="max-h-56 overflow-y-auto rounded-xl border border-slate-100">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-slate-50 text-slate-500">
+                <tr>
+                  <th className="px-3 py-1.5 text-left font-semibold">{t('product.roster.columns.name')}</th>
+                  <th className="px-3 py-1.5 text-left font-semibold">{t('product.roster.columns.number')}</th>
+                  <th className="px-3 py-1.5 text-left font-semibold">{t('product.roster.columns.size')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 text-slate-700">
+                {roster.entries.map((entry, i) => (
+                  <tr key={i}>
+                    <td className="px-3 py-1.5">{entry.name || '—'}</td>
+                    <td className="px-3 py-1.5 font-semibold">{entry.number || '—'}</td>
+                    <td className="px-3 py-1.5">{entry.size}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-400">{t('product.roster.printNote')}</p>
+        </>
+      )}
+    </div>
+  );
+}
+
 // ── Delivery Info Block ───────────────────────────────────────
 function DeliveryBlock() {
   const { t } = useTranslation();
@@ -336,6 +625,63 @@ function DeliveryBlock() {
   );
 }
 
+// ── Bulk pricing tiers ────────────────────────────────────────
+// onSelectQty is left out when the quantity can't be picked (rosters)
+function BulkPricing({ quote, quantity, onSelectQty }) {
+  const { t } = useTranslation();
+  if (!quote?.tiers?.length) return null;
+
+  // The base price applies below the first break
+  const rows = [
+    { min_qty: 1, price_cents: quote.basePriceCents },
+    ...quote.tiers.filter(tier => tier.min_qty > 1),
+  ];
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold text-slate-700">{t('product.bulkPricing.heading')}</span>
+        {quote.nextTier && (
+          <span className="text-xs font-medium text-emerald-600">
+            {t('product.bulkPricing.addMore', {
+              count: quote.nextTier.min_qty - quantity,
+              price: formatPrice(quote.nextTier.price_cents),
+            })}
+          </span>
+        )}
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {rows.map((row, i) => {
+          const next = rows[i + 1];
+          const active = quantity >= row.min_qty && (!next || quantity < next.min_qty);
+          return (
+            <button
+              key={row.min_qty}
+              type="button"
+              onClick={() => onSelectQty?.(row.min_qty)}
+              disabled={!onSelectQty}
+              className={`rounded-xl border px-3 py-2 text-left transition-colors ${
+                active
+                  ? 'border-indigo-500 bg-indigo-50 ring-1 ring-indigo-500'
+                  : 'border-slate-200 enabled:hover:border-slate-300'
+              }`}
+            >
+              <span className="block text-xs text-slate-500">
+                {next
+                  ? t('product.bulkPricing.range', { min: row.min_qty, max: next.min_qty - 1 })
+                  : t('product.bulkPricing.rangeOpen', { min: row.min_qty })}
+              </span>
+              <span className={`block text-sm font-bold ${active ? 'text-indigo-700' : 'text-slate-800'}`}>
+                {t('product.bulkPricing.each', { price: formatPrice(row.price_cents) })}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // ── Breadcrumb ────────────────────────────────────────────────
 function Breadcrumb({ productName }) {
   const { t } = useTranslation();
@@ -371,7 +717,7 @@ function MiniCartItem({ item, onRemove, onQtyChange }) {
   const { t } = useTranslation();
   const { variant, product, thumbnailUrl, config, quantity } = item;
   const [imgErr, setImgErr] = useState(false);
-  const lineTotal = (variant?.price_cents ?? 0) * quantity;
+  const lineTotal = lineTotalOf(item);
 
   return (
     <div className="flex gap-3 py-3 border-b border-slate-100 last:border-0">
@@ -401,20 +747,26 @@ function MiniCartItem({ item, onRemove, onQtyChange }) {
           )}
         </div>
 
-        {/* Qty + price */}
+        <RosterList roster={config?.roster} className="mt-1" />
+
+        {/* Qty + price (a roster line's quantity is its players) */}
         <div className="flex items-center justify-between mt-1.5">
-          <div className="flex items-center gap-1 border border-slate-200 rounded-lg overflow-hidden">
-            <button
-              onClick={() => quantity > 1 && onQtyChange(item.id, quantity - 1)}
-              disabled={quantity <= 1}
-              className="px-2 py-0.5 text-slate-500 hover:bg-slate-50 disabled:opacity-30 text-sm"
-            >−</button>
-            <span className="px-2 text-xs font-semibold text-slate-700 border-x border-slate-200">{quantity}</span>
-            <button
-              onClick={() => onQtyChange(item.id, quantity + 1)}
-              className="px-2 py-0.5 text-slate-500 hover:bg-slate-50 text-sm"
-            >+</button>
-          </div>
+          {config?.roster ? (
+            <span className="text-xs font-semibold text-slate-600">{t('cart.rosterQty', { count: quantity })}</span>
+          ) : (
+            <div className="flex items-center gap-1 border border-slate-200 rounded-lg overflow-hidden">
+              <button
+                onClick={() => quantity > 1 && onQtyChange(item.id, quantity - 1)}
+                disabled={quantity <= 1}
+                className="px-2 py-0.5 text-slate-500 hover:bg-slate-50 disabled:opacity-30 text-sm"
+              >−</button>
+              <span className="px-2 text-xs font-semibold text-slate-700 border-x border-slate-200">{quantity}</span>
+              <button
+                onClick={() => onQtyChange(item.id, quantity + 1)}
+                className="px-2 py-0.5 text-slate-500 hover:bg-slate-50 text-sm"
+              >+</button>
+            </div>
+          )}
           <div className="flex items-center gap-2">
             <span className="text-sm font-bold text-slate-900">{formatPrice(lineTotal)}</span>
             <button
@@ -434,7 +786,7 @@ function MiniCartItem({ item, onRemove, onQtyChange }) {
 
 function MiniCart({ open, onClose, items, loading, onRemove, onQtyChange }) {
   const { t } = useTranslation();
-  const subtotal = items.reduce((acc, it) => acc + (it.variant?.price_cents ?? 0) * it.quantity, 0);
+  const subtotal = items.reduce((acc, it) => acc + lineTotalOf(it), 0);
   const itemCount = items.reduce((acc, it) => acc + it.quantity, 0);
 
   // Close on Escape
@@ -520,7 +872,7 @@ function MiniCart({ open, onClose, items, loading, onRemove, onQtyChange }) {
 // ── Inline Cart Preview (right column) ───────────────────────
 function CartPreviewPanel({ items, loading, onRemove, onQtyChange }) {
   const { t } = useTranslation();
-  const subtotal = items.reduce((acc, it) => acc + (it.variant?.price_cents ?? 0) * it.quantity, 0);
+  const subtotal = items.reduce((acc, it) => acc + lineTotalOf(it), 0);
   const itemCount = items.reduce((acc, it) => acc + it.quantity, 0);
 
   if (loading) {
@@ -816,10 +1168,213 @@ function ReviewsSection({ slug, product, session }) {
   );
 }
 
+// ── Save to My Designs ────────────────────────────────────────
+// Saves the whole configuration as a project; once saved (or when
+// reopened from My Designs) it updates that project, or saves a copy.
+function SaveProjectPanel({ project, defaultName, saving, disabled, onSave }) {
+  const { t } = useTranslation();
+  const [name, setName] = useState(project?.name || defaultName);
+
+  useEffect(() => {
+    if (project?.name) setName(project.name);
+  }, [project?.name]);
+
+  const canSave = !saving && !disabled && name.trim();
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm space-y-2">
+      <label className="block text-sm font-semibold text-slate-700" htmlFor="project-name">
+        {t('product.project.heading')}
+      </label>
+      <div className="flex gap-2">
+        <input
+          id="project-name"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          maxLength={80}
+          placeholder={t('product.project.namePlaceholder')}
+          className="flex-1 min-w-0 border border-slate-200 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          onClick={() => onSave(name.trim(), { asNew: false })}
+          disabled={!canSave}
+          className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm font-semibold hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? t('product.project.saving') : project ? t('product.project.update') : t('product.project.save')}
+        </button>
+      </div>
+      {project && (
+        <button
+          onClick={() => onSave(name.trim(), { asNew: true })}
+          disabled={!canSave}
+          className="text-xs font-semibold text-indigo-600 hover:underline disabled:opacity-40 disabled:no-underline"
+        >
+          {t('product.project.saveCopy')}
+        </button>
+      )}
+      {disabled && <p className="text-xs text-slate-400">{t('product.project.needsDesign')}</p>}
+    </div>
+  );
+}
+
+// ── Approval link ─────────────────────────────────────────────
+// Freezes the design behind a read-only link for someone else to
+// approve; the signed-in designer is emailed their answer.
+function ShareDesignPanel({ sharing, shareUrl, disabled, onShare }) {
+  const { t } = useTranslation();
+  const [name, setName] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(shareUrl).then(() => setCopied(true)).catch(() => {});
+  };
+
+  useEffect(() => { setCopied(false); }, [shareUrl]);
+
+  const inputClass = 'w-full border border-slate-200 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm space-y-2">
+      <p className="text-sm font-semibold text-slate-700">{t('product.share.heading')}</p>
+      <p className="text-xs text-slate-500">{t('product.share.hint')}</p>
+      <input
+        value={name}
+        onChange={e => setName(e.target.value)}
+        maxLength={80}
+        placeholder={t('product.share.namePlaceholder')}
+        aria-label={t('product.share.namePlaceholder')}
+        className={inputClass}
+      />
+      <button
+        onClick={() => onShare({ name: name.trim() })}
+        disabled={sharing || disabled}
+        className="w-full py-2 rounded-lg border border-indigo-200 text-indigo-700 text-sm font-semibold hover:bg-indigo-50 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+      >
+        {sharing ? t('product.share.creating') : t('product.share.create')}
+      </button>
+      {shareUrl && (
+        <div className="flex gap-2">
+          <input readOnly value={shareUrl} onFocus={e => e.target.select()} aria-label={t('product.share.link')} className={`${inputClass} bg-slate-50 text-slate-600`} />
+          <button
+            onClick={handleCopy}
+            className="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm font-semibold hover:bg-slate-700 transition-colors flex-shrink-0"
+          >
+            {copied ? t('product.share.copied') : t('product.share.copy')}
+          </button>
+        </div>
+      )}
+      {disabled && <p className="text-xs text-slate-400">{t('product.project.needsDesign')}</p>}
+    </div>
+  );
+}
+
+const SHARE_STATUS_STYLES = {
+  pending:           'bg-slate-50 text-slate-600 border-slate-200',
+  approved:          'bg-emerald-50 text-emerald-700 border-emerald-200',
+  changes_requested: 'bg-amber-50 text-amber-700 border-amber-200',
+};
+
+// Shown instead of the product options on a shared link
+// (?share=<token>): who shared it, its review and, while it's
+// pending, the approve / request changes form
+function ShareReviewPanel({ share, slug, locations, onReview }) {
+  const { t } = useTranslation();
+  const [reviewerName, setReviewerName] = useState('');
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(null); // decision being sent
+  const [error, setError] = useState('');
+
+  if (!share) {
+    return <div className="bg-white rounded-2xl p-4 shadow-sm h-40 animate-pulse" />;
+  }
+
+  const submit = async (decision) => {
+    if (!reviewerName.trim()) { setError(t('product.share.review.nameRequired')); return; }
+    if (decision === 'changes_requested' && !comment.trim()) { setError(t('product.share.review.commentRequired')); return; }
+    setError('');
+    setSubmitting(decision);
+    try {
+      await onReview({ decision, reviewerName: reviewerName.trim(), comment: comment.trim() });
+      setComment('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const inputClass = 'w-full border border-slate-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm space-y-4">
+      <div className="space-y-1">
+        <p className="text-sm font-semibold text-slate-700">{t('product.share.review.heading')}</p>
+        <p className="text-xs text-slate-500">
+          {share.designerName
+            ? t('product.share.review.sharedBy', { name: share.designerName })
+            : t('product.share.review.sharedAnon')}
+        </p>
+        <p className="text-xs text-slate-500">
+          {[share.colorName, locations.map(s => t(`product.side.${s}`)).join(', ')].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+
+      <div className={`rounded-xl border px-3 py-2 text-sm ${SHARE_STATUS_STYLES[share.status] || SHARE_STATUS_STYLES.pending}`}>
+        <p className="font-semibold">
+          {t(`product.share.status.${share.status}`, { name: share.reviewerName })}
+        </p>
+        {share.reviewComment && <p className="mt-1 whitespace-pre-line">{share.reviewComment}</p>}
+      </div>
+
+      {share.status === 'pending' && (
+        <div className="space-y-2">
+          <input
+            value={reviewerName}
+            onChange={e => setReviewerName(e.target.value)}
+            maxLength={80}
+            placeholder={t('product.share.review.namePlaceholder')}
+            aria-label={t('product.share.review.namePlaceholder')}
+            className={inputClass}
+          />
+          <textarea
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            rows={3}
+            maxLength={2000}
+            placeholder={t('product.share.review.commentPlaceholder')}
+            aria-label={t('product.share.review.commentPlaceholder')}
+            className={`${inputClass} resize-none`}
+          />
+          {error && <p className="text-xs text-red-500">{error}</p>}
+          <div className="flex gap-2">
+            <button
+              onClick={() => submit('approved')}
+              disabled={submitting !== null}
+              className="flex-1 py-2.5 rounded-xl bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold disabled:opacity-50 transition-colors"
+            >
+              {submitting === 'approved' ? t('product.share.review.sending') : t('product.share.review.approve')}
+            </button>
+            <button
+              onClick={() => submit('changes_requested')}
+              disabled={submitting !== null}
+              className="flex-1 py-2.5 rounded-xl border border-amber-300 text-amber-700 hover:bg-amber-50 text-sm font-semibold disabled:opacity-50 transition-colors"
+            >
+              {submitting === 'changes_requested' ? t('product.share.review.sending') : t('product.share.review.requestChanges')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <Link to={`/products/${slug}`} className="block text-center text-xs font-semibold text-indigo-600 hover:underline">
+        {t('product.share.review.designOwn')}
+      </Link>
+    </div>
+  );
+}
+
 // ── Main PDP ─────────────────────────────────────────────────
 export default function ProductDetailPage() {
   const { t } = useTranslation();
   const { slug } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user, session } = useAuth();
   const { isWished, toggle: toggleWish } = useWishlist();
 
@@ -829,6 +1384,7 @@ export default function ProductDetailPage() {
   const [product, setProduct]         = useState(null);
   const [variants, setVariants]       = useState([]);
   const [images, setImages]           = useState([]);
+  const [printAreas, setPrintAreas]   = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
 
   // Selections
@@ -837,24 +1393,69 @@ export default function ProductDetailPage() {
   const [backside, setBackside]           = useState('blank');
   const [decoration, setDecoration]       = useState('dtg');
 
+  // How the order is entered (OrderModeToggle): a quantity per size,
+  // or a team roster (jerseys / performance) with a size, name and
+  // number per player — src/lib/roster.js
+  const [orderMode, setOrderMode]   = useState('single');
+  const [sizeQtys, setSizeQtys]     = useState({}); // size → quantity
+  const [rosterText, setRosterText] = useState('');
+
   // Preview / design
   const [side, setSide] = useState('front');
   const designPickerTriggerRef = useRef(null); // lets DesignPreview placeholder open the picker
 
-  // Library of uploaded designs (max 4) – { id, file, localUrl }
+  // Library of uploaded designs (max 4) – { id, file, name, localUrl, upload?, uploadError? }
+  // upload = { storagePath, previewUrl, preflight } once confirmed;
+  // file is null for files uploaded before (savedLibraryEntry)
   const [designLibrary, setDesignLibrary] = useState([]);
-
-  // Per-side design: front and back are independent
-  const [sideDesigns, setSideDesigns] = useState({
-    front: { pendingFile: null, localDesignUrl: null, placement: null },
-    back:  { pendingFile: null, localDesignUrl: null, placement: null },
-  });
+  // Files upload as soon as they're added so preflight warnings show
+  // before add-to-cart; design id → upload promise
+  const uploadsRef = useRef(new Map());
+
+  // Per-location layers: front, back, sleeves, neck label and pocket are
+  // independent, each a stack of images and text (src/lib/designLayers.js).
+  // Every change goes through the editor's undo history.
+  const {
+    present: sideDesigns,
+    set: setSideDesigns,
+    undo: undoDesign,
+    redo: redoDesign,
+    clear: clearDesignHistory,
+    canUndo,
+    canRedo,
+  } = useHistory(() => Object.fromEntries(
+    PRINT_LOCATIONS.map(s => [s, { layers: [] }])
+  ));
+  const [selectedLayerId, setSelectedLayerId] = useState(null);
+
+  // My Designs (signed in): earlier uploads for the picker, and the
+  // saved project being edited ({ id, name }), reopened via ?project=<id>
+  const [savedUploads, setSavedUploads] = useState(null);
+  const [project, setProject]           = useState(null);
+  const [savingProject, setSavingProject] = useState(false);
+  const projectParam = searchParams.get('project');
+  const loadedProjectRef = useRef(null);
+
+  // Approval links: the link made from this design, and the shared
+  // design being reviewed (?share=<token> — read-only preview)
+  const [shareUrl, setShareUrl] = useState(null);
+  const [sharing, setSharing]   = useState(false);
+  const [share, setShare]       = useState(null);
+  const shareParam = searchParams.get('share');
+  const readOnly = Boolean(shareParam);
+
+  // "Edit design" from the cart (?cartItem=<id>): the line being
+  // changed in place ({ id, roster }) — a roster keeps its quantity
+  const [editingItem, setEditingItem] = useState(null);
+  const cartItemParam = searchParams.get('cartItem');
+  const loadedCartItemRef = useRef(null);
 
   // Cart / UI
   const [addingToCart, setAddingToCart]     = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [toast, setToast]                   = useState(null);
   const [quantity, setQuantity]             = useState(1);
+  const [priceQuote, setPriceQuote]         = useState(null); // server quote for selected variant × quantity
 
   // Mini cart
   const [miniCartOpen, setMiniCartOpen]       = useState(false);
@@ -887,12 +1488,14 @@ export default function ProductDetailPage() {
 
   const handleMiniCartRemove = useCallback(async (itemId) => {
     setMiniCartItems(prev => prev.filter(it => it.id !== itemId));
-    await removeCartItem(itemId).catch(() => {});
+    await removeCartItem(itemId, getAnonymousId()).catch(() => {});
   }, []);
 
   const handleMiniCartQtyChange = useCallback(async (itemId, qty) => {
     setMiniCartItems(prev => prev.map(it => it.id === itemId ? { ...it, quantity: qty } : it));
-    await updateCartItem(itemId, qty).catch(() => {});
+    await updateCartItem(itemId, qty, getAnonymousId()).catch(() => {});
+    // Re-fetch silently: the new quantity may cross a price tier
+    fetchCart(getAnonymousId()).then(({ items }) => setMiniCartItems(items || [])).catch(() => {});
   }, []);
 
   // Load product
@@ -901,10 +1504,11 @@ export default function ProductDetailPage() {
     setError(null);
     setRelatedProducts([]);
     fetchProduct(slug)
-      .then(({ product, variants, images }) => {
+      .then(({ product, variants, images, printAreas }) => {
         setProduct(product);
         setVariants(variants);
         setImages(images);
+        setPrintAreas(printAreas || null);
         const firstColor = variants[0]?.color_name;
         setSelectedColor(firstColor);
         const sorted = sortSizes(variants.filter(v => v.color_name === firstColor).map(v => v.size));
@@ -918,7 +1522,7 @@ export default function ProductDetailPage() {
   // Revoke all blob URLs when component unmounts
   useEffect(() => {
     return () => {
-      designLibrary.forEach(d => URL.revokeObjectURL(d.localUrl));
+      designLibrary.forEach(d => { if (d.file) URL.revokeObjectURL(d.localUrl); });
     };
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
@@ -948,10 +1552,8 @@ export default function ProductDetailPage() {
     ? colorSpecificImages
     : images.filter(img => !img.color_name);
 
-  // Available sides derived from colorImages
-  const availableSides = [...new Set(
-    colorImages.map(img => img.angle).filter(a => a === 'front' || a === 'back')
-  )];
+  // Available print locations: those with a mockup among colorImages
+  const availableSides = PRINT_LOCATIONS.filter(s => colorImages.some(img => img.angle === s));
 
   // Exact match on current side; null if not found
   const currentMockup = colorImages.find(img => img.angle === side) || null;
@@ -981,6 +1583,63 @@ export default function ProductDetailPage() {
     .map(c => c.name);
 
   const isOOS = selectedVariant?.stock === 0;
+  const maxQty = Math.max(1, selectedVariant?.stock ?? MAX_QTY);
+
+  const rosterEnabled = ROSTER_CATEGORIES.includes(product?.categories?.slug);
+  const orderModes = rosterEnabled ? ['single', 'sizes', 'roster'] : ['single', 'sizes'];
+  const mode = orderModes.includes(orderMode) && !editingItem ? orderMode : 'single';
+  const variantForSize = size => variants.find(v => v.color_name === selectedColor && v.size === size);
+  const inStockSizes = sizesForColor.filter(s => !oosForColor.includes(s));
+
+  // Size mix: the sizes given a quantity, in size order
+  const sizeMix = mode === 'sizes'
+    ? inStockSizes.filter(size => sizeQtys[size] > 0).map(size => ({ size, quantity: sizeQtys[size] }))
+    : null;
+
+  // Roster: players whose size is out of stock count as errors; a
+  // size with more players than stock is a shortage
+  const roster = mode === 'roster' ? parseRoster(rosterText, inStockSizes) : null;
+  const rosterGroups = roster ? rosterBySize(roster.entries, sizesForColor) : [];
+  const rosterShortages = rosterGroups
+    .map(g => ({ size: g.size, count: g.entries.length, stock: variantForSize(g.size)?.stock ?? null }))
+    .filter(g => g.stock !== null && g.count > g.stock);
+  const rosterReady = roster !== null && roster.entries.length > 0 && roster.errors.length === 0 && rosterShortages.length === 0;
+
+  // Lines a size mix or roster adds, one per size; null for one size
+  const orderLines = sizeMix
+    || (roster && rosterGroups.map(({ size, entries }) => ({ size, quantity: entries.length, roster: { entries } })));
+  // Garments being ordered across every line
+  const orderCount = orderLines ? orderLines.reduce((sum, l) => sum + l.quantity, 0) : quantity;
+  const orderQty = Math.max(1, orderCount);
+  const canAddToCart = roster ? rosterReady : sizeMix ? orderCount > 0 : Boolean(selectedVariant) && !isOOS;
+
+  // Server-side price quote (tiers + decoration surcharges) — debounced while the qty is edited
+  const selectedVariantId = selectedVariant?.id;
+  const printedSidesKey = PRINT_LOCATIONS
+    .filter(s => sideDesigns[s].layers.some(isPrintable))
+    .join(',');
+  useEffect(() => {
+    if (!selectedVariantId) { setPriceQuote(null); return; }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      fetchPriceQuote(slug, selectedVariantId, orderQty, {
+        decoration,
+        sides: printedSidesKey ? printedSidesKey.split(',') : [],
+      })
+        .then(q => { if (!cancelled) setPriceQuote(q); })
+        .catch(() => { if (!cancelled) setPriceQuote(null); });
+    }, 250);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [slug, selectedVariantId, orderQty, decoration, printedSidesKey]);
+
+  // Only trust the quote once it matches the current selection
+  const quote = priceQuote?.variantId === selectedVariantId ? priceQuote : null;
+  const unitPrice = quote?.garmentUnitCents ?? selectedVariant?.price_cents ?? null;
+  const totalPrice = quote
+    ? quote.unitPriceCents * orderQty + quote.setupCents
+    : unitPrice != null ? unitPrice * orderQty : null;
+  const tierApplied = quote && quote.garmentUnitCents < quote.basePriceCents;
+  const hasSurcharges = quote?.surcharges?.length > 0;
 
   // Handlers
   const handleColorChange = (color) => {
@@ -995,114 +1654,279 @@ export default function ProductDetailPage() {
     setSide('front'); // reset side so we never stay stuck on 'back' for a colour that only has 'front'
   };
 
-  // Add a new file to the library and apply it to the current side
+  // Upload a library design (once) and keep its preflight result
+  const productId = product?.id;
+  const userId = user?.id;
+  const startUpload = useCallback((design, { side: targetSide, placement, onProgress } = {}) => {
+    const pending = uploadsRef.current.get(design.id);
+    if (pending) return pending;
+    const promise = uploadDesign({
+      file: design.file,
+      userId,
+      anonymousId: getAnonymousId(),
+      productId,
+      side: targetSide,
+      placement,
+      onProgress,
+    })
+      .then((result) => {
+        setDesignLibrary(prev => prev.map(d => (d.id === design.id ? { ...d, upload: result, uploadError: null } : d)));
+        return result;
+      })
+      .catch((err) => {
+        uploadsRef.current.delete(design.id); // retried on add-to-cart
+        setDesignLibrary(prev => prev.map(d => (d.id === design.id ? { ...d, uploadError: err.message } : d)));
+        throw err;
+      });
+    uploadsRef.current.set(design.id, promise);
+    return promise;
+  }, [productId, userId]);
+
+  // Add a layer to the current side and select it
+  const addLayer = useCallback((layer) => {
+    setSideDesigns(prev => ({ ...prev, [side]: { layers: [...prev[side].layers, layer] } }));
+    setSelectedLayerId(layer.id);
+  }, [side, setSideDesigns]);
+
+  // Add a new file to the library and place it on the current side
   const handleAddFile = useCallback((file) => {
     if (designLibrary.length >= MAX_DESIGNS) return;
     const localUrl = URL.createObjectURL(file);
-    const newDesign = { id: Date.now(), file, localUrl };
+    const newDesign = { id: Date.now(), file, name: file.name, localUrl, upload: null, uploadError: null };
+    const placement = makeDefaultPlacement(side, printAreas);
     setDesignLibrary(prev => [...prev, newDesign]);
-    setSideDesigns(prev => ({
-      ...prev,
-      [side]: {
-        pendingFile: file,
-        localDesignUrl: localUrl,
-        placement: prev[side].placement || makeDefaultPlacement(side),
-      },
-    }));
-  }, [designLibrary.length, side]);
-
-  // Apply an existing library design to the current side
+    if (sideDesigns[side].layers.length < MAX_LAYERS_PER_SIDE) addLayer(makeImageLayer(newDesign, placement));
+    startUpload(newDesign, { side, placement }).catch(() => {}); // shown by PreflightNotice
+  }, [designLibrary.length, side, sideDesigns, startUpload, printAreas, addLayer]);
+
+  // Place an existing library design on the current side as a new layer
   const handleApplyDesign = useCallback((design) => {
-    setSideDesigns(prev => ({
-      ...prev,
-      [side]: {
-        pendingFile: design.file,
-        localDesignUrl: design.localUrl,
-        placement: prev[side].placement || makeDefaultPlacement(side),
-      },
-    }));
-  }, [side]);
-
-  // Remove a design from the library and clear it from any side using it
+    if (sideDesigns[side].layers.length >= MAX_LAYERS_PER_SIDE) return;
+    addLayer(makeImageLayer(design, makeDefaultPlacement(side, printAreas)));
+  }, [side, sideDesigns, printAreas, addLayer]);
+
+  // Remove a design from the library and every layer using it
   const handleRemoveDesign = useCallback((id) => {
     const design = designLibrary.find(d => d.id === id);
     if (!design) return;
-    URL.revokeObjectURL(design.localUrl);
+    if (design.file) URL.revokeObjectURL(design.localUrl);
+    uploadsRef.current.delete(id);
     setDesignLibrary(prev => prev.filter(d => d.id !== id));
-    setSideDesigns(prev => {
-      const next = { ...prev };
-      for (const s of ['front', 'back']) {
-        if (next[s].localDesignUrl === design.localUrl) {
-          next[s] = { pendingFile: null, localDesignUrl: null, placement: null };
-        }
+    setSideDesigns(prev => Object.fromEntries(PRINT_LOCATIONS.map(s => [
+      s, { layers: prev[s].layers.filter(l => l.designId !== id) },
+    ])));
+    // Earlier steps may still use the removed file
+    clearDesignHistory();
+  }, [designLibrary, setSideDesigns, clearDesignHistory]);
+
+  // Load earlier uploads the first time the picker shows them
+  const accessToken = session?.access_token;
+  const handleShowSaved = useCallback(() => {
+    if (savedUploads !== null || !accessToken) return;
+    fetchMyDesigns(accessToken)
+      .then(({ uploads }) => setSavedUploads(uploads))
+      .catch(() => setSavedUploads([]));
+  }, [savedUploads, accessToken]);
+
+  // Place an earlier upload on the current side, adding it to the
+  // library unless it's already there; it isn't uploaded again
+  const handleUseSaved = useCallback((upload) => {
+    const existing = designLibrary.find(d => d.id === upload.storagePath);
+    if (existing) { handleApplyDesign(existing); return; }
+    if (designLibrary.length >= MAX_DESIGNS) return;
+    const design = savedLibraryEntry(upload);
+    uploadsRef.current.set(design.id, Promise.resolve(design.upload));
+    setDesignLibrary(prev => [...prev, design]);
+    if (sideDesigns[side].layers.length < MAX_LAYERS_PER_SIDE) {
+      addLayer(makeImageLayer(design, makeDefaultPlacement(side, printAreas)));
+    }
+  }, [designLibrary, handleApplyDesign, sideDesigns, side, printAreas, addLayer]);
+
+  // Load a saved design (project or share) into the editor: color,
+  // print options, the files it uses and every location's layers
+  const restoreDesign = useCallback((saved) => {
+    const config = saved.config || {};
+    const library = saved.uploads.map(savedLibraryEntry);
+    uploadsRef.current = new Map(library.map(d => [d.id, Promise.resolve(d.upload)]));
+    setDesignLibrary(library);
+    setSideDesigns(Object.fromEntries(PRINT_LOCATIONS.map(s => [s, {
+      layers: (config[s]?.layers || [])
+        .filter(l => l.kind === 'text' || library.some(d => d.id === l.design_url))
+        .map(l => restoreLayer(l, library.find(d => d.id === l.design_url))),
+    }])));
+    clearDesignHistory();
+    setSelectedLayerId(null);
+    setSide('front');
+
+    if (config.backside) setBackside(config.backside);
+    if (config.decoration) setDecoration(config.decoration);
+    const sizes = variants.filter(v => v.color_name === config.color).map(v => v.size);
+    if (sizes.length > 0) {
+      setSelectedColor(config.color);
+      setSelectedSize(sizes.includes(config.size) ? config.size : sortSizes(sizes)[0]);
+    }
+  }, [variants, setSideDesigns, clearDesignHistory]);
+
+  // Reopen a saved project (?project=<id>, from My Designs)
+  useEffect(() => {
+    if (!projectParam || readOnly || !productId || !accessToken) return;
+    if (loadedProjectRef.current === projectParam) return;
+    loadedProjectRef.current = projectParam;
+    fetchDesignProject(projectParam, accessToken)
+      .then((saved) => {
+        if (saved.productId !== productId) return;
+        restoreDesign(saved);
+        setProject({ id: saved.id, name: saved.name });
+      })
+      .catch(err => setToast({ message: err.message, type: 'error' }));
+  }, [projectParam, readOnly, productId, accessToken, restoreDesign]);
+
+  // Open a shared design for review (?share=<token>)
+  useEffect(() => {
+    if (!shareParam || !productId) return;
+    let cancelled = false;
+    fetchDesignShare(shareParam)
+      .then((saved) => {
+        if (cancelled || saved.productId !== productId) return;
+        restoreDesign(saved);
+        setShare(saved);
+      })
+      .catch((err) => { if (!cancelled) setToast({ message: err.message, type: 'error' }); });
+    return () => { cancelled = true; };
+  }, [shareParam, productId, restoreDesign]);
+
+  // Reopen a cart line to change its design (?cartItem=<id>)
+  useEffect(() => {
+    if (!cartItemParam || readOnly || !productId) return;
+    if (loadedCartItemRef.current === cartItemParam) return;
+    loadedCartItemRef.current = cartItemParam;
+    fetchCartItem(cartItemParam, getAnonymousId())
+      .then((saved) => {
+        if (saved.productId !== productId) return;
+        restoreDesign(saved);
+        setQuantity(saved.quantity);
+        setEditingItem({ id: saved.id, roster: saved.config?.roster || null });
+      })
+      .catch(err => setToast({ message: err.message, type: 'error' }));
+  }, [cartItemParam, readOnly, productId, restoreDesign]);
+
+  // A link is a snapshot — editing the design calls for a new one
+  useEffect(() => { setShareUrl(null); }, [sideDesigns]);
+
+  // Reorder, edit, hide, lock or remove the current side's layers
+  const handleLayersChange = useCallback((layers, historyKey) => {
+    setSideDesigns(prev => ({ ...prev, [side]: { layers } }), historyKey);
+  }, [side, setSideDesigns]);
+
+  // The configuration as stored on a cart line, waiting for (or
+  // retrying) each layer's upload. For a saved project (renderText
+  // false) text layers keep only their settings — they're rendered
+  // on add to cart.
+  const buildConfig = async ({ renderText = true, onProgress } = {}) => {
+    // One layer as stored on the cart line (src/lib/designLayers.js)
+    const saveLayer = async (s, layer) => {
+      if (layer.kind === 'image') {
+        const design = designLibrary.find(d => d.id === layer.designId);
+        // Same file on several layers or locations shares one upload
+        const result = await startUpload(design, { side: s, placement: layer.placement, onProgress });
+        return {
+          kind:               'image',
+          design_url:         result.storagePath,
+          design_preview_url: result.previewUrl,
+          proof_url:          result.proofPath ?? null,
+          placement:          layer.placement,
+          locked:             layer.locked,
+          hidden:             layer.hidden,
+        };
       }
-      return next;
-    });
-  }, [designLibrary]);
+      const { id, ...text } = layer;
+      if (!renderText) return text;
+      // Text goes up as a print-resolution PNG rendered here, so
+      // production gets exactly the fonts the customer saw
+      const rendered = await renderTextLayerFile(layer, printAreaFor(printAreas, s), `text-${s}-${id}.png`);
+      const result = await uploadDesign({
+        file: rendered.file,
+        userId,
+        anonymousId: getAnonymousId(),
+        productId,
+        side: s,
+        placement: rendered.placement,
+        source: 'text',
+      });
+      return {
+        ...text,
+        placement:          rendered.placement,
+        design_url:         result.storagePath,
+        design_preview_url: result.previewUrl,
+      };
+    };
 
-  // Update placement for the current side
-  const handlePlacementChange = useCallback((p) => {
-    setSideDesigns(prev => ({ ...prev, [side]: { ...prev[side], placement: p } }));
-  }, [side]);
+    const config = {
+      backside,
+      decoration,
+      color:  selectedColor,
+      size:   selectedSize,
+    };
+    for (const s of PRINT_LOCATIONS) {
+      // Hidden layers are kept (not printed); empty text is dropped
+      const layers = sideDesigns[s].layers.filter(l => l.kind !== 'text' || l.content.trim());
+      if (!layers.some(isPrintable)) continue;
+      const saved = [];
+      for (const layer of layers) saved.push(await saveLayer(s, layer));
+      config[s] = { layers: saved };
+    }
+    return config;
+  };
 
-  // Add to cart: upload front + back designs independently, then persist
+  // Add to cart: build the configuration, then persist. A size mix
+  // or roster adds every size in one request sharing the design; a
+  // cart line opened for editing is updated instead.
   const handleAddToCart = async () => {
-    if (!selectedVariant) {
-      setToast({ message: t('product.selectSize'), type: 'error' });
+    if (!canAddToCart) {
+      const message = roster ? 'product.roster.fixErrors' : sizeMix ? 'product.sizeMix.empty' : 'product.selectSize';
+      setToast({ message: t(message), type: 'error' });
       return;
     }
     setAddingToCart(true);
     setUploadProgress(0);
     try {
-      const anonId = getAnonymousId();
-
-      // Upload front design if present
-      let frontResult = null;
-      if (sideDesigns.front.pendingFile) {
-        frontResult = await uploadDesign({
-          file: sideDesigns.front.pendingFile,
-          anonymousId: anonId,
-          onProgress: setUploadProgress,
-        });
+      const config = await buildConfig({ onProgress: setUploadProgress });
+      // Legacy field for cart preview thumbnail
+      config.design_preview_url = PRINT_LOCATIONS
+        .flatMap(s => config[s]?.layers || [])
+        .find(l => !l.hidden)?.design_preview_url || null;
+
+      if (editingItem) {
+        await updateCartItemDesign(editingItem.id, {
+          anonymousId: getAnonymousId(),
+          variantId: selectedVariant.id,
+          quantity,
+          config,
+        }, accessToken);
+        navigate('/cart');
+        return;
       }
 
-      // Upload back design if present (and different from front)
-      let backResult = null;
-      if (sideDesigns.back.pendingFile &&
-          sideDesigns.back.pendingFile !== sideDesigns.front.pendingFile) {
-        backResult = await uploadDesign({
-          file: sideDesigns.back.pendingFile,
-          anonymousId: anonId,
-        });
-      } else if (sideDesigns.back.pendingFile &&
-                 sideDesigns.back.pendingFile === sideDesigns.front.pendingFile) {
-        // Same file on both sides – reuse the front upload result
-        backResult = frontResult;
+      let merged = false;
+      if (orderLines) {
+        await addToCartBulk({
+          config,
+          items: orderLines.map(l => ({ variantId: variantForSize(l.size).id, quantity: l.quantity, roster: l.roster })),
+          anonymousId: getAnonymousId(),
+        }, accessToken);
+        if (roster) setRosterText(''); else setSizeQtys({});
+      } else {
+        ({ merged } = await addToCart({ variantId: selectedVariant.id, quantity, config, anonymousId: getAnonymousId() }, accessToken));
       }
-
-      const config = {
-        backside,
-        decoration,
-        color:  selectedColor,
-        size:   selectedSize,
-        front: frontResult ? {
-          design_url:         frontResult.storagePath,
-          design_preview_url: frontResult.previewUrl,
-          placement:          sideDesigns.front.placement ?? null,
-        } : null,
-        back: backResult ? {
-          design_url:         backResult.storagePath,
-          design_preview_url: backResult.previewUrl,
-          placement:          sideDesigns.back.placement ?? null,
-        } : null,
-        // Legacy field for cart preview thumbnail
-        design_preview_url: frontResult?.previewUrl || backResult?.previewUrl || null,
-      };
-
-      await addToCart({ variantId: selectedVariant.id, quantity, config, anonymousId: anonId });
       await loadCart();
       setMiniCartOpen(true);
-      setToast({ message: t('product.addedToCart'), type: 'success' });
+      setToast({
+        message: roster
+          ? t('product.roster.added', { count: orderCount })
+          : orderLines ? t('product.addedCountToCart', { count: orderCount })
+          : merged ? t('product.addedToCartMerged') : t('product.addedToCart'),
+        type: 'success',
+      });
     } catch (err) {
       setToast({ message: err.message || 'Failed to add to cart', type: 'error' });
     } finally {
@@ -1111,6 +1935,59 @@ export default function ProductDetailPage() {
     }
   };
 
+  // Create an approval link for the design as it is now
+  const handleShare = async ({ name }) => {
+    if (!accessToken) return;
+    setSharing(true);
+    try {
+      const config = await buildConfig({ renderText: false });
+      const { token } = await createDesignShare({
+        productId,
+        config,
+        designerName: name,
+        projectId: project?.id,
+        anonymousId: getAnonymousId(),
+      }, accessToken);
+      setShareUrl(`${window.location.origin}/products/${slug}?share=${token}`);
+    } catch (err) {
+      setToast({ message: err.message || t('product.share.failed'), type: 'error' });
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  // Approve or request changes on a shared design
+  const handleReview = async (review) => {
+    const result = await reviewDesignShare(shareParam, review);
+    setShare(prev => ({ ...prev, ...result }));
+    setToast({ message: t('product.share.review.sent'), type: 'success' });
+  };
+
+  // Save to My Designs — updates the open project unless asNew
+  const handleSaveProject = async (name, { asNew }) => {
+    if (!accessToken) return;
+    setSavingProject(true);
+    try {
+      const config = await buildConfig({ renderText: false });
+      const saved = await saveDesignProject({
+        id: asNew ? null : project?.id,
+        name,
+        productId,
+        config,
+        anonymousId: getAnonymousId(),
+      }, accessToken);
+      setProject({ id: saved.id, name: saved.name });
+      // Keep the URL pointing at the project without reloading it
+      loadedProjectRef.current = saved.id;
+      setSearchParams({ project: saved.id }, { replace: true });
+      setToast({ message: t('product.project.saved'), type: 'success' });
+    } catch (err) {
+      setToast({ message: err.message || t('product.project.saveFailed'), type: 'error' });
+    } finally {
+      setSavingProject(false);
+    }
+  };
+
   // Loading / error states
   if (loading) {
     return (
@@ -1138,12 +2015,20 @@ export default function ProductDetailPage() {
     );
   }
 
+  // Preflight for the selected image layer, else the top image on this side
+  const currentLayers = sideDesigns[side].layers;
+  const preflightLayer = currentLayers.find(l => l.id === selectedLayerId && l.kind === 'image')
+    || [...currentLayers].reverse().find(l => l.kind === 'image');
+
   // Add-to-cart button label
-  const hasPendingFile = sideDesigns.front.pendingFile || sideDesigns.back.pendingFile;
+  const hasPendingFile = PRINT_LOCATIONS.some(s => sideDesigns[s].layers.some(l => l.kind === 'image'));
   const cartBtnLabel = (() => {
-    if (isOOS) return t('product.outOfStock');
-    if (!addingToCart) return t('product.addToCart');
-    if (hasPendingFile && uploadProgress < 100) return t('product.uploading', { progress: uploadProgress });
+    if (isOOS && !orderLines) return t('product.outOfStock');
+    if (!addingToCart) {
+      if (editingItem) return t('product.editItem.save');
+      return orderLines ? t('product.addCountToCart', { count: orderCount }) : t('product.addToCart');
+    }
+    if (hasPendingFile && uploadProgress > 0 && uploadProgress < 100) return t('product.uploading', { progress: uploadProgress });
     return (
       <span className="flex items-center justify-center gap-2">
         <span className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
@@ -1208,10 +2093,17 @@ export default function ProductDetailPage() {
                 side={side}
                 onSideChange={setSide}
                 availableSides={availableSides}
-                localDesignUrl={sideDesigns[side].localDesignUrl}
-                placement={sideDesigns[side].placement}
-                onPlacementChange={handlePlacementChange}
+                layers={sideDesigns[side].layers}
+                onLayersChange={handleLayersChange}
+                selectedLayerId={selectedLayerId}
+                onSelectLayer={setSelectedLayerId}
+                onUndo={readOnly ? undefined : undoDesign}
+                onRedo={redoDesign}
+                canUndo={canUndo}
+                canRedo={canRedo}
                 onUploadClick={() => designPickerTriggerRef.current?.()}
+                printAreas={printAreas}
+                readOnly={readOnly}
               />
             </div>
           </div>
@@ -1243,8 +2135,11 @@ export default function ProductDetailPage() {
               <StarRating rating={product.base_rating} count={product.rating_count} />
               <div className="flex items-baseline gap-3 pt-1">
                 <span className="text-3xl font-bold text-slate-900">
-                  {selectedVariant ? formatPrice(selectedVariant.price_cents) : priceRange || '—'}
+                  {selectedVariant ? formatPrice(unitPrice) : priceRange || '—'}
                 </span>
+                {tierApplied && (
+                  <span className="text-base text-slate-400 line-through">{formatPrice(quote.basePriceCents)}</span>
+                )}
                 {variants.length > 0 && !selectedVariant && (
                   <span className="text-sm text-slate-400">{t('product.selectExact')}</span>
                 )}
@@ -1253,7 +2148,15 @@ export default function ProductDetailPage() {
 
             <p className="text-slate-500 text-sm leading-relaxed">{product.description}</p>
 
-            {variants.length === 0 ? (
+            {readOnly ? (
+              /* ── Shared design: review instead of ordering ───── */
+              <ShareReviewPanel
+                share={share}
+                slug={slug}
+                locations={PRINT_LOCATIONS.filter(s => sideDesigns[s].layers.some(isPrintable))}
+                onReview={handleReview}
+              />
+            ) : variants.length === 0 ? (
               /* ── No variants yet ────────────────────────────── */
               <div className="rounded-2xl border border-amber-200 bg-amber-50 p-5 text-center space-y-2">
                 <p className="text-sm font-semibold text-amber-700">{t('product.noOptions')}</p>
@@ -1263,21 +2166,59 @@ export default function ProductDetailPage() {
               <>
                 {/* Colour + Size */}
                 <div className="bg-white rounded-2xl p-4 space-y-4 shadow-sm">
+                  {editingItem ? (
+                    <div className="flex items-center justify-between gap-3 rounded-xl bg-indigo-50 px-3 py-2">
+                      <span className="text-sm font-semibold text-indigo-700">{t('product.editItem.banner')}</span>
+                      <Link to="/cart" className="text-xs font-semibold text-indigo-600 hover:underline">
+                        {t('product.editItem.cancel')}
+                      </Link>
+                    </div>
+                  ) : (
+                    <OrderModeToggle modes={orderModes} value={mode} onChange={setOrderMode} />
+                  )}
                   <ColorSwatches colors={uniqueColors} selected={selectedColor} onChange={handleColorChange} outOfStockColors={oosColors} />
-                  <SizeSelector sizes={sizesForColor} selected={selectedSize} onChange={setSelectedSize} unavailable={oosForColor} />
+                  {mode === 'single' && (
+                    <SizeSelector sizes={sizesForColor} selected={selectedSize} onChange={setSelectedSize} unavailable={oosForColor} />
+                  )}
+                  {mode === 'sizes' && (
+                    <SizeMatrix sizes={sizesForColor} quantities={sizeQtys} onChange={setSizeQtys} variantFor={variantForSize} />
+                  )}
                 </div>
 
+                {/* Team roster */}
+                {roster && (
+                  <RosterEditor
+                    text={rosterText}
+                    onChange={setRosterText}
+                    roster={roster}
+                    groups={rosterGroups}
+                    shortages={rosterShortages}
+                    colorName={selectedColor}
+                  />
+                )}
+
                 {/* Design upload */}
                 <div className="bg-white rounded-2xl p-4 shadow-sm">
                   <DesignPicker
                     library={designLibrary}
                     side={side}
+                    locations={availableSides.length > 0 ? availableSides : ['front']}
                     sideDesigns={sideDesigns}
                     onAddFile={handleAddFile}
                     onApply={handleApplyDesign}
                     onRemove={handleRemoveDesign}
                     triggerRef={designPickerTriggerRef}
+                    savedUploads={savedUploads}
+                    onShowSaved={user ? handleShowSaved : undefined}
+                    onUseSaved={handleUseSaved}
                   />
+                  <div className="mt-3">
+                    <PreflightNotice
+                      design={designLibrary.find(d => d.id === preflightLayer?.designId)}
+                      area={printAreaFor(printAreas, side)}
+                      placement={preflightLayer?.placement}
+                    />
+                  </div>
                 </div>
 
                 {/* Print options */}
@@ -1289,51 +2230,100 @@ export default function ProductDetailPage() {
                 {/* Delivery */}
                 <DeliveryBlock />
 
-                {/* Quantity selector */}
-                {(() => {
-                  const maxQty = selectedVariant?.stock ?? 99;
-                  const totalPrice = selectedVariant ? selectedVariant.price_cents * quantity : null;
-                  return (
-                    <div className="flex items-center justify-between gap-4 bg-white rounded-2xl px-4 py-3 shadow-sm">
-                      <span className="text-sm font-semibold text-slate-700">{t('product.quantity')}</span>
-                      <div className="flex items-center gap-2">
-                        <button
-                          onClick={() => setQuantity(q => Math.max(1, q - 1))}
-                          disabled={quantity <= 1}
-                          className="w-8 h-8 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 disabled:cursor-not-allowed transition-colors text-lg font-medium"
-                        >−</button>
-                        <span className="w-8 text-center font-semibold text-slate-900 text-sm">{quantity}</span>
-                        <button
-                          onClick={() => setQuantity(q => Math.min(q + 1, Math.max(1, maxQty)))}
-                          disabled={quantity >= maxQty}
-                          className="w-8 h-8 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 disabled:cursor-not-allowed transition-colors text-lg font-medium"
-                        >+</button>
-                      </div>
-                      {totalPrice && quantity > 1 && (
-                        <span className="text-sm font-bold text-indigo-600 ml-auto">
-                          {t('product.total')}: {formatPrice(totalPrice)}
-                        </span>
-                      )}
+                {/* Bulk pricing tiers */}
+                <BulkPricing
+                  quote={quote}
+                  quantity={orderQty}
+                  onSelectQty={orderLines ? undefined : q => setQuantity(Math.min(q, maxQty))}
+                />
+
+                {/* Quantity selector (a size mix or roster totals its sizes) */}
+                {orderLines || editingItem?.roster ? (
+                  <div className="flex items-center justify-between gap-4 bg-white rounded-2xl px-4 py-3 shadow-sm">
+                    <span className="text-sm font-semibold text-slate-700">
+                      {t(orderLines && !roster ? 'product.sizeMix.total' : 'product.roster.players', { count: orderCount })}
+                    </span>
+                    {totalPrice != null && orderCount > 0 && (
+                      <span className="text-sm font-bold text-indigo-600 ml-auto">
+                        {t('product.total')}: {formatPrice(totalPrice)}
+                      </span>
+                    )}
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between gap-4 bg-white rounded-2xl px-4 py-3 shadow-sm">
+                    <span className="text-sm font-semibold text-slate-700">{t('product.quantity')}</span>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => setQuantity(q => Math.max(1, q - 1))}
+                        disabled={quantity <= 1}
+                        className="w-8 h-8 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 disabled:cursor-not-allowed transition-colors text-lg font-medium"
+                      >−</button>
+                      <input
+                        type="number"
+                        min={1}
+                        max={maxQty}
+                        value={quantity}
+                        onChange={e => {
+                          const n = parseInt(e.target.value, 10);
+                          setQuantity(isNaN(n) ? 1 : Math.min(Math.max(1, n), maxQty));
+                        }}
+                        aria-label={t('product.quantity')}
+                        className="w-14 text-center font-semibold text-slate-900 text-sm border border-slate-200 rounded-lg py-1 focus:outline-none focus:ring-2 focus:ring-indigo-500 [appearance:textfield] [&::-webkit-inner-spin-button]:appearance-none [&::-webkit-outer-spin-button]:appearance-none"
+                      />
+                      <button
+                        onClick={() => setQuantity(q => Math.min(q + 1, maxQty))}
+                        disabled={quantity >= maxQty}
+                        className="w-8 h-8 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 disabled:cursor-not-allowed transition-colors text-lg font-medium"
+                      >+</button>
                     </div>
-                  );
-                })()}
+                    {totalPrice != null && (quantity > 1 || hasSurcharges) && (
+                      <span className="text-sm font-bold text-indigo-600 ml-auto">
+                        {t('product.total')}: {formatPrice(totalPrice)}
+                      </span>
+                    )}
+                  </div>
+                )}
+                {hasSurcharges && (
+                  <PriceBreakdown pricing={quote} quantity={orderQty} className="bg-white rounded-2xl px-4 py-3 shadow-sm" />
+                )}
 
                 {/* CTA */}
                 <button
                   onClick={handleAddToCart}
-                  disabled={addingToCart || !selectedVariant || isOOS}
+                  disabled={addingToCart || !canAddToCart}
                   className={`w-full py-4 px-6 font-semibold rounded-2xl transition-all active:scale-[0.98] text-base ${
-                    isOOS
+                    isOOS && !orderLines
                       ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
                       : 'bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white shadow-md shadow-indigo-100'
                   }`}
                 >
                   {cartBtnLabel}
                 </button>
+
+                {/* Save to My Designs */}
+                {user && (
+                  <SaveProjectPanel
+                    project={project}
+                    defaultName={product.name}
+                    saving={savingProject}
+                    disabled={!printedSidesKey}
+                    onSave={handleSaveProject}
+                  />
+                )}
+
+                {/* Approval link */}
+                {user && (
+                  <ShareDesignPanel
+                    sharing={sharing}
+                    shareUrl={shareUrl}
+                    disabled={!printedSidesKey}
+                    onShare={handleShare}
+                  />
+                )}
               </>
             )}
 
-            {selectedVariant && (
+            {!readOnly && selectedVariant && (
               <p className="text-xs text-center">
                 <span className="text-slate-400">SKU: {selectedVariant.sku}</span>
                 {selectedVariant.stock !== null && (
@@ -1431,38 +2421,46 @@ export default function ProductDetailPage() {
           <div className="px-4 py-3 flex items-center gap-3">
             {/* Price */}
             <div className="flex-1 min-w-0">
-              <p className="text-xs text-slate-400 leading-none mb-0.5">{formatPrice(selectedVariant.price_cents)}</p>
-              {quantity > 1 && (
+              <p className="text-xs text-slate-400 leading-none mb-0.5">{formatPrice(unitPrice)}</p>
+              {(orderQty > 1 || hasSurcharges) && (
                 <p className="text-sm font-bold text-indigo-600 leading-none">
-                  {t('product.total')}: {formatPrice(selectedVariant.price_cents * quantity)}
+                  {t('product.total')}: {formatPrice(totalPrice)}
                 </p>
               )}
             </div>
             {/* Qty */}
-            <div className="flex items-center gap-1.5 flex-shrink-0">
-              <button
-                onClick={() => setQuantity(q => Math.max(1, q - 1))}
-                disabled={quantity <= 1}
-                className="w-7 h-7 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 text-base font-medium"
-              >−</button>
-              <span className="w-6 text-center text-sm font-semibold text-slate-900">{quantity}</span>
-              <button
-                onClick={() => setQuantity(q => Math.min(q + 1, Math.max(1, selectedVariant.stock ?? 99)))}
-                disabled={quantity >= (selectedVariant.stock ?? 99)}
-                className="w-7 h-7 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 text-base font-medium"
-              >+</button>
-            </div>
+            {orderLines || editingItem?.roster ? (
+              <span className="flex-shrink-0 text-xs font-semibold text-slate-600">
+                {t(orderLines && !roster ? 'product.sizeMix.total' : 'product.roster.players', { count: orderCount })}
+              </span>
+            ) : (
+              <div className="flex items-center gap-1.5 flex-shrink-0">
+                <button
+                  onClick={() => setQuantity(q => Math.max(1, q - 1))}
+                  disabled={quantity <= 1}
+                  className="w-7 h-7 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 text-base font-medium"
+                >−</button>
+                <span className="w-6 text-center text-sm font-semibold text-slate-900">{quantity}</span>
+                <button
+                  onClick={() => setQuantity(q => Math.min(q + 1, maxQty))}
+                  disabled={quantity >= maxQty}
+                  className="w-7 h-7 rounded-lg border border-slate-200 flex items-center justify-center text-slate-600 hover:bg-slate-50 disabled:opacity-30 text-base font-medium"
+                >+</button>
+              </div>
+            )}
             {/* CTA */}
             <button
               onClick={handleAddToCart}
-              disabled={addingToCart || isOOS}
+              disabled={addingToCart || !canAddToCart}
               className={`flex-shrink-0 px-5 py-2.5 rounded-xl font-semibold text-sm transition-all active:scale-[0.97] ${
-                isOOS
+                isOOS && !orderLines
                   ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
                   : 'bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white shadow-md shadow-indigo-100'
               }`}
             >
-              {isOOS ? t('product.outOfStock') : addingToCart ? '…' : t('product.addToCart')}
+              {isOOS && !orderLines ? t('product.outOfStock')
+                : addingToCart ? '…'
+                : editingItem ? t('product.editItem.save') : t('product.addToCart')}
             </button>
           </div>
         </div>
@@ -0,0 +1,25 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240227_price_tiers.sql
+-- Adds quantity price-break tiers per product or per variant.
+-- A tier sets the unit price once the ordered quantity reaches min_qty.
+-- Rows with variant_id NULL apply to every variant of the product;
+-- variant-specific rows take precedence over product-wide ones.
+-- Quantities below the lowest tier use product_variants.price_cents.
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS price_tiers (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id  UUID        NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id  UUID        REFERENCES product_variants(id) ON DELETE CASCADE,
+  min_qty     INTEGER     NOT NULL CHECK (min_qty >= 1),
+  price_cents INTEGER     NOT NULL CHECK (price_cents >= 0),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS price_tiers_product_id_idx ON price_tiers(product_id);
+
+-- One tier per break point per scope (product-wide or single variant)
+CREATE UNIQUE INDEX IF NOT EXISTS price_tiers_scope_min_qty_idx
+  ON price_tiers(product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid), min_qty);
+
+ALTER TABLE price_tiers ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,29 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240228_pricing_surcharges.sql
+-- Configurable decoration surcharges + itemized price on order lines.
+--   embroidery   cents per unit, per decorated side
+--   screen_setup cents per line, per printed side (screen setup fee)
+--   extra_side   cents per unit, for each printed side after the first
+-- Change an amount with:
+--   UPDATE pricing_surcharges SET amount_cents = 500 WHERE code = 'embroidery';
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS pricing_surcharges (
+  code         TEXT        PRIMARY KEY,
+  amount_cents INTEGER     NOT NULL CHECK (amount_cents >= 0),
+  description  TEXT,
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO pricing_surcharges (code, amount_cents, description) VALUES
+  ('embroidery',   400,  'Per unit, per embroidered side'),
+  ('screen_setup', 2500, 'One-time per line, per screen-printed side'),
+  ('extra_side',   300,  'Per unit, each printed side after the first')
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE pricing_surcharges ENABLE ROW LEVEL SECURITY;
+
+-- Snapshot of the pricing breakdown at checkout time
+-- (garment tier, surcharges, setup fees, line total)
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
@@ -0,0 +1,118 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240229_stock_reservations.sql
+-- Holds stock for an order between PaymentIntent creation and payment.
+--   active    → counts against available stock until expires_at
+--   committed → product_variants.stock has been decremented (paid)
+--   released  → hold dropped (payment failed / cancelled / expired)
+-- Only variants with tracked stock (stock IS NOT NULL) are reserved.
+-- All writes go through the functions below so the check-and-hold
+-- happens under a row lock on product_variants.
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id    UUID        NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  variant_id  UUID        NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+  quantity    INTEGER     NOT NULL CHECK (quantity > 0),
+  status      TEXT        NOT NULL DEFAULT 'active',
+    -- active | committed | released
+  expires_at  TIMESTAMPTZ NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stock_reservations_order_id_idx ON stock_reservations(order_id);
+CREATE INDEX IF NOT EXISTS stock_reservations_active_variant_idx
+  ON stock_reservations(variant_id) WHERE status = 'active';
+
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+
+-- ── reserve_order_stock ──────────────────────────────────────
+-- Replaces the order's uncommitted hold with one for p_items
+-- ([{ variant_id, quantity }]). Raises 'insufficient_stock'
+-- (DETAIL = variant id, HINT = units still available) if any
+-- tracked variant can't cover the quantity; the whole call then
+-- rolls back and the previous hold is kept.
+CREATE OR REPLACE FUNCTION reserve_order_stock(
+  p_order_id    UUID,
+  p_items       JSONB,
+  p_ttl_minutes INTEGER DEFAULT 30
+) RETURNS VOID LANGUAGE plpgsql AS $$
+DECLARE
+  r         RECORD;
+  v_stock   INTEGER;
+  v_held    INTEGER;
+BEGIN
+  -- Housekeeping: expired holds no longer count, mark them as such
+  UPDATE stock_reservations
+     SET status = 'released', updated_at = NOW()
+   WHERE status = 'active' AND expires_at <= NOW();
+
+  -- The hold is rebuilt from the current cart contents
+  DELETE FROM stock_reservations
+   WHERE order_id = p_order_id AND status <> 'committed';
+
+  FOR r IN
+    SELECT (e->>'variant_id')::UUID AS variant_id,
+           SUM((e->>'quantity')::INTEGER) AS quantity
+      FROM jsonb_array_elements(p_items) AS e
+     GROUP BY 1
+     ORDER BY 1            -- consistent lock order avoids deadlocks
+  LOOP
+    SELECT stock INTO v_stock
+      FROM product_variants
+     WHERE id = r.variant_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'insufficient_stock' USING DETAIL = r.variant_id::TEXT, HINT = '0';
+    END IF;
+
+    CONTINUE WHEN v_stock IS NULL; -- unlimited
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_held
+      FROM stock_reservations
+     WHERE variant_id = r.variant_id
+       AND status = 'active'
+       AND expires_at > NOW();
+
+    IF v_stock - v_held < r.quantity THEN
+      RAISE EXCEPTION 'insufficient_stock'
+        USING DETAIL = r.variant_id::TEXT, HINT = GREATEST(v_stock - v_held, 0)::TEXT;
+    END IF;
+
+    INSERT INTO stock_reservations (order_id, variant_id, quantity, expires_at)
+    VALUES (p_order_id, r.variant_id, r.quantity, NOW() + make_interval(mins => p_ttl_minutes));
+  END LOOP;
+END;
+$$;
+
+-- ── commit_order_stock ───────────────────────────────────────
+-- Decrements stock for the order's latest hold (active, or released
+-- by expiry/failure but paid anyway). Safe to call more than once.
+CREATE OR REPLACE FUNCTION commit_order_stock(p_order_id UUID)
+RETURNS VOID LANGUAGE plpgsql AS $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT id, variant_id, quantity
+      FROM stock_reservations
+     WHERE order_id = p_order_id AND status IN ('active', 'released')
+     ORDER BY variant_id
+       FOR UPDATE
+  LOOP
+    UPDATE product_variants
+       SET stock = GREATEST(stock - r.quantity, 0)
+     WHERE id = r.variant_id AND stock IS NOT NULL;
+
+    UPDATE stock_reservations
+       SET status = 'committed', updated_at = NOW()
+     WHERE id = r.id;
+  END LOOP;
+END;
+$$;
+
+-- Server (service role) only — keep these off the public API
+REVOKE EXECUTE ON FUNCTION reserve_order_stock(UUID, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION commit_order_stock(UUID) FROM PUBLIC, anon, authenticated;
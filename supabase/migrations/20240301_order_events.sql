@@ -0,0 +1,26 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240301_order_events.sql
+-- Payment history per order, written by the Stripe webhook:
+--   payment_intent.succeeded / payment_failed / canceled
+--   charge.refunded, charge.dispute.created
+-- New order statuses set by these events:
+--   payment_failed, refunded, partially_refunded, disputed
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS order_events (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id        UUID        NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  type            TEXT        NOT NULL,  -- Stripe event type, e.g. 'charge.refunded'
+  stripe_event_id TEXT,
+  summary         TEXT,
+  data            JSONB       NOT NULL DEFAULT '{}',
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_events_order_id_idx ON order_events(order_id, created_at);
+
+ALTER TABLE order_events ENABLE ROW LEVEL SECURITY;
+
+-- Running total refunded through Stripe (charge.amount_refunded)
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS refunded_cents INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,27 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240302_stripe_events.sql
+-- Ledger of Stripe webhook deliveries, keyed by Stripe event id.
+-- The webhook claims an event by inserting its row; a retry of an
+-- event that is already processed (or being processed) is skipped.
+--   processing → handler running
+--   processed  → handled, order_id set when an order was touched
+--   ignored    → event type not handled / no matching order
+--   failed     → handler threw; Stripe's retry will reprocess it
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id           TEXT        PRIMARY KEY,  -- Stripe event id (evt_...)
+  type         TEXT        NOT NULL,
+  status       TEXT        NOT NULL DEFAULT 'processing',
+    -- processing | processed | ignored | failed
+  error        TEXT,
+  order_id     UUID        REFERENCES orders(id) ON DELETE SET NULL,
+  attempts     INTEGER     NOT NULL DEFAULT 1,
+  received_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stripe_events_received_at_idx ON stripe_events(received_at DESC);
+CREATE INDEX IF NOT EXISTS stripe_events_status_idx ON stripe_events(status);
+
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
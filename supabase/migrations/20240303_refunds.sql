@@ -0,0 +1,58 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240303_refunds.sql
+-- Admin-issued Stripe refunds.
+--   refunds       one row per Stripe refund on an order
+--   refund_items  which order lines (and how many units) it covers
+-- A full refund covers every unit not refunded before.
+-- restock_variants() puts refunded units back into tracked stock.
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id               UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id         UUID        NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  stripe_refund_id TEXT        UNIQUE,
+  amount_cents     INTEGER     NOT NULL CHECK (amount_cents > 0),
+  reason           TEXT,  -- duplicate | fraudulent | requested_by_customer
+  note             TEXT,
+  restocked        BOOLEAN     NOT NULL DEFAULT FALSE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS refunds_order_id_idx ON refunds(order_id);
+
+CREATE TABLE IF NOT EXISTS refund_items (
+  id             UUID    PRIMARY KEY DEFAULT gen_random_uuid(),
+  refund_id      UUID    NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+  order_item_id  UUID    NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity       INTEGER NOT NULL CHECK (quantity > 0),
+  amount_cents   INTEGER NOT NULL CHECK (amount_cents >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS refund_items_order_item_id_idx ON refund_items(order_item_id);
+
+ALTER TABLE refunds      ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refund_items ENABLE ROW LEVEL SECURITY;
+
+-- ── restock_variants ─────────────────────────────────────────
+-- Adds p_items ([{ variant_id, quantity }]) back to tracked stock.
+-- Variants with unlimited stock (NULL) are left alone.
+CREATE OR REPLACE FUNCTION restock_variants(p_items JSONB)
+RETURNS VOID LANGUAGE plpgsql AS $$
+DECLARE
+  r RECORD;
+BEGIN
+  FOR r IN
+    SELECT (e->>'variant_id')::UUID AS variant_id,
+           SUM((e->>'quantity')::INTEGER) AS quantity
+      FROM jsonb_array_elements(p_items) AS e
+     GROUP BY 1
+     ORDER BY 1
+  LOOP
+    UPDATE product_variants
+       SET stock = stock + r.quantity
+     WHERE id = r.variant_id AND stock IS NOT NULL;
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION restock_variants(JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,98 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240304_shipping.sql
+-- Shipping zones, methods and the shipping charge on orders.
+--   shipping_zones    where a set of methods applies: a list of
+--                     countries, optionally narrowed to states
+--                     (a zone listing states beats a whole-country one)
+--   shipping_methods  standard / express per zone
+--     rate_type 'flat'   → base_cents per order
+--     rate_type 'weight' → base_cents + per_kg_cents × cart weight
+--     free_over_cents    → free when the goods subtotal reaches it
+--   categories.shipping_weight_grams  weight of one garment of that
+--                     type, used for weight-based rates
+-- Change a rate with e.g.:
+--   UPDATE shipping_methods SET base_cents = 599 WHERE name = 'Standard';
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS shipping_zones (
+  id         UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  name       TEXT        NOT NULL,
+  countries  TEXT[]      NOT NULL,  -- ISO 3166-1 alpha-2, e.g. {US}
+  states     TEXT[],                -- NULL = every state of those countries
+  active     BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS shipping_methods (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  zone_id         UUID        NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+  code            TEXT        NOT NULL,  -- standard | express
+  name            TEXT        NOT NULL,
+  rate_type       TEXT        NOT NULL DEFAULT 'flat' CHECK (rate_type IN ('flat', 'weight')),
+  base_cents      INTEGER     NOT NULL DEFAULT 0 CHECK (base_cents >= 0),
+  per_kg_cents    INTEGER     NOT NULL DEFAULT 0 CHECK (per_kg_cents >= 0),
+  free_over_cents INTEGER,
+  min_days        INTEGER,
+  max_days        INTEGER,
+  sort_order      INTEGER     NOT NULL DEFAULT 0,
+  active          BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (zone_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS shipping_methods_zone_id_idx ON shipping_methods(zone_id);
+
+ALTER TABLE shipping_zones   ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shipping_methods ENABLE ROW LEVEL SECURITY;
+
+-- Garment weight by type (category)
+ALTER TABLE categories
+  ADD COLUMN IF NOT EXISTS shipping_weight_grams INTEGER;
+
+UPDATE categories SET shipping_weight_grams = w.grams
+  FROM (VALUES
+    ('t-shirts',     180),
+    ('sweatshirts',  600),
+    ('hats',         120),
+    ('polos',        250),
+    ('long-sleeves', 240),
+    ('performance',  150),
+    ('women',        170),
+    ('jackets',      800),
+    ('jerseys',      220),
+    ('tank-tops',    130),
+    ('youth',        130),
+    ('tote-bags',    200)
+  ) AS w(slug, grams)
+ WHERE categories.slug = w.slug AND categories.shipping_weight_grams IS NULL;
+
+-- Seed zones + methods (only when no zones exist yet)
+DO $$
+DECLARE
+  v_us     UUID;
+  v_us_ext UUID;
+  v_ca     UUID;
+BEGIN
+  IF EXISTS (SELECT 1 FROM shipping_zones) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO shipping_zones (name, countries) VALUES ('United States', '{US}') RETURNING id INTO v_us;
+  INSERT INTO shipping_zones (name, countries, states) VALUES ('Alaska & Hawaii', '{US}', '{AK,HI}') RETURNING id INTO v_us_ext;
+  INSERT INTO shipping_zones (name, countries) VALUES ('Canada', '{CA}') RETURNING id INTO v_ca;
+
+  INSERT INTO shipping_methods (zone_id, code, name, rate_type, base_cents, per_kg_cents, free_over_cents, min_days, max_days, sort_order) VALUES
+    (v_us,     'standard', 'Standard', 'flat',   499,  0,    5000, 3, 5, 1),
+    (v_us,     'express',  'Express',  'weight', 1299, 400,  NULL, 1, 2, 2),
+    (v_us_ext, 'standard', 'Standard', 'weight', 999,  600,  NULL, 5, 9, 1),
+    (v_us_ext, 'express',  'Express',  'weight', 2499, 1000, NULL, 2, 4, 2),
+    (v_ca,     'standard', 'Standard', 'weight', 1299, 800,  NULL, 6, 10, 1),
+    (v_ca,     'express',  'Express',  'weight', 2999, 1200, NULL, 2, 4, 2);
+END $$;
+
+-- Shipping charged on the order, and the amount the PaymentIntent was for
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shipping_method_id   UUID REFERENCES shipping_methods(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS shipping_method_name TEXT,
+  ADD COLUMN IF NOT EXISTS shipping_cents       INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_cents          INTEGER;
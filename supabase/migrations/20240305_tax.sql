@@ -0,0 +1,10 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240305_tax.sql
+-- Sales tax charged on an order (see backend/lib/tax.js).
+--   tax_lines  [{ name, jurisdiction, rate, taxableCents, amountCents }]
+--   tax_cents  sum of the lines; included in total_cents
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS tax_lines JSONB   NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS tax_cents INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,33 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240306_shipments.sql
+-- Shipments (fulfillment records) created from the admin order page.
+--   shipments       one parcel: carrier, tracking number/link, when
+--                   it left
+--   shipment_items  which order lines (and how many units) are in it
+-- Creating a shipment moves the order to 'shipped' and emails the
+-- customer the tracking link.
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS shipments (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id        UUID        NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  carrier         TEXT        NOT NULL,  -- usps | ups | fedex | dhl | canada_post | other
+  tracking_number TEXT,
+  tracking_url    TEXT,
+  shipped_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS shipments_order_id_idx ON shipments(order_id);
+
+CREATE TABLE IF NOT EXISTS shipment_items (
+  id             UUID    PRIMARY KEY DEFAULT gen_random_uuid(),
+  shipment_id    UUID    NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+  order_item_id  UUID    NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity       INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS shipment_items_order_item_id_idx ON shipment_items(order_item_id);
+
+ALTER TABLE shipments      ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shipment_items ENABLE ROW LEVEL SECURITY;
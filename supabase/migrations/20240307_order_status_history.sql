@@ -0,0 +1,23 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240307_order_status_history.sql
+-- Audit log of order status changes, written by
+-- backend/lib/orderStatus.js (which also enforces the allowed
+-- transitions).
+--   from_status  NULL for the row written when the order is created
+--   actor        admin | customer | stripe | system
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id    UUID        NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status   TEXT        NOT NULL,
+  actor       TEXT        NOT NULL DEFAULT 'system',
+  note        TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_id_idx
+  ON order_status_history(order_id, created_at);
+
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
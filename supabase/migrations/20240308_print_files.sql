@@ -0,0 +1,18 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240308_print_files.sql
+-- Print-ready artwork for production.
+--   order_items.print_files  side → the rendered PNG:
+--     { "front": { "path", "widthPx", "heightPx", "dpi",
+--                  "generatedAt" }, ... }
+--   "print-files" bucket     private; only the backend (service
+--                            role) reads and writes it
+-- Files are rendered by backend/lib/printFiles.js from the saved
+-- placement, at the print area's real size.
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS print_files JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('print-files', 'print-files', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,10 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240309_design_preflight.sql
+-- Artwork preflight result for each uploaded design, written by
+-- POST /api/products/upload/confirm (backend/lib/preflight.js):
+--   { format, widthPx, heightPx, isVector, hasAlpha, colorSpace,
+--     dpi, warnings: [{ code, severity, message, params }] }
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE design_uploads
+  ADD COLUMN IF NOT EXISTS preflight JSONB;
@@ -0,0 +1,11 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240310_design_proofs.sql
+-- PNG proof rendered from each sanitized SVG upload
+-- (POST /api/products/upload/confirm, backend/lib/svgSanitizer.js).
+-- The proof sits next to the SVG in the "designs" bucket; order
+-- items carry it as config.front/back.proof_url and the admin shows
+-- it instead of the SVG.
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE design_uploads
+  ADD COLUMN IF NOT EXISTS proof_path TEXT;
@@ -0,0 +1,27 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240311_print_areas.sql
+-- Print area per product and angle, drawn in the admin product
+-- form. x_pct/y_pct are the centre and w_pct/h_pct the size of the
+-- rectangle, as fractions of the square mockup frame; width_in and
+-- height_in are its physical size on the garment.
+-- Products without a row for an angle use the defaults in
+-- backend/lib/printAreas.js.
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS print_areas (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id  UUID        NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  angle       TEXT        NOT NULL CHECK (angle IN ('front', 'back', 'left_sleeve', 'right_sleeve')),
+  x_pct       NUMERIC     NOT NULL CHECK (x_pct >= 0 AND x_pct <= 1),
+  y_pct       NUMERIC     NOT NULL CHECK (y_pct >= 0 AND y_pct <= 1),
+  w_pct       NUMERIC     NOT NULL CHECK (w_pct > 0 AND w_pct <= 1),
+  h_pct       NUMERIC     NOT NULL CHECK (h_pct > 0 AND h_pct <= 1),
+  width_in    NUMERIC     NOT NULL CHECK (width_in > 0),
+  height_in   NUMERIC     NOT NULL CHECK (height_in > 0),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, angle)
+);
+
+CREATE INDEX IF NOT EXISTS print_areas_product_id_idx ON print_areas(product_id);
+
+ALTER TABLE print_areas ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,20 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240312_print_locations.sql
+-- Print locations beyond front and back: left/right sleeve, inside
+-- neck label and left-chest pocket (backend/lib/printAreas.js).
+-- Each can have its own print area, and each carries a per-unit
+-- surcharge instead of the extra_side fee:
+--   sleeve_print cents per unit, per printed sleeve
+--   neck_label   cents per unit
+--   pocket_print cents per unit
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE print_areas DROP CONSTRAINT IF EXISTS print_areas_angle_check;
+ALTER TABLE print_areas ADD CONSTRAINT print_areas_angle_check
+  CHECK (angle IN ('front', 'back', 'left_sleeve', 'right_sleeve', 'neck_label', 'left_chest'));
+
+INSERT INTO pricing_surcharges (code, amount_cents, description) VALUES
+  ('sleeve_print', 250, 'Per unit, per printed sleeve'),
+  ('neck_label',   150, 'Per unit, inside neck label print'),
+  ('pocket_print', 200, 'Per unit, left-chest pocket print')
+ON CONFLICT (code) DO NOTHING;
@@ -0,0 +1,40 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240313_design_projects.sql
+-- "My Designs" for signed-in customers (GET /api/account/designs).
+--   design_uploads.source  'upload' for files the customer chose,
+--                          'text' for the PNGs the PDP renders from
+--                          text layers — only uploads are listed
+--                          for reuse
+--   design_projects        a saved, reopenable design: product,
+--                          color and every print location's layers.
+--                          config has the shape of a cart line's
+--                          config (backend/routes/products.js), except
+--                          that text layers keep only their settings
+--                          and are rendered again on add to cart.
+-- ─────────────────────────────────────────────────────────────
+
+ALTER TABLE design_uploads
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'upload'
+    CHECK (source IN ('upload', 'text'));
+
+CREATE INDEX IF NOT EXISTS design_uploads_user_id_idx ON design_uploads(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS design_projects (
+  id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     UUID        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name        TEXT        NOT NULL,
+  product_id  UUID        NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  color_name  TEXT,
+  config      JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS design_projects_user_id_idx ON design_projects(user_id, updated_at DESC);
+
+ALTER TABLE design_projects ENABLE ROW LEVEL SECURITY;
+
+-- Owners manage their own projects (the backend uses the service role)
+CREATE POLICY "Design project owner access" ON design_projects FOR ALL USING (
+  user_id = auth.uid()
+);
@@ -0,0 +1,37 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240314_design_shares.sql
+-- Approval links for designs (backend/routes/shares.js).
+-- A share is a frozen copy of a PDP design, opened by anyone with
+-- its token (/products/<slug>?share=<token>) in read-only preview.
+-- The reviewer approves it or requests changes, and the designer
+-- is emailed either way.
+--   config          as a saved project's (backend/lib/savedDesigns.js)
+--   project_id      the designer's saved project, if shared from one,
+--                   so the email can link back to the editor
+--   designer_email  the signed-in designer's account email
+--   status          pending → approved | changes_requested; a share
+--                   takes one review, the designer shares again for
+--                   another round
+-- ─────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS design_shares (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  token           TEXT        NOT NULL UNIQUE,
+  user_id         UUID        REFERENCES auth.users(id) ON DELETE SET NULL,
+  project_id      UUID        REFERENCES design_projects(id) ON DELETE SET NULL,
+  product_id      UUID        NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  color_name      TEXT,
+  config          JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  designer_name   TEXT,
+  designer_email  TEXT        NOT NULL,
+  status          TEXT        NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending', 'approved', 'changes_requested')),
+  reviewer_name   TEXT,
+  review_comment  TEXT,
+  reviewed_at     TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Shares are only read and reviewed through the backend (service
+-- role), which looks them up by token
+ALTER TABLE design_shares ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,96 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240315_cart_add_lines.sql
+-- Adds several lines to a cart in one transaction for
+-- POST /api/products/cart/items/bulk (size mix and team rosters,
+-- backend/routes/products.js): the stock check, new lines and
+-- quantities added to identical lines all happen, or none do.
+-- ─────────────────────────────────────────────────────────────
+
+-- ── add_cart_lines ───────────────────────────────────────────
+-- p_lines: [{ variant_id, quantity, config, merge_into }]
+--   merge_into  id of an identical line already in the cart
+--               (backend/lib/cartLines.js) to add quantity to, or
+--               null for a new line; a line that has gone since is
+--               inserted instead. The merged line takes the added
+--               line's config.group, so the design pays screen setup
+--               once (backend/lib/pricing.js)
+-- Each tracked variant must cover what the cart already holds plus
+-- what's added, checked under a row lock on product_variants.
+-- Raises 'insufficient_stock' (DETAIL = JSON [{ variant_id,
+-- available }]) otherwise, and nothing is written.
+-- Returns the inserted and updated cart_items rows.
+CREATE OR REPLACE FUNCTION add_cart_lines(
+  p_cart_id UUID,
+  p_lines   JSONB
+) RETURNS SETOF cart_items LANGUAGE plpgsql AS $$
+DECLARE
+  r           RECORD;
+  v_stock     INTEGER;
+  v_in_cart   INTEGER;
+  v_shortages JSONB := '[]'::jsonb;
+  v_row       cart_items;
+BEGIN
+  FOR r IN
+    SELECT (e->>'variant_id')::UUID AS variant_id,
+           SUM((e->>'quantity')::INTEGER) AS quantity
+      FROM jsonb_array_elements(p_lines) AS e
+     GROUP BY 1
+     ORDER BY 1            -- consistent lock order avoids deadlocks
+  LOOP
+    SELECT stock INTO v_stock
+      FROM product_variants
+     WHERE id = r.variant_id
+       FOR UPDATE;
+
+    IF NOT FOUND THEN
+      v_shortages := v_shortages || jsonb_build_object('variant_id', r.variant_id, 'available', 0);
+      CONTINUE;
+    END IF;
+
+    CONTINUE WHEN v_stock IS NULL; -- unlimited
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_in_cart
+      FROM cart_items
+     WHERE cart_id = p_cart_id AND variant_id = r.variant_id;
+
+    IF v_in_cart + r.quantity > v_stock THEN
+      v_shortages := v_shortages || jsonb_build_object(
+        'variant_id', r.variant_id, 'available', GREATEST(v_stock - v_in_cart, 0));
+    END IF;
+  END LOOP;
+
+  IF jsonb_array_length(v_shortages) > 0 THEN
+    RAISE EXCEPTION 'insufficient_stock' USING DETAIL = v_shortages::TEXT;
+  END IF;
+
+  FOR r IN
+    SELECT (e->>'variant_id')::UUID AS variant_id,
+           (e->>'quantity')::INTEGER AS quantity,
+           e->'config' AS config,
+           NULLIF(e->>'merge_into', '')::UUID AS merge_into
+      FROM jsonb_array_elements(p_lines) AS e
+  LOOP
+    v_row := NULL;
+    IF r.merge_into IS NOT NULL THEN
+      UPDATE cart_items
+         SET quantity = quantity + r.quantity,
+             config   = CASE WHEN r.config ? 'group'
+                             THEN jsonb_set(config, '{group}', r.config->'group')
+                             ELSE config END
+       WHERE id = r.merge_into AND cart_id = p_cart_id AND variant_id = r.variant_id
+      RETURNING * INTO v_row;
+    END IF;
+
+    IF v_row.id IS NULL THEN
+      INSERT INTO cart_items (cart_id, variant_id, quantity, config)
+      VALUES (p_cart_id, r.variant_id, r.quantity, COALESCE(r.config, '{}'::jsonb))
+      RETURNING * INTO v_row;
+    END IF;
+
+    RETURN NEXT v_row;
+  END LOOP;
+END;
+$$;
+
+-- Server (service role) only — keep it off the public API
+REVOKE EXECUTE ON FUNCTION add_cart_lines(UUID, JSONB) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,47 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240316_replace_price_tiers.sql
+-- Replaces a product's price tiers in one transaction for
+-- PUT /api/admin/products/:id/price-tiers, so a failed save keeps
+-- the old tiers instead of leaving the product with none.
+-- ─────────────────────────────────────────────────────────────
+
+-- ── replace_price_tiers ──────────────────────────────────────
+-- p_tiers: [{ variant_id, min_qty, price_cents }], variant_id null
+-- for product-wide tiers. Raises 'variant_not_in_product'
+-- (DETAIL = variant id) for a variant of another product; nothing
+-- is changed then. Returns the new rows.
+CREATE OR REPLACE FUNCTION replace_price_tiers(
+  p_product_id UUID,
+  p_tiers      JSONB
+) RETURNS SETOF price_tiers LANGUAGE plpgsql AS $$
+DECLARE
+  v_variant_id UUID;
+BEGIN
+  SELECT (e->>'variant_id')::UUID INTO v_variant_id
+    FROM jsonb_array_elements(p_tiers) AS e
+   WHERE e->>'variant_id' IS NOT NULL
+     AND NOT EXISTS (
+       SELECT 1 FROM product_variants
+        WHERE id = (e->>'variant_id')::UUID AND product_id = p_product_id
+     )
+   LIMIT 1;
+
+  IF v_variant_id IS NOT NULL THEN
+    RAISE EXCEPTION 'variant_not_in_product' USING DETAIL = v_variant_id::TEXT;
+  END IF;
+
+  DELETE FROM price_tiers WHERE product_id = p_product_id;
+
+  RETURN QUERY
+  INSERT INTO price_tiers (product_id, variant_id, min_qty, price_cents)
+  SELECT p_product_id,
+         (e->>'variant_id')::UUID,
+         (e->>'min_qty')::INTEGER,
+         (e->>'price_cents')::INTEGER
+    FROM jsonb_array_elements(p_tiers) AS e
+  RETURNING *;
+END;
+$$;
+
+-- Server (service role) only — keep it off the public API
+REVOKE EXECUTE ON FUNCTION replace_price_tiers(UUID, JSONB) FROM PUBLIC, anon, authenticated;
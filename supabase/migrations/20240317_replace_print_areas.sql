@@ -0,0 +1,35 @@
+-- ─────────────────────────────────────────────────────────────
+-- Migration: 20240317_replace_print_areas.sql
+-- Replaces a product's print areas in one transaction for
+-- PUT /api/admin/products/:id/print-areas, so a failed save keeps
+-- the old areas instead of leaving the product with none.
+-- ─────────────────────────────────────────────────────────────
+
+-- ── replace_print_areas ──────────────────────────────────────
+-- p_rows: [{ angle, x_pct, y_pct, w_pct, h_pct, width_in, height_in }]
+-- A row the print_areas checks reject rolls the whole call back.
+-- Returns the new rows.
+CREATE OR REPLACE FUNCTION replace_print_areas(
+  p_product_id UUID,
+  p_rows       JSONB
+) RETURNS SETOF print_areas LANGUAGE plpgsql AS $$
+BEGIN
+  DELETE FROM print_areas WHERE product_id = p_product_id;
+
+  RETURN QUERY
+  INSERT INTO print_areas (product_id, angle, x_pct, y_pct, w_pct, h_pct, width_in, height_in)
+  SELECT p_product_id,
+         e->>'angle',
+         (e->>'x_pct')::NUMERIC,
+         (e->>'y_pct')::NUMERIC,
+         (e->>'w_pct')::NUMERIC,
+         (e->>'h_pct')::NUMERIC,
+         (e->>'width_in')::NUMERIC,
+         (e->>'height_in')::NUMERIC
+    FROM jsonb_array_elements(p_rows) AS e
+  RETURNING *;
+END;
+$$;
+
+-- Server (service role) only — keep it off the public API
+REVOKE EXECUTE ON FUNCTION replace_print_areas(UUID, JSONB) FROM PUBLIC, anon, authenticated;